@@ -7,6 +7,73 @@ const fs = require('fs').promises;
 // Initialize ESM modules
 let chalk, ora, inquirer;
 
+// Project config (vrt.config.js / vrt.config.json), loaded once per run
+let projectConfig;
+
+function getProjectConfig() {
+  if (!projectConfig) {
+    const { loadConfig } = require('./lib/config-loader');
+    projectConfig = loadConfig({
+      configPath: program.opts().config,
+      target: program.opts().target,
+      manifest: program.opts().manifest,
+      serve: program.opts().serve,
+      spa: program.opts().spa
+    });
+  }
+  return projectConfig;
+}
+
+// Browsers to run: --browser flag wins, then config `browsers`
+function getBrowserTypes(config) {
+  const browserType = program.opts().browser;
+  if (browserType === 'all') return ['chromium', 'firefox', 'webkit'];
+  if (browserType) return [browserType];
+  return config.browsers.length > 0 ? config.browsers : ['chromium'];
+}
+
+// Engine options for --as <role>; validates the role up front
+function getAuthOptions(config, role) {
+  if (!role) return {};
+  const { AuthManager } = require('./lib/auth');
+  const authManager = new AuthManager(config);
+  authManager.getRole(role);
+  return { authRole: role, authManager };
+}
+
+// Engine options for the --target's headers, basic auth, proxy, TLS errors, user agent
+// and cookies; validates them up front
+function getHttpOptions(config) {
+  if (!config.target) return {};
+  const { resolveHttpSettings } = require('./lib/http-settings');
+  resolveHttpSettings(config.target);
+  return { http: config.target };
+}
+
+// Engine options for named page scripts and inline evaluate
+function getScriptOptions(config) {
+  return { scriptsDir: config.scripts.dir, allowInlineScripts: config.scripts.allowInline };
+}
+
+// Engine options for per-job retries: config `retries` / `jobTimeout`, then flags
+function getJobOptions(config, options = {}) {
+  return {
+    retries: options.retries !== undefined ? parseInt(options.retries, 10) : config.retries,
+    jobTimeout: options.jobTimeout !== undefined ? parseInt(options.jobTimeout, 10) : config.jobTimeout
+  };
+}
+
+// Jobs that failed every attempt, with the page they left behind
+function printJobFailures(failures) {
+  console.log(chalk.red(`❌ ${failures.length} job(s) failed:`));
+  failures.forEach(failure => {
+    console.log(chalk.red(`  ${failure.id}: ${failure.error} (${failure.attempts} attempt${failure.attempts === 1 ? '' : 's'})`));
+    if (failure.failureScreenshot) {
+      console.log(chalk.gray(`    📸 ${failure.failureScreenshot}`));
+    }
+  });
+}
+
 async function initializeModules() {
   chalk = await loadChalk();
   ora = await loadOra();
@@ -22,49 +89,266 @@ async function main() {
     .version('3.0.0')
     .description(chalk.cyan('Visual Regression Tool - Cross-browser testing with Playwright & AI analysis'))
     .option('--engine <type>', 'Testing engine: playwright (default) or puppeteer', 'playwright')
-    .option('--browser <type>', 'Browser: chromium, firefox, webkit, edge, or all', 'chromium');
+    .option('--browser <type>', 'Browser: chromium, firefox, webkit, edge, or all (default: config browsers or chromium)')
+    .option('--config <path>', 'Path to vrt.config.js / vrt.config.json (default: discovered from cwd)')
+    .option('--target <name>', 'Named target from config: its baseUrl plus any headers, httpCredentials, proxy, ignoreHTTPSErrors, userAgent and cookies')
+    .option('--manifest <file>', 'Page manifest from `vrt crawl` to use instead of config pages')
+    .option('--serve <dir>', 'Serve a local build directory on a free port; relative page paths resolve against it')
+    .option('--spa [fallback]', 'With --serve, answer unknown routes with index.html (or the given file)');
 
   // Capture command
   program
     .command('capture')
     .description('Capture screenshots with AI analysis')
-    .option('-u, --url <url>', 'URL to capture (required)')
-    .option('-v, --viewport <name>', 'Specific viewport (mobile, tablet, desktop, desktop-xl)')
+    .option('-u, --url <url>', 'URL to capture (default: pages from config)')
+    .option('-p, --pages <names>', 'Comma-separated page names from config (or URLs/paths)')
+    .option('-v, --viewport <list>', 'Viewports: preset/config names or sizes like 1280x800@2 (comma-separated)')
     .option('--full-page', 'Capture full page screenshots')
+    .option('--no-auto-scroll', 'Skip the lazy-load scroll pass before full-page screenshots')
+    .option('--max-scroll-height <px>', 'Height cap for infinite feeds during full-page capture (default: 20000)')
+    .option('--settle-timeout <ms>', 'Longest wait for the page to stop changing before each screenshot (default: 5000)')
+    .option('--no-settle', 'Take screenshots without waiting for the page to stop changing')
     .option('--analyze', 'Enable AI-powered visual analysis')
-    .option('--components', 'Capture individual UI components')
+    .option('--components [names]', 'Capture UI components separately (optionally comma-separated names from config)')
     .option('--wait-for <selector>', 'Wait for specific element before capture')
-    .option('--output-dir <dir>', 'Custom output directory', './screenshots')
-    .option('--timeline', 'Capture visual timeline at intervals')
-    .option('--devices <devices>', 'Comma-separated device names for mobile emulation')
+    .option('--output-dir <dir>', 'Custom output directory (default: config outputDir or ./screenshots)')
+    .option('--timeline', 'Capture a loading filmstrip per browser and viewport (default intervals or config timeline)')
+    .option('--timeline-intervals <ms>', 'Comma-separated frame times in ms from navigation start (implies --timeline)')
+    .option('--timeline-networks <profiles>', 'Comma-separated network profiles: none, fast-3g, slow-3g (implies --timeline)')
+    .option('--devices <devices>', 'Comma-separated device names for mobile emulation (see `vrt devices`)')
+    .option('--emulate <matrix>', 'Emulation matrix, e.g. colorScheme=light|dark,locale=en-AU|fr-FR (default: config emulation)')
+    .option('--print [format]', 'Capture the print layout (media: print), optionally with a paper format such as A4 or Letter')
+    .option('--pdf', 'Also render a PDF and capture each PDF page as a PNG (implies --print, Chromium only)')
+    .option('--scroll-target <selector>', 'Also capture a scroll container or iframe in full (repeatable; >>> pierces shadow roots)', (value, list) => [...list, value], [])
+    .option('--scroll-mode <mode>', 'How scroll targets are captured: expand or stitch (default: expand)')
     .option('--interact <json>', 'JSON string of interactions to perform')
+    .option('--mask <masks>', 'Comma-separated selectors or WxH+X+Y rectangles to paint over (default: config masks)')
+    .option('--no-stabilize', 'Disable deterministic rendering (frozen animations, pinned clock, seeded random)')
+    .option('--no-suppress', 'Keep cookie banners, chat widgets and popups (default: config suppress rules)')
+    .option('--no-metadata', 'Skip the .meta.json DOM and environment sidecar next to each screenshot')
+    .option('--record-har <file>', 'Record all network responses to a HAR file')
+    .option('--replay-har <file>', 'Serve network responses only from a HAR file (offline capture)')
+    .option('--har-not-found <mode>', 'Requests missing from the replayed HAR: abort or fail', 'abort')
+    .option('--as <role>', 'Capture as an auth role from config (see `vrt auth`)')
+    .option('--retries <n>', 'Retries per browser x viewport/device job (default: config retries or 3)')
+    .option('--job-timeout <ms>', 'Time limit for each job attempt (default: config jobTimeout or 180000)')
     .option('--headless', 'Run in headless mode (default)', true)
     .option('--headed', 'Run in headed mode (visible browser)')
     .action(async (options) => {
-      if (!options.url) {
-        console.error(chalk.red('Error: URL is required. Use -u or --url option.'));
+      let config;
+      try {
+        config = getProjectConfig();
+      } catch (configError) {
+        console.error(chalk.red(`Error: ${configError.message}`));
+        process.exit(1);
+      }
+
+      const { resolvePages, selectViewports, toList } = require('./lib/config-loader');
+      const { selectComponents } = require('./lib/components');
+      const { resolveTimeline } = require('./lib/timeline');
+
+      // Timeline settings: config `timeline`, then per-page, then flags
+      const getTimeline = page => {
+        if (!options.timeline && !options.timelineIntervals && !options.timelineNetworks && !page.timeline) {
+          return undefined;
+        }
+        const timeline = {
+          ...config.timeline,
+          ...(typeof page.timeline === 'object' ? page.timeline : {}),
+          ...(options.timelineIntervals ? { intervals: toList(options.timelineIntervals) } : {}),
+          ...(options.timelineNetworks ? { networks: toList(options.timelineNetworks) } : {})
+        };
+        resolveTimeline(timeline);
+        return timeline;
+      };
+
+      // Lazy-load scroll settings: config `autoScroll`, then per-page, then flags
+      const getAutoScroll = page => {
+        if (options.autoScroll === false) return false;
+        const autoScroll = page.autoScroll !== undefined ? page.autoScroll : config.autoScroll;
+        if (!options.maxScrollHeight) return autoScroll;
+        return {
+          ...(typeof autoScroll === 'object' ? autoScroll : {}),
+          maxHeight: parseInt(options.maxScrollHeight, 10)
+        };
+      };
+
+      // Visual-stability wait: config `settle`, then per-page, then flags
+      const getSettle = page => {
+        if (options.settle === false) return false;
+        const settle = page.settle !== undefined ? page.settle : config.settle;
+        if (!options.settleTimeout) return settle;
+        return {
+          ...(typeof settle === 'object' ? settle : {}),
+          maxWait: parseInt(options.settleTimeout, 10)
+        };
+      };
+
+      // Emulation matrix: --emulate replaces config/page `emulation`
+      const { parseMatrixArg, normalizeMatrix } = require('./lib/emulation');
+      let emulationArg;
+      try {
+        emulationArg = options.emulate ? parseMatrixArg(options.emulate, config.emulation) : undefined;
+      } catch (emulationError) {
+        console.error(chalk.red(`Error: ${emulationError.message}`));
+        process.exit(1);
+      }
+      const getEmulation = page => emulationArg || (page.emulation ? normalizeMatrix(page.emulation) : config.emulation);
+
+      // Print mode: --print/--pdf or page `print`, with paper settings from config `print`
+      const getPrint = page => {
+        if (!options.print && !options.pdf && !page.print) return undefined;
+        return {
+          ...config.print,
+          ...(typeof page.print === 'object' ? page.print : {}),
+          ...(typeof options.print === 'string' ? { format: options.print } : {}),
+          ...(options.pdf ? { pdf: true } : {})
+        };
+      };
+
+      // Scroll targets: --scroll-target replaces page/config `scrollTargets`; --scroll-mode sets their default mode
+      const getScrollTargets = page => {
+        const { resolveScrollTargets } = require('./lib/scroll-capture');
+        const targets = options.scrollTarget.length > 0
+          ? options.scrollTarget
+          : page.scrollTargets || config.scrollTargets;
+        const resolved = resolveScrollTargets(targets, options.scrollMode ? { mode: options.scrollMode } : {});
+        return resolved.length > 0 ? resolved : undefined;
+      };
+
+      const pages = options.url
+        ? resolvePages(config, options.url)
+        : resolvePages(config, options.pages);
+
+      if (pages.length === 0) {
+        console.error(chalk.red('Error: URL is required. Use -u or --url option, or define pages in vrt.config.js.'));
         process.exit(1);
       }
 
       const engineType = program.opts().engine || 'playwright';
-      const browserType = program.opts().browser || 'chromium';
-      const spinner = ora(`Capturing screenshots with ${engineType} (${browserType}) for ${options.url}...`).start();
+
+      if (options.maxScrollHeight && !(parseInt(options.maxScrollHeight, 10) > 0)) {
+        console.error(chalk.red(`Error: --max-scroll-height must be a positive number of pixels (got "${options.maxScrollHeight}")`));
+        process.exit(1);
+      }
+      if (options.settleTimeout && !(parseInt(options.settleTimeout, 10) > 0)) {
+        console.error(chalk.red(`Error: --settle-timeout must be a positive number of ms (got "${options.settleTimeout}")`));
+        process.exit(1);
+      }
+      if (options.retries !== undefined && !(parseInt(options.retries, 10) >= 0)) {
+        console.error(chalk.red(`Error: --retries must be 0 or more (got "${options.retries}")`));
+        process.exit(1);
+      }
+      if (options.jobTimeout !== undefined && !(parseInt(options.jobTimeout, 10) > 0)) {
+        console.error(chalk.red(`Error: --job-timeout must be a positive number of ms (got "${options.jobTimeout}")`));
+        process.exit(1);
+      }
+      if (!['abort', 'fail'].includes(options.harNotFound)) {
+        console.error(chalk.red(`Error: --har-not-found must be abort or fail (got "${options.harNotFound}")`));
+        process.exit(1);
+      }
+      if ((options.print || options.pdf) && engineType === 'puppeteer') {
+        console.error(chalk.red('Error: --print and --pdf require the Playwright engine.'));
+        process.exit(1);
+      }
+      try {
+        const { resolvePrint } = require('./lib/print');
+        pages.forEach(page => resolvePrint(getPrint(page)));
+      } catch (printError) {
+        console.error(chalk.red(`Error: ${printError.message}`));
+        process.exit(1);
+      }
+      if ((options.scrollTarget.length > 0 || options.scrollMode) && engineType === 'puppeteer') {
+        console.error(chalk.red('Error: --scroll-target and --scroll-mode require the Playwright engine.'));
+        process.exit(1);
+      }
+      try {
+        const { resolveSuppression } = require('./lib/suppression');
+        resolveSuppression(config.suppress);
+        pages.forEach(page => resolveSuppression(page.suppress));
+        const { resolveMetadata } = require('./lib/page-metadata');
+        resolveMetadata(config.metadata);
+        pages.forEach(page => resolveMetadata(page.metadata));
+      } catch (settingsError) {
+        console.error(chalk.red(`Error: ${settingsError.message}`));
+        process.exit(1);
+      }
+      try {
+        pages.forEach(page => getScrollTargets(page));
+      } catch (scrollError) {
+        console.error(chalk.red(`Error: ${scrollError.message}`));
+        process.exit(1);
+      }
+      if (options.as && engineType === 'puppeteer') {
+        console.error(chalk.red('Error: --as requires the Playwright engine.'));
+        process.exit(1);
+      }
+      try {
+        const { buildDeviceCatalog, resolveDevices } = require('./lib/devices');
+        resolveDevices(options.devices ? toList(options.devices) : config.devices, buildDeviceCatalog(config.customDevices));
+      } catch (deviceError) {
+        console.error(chalk.red(`Error: ${deviceError.message}`));
+        process.exit(1);
+      }
+      if ((options.recordHar || options.replayHar) && engineType === 'puppeteer') {
+        console.error(chalk.red('Error: HAR recording and replay require the Playwright engine.'));
+        process.exit(1);
+      }
+      if (options.emulate && engineType === 'puppeteer') {
+        console.error(chalk.red('Error: --emulate requires the Playwright engine.'));
+        process.exit(1);
+      }
+      if (engineType === 'puppeteer' && pages.some(page => Object.keys(getEmulation(page)).length > 0)) {
+        console.warn(chalk.yellow('Warning: The emulation matrix requires the Playwright engine, skipping config emulation...'));
+      }
+      if ((options.timeline || options.timelineIntervals || options.timelineNetworks) && engineType === 'puppeteer') {
+        console.warn(chalk.yellow('Warning: Timeline capture requires the Playwright engine, skipping timeline...'));
+      }
+
+      const browserTypes = getBrowserTypes(config);
+      const outputDir = options.outputDir || config.outputDir;
+      const spinner = ora(`Capturing screenshots with ${engineType} (${browserTypes.join(', ')}) for ${pages.map(p => p.url).join(', ')}...`).start();
+      let VRT, vrt;
       
       try {
-        let VRT, vrt;
         try {
+          const viewports = selectViewports(config, options.viewport);
+
           // Choose engine based on option
           if (engineType === 'puppeteer') {
             VRT = require('./lib/vrt');
             vrt = new VRT({
-              outputDir: options.outputDir
+              baseUrl: config.baseUrl,
+              outputDir,
+              viewports,
+              stabilize: config.stabilize,
+              suppress: config.suppress,
+              metadata: config.metadata,
+              serve: config.serve,
+              ...getHttpOptions(config)
             });
           } else {
             VRT = require('./lib/playwright-vrt');
             vrt = new VRT({
-              outputDir: options.outputDir,
-              browser: browserType,
-              headless: !options.headed
+              baseUrl: config.baseUrl,
+              outputDir,
+              viewports,
+              stabilize: config.stabilize,
+              suppress: config.suppress,
+              metadata: config.metadata,
+              serve: config.serve,
+              browser: browserTypes[0],
+              headless: !options.headed,
+              recordHar: options.recordHar,
+              replayHar: options.replayHar,
+              harNotFound: options.harNotFound,
+              customDevices: config.customDevices,
+              maxConcurrentBrowsers: config.maxConcurrentBrowsers,
+              maxContextsPerBrowser: config.maxContextsPerBrowser,
+              ...getJobOptions(config, options),
+              ...getScriptOptions(config),
+              ...getAuthOptions(config, options.as),
+              ...getHttpOptions(config)
             });
           }
         } catch (initError) {
@@ -74,11 +358,10 @@ async function main() {
         }
 
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-        const outputPath = path.join(options.outputDir, `capture-${timestamp}`);
-        await fs.mkdir(outputPath, { recursive: true });
+        const captureDir = `capture-${timestamp}`;
 
         // Parse devices if provided
-        const devices = options.devices ? options.devices.split(',').map(d => d.trim()) : [];
+        const devices = options.devices ? toList(options.devices) : config.devices;
         
         // Parse interactions if provided
         let interactions = null;
@@ -90,26 +373,89 @@ async function main() {
           }
         }
 
-        const results = await vrt.capture(options.url, {
-          viewport: options.viewport,
-          fullPage: options.fullPage,
-          analyze: options.analyze,
-          components: options.components,
-          waitFor: options.waitFor,
-          timeline: options.timeline,
-          outputPath,
-          devices: devices.length > 0 ? devices : undefined,
-          interact: interactions,
-          browsers: browserType === 'all' ? ['chromium', 'firefox', 'webkit'] : [browserType]
+        // Per-job progress from the Playwright scheduler
+        let currentPage = pages[0];
+        vrt.on('job:complete', ({ id, completed, total }) => {
+          spinner.text = `Capturing ${currentPage.name}: ${completed}/${total} jobs done (${id})`;
         });
 
-        spinner.succeed(chalk.green(`✅ Screenshots captured successfully with ${engineType}!`));
-        console.log(chalk.blue(`📁 Output: ${outputPath}`));
-        console.log(chalk.cyan(`🌐 Browser(s): ${browserType}`));
+        const results = [];
+        const failures = [];
+        for (const page of pages) {
+          currentPage = page;
+          const pageResults = await vrt.capture(page.url, {
+            fullPage: options.fullPage ?? page.fullPage,
+            autoScroll: getAutoScroll(page),
+            settle: getSettle(page),
+            emulation: getEmulation(page),
+            print: getPrint(page),
+            scrollTargets: engineType === 'puppeteer' ? undefined : getScrollTargets(page),
+            analyze: options.analyze,
+            components: (options.components || page.components)
+              ? selectComponents(config.components, options.components || page.components)
+              : undefined,
+            waitFor: options.waitFor || page.waitFor,
+            timeline: getTimeline(page),
+            outputDir: pages.length > 1 ? path.join(captureDir, page.name) : captureDir,
+            devices: devices.length > 0 ? devices : undefined,
+            interact: interactions || page.interact,
+            masks: options.mask || [...config.masks, ...toList(page.masks)],
+            stabilize: options.stabilize === false ? false : page.stabilize,
+            suppress: options.suppress === false ? false : page.suppress,
+            metadata: options.metadata === false ? false : page.metadata,
+            browsers: browserTypes
+          });
+          results.push(...pageResults);
+          failures.push(...(pageResults.failures || []));
+        }
+
+        if (failures.length > 0) {
+          spinner.warn(chalk.yellow(`⚠️  Captured ${results.length} screenshot(s) with ${engineType}; ${failures.length} job(s) failed`));
+        } else {
+          spinner.succeed(chalk.green(`✅ Screenshots captured successfully with ${engineType}!`));
+        }
+        console.log(chalk.blue(`📁 Output: ${path.join(outputDir, captureDir)}`));
+        console.log(chalk.cyan(`🌐 Browser(s): ${browserTypes.join(', ')}`));
         
         if (devices.length > 0) {
           console.log(chalk.magenta(`📱 Devices: ${devices.join(', ')}`));
         }
+
+        const settled = results.filter(r => r.settle && r.settle.fixedDelay === undefined);
+        if (settled.length > 0) {
+          const unsettled = settled.filter(r => !r.settle.settled);
+          const slowest = Math.max(...settled.map(r => r.settle.duration));
+          console.log(chalk.cyan(`⏱️  Settled: ${settled.length - unsettled.length}/${settled.length} screenshots (slowest ${slowest}ms)`));
+          unsettled.forEach(r => {
+            console.log(chalk.yellow(`  ⚠️  ${r.browser || 'browser'} - ${r.viewport || r.device}: never settled (${r.settle.duration}ms)`));
+          });
+        }
+
+        const pdfs = results.filter(r => r.pdf);
+        if (pdfs.length > 0) {
+          const pdfPages = pdfs.reduce((sum, r) => sum + r.pdf.pages.length, 0);
+          console.log(chalk.cyan(`🖨️  ${pdfs.length} PDF(s) rendered, ${pdfPages} page(s) captured`));
+        }
+
+        // Which suppression rules fired, and on how many screenshots
+        const fired = {};
+        results.filter(r => r.suppression).forEach(r => r.suppression.rules.forEach(rule => {
+          fired[rule.name] = (fired[rule.name] || 0) + 1;
+        }));
+        if (Object.keys(fired).length > 0) {
+          const summary = Object.entries(fired).map(([name, count]) => `${name} ×${count}`).join(', ');
+          console.log(chalk.cyan(`🍪 Suppressed: ${summary}`));
+        }
+
+        const scrollTargets = results.filter(r => r.scrollTarget);
+        if (scrollTargets.length > 0) {
+          console.log(chalk.cyan(`🧭 ${scrollTargets.length} scroll target screenshot(s) captured in full`));
+        }
+
+        const capped = results.filter(r => r.autoScroll && r.autoScroll.capped);
+        if (capped.length > 0) {
+          console.log(chalk.yellow(`📜 ${capped.length} full-page screenshot(s) cut off at ${capped[0].autoScroll.height}px (infinite scroll?)`));
+        }
         
         if (options.analyze && results.length > 0 && results[0].analysis) {
           console.log(chalk.cyan('\n📊 AI Analysis Results:'));
@@ -120,12 +466,20 @@ async function main() {
           });
         }
         
-        // Cleanup for Playwright
-        if (engineType === 'playwright' && vrt.cleanup) {
-          await vrt.cleanup();
+        if (failures.length > 0) {
+          printJobFailures(failures);
+        }
+
+        // Close browsers and the --serve static server
+        await vrt.cleanup();
+
+        // Partial captures still fail the run; `compare` reports their screenshots as errored
+        if (failures.length > 0) {
+          process.exit(1);
         }
       } catch (error) {
         spinner.fail(chalk.red(`Failed to capture: ${error.message}`));
+        if (vrt) await vrt.cleanup().catch(() => {});
         process.exit(1);
       }
     });
@@ -134,16 +488,26 @@ async function main() {
   program
     .command('compare <before-dir> <after-dir>')
     .description('Compare screenshots with AI-powered difference analysis')
-    .option('--threshold <number>', 'Difference threshold (0-1)', '0.1')
-    .option('--output <dir>', 'Output directory for diff reports', './comparison-results')
+    .option('--threshold <number>', 'Difference threshold (0-1) (default: config threshold or 0.1)')
+    .option('--output <dir>', 'Output directory for diff reports (default: config comparisonDir)')
     .option('--ai-analysis', 'Enable AI analysis of differences')
     .option('--suggest-fixes', 'Get AI-suggested CSS fixes')
     .option('--generate-report', 'Generate HTML comparison report')
-    .option('--ignore-regions <selectors>', 'CSS selectors to ignore during comparison')
+    .option('--ignore-regions <masks>', 'Selectors recorded at capture time or WxH+X+Y pixel rectangles to ignore (default: config masks)')
+    .option('--scope <scope>', 'Screenshots to compare: all, pages or components', 'all')
+    .option('--filter <dimensions>', 'Only compare emulation variants, e.g. colorScheme=dark,locale=fr-FR')
     .action(async (beforeDir, afterDir, options) => {
+      if (!['all', 'pages', 'components'].includes(options.scope)) {
+        console.error(chalk.red(`Error: --scope must be all, pages or components (got "${options.scope}")`));
+        process.exit(1);
+      }
+
       const spinner = ora('Comparing screenshots...').start();
       
       try {
+        const config = getProjectConfig();
+        const outputDir = options.output || config.comparisonDir;
+
         let VRT, vrt;
         try {
           VRT = require('./lib/vrt');
@@ -154,17 +518,70 @@ async function main() {
         }
 
         const results = await vrt.compare(beforeDir, afterDir, {
-          threshold: parseFloat(options.threshold),
-          outputDir: options.output,
+          threshold: options.threshold !== undefined ? parseFloat(options.threshold) : config.threshold,
+          output: outputDir,
           aiAnalysis: options.aiAnalysis,
           suggestFixes: options.suggestFixes,
           generateReport: options.generateReport,
-          ignoreRegions: options.ignoreRegions?.split(',')
+          ignoreRegions: options.ignoreRegions || config.masks,
+          scope: options.scope,
+          filter: options.filter
         });
 
         spinner.succeed(chalk.green('✅ Comparison complete!'));
-        console.log(chalk.blue(`📁 Results: ${options.output}`));
-        
+        console.log(chalk.blue(`📁 Results: ${outputDir}`));
+
+        const changedComponents = results.report.filter(r => r.component && (!r.passed || r.moved || r.resized));
+        if (changedComponents.length > 0) {
+          console.log(chalk.cyan('\n🧩 Component changes:'));
+          changedComponents.forEach(r => {
+            const notes = [r.moved ? 'moved' : '', r.resized ? 'resized' : ''].filter(Boolean).join(', ');
+            console.log(`  ${r.component} (${r.file}): ${(r.difference * 100).toFixed(2)}% difference${notes ? `, ${notes}` : ''}`);
+          });
+        }
+
+        // Elements under the changed pixels (from the screenshots' .meta.json snapshots)
+        const located = results.report.filter(r => !r.passed && r.elements);
+        if (located.length > 0) {
+          console.log(chalk.cyan('\n🔎 Changed elements:'));
+          located.forEach(r => {
+            console.log(`  ${r.file}: ${r.elements.slice(0, 3).map(element => element.selector).join(', ')}`);
+          });
+        }
+
+        // Screenshots that grew or shrank, compared on a common canvas
+        const resized = results.report.filter(r => r.sizeChange);
+        if (resized.length > 0) {
+          console.log(chalk.cyan('\n📐 Size changes (added bands green, removed bands blue in the diff):'));
+          resized.forEach(r => {
+            const { width, height } = r.sizeChange;
+            const delta = [height ? `height ${height > 0 ? '+' : ''}${height}px` : '', width ? `width ${width > 0 ? '+' : ''}${width}px` : '']
+              .filter(Boolean).join(', ');
+            console.log(`  ${r.file}: ${delta}, ${(r.overlapDifference * 100).toFixed(2)}% of the overlap changed`);
+          });
+        }
+
+        // Selector masks given only at compare time cover nothing: those pixels were compared
+        if (results.unmasked.length > 0) {
+          console.log(chalk.yellow(`\n🎭 ${results.unmasked.length} comparison(s) partially unmasked (selectors not recorded at capture):`));
+          results.unmasked.forEach(r => {
+            console.log(chalk.yellow(`  ${r.file}: ${r.selectors.join(', ')}`));
+          });
+        }
+
+        const environments = results.report.filter(r => r.environment && r.environment.changed);
+        if (environments.length > 0) {
+          console.log(chalk.yellow(`\n🖥️  ${environments.length} screenshot(s) were captured in a different environment (browser, user agent or viewport)`));
+        }
+
+        // Screenshots whose capture job failed (from failures.json), not just missing
+        if (results.errors.length > 0) {
+          console.log(chalk.red(`\n❌ ${results.errors.length} screenshot(s) errored during capture:`));
+          results.errors.forEach(r => {
+            console.log(chalk.red(`  ${r.file} (${r.side}): ${r.error} after ${r.attempts} attempt(s)`));
+          });
+        }
+
         if (results.summary) {
           console.log(chalk.cyan('\n📊 Comparison Summary:'));
           console.log(`  Total images: ${results.summary.total}`);
@@ -191,11 +608,16 @@ async function main() {
       
       try {
         const BaselineManager = require('./lib/baseline-manager');
-        const manager = new BaselineManager();
+        const config = getProjectConfig();
+        const manager = new BaselineManager(config.baselineDir);
 
         switch (action) {
           case 'update':
-            await manager.update(options);
+            await manager.updateBaseline({
+              backup: options.backup,
+              // With --manifest, one baseline folder per manifest page
+              pages: program.opts().manifest ? config.pages.map(page => page.name) : []
+            });
             spinner.succeed(chalk.green('✅ Baseline updated successfully!'));
             break;
           case 'branch':
@@ -233,14 +655,18 @@ async function main() {
     .option('--timeline', 'Capture visual timeline at intervals')
     .option('--element-inspector', 'Enable element inspection mode')
     .option('--accessibility', 'Run accessibility checks with axe-core')
+    .option('-v, --viewport <name>', 'Viewport: a preset/config name or a size like 1280x800@2 (default: desktop)')
     .action(async (url, options) => {
       const spinner = ora(`Starting debug session for ${url}...`).start();
       
       try {
         const DebugCapture = require('./lib/debug-capture');
-        const debugSession = new DebugCapture();
+        const { selectViewports } = require('./lib/config-loader');
+        const config = getProjectConfig();
+        const debugSession = new DebugCapture(getHttpOptions(config));
+        const [viewport] = selectViewports(config, options.viewport || 'desktop');
 
-        const results = await debugSession.debug(url, options);
+        const results = await debugSession.capture(url, { ...options, viewport });
 
         spinner.succeed(chalk.green('✅ Debug session complete!'));
         console.log(chalk.blue(`📁 Debug output: ./debug-output/`));
@@ -358,52 +784,454 @@ async function main() {
       }
     });
 
+  // Auth command - save a logged-in session per role
+  program
+    .command('auth [role]')
+    .description('Log in as a config role and save its session (cookies + localStorage) for --as')
+    .option('--status', 'Show saved sessions instead of logging in')
+    .option('--headed', 'Run the login in a visible browser')
+    .action(async (role, options) => {
+      let config, authManager;
+      try {
+        config = getProjectConfig();
+        const { AuthManager } = require('./lib/auth');
+        authManager = new AuthManager(config);
+      } catch (configError) {
+        console.error(chalk.red(`Error: ${configError.message}`));
+        process.exit(1);
+      }
+
+      const roles = role ? [role] : Object.keys(authManager.roles);
+      if (roles.length === 0) {
+        console.error(chalk.red('Error: No auth roles defined. Add auth.roles to vrt.config.js.'));
+        process.exit(1);
+      }
+
+      if (options.status || !role) {
+        for (const name of roles) {
+          try {
+            const status = await authManager.getStatus(name);
+            console.log(status.valid
+              ? chalk.green(`  ✅ ${name}: valid (saved ${status.savedAt.toISOString()})`)
+              : chalk.yellow(`  ⚠️  ${name}: ${status.reason}`));
+          } catch (error) {
+            console.log(chalk.red(`  ❌ ${name}: ${error.message}`));
+          }
+        }
+        if (!role) {
+          console.log(chalk.blue('\nRun `vrt auth <role>` to log in.'));
+        }
+        return;
+      }
+
+      const spinner = ora(`Logging in as ${role}...`).start();
+      const PlaywrightVRT = require('./lib/playwright-vrt');
+      const vrt = new PlaywrightVRT({
+        baseUrl: config.baseUrl,
+        browser: getBrowserTypes(config)[0],
+        headless: !options.headed,
+        ...getScriptOptions(config),
+        ...getHttpOptions(config)
+      });
+
+      try {
+        const statePath = await authManager.login(role, vrt);
+        spinner.succeed(chalk.green(`✅ Session for ${role} saved to ${statePath}`));
+        await vrt.cleanup();
+      } catch (error) {
+        spinner.fail(chalk.red(`Login failed: ${error.message}`));
+        await vrt.cleanup();
+        process.exit(1);
+      }
+    });
+
+  // Crawl command - discover pages and write a page manifest
+  program
+    .command('crawl <url>')
+    .description('Discover pages from sitemap.xml and same-origin links and write a page manifest for --manifest')
+    .option('-d, --depth <n>', 'Link depth to follow from the start page (default: config crawl.depth or 2)')
+    .option('--max-pages <n>', 'Stop after this many unique pages (default: config crawl.maxPages or 200)')
+    .option('--include <globs>', 'Comma-separated path globs to keep, e.g. /business/**,/franchises')
+    .option('--exclude <globs>', 'Comma-separated path globs to skip, e.g. /admin/**,/*.php')
+    .option('--template <patterns>', 'Comma-separated URL templates to dedupe, e.g. /business/:id')
+    .option('--no-sitemap', 'Do not read sitemap.xml / robots.txt')
+    .option('--no-links', 'Do not follow links (sitemap only)')
+    .option('-o, --output <file>', 'Manifest file to write (default: config manifest or vrt.pages.json)')
+    .action(async (url, options) => {
+      let config;
+      try {
+        config = getProjectConfig();
+      } catch (configError) {
+        console.error(chalk.red(`Error: ${configError.message}`));
+        process.exit(1);
+      }
+
+      const { resolveUrl, toList } = require('./lib/config-loader');
+      const { crawl, buildManifest, writeManifest } = require('./lib/crawler');
+      const startUrl = resolveUrl(config, url);
+      const settings = {
+        ...config.crawl,
+        ...(options.depth !== undefined ? { depth: parseInt(options.depth, 10) } : {}),
+        ...(options.maxPages !== undefined ? { maxPages: parseInt(options.maxPages, 10) } : {}),
+        ...(options.include ? { include: toList(options.include) } : {}),
+        ...(options.exclude ? { exclude: toList(options.exclude) } : {}),
+        ...(options.template ? { templates: toList(options.template) } : {}),
+        ...(options.sitemap === false ? { sitemap: false } : {}),
+        ...(options.links === false ? { links: false } : {})
+      };
+
+      if ([settings.depth, settings.maxPages].some(n => n !== undefined && (Number.isNaN(n) || n < 0))) {
+        console.error(chalk.red('Error: --depth and --max-pages must be non-negative numbers'));
+        process.exit(1);
+      }
+
+      const warnings = [];
+      const spinner = ora(`Crawling ${startUrl}...`).start();
+
+      try {
+        const result = await crawl(startUrl, {
+          ...settings,
+          onPage: page => {
+            spinner.text = `Crawling ${startUrl}: ${page.url}`;
+          },
+          onWarning: message => warnings.push(message)
+        });
+
+        const manifest = buildManifest(result, startUrl);
+        const output = options.output || config.manifest || 'vrt.pages.json';
+        await writeManifest(output, manifest);
+
+        spinner.succeed(chalk.green(`✅ Found ${manifest.pages.length} pages (${result.visited} fetched, ${result.skipped} skipped)`));
+        for (const page of manifest.pages) {
+          console.log(page.template
+            ? `  ${page.name}: ${page.url} ${chalk.gray(`(${page.template}, ${page.matches} URLs)`)}`
+            : `  ${page.name}: ${page.url}`);
+        }
+        for (const warning of warnings) {
+          console.warn(chalk.yellow(`  ⚠️  ${warning}`));
+        }
+        console.log(chalk.blue(`\n📄 Manifest: ${output}`));
+        console.log(chalk.gray(`Use it with: vrt --manifest ${output} capture`));
+      } catch (error) {
+        spinner.fail(chalk.red(`Crawl failed: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // Storybook command
+  program
+    .command('storybook <source>')
+    .description('Capture every Storybook story in isolation (Storybook URL or static build directory)')
+    .option('-v, --viewport <list>', 'Viewports: preset/config names or sizes like 1280x800@2 (comma-separated)')
+    .option('--include <globs>', 'Comma-separated story id or Title/Name globs to capture, e.g. button--*,Forms/**')
+    .option('--exclude <globs>', 'Comma-separated story id or Title/Name globs to skip')
+    .option('--full-page', 'Capture full page screenshots (default: viewport)')
+    .option('--output-dir <dir>', 'Output directory (default: config outputDir)')
+    .action(async (source, options) => {
+      let config;
+      try {
+        config = getProjectConfig();
+      } catch (configError) {
+        console.error(chalk.red(`Error: ${configError.message}`));
+        process.exit(1);
+      }
+
+      const { selectViewports, toList } = require('./lib/config-loader');
+      const {
+        DEFAULT_STORYBOOK,
+        loadStoryIndex,
+        selectStories,
+        loadPreviewParameters,
+        captureStories,
+        buildStoryManifest
+      } = require('./lib/storybook');
+      const { writeManifest } = require('./lib/crawler');
+      const settings = {
+        ...DEFAULT_STORYBOOK,
+        ...config.storybook,
+        ...(options.include ? { include: toList(options.include) } : {}),
+        ...(options.exclude ? { exclude: toList(options.exclude) } : {}),
+        ...(options.fullPage ? { fullPage: true } : {})
+      };
+
+      const spinner = ora(`Reading stories from ${source}...`).start();
+      let server = null;
+      let vrt = null;
+      let failed = false;
+
+      try {
+        // A static build is served locally so its iframe and assets load over http
+        let baseUrl = source;
+        if (!/^https?:\/\//i.test(source)) {
+          const { startStaticServer } = require('./lib/static-server');
+          server = await startStaticServer(source);
+          baseUrl = server.url;
+        }
+
+        const index = await loadStoryIndex(source, settings);
+        const { stories: selected, skipped } = selectStories(index, settings);
+
+        const PlaywrightVRT = require('./lib/playwright-vrt');
+        const browserTypes = getBrowserTypes(config);
+        vrt = new PlaywrightVRT({
+          baseUrl,
+          outputDir: options.outputDir || config.outputDir,
+          viewports: selectViewports(config, options.viewport),
+          stabilize: config.stabilize,
+          suppress: config.suppress,
+          metadata: config.metadata,
+          browser: browserTypes[0],
+          maxConcurrentBrowsers: config.maxConcurrentBrowsers,
+          maxContextsPerBrowser: config.maxContextsPerBrowser,
+          ...getJobOptions(config),
+          ...getHttpOptions(config)
+        });
+
+        // Storybook 7+ index.json has no parameters; read `vrt` parameters from the preview
+        spinner.text = `Reading vrt parameters for ${selected.length} stories...`;
+        const withParameters = await loadPreviewParameters(vrt, baseUrl, selected, {
+          ...settings,
+          browser: browserTypes[0]
+        });
+        const { stories, skipped: skippedByParameter } = selectStories(withParameters);
+        skipped.push(...skippedByParameter);
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        const captureDir = `storybook-${timestamp}`;
+        const captured = await captureStories(vrt, stories, {
+          baseUrl,
+          outputDir: captureDir,
+          viewports: selectViewports(config, options.viewport),
+          resolveViewports: names => selectViewports(config, names),
+          masks: config.masks,
+          browsers: browserTypes,
+          fullPage: settings.fullPage,
+          waitFor: settings.waitFor,
+          onStory: (story, i, total) => {
+            spinner.text = `Capturing story ${i + 1}/${total}: ${story.id}`;
+          }
+        });
+
+        const outputPath = path.join(vrt.options.outputDir, captureDir);
+        const manifestPath = path.join(outputPath, 'vrt.stories.json');
+        await writeManifest(manifestPath, buildStoryManifest(stories, baseUrl));
+
+        const screenshots = captured.reduce((sum, item) => sum + item.results.filter(r => !r.component).length, 0);
+        const failures = captured.flatMap(item => (item.results.failures || []).map(failure => ({ ...failure, id: `${item.story.id}/${failure.id}` })));
+        if (failures.length > 0) {
+          spinner.warn(chalk.yellow(`⚠️  Captured ${captured.length} stories (${screenshots} screenshots); ${failures.length} job(s) failed`));
+          printJobFailures(failures);
+          failed = true;
+        } else {
+          spinner.succeed(chalk.green(`✅ Captured ${captured.length} stories (${screenshots} screenshots)`));
+        }
+        if (skipped.length > 0) {
+          console.log(chalk.gray(`⏭️  Skipped ${skipped.length}: ${skipped.map(story => story.id).join(', ')}`));
+        }
+        console.log(chalk.blue(`📁 Output: ${outputPath} (one folder per story id)`));
+        console.log(chalk.blue(`📄 Manifest: ${manifestPath}`));
+        console.log(chalk.gray(`Compare a story with: vrt compare <before>/<story-id> ${outputPath}/<story-id>`));
+      } catch (error) {
+        spinner.fail(chalk.red(`Storybook capture failed: ${error.message}`));
+        failed = true;
+      } finally {
+        if (vrt) await vrt.cleanup();
+        if (server) await server.close();
+      }
+
+      if (failed) {
+        process.exit(1);
+      }
+    });
+
+  // Journey command
+  program
+    .command('journey <files...>')
+    .description('Run multi-step user journeys (YAML/JSON files or directories) with a screenshot per checkpoint')
+    .option('-v, --viewport <list>', 'Viewports: preset/config names or sizes like 1280x800@2 (default: journey viewports, then config viewports)')
+    .option('--output-dir <dir>', 'Folder for this run under the output directory (default: journey-<timestamp>)')
+    .option('--as <role>', 'Run as an auth role from config (see `vrt auth`)')
+    .action(async (files, options) => {
+      let config;
+      try {
+        config = getProjectConfig();
+      } catch (configError) {
+        console.error(chalk.red(`Error: ${configError.message}`));
+        process.exit(1);
+      }
+
+      const { selectViewports } = require('./lib/config-loader');
+      const { loadJourneys } = require('./lib/journeys');
+      const PlaywrightVRT = require('./lib/playwright-vrt');
+
+      let journeys;
+      try {
+        journeys = await loadJourneys(files);
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+      const runDir = options.outputDir || `journey-${timestamp}`;
+      const browserTypes = getBrowserTypes(config);
+      let vrt = null;
+      let failed = false;
+
+      try {
+        vrt = new PlaywrightVRT({
+          baseUrl: config.baseUrl,
+          outputDir: config.outputDir,
+          settle: config.settle,
+          suppress: config.suppress,
+          serve: config.serve,
+          browser: browserTypes[0],
+          maxConcurrentBrowsers: config.maxConcurrentBrowsers,
+          maxContextsPerBrowser: config.maxContextsPerBrowser,
+          ...getScriptOptions(config),
+          ...getAuthOptions(config, options.as),
+          ...getHttpOptions(config)
+        });
+
+        for (const journey of journeys) {
+          console.log(chalk.cyan(`\n🧭 ${journey.name} (${journey.steps.length} steps)`));
+          const viewports = selectViewports(config, options.viewport || journey.viewports);
+          const result = await vrt.runJourney(journey, {
+            outputDir: runDir,
+            viewports,
+            browsers: browserTypes,
+            masks: config.masks
+          });
+
+          for (const run of result.runs) {
+            console.log(chalk.bold(`  ${run.passed ? '✅' : '❌'} ${run.browser} · ${run.viewport}`));
+            for (const step of run.steps) {
+              const icon = { passed: '✓', failed: '✗', skipped: '–' }[step.status];
+              const color = { passed: chalk.green, failed: chalk.red, skipped: chalk.gray }[step.status];
+              console.log(color(`     ${icon} ${step.index}. ${step.name}${step.screenshot ? ' 📸' : ''}`));
+              if (step.error) {
+                console.log(chalk.red(`       ${step.error}`));
+              }
+            }
+          }
+
+          console.log(chalk.blue(`  📁 ${result.outputDir}`));
+          console.log(chalk.blue(`  📄 Report: ${result.report}`));
+          failed = failed || !result.passed;
+        }
+
+        console.log(failed
+          ? chalk.red('\n❌ Some journeys failed')
+          : chalk.green(`\n✅ ${journeys.length} journey${journeys.length === 1 ? '' : 's'} passed`));
+        console.log(chalk.gray(`Compare checkpoints with: vrt compare <before>/<journey> ${path.join(config.outputDir, runDir)}/<journey>`));
+      } catch (error) {
+        console.error(chalk.red(`Journey failed: ${error.message}`));
+        failed = true;
+      } finally {
+        if (vrt) await vrt.cleanup();
+      }
+
+      if (failed) {
+        process.exit(1);
+      }
+    });
+
   // Monitor command
   program
-    .command('monitor <url>')
+    .command('monitor [url]')
     .description('Continuous monitoring with AI-powered change detection')
-    .option('-i, --interval <seconds>', 'Check interval in seconds', '300')
+    .option('-i, --interval <seconds>', 'Check interval in seconds (default: config monitor.interval or 300)')
     .option('-n, --notify', 'Send notifications on changes')
-    .option('-t, --threshold <number>', 'Change threshold to trigger alert', '0.1')
+    .option('-t, --threshold <number>', 'Change threshold to trigger alert (default: config threshold)')
     .option('--ai-alerts', 'Enable AI-powered alert classification')
     .option('--auto-baseline', 'Automatically update baseline for minor changes')
+    .option('--as <role>', 'Monitor as an auth role from config (see `vrt auth`)')
     .action(async (url, options) => {
-      console.log(chalk.cyan(`🔍 Starting monitor for ${url}...`));
-      console.log(chalk.blue(`⏰ Check interval: ${options.interval}s`));
+      let config;
+      try {
+        config = getProjectConfig();
+      } catch (configError) {
+        console.error(chalk.red(`Error: ${configError.message}`));
+        process.exit(1);
+      }
+
+      const { resolveUrl } = require('./lib/config-loader');
+      const pageUrl = url || (config.pages[0] && resolveUrl(config, config.pages[0].url));
+      if (!pageUrl) {
+        console.error(chalk.red('Error: URL is required, or define pages in vrt.config.js.'));
+        process.exit(1);
+      }
+
+      const interval = parseInt(options.interval || config.monitor?.interval || 300, 10);
+      const threshold = options.threshold !== undefined ? parseFloat(options.threshold) : config.threshold;
+
+      console.log(chalk.cyan(`🔍 Starting monitor for ${pageUrl}...`));
+      console.log(chalk.blue(`⏰ Check interval: ${interval}s`));
       
+      const PlaywrightVRT = require('./lib/playwright-vrt');
       const Monitor = require('./lib/monitor');
-      const monitor = new Monitor();
-      await monitor.start(url, options);
+      let authOptions;
+      try {
+        authOptions = { ...getAuthOptions(config, options.as), ...getHttpOptions(config) };
+      } catch (authError) {
+        console.error(chalk.red(`Error: ${authError.message}`));
+        process.exit(1);
+      }
+
+      const vrt = new PlaywrightVRT({
+        baseUrl: config.baseUrl,
+        outputDir: config.outputDir,
+        viewports: config.viewports,
+        serve: config.serve,
+        browser: getBrowserTypes(config)[0],
+        maxConcurrentBrowsers: config.maxConcurrentBrowsers,
+        maxContextsPerBrowser: config.maxContextsPerBrowser,
+        ...getJobOptions(config),
+        ...authOptions
+      });
+      const monitor = new Monitor(vrt, {
+        url: pageUrl,
+        interval,
+        threshold
+      });
+      await monitor.start();
     });
 
   // Test command specifically for directory.hattch-localhost
   program
     .command('test')
     .description('Quick test on directory.hattch-localhost')
-    .action(async () => {
+    .option('-v, --viewport <list>', 'Viewports: preset/config names or sizes like 1280x800@2 (comma-separated)')
+    .action(async (options) => {
       const spinner = ora('Testing on directory.hattch-localhost...').start();
       
       try {
         let VRT, vrt;
         try {
           VRT = require('./lib/vrt');
-          vrt = new VRT();
+          const { selectViewports } = require('./lib/config-loader');
+          const config = getProjectConfig();
+          vrt = new VRT({
+            outputDir: config.outputDir,
+            viewports: selectViewports(config, options.viewport),
+            ...getHttpOptions(config)
+          });
         } catch (initError) {
           spinner.fail(chalk.red(`Failed to initialize VRT: ${initError.message}`));
           process.exit(1);
         }
 
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-        const outputPath = `./screenshots/test-${timestamp}`;
+        const outputPath = `test-${timestamp}`;
         
         await vrt.capture('http://directory.hattch-localhost', {
           fullPage: true,
           analyze: true,
-          outputPath
+          outputDir: outputPath
         });
 
         spinner.succeed(chalk.green('✅ Test complete!'));
-        console.log(chalk.blue(`📁 Results: ${outputPath}`));
+        console.log(chalk.blue(`📁 Results: ${path.join(vrt.options.outputDir, outputPath)}`));
       } catch (error) {
         spinner.fail(chalk.red(`Test failed: ${error.message}`));
         process.exit(1);
@@ -416,7 +1244,7 @@ async function main() {
     .description('Start interactive browser session with AI-friendly API (Playwright only)')
     .option('-u, --url <url>', 'URL to interact with (required)')
     .option('--browser <type>', 'Override global browser setting')
-    .option('--device <name>', 'Emulate specific device')
+    .option('--device <name>', 'Emulate specific device (see `vrt devices`)')
     .option('--record', 'Record the session as video')
     .action(async (options) => {
       if (!options.url) {
@@ -441,7 +1269,9 @@ async function main() {
         const vrt = new PlaywrightVRT({
           browser: browserType,
           headless: false,
-          recordVideo: options.record
+          recordVideo: options.record,
+          customDevices: getProjectConfig().customDevices,
+          ...getHttpOptions(getProjectConfig())
         });
 
         const session = await vrt.interactiveSession(options.url, {
@@ -484,13 +1314,62 @@ async function main() {
       }
     });
 
+  // Devices command
+  program
+    .command('devices [query...]')
+    .description('List device descriptors for --devices (Playwright built-ins plus config customDevices)')
+    .option('--os <name>', 'Only devices on this OS: ios, android, windows, macos, linux')
+    .option('--width <px>', 'Viewport width, or a range like 360-414 or 1024-')
+    .option('--height <px>', 'Viewport height, or a range like 640-900')
+    .option('--mobile', 'Only mobile devices')
+    .option('--desktop', 'Only desktop devices')
+    .option('--json', 'Print the matching devices as JSON')
+    .action(async (query, options) => {
+      let config, devices;
+      try {
+        config = getProjectConfig();
+        const { buildDeviceCatalog, searchDevices } = require('./lib/devices');
+        devices = searchDevices(buildDeviceCatalog(config.customDevices), {
+          query: query.join(' '),
+          os: options.os,
+          width: options.width,
+          height: options.height,
+          mobile: options.mobile ? true : options.desktop ? false : undefined,
+          customDevices: config.customDevices
+        });
+      } catch (devicesError) {
+        console.error(chalk.red(`Error: ${devicesError.message}`));
+        process.exit(1);
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(devices, null, 2));
+        return;
+      }
+
+      if (devices.length === 0) {
+        console.log(chalk.yellow('No devices match. Run `vrt devices` without filters to list them all.'));
+        return;
+      }
+
+      const width = Math.max(...devices.map(device => device.name.length));
+      console.log(chalk.cyan(`📱 ${devices.length} device(s)\n`));
+      devices.forEach(device => {
+        const size = `${device.width}x${device.height}@${device.deviceScaleFactor}`;
+        const traits = [device.mobile ? 'mobile' : 'desktop', device.touch ? 'touch' : null, device.browser].filter(Boolean).join(', ');
+        console.log(`  ${device.name.padEnd(width)}  ${device.os.padEnd(7)}  ${size.padEnd(14)}  ${traits}${device.custom ? chalk.magenta('  (custom)') : ''}`);
+      });
+      console.log(chalk.blue('\nUse a name with --devices "<name>" or config `devices`.'));
+    });
+
   // Mobile command - Showcase device emulation
   program
     .command('mobile')
     .description('Test on mobile devices with Playwright')
     .option('-u, --url <url>', 'URL to test (required)')
-    .option('--devices <list>', 'Comma-separated device names', 'iPhone 14 Pro,Pixel 7,iPad Pro')
+    .option('--devices <list>', 'Comma-separated device names (see `vrt devices`; default: iPhone 14 Pro, Pixel 7, iPad Pro 11)')
     .option('--full-page', 'Capture full page on mobile')
+    .option('--as <role>', 'Test as an auth role from config (see `vrt auth`)')
     .action(async (options) => {
       if (!options.url) {
         console.error(chalk.red('Error: URL is required.'));
@@ -500,13 +1379,24 @@ async function main() {
       const spinner = ora('Testing on mobile devices...').start();
       
       try {
+        const config = getProjectConfig();
         const PlaywrightVRT = require('./lib/playwright-vrt');
         const vrt = new PlaywrightVRT({
-          browser: 'chromium'
+          baseUrl: config.baseUrl,
+          outputDir: config.outputDir,
+          browser: 'chromium',
+          customDevices: config.customDevices,
+          maxConcurrentBrowsers: config.maxConcurrentBrowsers,
+          maxContextsPerBrowser: config.maxContextsPerBrowser,
+          ...getJobOptions(config),
+          ...getAuthOptions(config, options.as),
+          ...getHttpOptions(config)
         });
 
         const results = await vrt.capture(options.url, {
-          devices: options.devices.split(',').map(d => d.trim()),
+          devices: options.devices
+            ? options.devices.split(',').map(d => d.trim())
+            : require('./lib/devices').DEFAULT_MOBILE_DEVICES,
           fullPage: options.fullPage,
           devicesOnly: true
         });
@@ -515,8 +1405,14 @@ async function main() {
         results.forEach(r => {
           console.log(chalk.blue(`  📱 ${r.device}: ${r.path}`));
         });
+        if (results.failures.length > 0) {
+          printJobFailures(results.failures);
+        }
 
         await vrt.cleanup();
+        if (results.failures.length > 0) {
+          process.exit(1);
+        }
       } catch (error) {
         spinner.fail(chalk.red(`Mobile testing failed: ${error.message}`));
         process.exit(1);
@@ -528,7 +1424,8 @@ async function main() {
     .command('crossbrowser')
     .description('Test across all browsers (Chromium, Firefox, WebKit)')
     .option('-u, --url <url>', 'URL to test (required)')
-    .option('--viewport <name>', 'Specific viewport to test')
+    .option('-v, --viewport <list>', 'Viewports: preset/config names or sizes like 1280x800@2 (comma-separated)')
+    .option('--as <role>', 'Test as an auth role from config (see `vrt auth`)')
     .action(async (options) => {
       if (!options.url) {
         console.error(chalk.red('Error: URL is required.'));
@@ -538,14 +1435,25 @@ async function main() {
       const spinner = ora('Running cross-browser tests...').start();
       
       try {
+        const config = getProjectConfig();
         const PlaywrightVRT = require('./lib/playwright-vrt');
+        const { selectViewports } = require('./lib/config-loader');
         const vrt = new PlaywrightVRT({
-          browser: 'all'
+          baseUrl: config.baseUrl,
+          outputDir: config.outputDir,
+          viewports: selectViewports(config, options.viewport),
+          serve: config.serve,
+          browser: 'all',
+          customDevices: config.customDevices,
+          maxConcurrentBrowsers: config.maxConcurrentBrowsers,
+          maxContextsPerBrowser: config.maxContextsPerBrowser,
+          ...getJobOptions(config),
+          ...getAuthOptions(config, options.as),
+          ...getHttpOptions(config)
         });
 
         const results = await vrt.capture(options.url, {
-          browsers: ['chromium', 'firefox', 'webkit'],
-          viewport: options.viewport
+          browsers: ['chromium', 'firefox', 'webkit']
         });
 
         spinner.succeed(chalk.green('✅ Cross-browser testing complete!'));
@@ -562,8 +1470,15 @@ async function main() {
             console.log(`  📸 ${item.viewport || item.device}: ${item.path}`);
           });
         });
+        if (results.failures.length > 0) {
+          console.log('');
+          printJobFailures(results.failures);
+        }
 
         await vrt.cleanup();
+        if (results.failures.length > 0) {
+          process.exit(1);
+        }
       } catch (error) {
         spinner.fail(chalk.red(`Cross-browser testing failed: ${error.message}`));
         process.exit(1);
@@ -2,14 +2,16 @@ const chalk = require('chalk');
 const ora = require('ora');
 const inquirer = require('inquirer');
 const BaselineManager = require('../lib/baseline-manager');
+const { loadConfig } = require('../lib/config-loader');
 
 async function baselineCommand(action, options) {
-  const baselineManager = new BaselineManager('./');
+  const config = loadConfig({ configPath: options.config, manifest: options.manifest });
+  const baselineManager = new BaselineManager(config.baselineDir);
   await baselineManager.initialize();
 
   switch (action) {
     case 'update':
-      await updateBaseline(baselineManager, options);
+      await updateBaseline(baselineManager, options, config);
       break;
     
     case 'branch':
@@ -43,7 +45,7 @@ async function baselineCommand(action, options) {
   }
 }
 
-async function updateBaseline(manager, options) {
+async function updateBaseline(manager, options, config) {
   const spinner = ora('Updating baseline...').start();
   
   try {
@@ -54,7 +56,8 @@ async function updateBaseline(manager, options) {
       
       // Get list of available files
       const fs = require('fs').promises;
-      const availableFiles = await fs.readdir('latest-capture');
+      const path = require('path');
+      const availableFiles = await fs.readdir(path.join(manager.baseDir, 'latest-capture'));
       const imageFiles = availableFiles.filter(f => f.endsWith('.png'));
       
       const { selectedFiles } = await inquirer.prompt([
@@ -74,7 +77,9 @@ async function updateBaseline(manager, options) {
     await manager.updateBaseline({
       backup: options.backup,
       selective: options.selective,
-      files: files
+      files: files,
+      // With a page manifest, one baseline folder per manifest page
+      pages: options.manifest ? config.pages.map(page => page.name) : []
     });
 
     spinner.succeed('Baseline updated successfully!');
@@ -2,14 +2,34 @@ const chalk = require('chalk');
 const ora = require('ora');
 const fs = require('fs').promises;
 const VRT = require('../lib/vrt');
+const { loadConfig } = require('../lib/config-loader');
 
 async function batchCommand(configFile, options) {
   const spinner = ora('Loading batch configuration...').start();
   
   try {
-    // Read config file
-    const configContent = await fs.readFile(configFile, 'utf8');
-    const config = JSON.parse(configContent);
+    const projectConfig = loadConfig({
+      configPath: options.config,
+      target: options.target,
+      manifest: options.manifest,
+      serve: options.serve,
+      spa: options.spa
+    });
+
+    // Read batch file, or build capture jobs from the project's configured pages
+    let config;
+    if (configFile) {
+      const configContent = await fs.readFile(configFile, 'utf8');
+      config = JSON.parse(configContent);
+    } else {
+      config = {
+        tests: projectConfig.pages.map(page => ({
+          type: 'capture',
+          url: page.url,
+          options: { outputDir: page.name, fullPage: page.fullPage }
+        }))
+      };
+    }
     
     spinner.succeed('Configuration loaded');
     
@@ -18,6 +38,17 @@ async function batchCommand(configFile, options) {
     console.log(`Parallel instances: ${options.parallel || 1}`);
     
     const vrt = new VRT({
+      baseUrl: projectConfig.baseUrl,
+      outputDir: projectConfig.outputDir,
+      viewports: projectConfig.viewports,
+      stabilize: projectConfig.stabilize,
+      masks: projectConfig.masks,
+      settle: projectConfig.settle,
+      suppress: projectConfig.suppress,
+      metadata: projectConfig.metadata,
+      serve: projectConfig.serve,
+      // The --target's headers, basic auth, proxy, TLS errors, user agent and cookies
+      http: projectConfig.target,
       parallel: true,
       maxParallel: parseInt(options.parallel) || 4
     });
@@ -26,11 +57,16 @@ async function batchCommand(configFile, options) {
       console.log(chalk.yellow('Incremental mode: Only testing changed files'));
     }
     
-    // Process batch
-    const results = await vrt.batch(config.tests || [], {
-      parallel: parseInt(options.parallel) || 4,
-      incremental: options.incremental
-    });
+    // Process batch, then close the browser and the `serve` static server
+    let results;
+    try {
+      results = await vrt.batch(config.tests || [], {
+        parallel: parseInt(options.parallel) || 4,
+        incremental: options.incremental
+      });
+    } finally {
+      await vrt.cleanup();
+    }
     
     console.log(chalk.green(`\n✅ Batch complete: ${results.length} tests processed`));
     
@@ -1,55 +1,62 @@
 const chalk = require('chalk');
 const ora = require('ora');
 const VRT = require('../lib/vrt');
+const { loadConfig, resolvePages, selectViewports } = require('../lib/config-loader');
 
 async function captureCommand(options) {
   const spinner = ora('Initializing capture...').start();
   
   try {
-    // Parse viewports
-    const viewportNames = options.viewports.split(',').map(v => v.trim());
-    const viewportMap = {
-      mobile: { name: 'mobile', width: 375, height: 812, deviceScaleFactor: 2 },
-      tablet: { name: 'tablet', width: 768, height: 1024, deviceScaleFactor: 2 },
-      desktop: { name: 'desktop', width: 1440, height: 900, deviceScaleFactor: 1 },
-      'desktop-xl': { name: 'desktop-xl', width: 1920, height: 1080, deviceScaleFactor: 1 }
-    };
+    const config = loadConfig({ configPath: options.config, target: options.target, serve: options.serve, spa: options.spa });
 
-    const viewports = viewportNames.map(name => viewportMap[name]).filter(Boolean);
+    // CLI viewports override the configured ones
+    const viewports = selectViewports(config, options.viewports);
+    const viewportNames = viewports.map(v => v.name);
 
     // Initialize VRT with options
     const vrt = new VRT({
-      baseUrl: options.url,
-      viewports: viewports.length > 0 ? viewports : undefined,
+      baseUrl: options.url || config.baseUrl,
+      outputDir: config.outputDir,
+      viewports,
+      stabilize: options.stabilize === false ? false : config.stabilize,
+      serve: config.serve,
       aiEnabled: options.analyze || options.timeline
     });
 
-    // Parse pages if provided
-    const pages = options.pages ? options.pages.split(',').map(p => p.trim()) : ['/'];
+    // Parse pages if provided, falling back to config pages, then the homepage
+    const configuredPages = resolvePages(config, options.pages);
+    const pages = configuredPages.length > 0 ? configuredPages.map(p => p.url) : ['/'];
+    const masks = options.mask || config.masks;
 
     spinner.text = 'Capturing screenshots...';
 
     const allResults = [];
 
-    for (const page of pages) {
-      const results = await vrt.capture(page, {
-        outputDir: options.output,
-        fullPage: options.fullPage,
-        components: options.components,
-        analyze: options.analyze,
-        timeline: options.timeline,
-        detectIssues: options.analyze,
-        checkAccessibility: options.analyze
-      });
+    try {
+      for (const page of pages) {
+        const results = await vrt.capture(page, {
+          outputDir: options.output,
+          fullPage: options.fullPage,
+          masks,
+          components: options.components,
+          analyze: options.analyze,
+          timeline: options.timeline,
+          detectIssues: options.analyze,
+          checkAccessibility: options.analyze
+        });
 
-      allResults.push(...results);
+        allResults.push(...results);
+      }
+    } finally {
+      // Close the browser and the `serve` static server
+      await vrt.cleanup();
     }
 
     spinner.succeed(`Captured ${allResults.length} screenshots successfully!`);
 
     // Display results
     console.log(chalk.green('\n✅ Capture Complete\n'));
-    console.log(`📁 Output directory: ${options.output || 'screenshots'}`);
+    console.log(`📁 Output directory: ${options.output || config.outputDir}`);
     console.log(`📸 Total screenshots: ${allResults.length}`);
     console.log(`🖼️  Pages captured: ${pages.join(', ')}`);
     console.log(`📱 Viewports: ${viewportNames.join(', ')}`);
@@ -82,8 +89,13 @@ async function captureCommand(options) {
 
     // Display timeline info if captured
     if (options.timeline) {
-      console.log(chalk.blue('\n🎬 Visual Timeline captured at intervals: 0ms, 500ms, 1000ms, 2000ms, 3000ms, 5000ms'));
-      console.log('Timeline analysis available in the output directory.');
+      const timelineRuns = allResults.flatMap(result => result.timeline || []);
+      if (timelineRuns.length > 0) {
+        console.log(chalk.blue(`\n🎬 Visual Timeline: ${timelineRuns.length} filmstrip(s) saved under timeline/`));
+        console.log('Timeline analysis is included in timeline/timeline.json.');
+      } else {
+        console.log(chalk.yellow('\n🎬 Timeline capture requires the Playwright engine (vrt capture --timeline).'));
+      }
     }
 
   } catch (error) {
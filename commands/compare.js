@@ -2,18 +2,24 @@ const chalk = require('chalk');
 const ora = require('ora');
 const path = require('path');
 const VRT = require('../lib/vrt');
+const { loadConfig } = require('../lib/config-loader');
 
 async function compareCommand(before, after, options) {
   const spinner = ora('Comparing screenshots...').start();
   
   try {
+    const config = loadConfig({ configPath: options.config });
+    const threshold = options.threshold !== undefined ? parseFloat(options.threshold) : config.threshold;
+    const output = options.output || config.comparisonDir;
+
     const vrt = new VRT({
       aiEnabled: options.aiAnalysis || options.suggestFixes
     });
 
     const results = await vrt.compare(before, after, {
-      threshold: parseFloat(options.threshold),
-      output: options.output,
+      threshold,
+      output,
+      ignoreRegions: options.ignoreRegions || config.masks,
       highlightColor: options.highlightColor,
       generateReport: options.generateReport,
       aiAnalysis: options.aiAnalysis,
@@ -29,7 +35,7 @@ async function compareCommand(before, after, options) {
     console.log(`📊 Summary:`);
     console.log(`  Total images compared: ${results.totalImages}`);
     console.log(`  Differences found: ${results.differences.length}`);
-    console.log(`  Threshold: ${options.threshold * 100}%`);
+    console.log(`  Threshold: ${threshold * 100}%`);
 
     if (results.differences.length > 0) {
       console.log(chalk.yellow('\n⚠️  Differences detected:\n'));
@@ -73,7 +79,7 @@ async function compareCommand(before, after, options) {
     }
 
     if (options.generateReport) {
-      const reportPath = path.join(options.output || 'comparison-results', 'report.html');
+      const reportPath = path.join(output, 'report.html');
       console.log(chalk.blue(`\n📄 HTML report generated: ${reportPath}`));
       console.log('Open the report in your browser for detailed visual comparison.');
     }
@@ -5,6 +5,7 @@ const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const fs = require('fs').promises;
 const path = require('path');
 const DebugCapture = require('../lib/debug-capture');
+const { loadConfig, selectViewports } = require('../lib/config-loader');
 
 puppeteerExtra.use(StealthPlugin());
 
@@ -26,7 +27,9 @@ async function debugCommand(url, options) {
     });
 
     const page = await browser.newPage();
-    await page.setViewport({ width: 1440, height: 900 });
+    // A preset/config viewport name or a size like 1280x800@2
+    const [viewport] = selectViewports(loadConfig({ configPath: options.config }), options.viewport || 'desktop');
+    await page.setViewport(viewport);
 
     // Attach listeners
     if (options.console) {
@@ -3,6 +3,7 @@ const ora = require('ora');
 const fs = require('fs').promises;
 const path = require('path');
 const VRT = require('../../lib/vrt');
+const { loadConfig } = require('../../lib/config-loader');
 
 async function prepareCommand(options) {
   const spinner = ora('Preparing for CSS framework migration...').start();
@@ -15,19 +16,26 @@ async function prepareCommand(options) {
     console.log(chalk.gray(`Current framework: ${framework}`));
     console.log(chalk.gray(`Output directory: ${outputDir}\n`));
     
+    const config = loadConfig({ configPath: options.config, target: options.target });
+    
     const vrt = new VRT({
+      baseUrl: config.baseUrl,
       outputDir,
+      viewports: config.viewports,
+      stabilize: config.stabilize,
+      masks: config.masks,
+      settle: config.settle,
+      suppress: config.suppress,
+      metadata: config.metadata,
+      // The --target's headers, basic auth, proxy, TLS errors, user agent and cookies
+      http: config.target,
       aiEnabled: true
     });
     
-    // Define pages to capture for migration
-    const pagesToCapture = [
-      { url: '/', name: 'homepage' },
-      { url: '/business-for-sale', name: 'listing-page' },
-      { url: '/franchises', name: 'franchises-page' },
-      { url: '/business/example', name: 'detail-page' },
-      { url: '/contact', name: 'contact-page' }
-    ];
+    // Pages to capture for migration come from the project config
+    const pagesToCapture = config.pages.length > 0
+      ? config.pages.map(page => ({ url: page.url, name: page.name }))
+      : [{ url: '/', name: 'homepage' }];
     
     spinner.text = 'Capturing baseline screenshots...';
     
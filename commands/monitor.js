@@ -1,8 +1,23 @@
 const chalk = require('chalk');
 const ora = require('ora');
 const VRT = require('../lib/vrt');
+const { loadConfig, resolveUrl } = require('../lib/config-loader');
 
 async function monitorCommand(url, options) {
+  const config = loadConfig({ configPath: options.config, target: options.target });
+
+  // Flags win over config; the first configured page is monitored when no URL is given
+  url = url || (config.pages[0] && resolveUrl(config, config.pages[0].url));
+  if (!url) {
+    console.error(chalk.red('Error: URL is required, or define pages in vrt.config.js'));
+    process.exit(1);
+  }
+  options = {
+    ...options,
+    interval: options.interval || config.monitor?.interval || 300,
+    threshold: options.threshold !== undefined ? options.threshold : config.threshold
+  };
+
   console.log(chalk.cyan('\n👁️  Visual Monitoring Started\n'));
   console.log(`URL: ${url}`);
   console.log(`Interval: ${options.interval} seconds`);
@@ -10,6 +25,8 @@ async function monitorCommand(url, options) {
   console.log(chalk.gray('\nPress Ctrl+C to stop monitoring\n'));
 
   const vrt = new VRT({
+    outputDir: config.outputDir,
+    viewports: config.viewports,
     aiEnabled: options.aiAlerts
   });
 
@@ -4,6 +4,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const puppeteer = require('puppeteer');
 const { AxePuppeteer } = require('@axe-core/puppeteer');
+const { loadConfig, selectViewports } = require('../../lib/config-loader');
 
 async function accessibilityCommand(url, options) {
   const spinner = ora('Running accessibility tests...').start();
@@ -26,12 +27,9 @@ async function accessibilityCommand(url, options) {
     const outputDir = path.join('accessibility-tests', new Date().toISOString().replace(/[:]/g, '-'));
     await fs.mkdir(outputDir, { recursive: true });
     
-    // Test across different viewports
-    const viewports = [
-      { name: 'desktop', width: 1440, height: 900 },
-      { name: 'tablet', width: 768, height: 1024 },
-      { name: 'mobile', width: 375, height: 812 }
-    ];
+    // Test across the configured viewports (or the ones given on the command line)
+    const config = loadConfig({ configPath: options.config });
+    const viewports = selectViewports(config, options.viewports);
     
     console.log(chalk.cyan('\n♿ Accessibility Testing Report\n'));
     console.log(chalk.gray(`URL: ${url}`));
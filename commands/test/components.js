@@ -3,6 +3,7 @@ const ora = require('ora');
 const fs = require('fs').promises;
 const path = require('path');
 const VRT = require('../../lib/vrt');
+const { loadConfig, selectViewports } = require('../../lib/config-loader');
 
 async function componentsCommand(url, options) {
   const spinner = ora('Testing UI components in isolation...').start();
@@ -40,7 +41,9 @@ async function componentsCommand(url, options) {
     await fs.mkdir(outputDir, { recursive: true });
     
     const page = await browser.newPage();
-    await page.setViewport({ width: 1440, height: 900 });
+    // A preset/config viewport name or a size like 1280x800@2
+    const [viewport] = selectViewports(loadConfig({ configPath: options.config }), options.viewport || 'desktop');
+    await page.setViewport(viewport);
     await page.goto(url, { waitUntil: 'networkidle2' });
     
     console.log(chalk.cyan('\n🧩 Component Testing Report\n'));
@@ -3,6 +3,7 @@ const ora = require('ora');
 const fs = require('fs').promises;
 const path = require('path');
 const puppeteer = require('puppeteer');
+const { loadConfig, selectViewports } = require('../../lib/config-loader');
 
 async function interactionsCommand(url, options) {
   const spinner = ora('Testing interactive elements...').start();
@@ -23,7 +24,9 @@ async function interactionsCommand(url, options) {
     await fs.mkdir(outputDir, { recursive: true });
     
     const page = await browser.newPage();
-    await page.setViewport({ width: 1440, height: 900 });
+    // A preset/config viewport name or a size like 1280x800@2
+    const [viewport] = selectViewports(loadConfig({ configPath: options.config }), options.viewport || 'desktop');
+    await page.setViewport(viewport);
     await page.goto(url, { waitUntil: 'networkidle2' });
     
     console.log(chalk.cyan('\n🖱️  Interactive Elements Testing\n'));
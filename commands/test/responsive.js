@@ -3,14 +3,24 @@ const ora = require('ora');
 const fs = require('fs').promises;
 const path = require('path');
 const VRT = require('../../lib/vrt');
+const { loadConfig, selectViewports, toList } = require('../../lib/config-loader');
 
 async function responsiveCommand(url, options) {
   const spinner = ora('Testing responsive behavior...').start();
   
   try {
-    const breakpoints = options.breakpoints 
-      ? options.breakpoints.split(',').map(b => parseInt(b))
-      : [320, 375, 414, 768, 1024, 1280, 1440, 1920];
+    // Breakpoints: flag, then config `breakpoints`, then the configured viewport widths
+    const config = loadConfig({ configPath: options.config });
+    const configuredBreakpoints = toList(options.breakpoints || config.breakpoints);
+    const breakpoints = (configuredBreakpoints.length > 0
+      ? configuredBreakpoints.map(b => parseInt(b))
+      : config.viewports.map(v => v.width)
+    ).sort((a, b) => a - b);
+
+    // Explicit viewports (names or sizes like 390x844@3) replace the breakpoints
+    const sizes = options.viewports
+      ? selectViewports(config, options.viewports).sort((a, b) => a.width - b.width)
+      : breakpoints.map(width => ({ width, height: 1024 }));
     
     const vrt = new VRT({ aiEnabled: true });
     const puppeteer = require('puppeteer');
@@ -30,16 +40,16 @@ async function responsiveCommand(url, options) {
     
     console.log(chalk.cyan('\n📱 Responsive Design Testing\n'));
     console.log(chalk.gray(`URL: ${url}`));
-    console.log(chalk.gray(`Breakpoints: ${breakpoints.join(', ')}px\n`));
+    console.log(chalk.gray(`Breakpoints: ${sizes.map(size => size.width).join(', ')}px\n`));
     
-    for (let i = 0; i < breakpoints.length; i++) {
-      const width = breakpoints[i];
-      const prevWidth = i > 0 ? breakpoints[i - 1] : null;
+    for (let i = 0; i < sizes.length; i++) {
+      const width = sizes[i].width;
+      const prevWidth = i > 0 ? sizes[i - 1].width : null;
       
       spinner.text = `Testing ${width}px breakpoint...`;
       
       const page = await browser.newPage();
-      await page.setViewport({ width, height: 1024 });
+      await page.setViewport(sizes[i]);
       await page.goto(url, { waitUntil: 'networkidle2' });
       
       // Wait for any responsive adjustments
@@ -133,7 +143,7 @@ async function responsiveCommand(url, options) {
     
     // Summary
     console.log(chalk.cyan('\n📊 Summary:\n'));
-    console.log(`Breakpoints tested: ${breakpoints.length}`);
+    console.log(`Breakpoints tested: ${sizes.length}`);
     console.log(`Total issues found: ${issues.length}`);
     
     if (issues.length > 0) {
@@ -161,7 +171,7 @@ async function responsiveCommand(url, options) {
     const report = {
       timestamp: new Date().toISOString(),
       url,
-      breakpoints,
+      breakpoints: sizes.map(size => size.width),
       results,
       issues,
       layoutChanges,
@@ -386,12 +386,33 @@ class AIAnalyzer {
   }
 
   async compareTimelineFrames(path1, path2) {
-    // Simple similarity check between consecutive frames
+    // Similarity between consecutive frames
     // Returns a value between 0 and 1 (1 = identical)
-    
-    // In production, you'd use proper image comparison
-    // For now, return a mock value
-    return 0.85 + Math.random() * 0.15;
+    try {
+      const [img1, img2] = await Promise.all([
+        sharp(path1).removeAlpha().raw().toBuffer({ resolveWithObject: true }),
+        sharp(path2).removeAlpha().raw().toBuffer({ resolveWithObject: true })
+      ]);
+
+      if (img1.info.width !== img2.info.width || img1.info.height !== img2.info.height) {
+        return 0;
+      }
+
+      let changed = 0;
+      const pixels = img1.info.width * img1.info.height;
+      for (let i = 0; i < img1.data.length; i += 3) {
+        if (Math.abs(img1.data[i] - img2.data[i]) +
+            Math.abs(img1.data[i + 1] - img2.data[i + 1]) +
+            Math.abs(img1.data[i + 2] - img2.data[i + 2]) > 30) {
+          changed++;
+        }
+      }
+
+      return 1 - changed / pixels;
+    } catch (error) {
+      console.warn('Timeline frame comparison failed:', error.message);
+      return 0;
+    }
   }
 }
 
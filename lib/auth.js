@@ -0,0 +1,186 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Authenticated capture via saved Playwright storage state
+ *
+ * Roles are defined in the project config under `auth.roles`. Each role has a
+ * login URL and a list of interaction steps (the same format as --interact).
+ * `vrt auth <role>` runs the steps once and saves cookies + localStorage to
+ * `<auth.dir>/<role>.json`; captures started with `--as <role>` load that file
+ * into every browser context and log in again when the session has expired.
+ */
+
+const ENV_PATTERN = /\$\{(\w+)\}/g;
+
+/**
+ * Replace `${NAME}` with environment variables so credentials stay out of config
+ */
+function interpolateEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(ENV_PATTERN, (match, name) => {
+      if (process.env[name] === undefined) {
+        throw new Error(`Environment variable ${name} is not set (used in auth steps or target settings)`);
+      }
+      return process.env[name];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(interpolateEnv);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, interpolateEnv(v)]));
+  }
+  return value;
+}
+
+class AuthManager {
+  /**
+   * @param {Object} config - Normalized project config (uses `auth` and `baseUrl`)
+   */
+  constructor(config) {
+    this.config = config;
+    this.dir = path.resolve(config.auth.dir);
+    this.roles = config.auth.roles || {};
+  }
+
+  getRole(role) {
+    const definition = this.roles[role];
+    if (!definition) {
+      const available = Object.keys(this.roles);
+      throw new Error(
+        `Unknown auth role "${role}". ` +
+        (available.length ? `Available: ${available.join(', ')}` : 'Define roles under auth.roles in vrt.config.js')
+      );
+    }
+    if (!definition.loginUrl) {
+      throw new Error(`Auth role "${role}" needs a loginUrl`);
+    }
+    return definition;
+  }
+
+  getStatePath(role) {
+    return path.join(this.dir, `${role}.json`);
+  }
+
+  resolveUrl(url) {
+    return /^(https?|file):/.test(url) ? url : `${this.config.baseUrl}${url}`;
+  }
+
+  /**
+   * Whether the page has been bounced back to the role's login page
+   */
+  isLoginPage(role, currentUrl) {
+    const loginUrl = new URL(this.resolveUrl(this.getRole(role).loginUrl));
+    try {
+      const current = new URL(currentUrl);
+      return current.origin === loginUrl.origin && current.pathname === loginUrl.pathname;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check a saved session without a browser: missing file, maxAge or expired cookies
+   * @returns {{valid: boolean, reason?: string, savedAt?: Date}}
+   */
+  async getStatus(role) {
+    const definition = this.getRole(role);
+    const statePath = this.getStatePath(role);
+
+    let stat, state;
+    try {
+      stat = await fs.stat(statePath);
+      state = JSON.parse(await fs.readFile(statePath, 'utf8'));
+    } catch (error) {
+      return { valid: false, reason: 'no saved session' };
+    }
+
+    const savedAt = stat.mtime;
+    if (definition.maxAge && Date.now() - savedAt.getTime() > definition.maxAge * 1000) {
+      return { valid: false, reason: 'older than maxAge', savedAt };
+    }
+
+    // Cookie expiry is in seconds; -1 marks session cookies
+    const now = Date.now() / 1000;
+    const expired = (state.cookies || []).filter(cookie => cookie.expires > 0 && cookie.expires < now);
+    if (expired.length > 0) {
+      return { valid: false, reason: `cookie ${expired[0].name} expired`, savedAt };
+    }
+
+    return { valid: true, savedAt };
+  }
+
+  /**
+   * Run the role's login steps and save the resulting storage state
+   * @param {string} role
+   * @param {PlaywrightVRT} vrt - Engine used to launch the browser and run steps
+   * @returns {string} Path of the saved storage state
+   */
+  async login(role, vrt) {
+    const definition = this.getRole(role);
+    const steps = interpolateEnv(definition.steps || []);
+    const statePath = this.getStatePath(role);
+
+    const browserType = vrt.options.browser === 'all' ? 'chromium' : vrt.options.browser;
+    const browser = await vrt.getBrowser(browserType);
+
+    try {
+      const context = await browser.newContext(vrt.getHttpContextOptions());
+      const page = await context.newPage();
+      await vrt.setupPage(page, { url: this.resolveUrl(definition.loginUrl) });
+
+      await page.goto(this.resolveUrl(definition.loginUrl), {
+        waitUntil: 'domcontentloaded',
+        timeout: vrt.options.navigationTimeout
+      });
+
+      await vrt.performInteractions(page, steps);
+
+      if (definition.successSelector) {
+        await page.waitForSelector(definition.successSelector, { timeout: definition.timeout || 30000 });
+      } else if (definition.successUrl) {
+        await page.waitForURL(this.resolveUrl(definition.successUrl), { timeout: definition.timeout || 30000 });
+      } else {
+        await page.waitForLoadState('networkidle', { timeout: definition.timeout || 30000 }).catch(() => {});
+      }
+
+      if (this.isLoginPage(role, page.url())) {
+        throw new Error(`Login for role "${role}" did not leave the login page (${page.url()})`);
+      }
+
+      await fs.mkdir(this.dir, { recursive: true });
+      await context.storageState({ path: statePath });
+      await context.close();
+    } finally {
+      await vrt.cleanupBrowser(browser);
+    }
+
+    return statePath;
+  }
+
+  /**
+   * Return a valid storage state path, logging in again if the session expired
+   */
+  async ensureSession(role, vrt) {
+    const status = await this.getStatus(role);
+    if (status.valid) {
+      return this.getStatePath(role);
+    }
+
+    console.log(`🔐 Session for "${role}" needs refresh (${status.reason}), logging in...`);
+    return this.login(role, vrt);
+  }
+
+  /**
+   * Drop a saved session so the next capture logs in again
+   */
+  async invalidate(role) {
+    await fs.rm(this.getStatePath(role), { force: true });
+  }
+}
+
+module.exports = {
+  AuthManager,
+  interpolateEnv
+};
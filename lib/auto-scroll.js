@@ -0,0 +1,168 @@
+/**
+ * Lazy-load aware full-page capture
+ * Before a full-page screenshot, scroll through the page one viewport at a time so
+ * lazy images and infinite-scroll sections load, waiting for the network to go quiet
+ * (no requests in flight for `networkQuietWindow` ms) and for visible images to decode
+ * at each step. Infinite feeds are cut off at `maxHeight`.
+ * The page is scrolled back to the top before the screenshot is taken.
+ */
+
+const DEFAULT_AUTO_SCROLL = {
+  step: null,               // px per step; defaults to the viewport height
+  maxHeight: 20000,         // px; pages taller than this are captured up to here
+  maxSteps: 100,
+  networkIdleTimeout: 3000, // ms per step
+  networkQuietWindow: 500,  // ms with no requests in flight before a step counts as idle
+  decodeTimeout: 3000,      // ms per step
+  settleDelay: 100          // ms after each scroll for observers to fire
+};
+
+/**
+ * Resolve an autoScroll option (false, true, undefined or a settings object)
+ * @returns {Object|null} Settings, or null when auto-scroll is off
+ */
+function resolveAutoScroll(value) {
+  if (value === false || value === 'false') return null;
+  if (value === true || value === undefined || value === null) return { ...DEFAULT_AUTO_SCROLL };
+  return { ...DEFAULT_AUTO_SCROLL, ...value };
+}
+
+/**
+ * Count the page's in-flight requests from here on. `waitForLoadState('networkidle')`
+ * resolves at once after the first load, so it misses requests started by scrolling.
+ * @returns {Object} `{ waitForQuiet(window, timeout), dispose() }`
+ */
+function trackRequests(page) {
+  const inFlight = new Set();
+  let lastActivity = 0;
+  const started = request => {
+    inFlight.add(request);
+    lastActivity = Date.now();
+  };
+  const ended = request => {
+    inFlight.delete(request);
+    lastActivity = Date.now();
+  };
+  page.on('request', started);
+  page.on('requestfinished', ended);
+  page.on('requestfailed', ended);
+
+  return {
+    // Resolves true once nothing has been in flight for `quietWindow` ms, false on timeout
+    async waitForQuiet(quietWindow, timeout) {
+      const waitStart = Date.now();
+      const deadline = waitStart + timeout;
+      for (;;) {
+        const now = Date.now();
+        const quietFor = now - Math.max(lastActivity, waitStart);
+        if (inFlight.size === 0 && quietFor >= quietWindow) return true;
+        if (now >= deadline) return false;
+        const remaining = inFlight.size === 0 ? quietWindow - quietFor : 50;
+        await new Promise(resolve => setTimeout(resolve, Math.max(1, Math.min(remaining, 50, deadline - now))));
+      }
+    },
+    dispose() {
+      page.off('request', started);
+      page.off('requestfinished', ended);
+      page.off('requestfailed', ended);
+    }
+  };
+}
+
+// Runs in the page: scroll to y and report the current geometry
+function scrollToPosition(y) {
+  window.scrollTo({ top: y, left: 0, behavior: 'instant' });
+  return {
+    scrollY: window.scrollY,
+    scrollHeight: Math.max(document.body ? document.body.scrollHeight : 0, document.documentElement.scrollHeight),
+    viewportHeight: window.innerHeight
+  };
+}
+
+// Runs in the page: report the current geometry without scrolling
+function measure() {
+  return {
+    scrollY: window.scrollY,
+    scrollHeight: Math.max(document.body ? document.body.scrollHeight : 0, document.documentElement.scrollHeight),
+    viewportHeight: window.innerHeight
+  };
+}
+
+// Runs in the page: wait for images in (or near) the viewport to decode
+async function decodeVisibleImages(timeout) {
+  const margin = window.innerHeight;
+  const pending = Array.from(document.images).filter(img => {
+    if (img.complete && img.naturalWidth > 0) return false;
+    const rect = img.getBoundingClientRect();
+    return rect.bottom >= -margin && rect.top <= window.innerHeight + margin;
+  });
+
+  await Promise.race([
+    Promise.all(pending.map(img => {
+      // Lazy images may not have started loading yet
+      if (img.loading === 'lazy') img.loading = 'eager';
+      return img.decode().catch(() => {});
+    })),
+    new Promise(resolve => setTimeout(resolve, timeout))
+  ]);
+  return pending.length;
+}
+
+/**
+ * Scroll through the page so lazy content loads, then return to the top
+ * @returns {Object} `{ steps, height, capped, images, duration }` - `capped` means the
+ *   page was still taller than `maxHeight` and the screenshot should be clipped
+ */
+async function autoScroll(page, settings) {
+  const startedAt = Date.now();
+  const network = trackRequests(page);
+  try {
+    return await scrollThrough(page, settings, network, startedAt);
+  } finally {
+    network.dispose();
+  }
+}
+
+async function scrollThrough(page, settings, network, startedAt) {
+  let geometry = await page.evaluate(scrollToPosition, 0);
+  const step = settings.step || geometry.viewportHeight || 800;
+  let position = 0;
+  let steps = 0;
+  let images = 0;
+
+  while (steps < settings.maxSteps) {
+    await network.waitForQuiet(settings.networkQuietWindow, settings.networkIdleTimeout);
+    images += await page.evaluate(decodeVisibleImages, settings.decodeTimeout);
+    // Sections fetched at this step may have made the page taller
+    geometry = await page.evaluate(measure);
+
+    const bottom = Math.min(geometry.scrollHeight, settings.maxHeight);
+    if (position + geometry.viewportHeight >= bottom) break;
+
+    position = Math.min(position + step, bottom - geometry.viewportHeight);
+    geometry = await page.evaluate(scrollToPosition, position);
+    steps++;
+    if (settings.settleDelay) {
+      await page.waitForTimeout(settings.settleDelay);
+    }
+  }
+
+  // Content loaded on the way down can change the height; measure at the top
+  geometry = await page.evaluate(scrollToPosition, 0);
+  await network.waitForQuiet(settings.networkQuietWindow, settings.networkIdleTimeout);
+  images += await page.evaluate(decodeVisibleImages, settings.decodeTimeout);
+
+  return {
+    steps,
+    height: Math.min(geometry.scrollHeight, settings.maxHeight),
+    capped: geometry.scrollHeight > settings.maxHeight,
+    images,
+    duration: Date.now() - startedAt
+  };
+}
+
+module.exports = {
+  DEFAULT_AUTO_SCROLL,
+  resolveAutoScroll,
+  autoScroll
+};
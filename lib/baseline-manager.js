@@ -2,6 +2,14 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const { execSync } = require('child_process');
+const { FAILURES_FILE } = require('./job-failures');
+
+// Screenshots plus their JSON sidecars (.meta.json, .masks.json, .settle.json, ...),
+// but not the failed-job list of a partial capture
+function isBaselineFile(file) {
+  if (file === FAILURES_FILE) return false;
+  return file.endsWith('.png') || file.endsWith('.json');
+}
 
 class BaselineManager {
   constructor(baseDir) {
@@ -50,7 +58,7 @@ class BaselineManager {
   }
 
   async updateBaseline(options = {}) {
-    const { backup = true, selective = false, files = [] } = options;
+    const { backup = true, selective = false, files = [], pages = [] } = options;
     
     await this.initialize();
 
@@ -69,13 +77,33 @@ class BaselineManager {
         const destPath = path.join(currentDir, path.basename(file));
         await fs.copyFile(sourcePath, destPath);
       }
+    } else if (pages.length > 0) {
+      // Update the pages of a manifest: latest-capture/<page>/*.png
+      for (const page of pages) {
+        const sourceDir = path.join(this.baseDir, 'latest-capture', page);
+        const destDir = path.join(currentDir, page);
+        let pageFiles;
+        try {
+          pageFiles = await fs.readdir(sourceDir);
+        } catch (error) {
+          console.warn(`No capture found for page ${page}, skipping`);
+          continue;
+        }
+
+        await fs.mkdir(destDir, { recursive: true });
+        for (const file of pageFiles) {
+          if (isBaselineFile(file)) {
+            await fs.copyFile(path.join(sourceDir, file), path.join(destDir, file));
+          }
+        }
+      }
     } else {
       // Update all files
       const sourceDir = path.join(this.baseDir, 'latest-capture');
       const files = await fs.readdir(sourceDir);
       
       for (const file of files) {
-        if (file.endsWith('.png')) {
+        if (isBaselineFile(file)) {
           await fs.copyFile(
             path.join(sourceDir, file),
             path.join(currentDir, file)
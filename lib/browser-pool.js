@@ -0,0 +1,188 @@
+const EventEmitter = require('events');
+
+/**
+ * Counting semaphore with a FIFO wait queue
+ * acquire() resolves with a release function once a permit is free.
+ */
+class Semaphore {
+  constructor(limit) {
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Semaphore limit must be a positive integer (got ${limit})`);
+    }
+    this.limit = limit;
+    this.inUse = 0;
+    this.queue = [];
+  }
+
+  get available() {
+    return this.limit - this.inUse;
+  }
+
+  get waiting() {
+    return this.queue.length;
+  }
+
+  acquire() {
+    return new Promise(resolve => {
+      const grant = () => {
+        this.inUse++;
+        let released = false;
+        resolve(() => {
+          if (released) return;
+          released = true;
+          this.inUse--;
+          this.next();
+        });
+      };
+
+      if (this.inUse < this.limit) {
+        grant();
+      } else {
+        this.queue.push(grant);
+      }
+    });
+  }
+
+  next() {
+    if (this.queue.length > 0 && this.inUse < this.limit) {
+      this.queue.shift()();
+    }
+  }
+}
+
+/**
+ * Pool of warm browsers, one per browser type, shared across captures
+ *
+ * Browsers are launched on first use and kept open between pages. Each browser
+ * hands out at most `contextsPerBrowser` contexts at a time. Launches go through
+ * the engine's browser slots (maxConcurrentBrowsers); when every slot is taken,
+ * an idle browser is closed as soon as another browser type is waiting.
+ *
+ * Events: browser:launch (browserType), browser:close (browserType)
+ */
+class BrowserPool extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.launch - async (browserType) => browser
+   * @param {Function} options.close - async (browser) => void
+   * @param {Semaphore} options.slots - Browser slots shared with the engine
+   * @param {number} [options.contextsPerBrowser=3]
+   */
+  constructor(options) {
+    super();
+    this.launch = options.launch;
+    this.close = options.close;
+    this.slots = options.slots;
+    this.contextsPerBrowser = options.contextsPerBrowser || 3;
+    this.entries = new Map();
+  }
+
+  async acquire(browserType) {
+    let entry = this.entries.get(browserType);
+
+    if (!entry) {
+      entry = {
+        browserType,
+        browser: null,
+        users: 0,
+        contexts: new Semaphore(this.contextsPerBrowser)
+      };
+      entry.ready = this.launch(browserType).then(browser => {
+        entry.browser = browser;
+        // Crashed or externally closed browsers are relaunched on next use
+        browser.on('disconnected', () => {
+          if (this.entries.get(browserType) === entry) {
+            this.entries.delete(browserType);
+          }
+        });
+        this.emit('browser:launch', browserType);
+        return browser;
+      });
+      entry.ready.catch(() => {
+        if (this.entries.get(browserType) === entry) {
+          this.entries.delete(browserType);
+        }
+      });
+      this.entries.set(browserType, entry);
+    }
+
+    entry.users++;
+    try {
+      await entry.ready;
+    } catch (error) {
+      entry.users--;
+      throw error;
+    }
+    return entry;
+  }
+
+  async release(entry) {
+    entry.users--;
+    if (entry.users === 0 && this.slots.waiting > 0) {
+      await this.closeEntry(entry);
+    }
+  }
+
+  /**
+   * Run `fn(context, browser)` in a fresh context of a pooled browser.
+   * The context is closed afterwards; the browser stays warm.
+   */
+  async withContext(browserType, contextOptions, fn) {
+    const entry = await this.acquire(browserType);
+    let releaseContext;
+
+    try {
+      releaseContext = await entry.contexts.acquire();
+      const context = await entry.browser.newContext(contextOptions);
+      try {
+        return await fn(context, entry.browser);
+      } finally {
+        await context.close().catch(() => {});
+      }
+    } finally {
+      if (releaseContext) releaseContext();
+      await this.release(entry);
+    }
+  }
+
+  isBusy(browser) {
+    for (const entry of this.entries.values()) {
+      if (entry.browser === browser) return entry.users > 0;
+    }
+    return false;
+  }
+
+  /**
+   * Close browsers nobody is using, freeing their slots
+   */
+  async evictIdle() {
+    const idle = [...this.entries.values()].filter(entry => entry.browser && entry.users === 0);
+    for (const entry of idle) {
+      await this.closeEntry(entry);
+    }
+    return idle.length;
+  }
+
+  async closeEntry(entry) {
+    if (this.entries.get(entry.browserType) === entry) {
+      this.entries.delete(entry.browserType);
+    }
+    if (entry.browser) {
+      await this.close(entry.browser);
+      this.emit('browser:close', entry.browserType);
+    }
+  }
+
+  async closeAll() {
+    const entries = [...this.entries.values()];
+    for (const entry of entries) {
+      await entry.ready.catch(() => {});
+      await this.closeEntry(entry);
+    }
+  }
+}
+
+module.exports = {
+  Semaphore,
+  BrowserPool
+};
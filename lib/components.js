@@ -0,0 +1,164 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { applyCaptureMasks } = require('./masks');
+const { toPlaywrightSelector } = require('./selectors');
+
+/**
+ * Element-level (component) capture
+ *
+ * Components are named selectors (`>>>` pierces shadow roots). Each one found
+ * on the page is saved as `{browser}-{viewport}-{component}.png` next to the
+ * page screenshot, with a `.component.json` sidecar holding its bounding box,
+ * so `compare` diffs every component on its own and can tell a moved component
+ * from a changed one.
+ */
+
+// Used when --components is given without any configured components
+const DEFAULT_COMPONENTS = [
+  { name: 'header', selector: 'header, nav, .header' },
+  { name: 'hero', selector: '.hero, .jumbotron, .banner' },
+  { name: 'cards', selector: '.card, .product-card' },
+  { name: 'footer', selector: 'footer, .footer' }
+];
+
+// Names that would collide with the page, print and PDF page screenshots or the scroll target images
+const RESERVED_NAMES = ['full', 'viewport', 'print'];
+const RESERVED_PREFIXES = ['scroll-', 'pdf-p'];
+
+// The name as it ends up in the filename (VRTBase#sanitizePathComponent), lower-cased
+// so `Viewport` cannot take the place of `viewport` on case-insensitive filesystems
+function fileName(name) {
+  return String(name).replace(/[^a-zA-Z0-9\-_]/g, '').toLowerCase();
+}
+
+function isReservedName(name) {
+  const normalized = fileName(name);
+  return RESERVED_NAMES.includes(normalized) ||
+    RESERVED_PREFIXES.some(prefix => normalized.startsWith(prefix));
+}
+
+/**
+ * Normalize components from a `name -> selector` map or a list of { name, selector }
+ */
+function normalizeComponents(input) {
+  if (!input) return [];
+
+  const list = Array.isArray(input)
+    ? input
+    : Object.entries(input).map(([name, value]) => (
+      typeof value === 'string' ? { name, selector: value } : { name, ...value }
+    ));
+
+  return list.map(component => {
+    if (!component.name || !component.selector) {
+      throw new Error(`Invalid component: ${JSON.stringify(component)} (expected name and selector)`);
+    }
+    if (isReservedName(component.name)) {
+      throw new Error(`Component name "${component.name}" is reserved`);
+    }
+    return { name: component.name, selector: component.selector };
+  });
+}
+
+/**
+ * Pick components by name (comma-separated string or array); all when no names given
+ */
+function selectComponents(available, names) {
+  const components = available.length > 0 ? available : DEFAULT_COMPONENTS;
+  if (!names || names === true) return components;
+
+  const wanted = typeof names === 'string' ? names.split(',').map(n => n.trim()).filter(Boolean) : names;
+  return wanted.map(name => {
+    const component = components.find(c => c.name === name);
+    if (!component) {
+      throw new Error(`Unknown component "${name}". Available: ${components.map(c => c.name).join(', ')}`);
+    }
+    return component;
+  });
+}
+
+function getComponentMetaPath(screenshotPath) {
+  return screenshotPath.replace(/\.png$/i, '.component.json');
+}
+
+/**
+ * Read the bounding-box sidecar of a component screenshot, if any
+ */
+async function readComponentMeta(screenshotPath) {
+  try {
+    return JSON.parse(await fs.readFile(getComponentMetaPath(screenshotPath), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Screenshot each component found on the page
+ * @param {Page} page - Playwright page, already stabilized
+ * @param {Object} options
+ * @param {string} options.outputDir
+ * @param {string} options.prefix - `{browser}-{viewport}` part of the filename
+ * @param {string} [options.suffix] - Emulation variant appended to the filename
+ * @param {Array<Object>} options.components - Normalized components
+ * @param {Array<Object>} [options.masks] - Parsed masks, translated into each component
+ * @returns {Array<Object>} `{ component, selector, path, bbox, masks }` per captured component
+ */
+async function captureComponents(page, options) {
+  const results = [];
+
+  for (const component of options.components) {
+    const element = await page.$(toPlaywrightSelector(component.selector));
+    if (!element) {
+      console.warn(`Component "${component.name}" (${component.selector}) not found, skipping...`);
+      continue;
+    }
+
+    // Page coordinates in CSS pixels, stable regardless of scroll position
+    const bbox = await element.evaluate(el => {
+      const rect = el.getBoundingClientRect();
+      return {
+        x: Math.round(rect.left + window.scrollX),
+        y: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      };
+    });
+
+    if (bbox.width === 0 || bbox.height === 0) {
+      console.warn(`Component "${component.name}" (${component.selector}) is not visible, skipping...`);
+      continue;
+    }
+
+    const screenshotPath = path.join(options.outputDir, `${options.prefix}-${component.name}${options.suffix || ''}.png`);
+    await element.screenshot({ path: screenshotPath });
+
+    const masked = await applyCaptureMasks(page, screenshotPath, options.masks, { offset: bbox });
+
+    await fs.writeFile(getComponentMetaPath(screenshotPath), JSON.stringify({
+      component: component.name,
+      selector: component.selector,
+      bbox,
+      devicePixelRatio: await page.evaluate(() => window.devicePixelRatio || 1),
+      timestamp: new Date().toISOString()
+    }, null, 2));
+
+    results.push({
+      component: component.name,
+      selector: component.selector,
+      path: screenshotPath,
+      bbox,
+      masks: masked ? masked.sidecarPath : undefined
+    });
+  }
+
+  return results;
+}
+
+module.exports = {
+  DEFAULT_COMPONENTS,
+  normalizeComponents,
+  selectComponents,
+  getComponentMetaPath,
+  readComponentMeta,
+  captureComponents
+};
@@ -0,0 +1,404 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeComponents } = require('./components');
+const { normalizeMatrix } = require('./emulation');
+const { normalizeCustomDevices } = require('./devices');
+
+/**
+ * Project-level configuration for the Visual Regression Tool
+ * Discovers vrt.config.js / vrt.config.json from the working directory upwards
+ * and normalizes it into the shape every command consumes
+ */
+
+const CONFIG_FILES = ['vrt.config.js', 'vrt.config.json'];
+
+// Single source of truth for the built-in viewport presets
+const DEFAULT_VIEWPORTS = [
+  { name: 'mobile', width: 375, height: 812, deviceScaleFactor: 2 },
+  { name: 'tablet', width: 768, height: 1024, deviceScaleFactor: 2 },
+  { name: 'desktop', width: 1440, height: 900, deviceScaleFactor: 1 },
+  { name: 'desktop-xl', width: 1920, height: 1080, deviceScaleFactor: 1 }
+];
+
+const DEFAULT_CONFIG = {
+  baseUrl: 'http://localhost:8000',
+  targets: {},
+  pages: [],
+  manifest: null,
+  serve: null,
+  crawl: {},
+  storybook: {},
+  viewports: DEFAULT_VIEWPORTS,
+  devices: [],
+  customDevices: {},
+  browsers: ['chromium'],
+  masks: [],
+  components: [],
+  timeline: {},
+  stabilize: true,
+  autoScroll: true,
+  settle: true,
+  suppress: true,
+  metadata: true,
+  emulation: {},
+  print: {},
+  scrollTargets: [],
+  threshold: 0.1,
+  outputDir: './screenshots',
+  comparisonDir: './comparison-results',
+  baselineDir: './',
+  maxConcurrentBrowsers: 3,
+  maxContextsPerBrowser: 3,
+  retries: 3,
+  jobTimeout: 180000,
+  auth: {
+    dir: './.vrt-auth',
+    roles: {}
+  },
+  scripts: {
+    dir: './vrt-scripts',
+    allowInline: false
+  }
+};
+
+/**
+ * Find the nearest config file, walking up from startDir
+ */
+function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    for (const file of CONFIG_FILES) {
+      const candidate = path.join(dir, file);
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Read a config file (JS module or JSON)
+ */
+function readConfigFile(filepath) {
+  if (filepath.endsWith('.json')) {
+    try {
+      return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${filepath}: ${error.message}`);
+    }
+  }
+
+  // Always re-read JS configs so long-running commands pick up edits
+  delete require.cache[require.resolve(filepath)];
+  const loaded = require(filepath);
+  return loaded && loaded.default ? loaded.default : loaded;
+}
+
+/**
+ * Load and normalize the project config
+ * @param {Object} options
+ * @param {string} [options.configPath] - Explicit config file (skips discovery)
+ * @param {string} [options.cwd] - Directory to start discovery from
+ * @param {string} [options.target] - Named target whose baseUrl should be used
+ * @param {string} [options.manifest] - Page manifest (from `vrt crawl`) replacing config pages
+ * @param {string} [options.serve] - Build directory to serve locally instead of baseUrl
+ * @param {boolean|string} [options.spa] - SPA fallback for the served directory
+ * @returns {Object} Normalized config with a `filepath` (null when none was found)
+ */
+function loadConfig(options = {}) {
+  let filepath = null;
+
+  if (options.configPath) {
+    filepath = path.resolve(options.cwd || process.cwd(), options.configPath);
+    if (!fs.existsSync(filepath)) {
+      throw new Error(`Config file not found: ${filepath}`);
+    }
+  } else {
+    filepath = findConfigFile(options.cwd);
+  }
+
+  const raw = filepath ? readConfigFile(filepath) : {};
+  const config = normalizeConfig(raw, filepath);
+
+  // A manifest from the command line is relative to cwd and must exist; one from
+  // config is relative to the config file and is skipped until `vrt crawl` writes it
+  if (options.manifest) {
+    config.manifest = path.resolve(options.cwd || process.cwd(), options.manifest);
+    config.pages = loadPageManifest(config.manifest);
+  } else if (config.manifest) {
+    config.manifest = path.resolve(filepath ? path.dirname(filepath) : process.cwd(), config.manifest);
+    if (fs.existsSync(config.manifest)) {
+      config.pages = loadPageManifest(config.manifest);
+    }
+  }
+
+  // Like the manifest, a served directory resolves against cwd on the command
+  // line and against the config file's directory in config
+  if (options.serve) {
+    config.serve = normalizeServe({ ...(config.serve || {}), dir: path.resolve(options.cwd || process.cwd(), options.serve) });
+  } else if (config.serve) {
+    config.serve.dir = path.resolve(filepath ? path.dirname(filepath) : process.cwd(), config.serve.dir);
+  }
+  if (options.spa !== undefined && config.serve) {
+    config.serve.spa = options.spa;
+  }
+
+  // Named page scripts live next to the config file
+  config.scripts.dir = path.resolve(filepath ? path.dirname(filepath) : options.cwd || process.cwd(), config.scripts.dir);
+
+  if (options.target) {
+    const target = resolveTarget(config, options.target);
+    config.baseUrl = target.baseUrl;
+    config.target = target;
+  }
+
+  return config;
+}
+
+/**
+ * Merge raw config over defaults and normalize list-shaped fields
+ */
+function normalizeConfig(raw = {}, filepath = null) {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Config must export an object${filepath ? ` (${filepath})` : ''}`);
+  }
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...raw,
+    filepath
+  };
+
+  config.targets = normalizeTargets(raw.targets || {});
+  config.pages = normalizePages(raw.pages || []);
+  config.viewports = resolveViewports(raw.viewports || DEFAULT_VIEWPORTS);
+  config.devices = toList(config.devices);
+  config.customDevices = normalizeCustomDevices(raw.customDevices);
+  config.browsers = toList(config.browsers);
+  config.masks = toList(config.masks);
+  config.components = normalizeComponents(raw.components);
+  config.threshold = parseFloat(config.threshold);
+  config.auth = { ...DEFAULT_CONFIG.auth, ...(raw.auth || {}) };
+  config.scripts = { ...DEFAULT_CONFIG.scripts, ...(raw.scripts || {}) };
+  config.emulation = normalizeMatrix(raw.emulation);
+  config.serve = normalizeServe(raw.serve);
+
+  return config;
+}
+
+/**
+ * Targets may be given as `{ name: 'http://...' }` or `{ name: { baseUrl } }`
+ */
+function normalizeTargets(targets) {
+  const normalized = {};
+  for (const [name, value] of Object.entries(targets)) {
+    normalized[name] = typeof value === 'string'
+      ? { name, baseUrl: value }
+      : { name, ...value };
+  }
+  return normalized;
+}
+
+/**
+ * `serve` may be a directory or `{ dir, spa, headers, port }`
+ * @returns {Object|null} Server settings, or null when nothing is served
+ */
+function normalizeServe(serve) {
+  if (!serve) return null;
+  const settings = typeof serve === 'string' ? { dir: serve } : { ...serve };
+  if (!settings.dir) {
+    throw new Error('serve needs a dir to serve');
+  }
+  return { spa: false, headers: {}, port: 0, ...settings };
+}
+
+/**
+ * Pages may be given as an array of `{ name, url }`, an array of paths,
+ * or an object map of `name -> path` / `name -> { url, ...pageOptions }`
+ */
+function normalizePages(pages) {
+  const entries = Array.isArray(pages)
+    ? pages.map(page => (typeof page === 'string' ? { url: page } : page))
+    : Object.entries(pages).map(([name, value]) => (
+      typeof value === 'string' ? { name, url: value } : { name, ...value }
+    ));
+
+  return entries.map(page => {
+    if (!page.url) {
+      throw new Error(`Page "${page.name || '(unnamed)'}" is missing a url`);
+    }
+    return {
+      ...page,
+      name: page.name || pageNameFromUrl(page.url)
+    };
+  });
+}
+
+/**
+ * Read the pages of a manifest written by `vrt crawl`
+ */
+function loadPageManifest(filepath) {
+  if (!fs.existsSync(filepath)) {
+    throw new Error(`Page manifest not found: ${filepath}`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${filepath}: ${error.message}`);
+  }
+
+  if (!manifest || !Array.isArray(manifest.pages)) {
+    throw new Error(`Page manifest ${filepath} has no pages list`);
+  }
+  return normalizePages(manifest.pages);
+}
+
+function pageNameFromUrl(url) {
+  const pathname = url.replace(/^[a-z]+:\/\/[^/]+/i, '').split(/[?#]/)[0];
+  const slug = pathname.replace(/^\/+|\/+$/g, '').replace(/[^a-zA-Z0-9]+/g, '-');
+  return slug || 'homepage';
+}
+
+const VIEWPORT_SIZE_PATTERN = /^(\d+)x(\d+)(?:@(\d+(?:\.\d+)?))?$/i;
+
+/**
+ * Parse an ad-hoc viewport size: `1280x800` or `1280x800@2` (device scale factor)
+ * @returns {Object|null} Viewport named after its size (`1280x800`, `1280x800-2x`), or null
+ */
+function parseViewportSize(entry) {
+  const match = VIEWPORT_SIZE_PATTERN.exec(String(entry).trim());
+  if (!match) return null;
+
+  const [, width, height, scale] = match;
+  const deviceScaleFactor = scale ? parseFloat(scale) : 1;
+  if (!parseInt(width, 10) || !parseInt(height, 10) || !deviceScaleFactor) {
+    throw new Error(`Invalid viewport size "${entry}"`);
+  }
+
+  // `@` would be stripped from filenames, so the scale is spelled `-2x`
+  const name = deviceScaleFactor === 1
+    ? `${width}x${height}`
+    : `${width}x${height}-${String(deviceScaleFactor).replace('.', '_')}x`;
+
+  return { name, width: parseInt(width, 10), height: parseInt(height, 10), deviceScaleFactor };
+}
+
+/**
+ * Resolve viewport entries (names, `WxH@dpr` sizes or full objects) into viewport objects
+ * @param {Array<string|Object>} viewports - Entries to resolve
+ * @param {Array<Object>} [available] - Named viewports that names may refer to
+ */
+function resolveViewports(viewports, available = DEFAULT_VIEWPORTS) {
+  return toList(viewports).map(entry => {
+    if (typeof entry === 'string') {
+      const preset = available.find(v => v.name === entry);
+      if (preset) {
+        return { ...preset };
+      }
+      const sized = parseViewportSize(entry);
+      if (!sized) {
+        throw new Error(`Unknown viewport "${entry}". Use WIDTHxHEIGHT[@SCALE] or one of: ${available.map(v => v.name).join(', ')}`);
+      }
+      return sized;
+    }
+
+    if (!entry.width || !entry.height) {
+      throw new Error(`Viewport "${entry.name || '(unnamed)'}" needs a width and height`);
+    }
+
+    return {
+      deviceScaleFactor: 1,
+      ...entry,
+      name: entry.name || `${entry.width}x${entry.height}`
+    };
+  });
+}
+
+/**
+ * Pick viewports for a command: names of configured/preset viewports and
+ * ad-hoc sizes (`desktop,1280x800@2`), or every configured viewport when none given
+ */
+function selectViewports(config, names) {
+  if (!names || toList(names).length === 0) {
+    return config.viewports;
+  }
+  return resolveViewports(toList(names), [...config.viewports, ...DEFAULT_VIEWPORTS]);
+}
+
+/**
+ * Look up a named target
+ */
+function resolveTarget(config, name) {
+  const target = config.targets[name];
+  if (!target) {
+    const available = Object.keys(config.targets);
+    throw new Error(`Unknown target "${name}"${available.length ? `. Available: ${available.join(', ')}` : ' (no targets configured)'}`);
+  }
+  if (!target.baseUrl) {
+    throw new Error(`Target "${name}" is missing a baseUrl`);
+  }
+  return target;
+}
+
+/**
+ * Resolve which pages to run: named config pages, raw URLs/paths, or all configured pages
+ * @param {Object} config - Normalized config
+ * @param {string|Array<string>} [selection] - Page names or URLs (comma-separated string allowed)
+ * @returns {Array<{name: string, url: string}>}
+ */
+function resolvePages(config, selection) {
+  const requested = toList(selection);
+
+  if (requested.length === 0) {
+    return config.pages;
+  }
+
+  return requested.map(item => {
+    const page = config.pages.find(p => p.name === item);
+    return page || { name: pageNameFromUrl(item), url: item };
+  });
+}
+
+/**
+ * Resolve a page path against the config's base URL
+ */
+function resolveUrl(config, pageUrl) {
+  if (/^[a-z]+:\/\//i.test(pageUrl)) {
+    return pageUrl;
+  }
+  return `${config.baseUrl.replace(/\/+$/, '')}/${pageUrl.replace(/^\/+/, '')}`;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(',').map(v => v.trim()).filter(Boolean);
+  return [value];
+}
+
+module.exports = {
+  CONFIG_FILES,
+  DEFAULT_CONFIG,
+  DEFAULT_VIEWPORTS,
+  findConfigFile,
+  loadConfig,
+  normalizeConfig,
+  parseViewportSize,
+  resolveViewports,
+  selectViewports,
+  resolveTarget,
+  resolvePages,
+  resolveUrl,
+  loadPageManifest,
+  pageNameFromUrl,
+  toList
+};
@@ -0,0 +1,37 @@
+/**
+ * Cookies set before navigation
+ *
+ * Target cookies and consent cookies are given without a domain or url most
+ * of the time; those belong to the origin of the page about to be loaded.
+ */
+
+/**
+ * Cookies ready for addCookies (Playwright) or setCookie (Puppeteer)
+ * Cookies without a domain or url get the page's origin; pages without one
+ * (file:, about:) only keep the cookies that name their domain or url.
+ * @param {Array<Object>} cookies - `{ name, value, domain?, path?, url? }`
+ * @param {string} url - The page about to be loaded
+ * @returns {Array<Object>}
+ */
+function cookiesForUrl(cookies, url) {
+  let origin = null;
+  try {
+    const parsed = new URL(url);
+    origin = ['http:', 'https:'].includes(parsed.protocol) ? parsed.origin : null;
+  } catch (error) {
+    origin = null;
+  }
+
+  return cookies
+    .filter(cookie => cookie.domain || cookie.url || origin)
+    .map(cookie => ({
+      ...cookie,
+      value: String(cookie.value),
+      ...(cookie.domain ? { path: cookie.path || '/' } : {}),
+      ...(cookie.domain || cookie.url ? {} : { url: origin })
+    }));
+}
+
+module.exports = {
+  cookiesForUrl
+};
@@ -0,0 +1,321 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { pageNameFromUrl } = require('./config-loader');
+
+/**
+ * Page discovery for `vrt crawl`
+ *
+ * Reads sitemap.xml (and sitemaps listed in robots.txt) and follows same-origin
+ * links breadth-first up to a depth. URLs that only differ in an ID-like segment
+ * (`/business/123`, `/business/456`) collapse into one template (`/business/:id`)
+ * represented by the first URL found. The result is a page manifest: a JSON file
+ * with a `pages` list in the same shape as config `pages`, loaded with
+ * `--manifest <file>` or `manifest` in vrt.config.js.
+ */
+
+const DEFAULT_CRAWL = {
+  depth: 2,
+  maxPages: 200,
+  sitemap: true,
+  links: true,
+  include: [],
+  exclude: [],
+  templates: [],
+  timeout: 15000
+};
+
+// Links to these are downloads or assets, never pages
+const ASSET_EXTENSIONS = /\.(?:png|jpe?g|gif|svg|webp|avif|ico|pdf|zip|gz|mp4|webm|mp3|css|js|json|xml|txt|woff2?|ttf|eot)$/i;
+
+// Segments treated as IDs without an explicit template
+const ID_SEGMENTS = [
+  /^\d+$/,                                                              // 123
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,   // UUID
+  /^[0-9a-f]{16,}$/i,                                                   // hashes, object IDs
+  /^[a-z0-9]+(?:-[a-z0-9]+)*-\d+$/i                                     // slug-123
+];
+
+/**
+ * Convert a path glob to a RegExp: `*` matches within a segment, `**` across segments
+ */
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      pattern += '.*';
+      i++;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+function matchesAny(pathname, globs) {
+  return globs.some(glob => globToRegExp(glob).test(pathname));
+}
+
+/**
+ * Compile `/business/:id` style templates into matchers
+ */
+function compileTemplates(templates) {
+  return templates.map(template => {
+    const segments = template.replace(/\/+$/, '').split('/');
+    const pattern = segments
+      .map(segment => (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+      .join('/');
+    return { template, regex: new RegExp(`^${pattern || ''}/?$`) };
+  });
+}
+
+/**
+ * The template a path belongs to, or the path itself when it has no ID segments
+ */
+function templateFor(pathname, compiledTemplates = []) {
+  const explicit = compiledTemplates.find(({ regex }) => regex.test(pathname));
+  if (explicit) return explicit.template;
+
+  return pathname
+    .split('/')
+    .map(segment => (segment && ID_SEGMENTS.some(regex => regex.test(segment)) ? ':id' : segment))
+    .join('/');
+}
+
+/**
+ * URLs listed in a sitemap or sitemap index (`<loc>` entries)
+ */
+function parseSitemap(xml) {
+  const locs = [...xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi)]
+    .map(match => match[1].replace(/&amp;/g, '&'));
+  const isIndex = /<sitemapindex[\s>]/i.test(xml);
+  return isIndex ? { sitemaps: locs, urls: [] } : { sitemaps: [], urls: locs };
+}
+
+/**
+ * Absolute URLs of `<a href>` links in an HTML document
+ */
+function extractLinks(html, pageUrl) {
+  const baseMatch = html.match(/<base\s[^>]*href\s*=\s*["']([^"']+)["']/i);
+  const base = baseMatch ? new URL(baseMatch[1], pageUrl).href : pageUrl;
+  const links = [];
+
+  for (const match of html.matchAll(/<a\s[^>]*?href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi)) {
+    const href = (match[1] ?? match[2] ?? match[3]).trim();
+    if (!href || /^(?:#|mailto:|tel:|javascript:|data:)/i.test(href)) continue;
+    try {
+      links.push(new URL(href.replace(/&amp;/g, '&'), base).href);
+    } catch (error) {
+      // Ignore malformed hrefs
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Normalize a URL for de-duplication: drop the hash and trailing slash
+ */
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+  return parsed.href;
+}
+
+async function fetchText(url, options) {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': 'vrt-crawler', ...(options.headers || {}) },
+    redirect: 'follow',
+    signal: AbortSignal.timeout(options.timeout)
+  });
+  return {
+    status: response.status,
+    url: response.url || url,
+    contentType: response.headers.get('content-type') || '',
+    text: response.ok ? await response.text() : ''
+  };
+}
+
+/**
+ * Sitemap URLs for an origin: robots.txt `Sitemap:` lines, else /sitemap.xml
+ */
+async function readSitemaps(origin, options) {
+  let sitemapUrls = [`${origin}/sitemap.xml`];
+  try {
+    const robots = await fetchText(`${origin}/robots.txt`, options);
+    const listed = [...robots.text.matchAll(/^\s*sitemap:\s*(\S+)/gim)].map(match => match[1]);
+    if (listed.length > 0) sitemapUrls = listed;
+  } catch (error) {
+    // No robots.txt, fall back to /sitemap.xml
+  }
+
+  const urls = [];
+  const seen = new Set();
+  while (sitemapUrls.length > 0) {
+    const sitemapUrl = sitemapUrls.shift();
+    if (seen.has(sitemapUrl)) continue;
+    seen.add(sitemapUrl);
+
+    try {
+      const response = await fetchText(sitemapUrl, options);
+      const parsed = parseSitemap(response.text);
+      sitemapUrls.push(...parsed.sitemaps);
+      urls.push(...parsed.urls);
+    } catch (error) {
+      options.onWarning(`Could not read sitemap ${sitemapUrl}: ${error.message}`);
+    }
+  }
+
+  return urls;
+}
+
+/**
+ * Discover the pages of a site
+ * @param {string} startUrl - Absolute URL to start from; only its origin is crawled
+ * @param {Object} [options] - See DEFAULT_CRAWL, plus `headers`, `onPage(page)` and `onWarning(message)`
+ * @returns {Object} `{ pages: [{ url, template, count, depth, source }], visited, skipped }`
+ */
+async function crawl(startUrl, options = {}) {
+  const settings = {
+    ...DEFAULT_CRAWL,
+    onPage: () => {},
+    onWarning: message => console.warn(message),
+    ...options
+  };
+  const origin = new URL(startUrl).origin;
+  const templates = compileTemplates(settings.templates);
+
+  const queue = [];
+  const queued = new Set();
+  const byTemplate = new Map();
+  let visited = 0;
+  let skipped = 0;
+  let collected = 0;
+
+  const enqueue = (url, depth, source) => {
+    let normalized;
+    try {
+      normalized = normalizeUrl(url);
+    } catch (error) {
+      return;
+    }
+    const parsed = new URL(normalized);
+    if (parsed.origin !== origin || queued.has(normalized)) return;
+    queued.add(normalized);
+
+    if (ASSET_EXTENSIONS.test(parsed.pathname) || matchesAny(parsed.pathname, settings.exclude)) {
+      skipped++;
+      return;
+    }
+    queue.push({ url: normalized, depth, source });
+  };
+
+  enqueue(startUrl, 0, 'start');
+  if (settings.sitemap) {
+    for (const url of await readSitemaps(origin, settings)) {
+      enqueue(url, 1, 'sitemap');
+    }
+  }
+
+  while (queue.length > 0 && collected < settings.maxPages) {
+    const { url, depth, source } = queue.shift();
+    const parsed = new URL(url);
+    const pagePath = parsed.pathname + parsed.search;
+    const template = templateFor(parsed.pathname, templates) + parsed.search;
+
+    // Later URLs of a known template are counted, not fetched
+    if (byTemplate.has(template)) {
+      byTemplate.get(template).page.count++;
+      continue;
+    }
+
+    let response;
+    try {
+      response = await fetchText(url, settings);
+      visited++;
+    } catch (error) {
+      settings.onWarning(`Could not fetch ${url}: ${error.message}`);
+      continue;
+    }
+
+    if (response.status >= 400 || !response.contentType.includes('html')) {
+      skipped++;
+      continue;
+    }
+
+    // Pages outside `include` are still followed for links but never count toward maxPages
+    const page = { url: pagePath, template, count: 1, depth, source };
+    const included = settings.include.length === 0 || matchesAny(parsed.pathname, settings.include);
+    byTemplate.set(template, { page, included });
+    if (included) {
+      collected++;
+      settings.onPage(page);
+    }
+
+    if (settings.links && depth < settings.depth) {
+      for (const link of extractLinks(response.text, response.url)) {
+        enqueue(link, depth + 1, 'link');
+      }
+    }
+  }
+
+  const pages = [...byTemplate.values()].filter(entry => entry.included).map(entry => entry.page);
+
+  return { origin, pages, visited, skipped };
+}
+
+/**
+ * Turn crawl results into a page manifest (config `pages` shape)
+ */
+function buildManifest(result, startUrl) {
+  const names = new Set();
+
+  const pages = result.pages.map(page => {
+    const isTemplate = page.template !== page.url;
+    const base = pageNameFromUrl(isTemplate ? page.template.replace(/:(\w+)/g, '$1') : page.url);
+    let name = base;
+    for (let i = 2; names.has(name); i++) {
+      name = `${base}-${i}`;
+    }
+    names.add(name);
+
+    return {
+      name,
+      url: page.url,
+      ...(isTemplate ? { template: page.template, matches: page.count } : {})
+    };
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    startUrl,
+    origin: result.origin,
+    pages
+  };
+}
+
+async function writeManifest(filepath, manifest) {
+  await fs.mkdir(path.dirname(path.resolve(filepath)), { recursive: true });
+  await fs.writeFile(filepath, JSON.stringify(manifest, null, 2));
+  return filepath;
+}
+
+module.exports = {
+  DEFAULT_CRAWL,
+  globToRegExp,
+  compileTemplates,
+  templateFor,
+  parseSitemap,
+  extractLinks,
+  normalizeUrl,
+  crawl,
+  buildManifest,
+  writeManifest
+};
@@ -1,9 +1,14 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { AxePuppeteer } = require('@axe-core/puppeteer');
+const { resolveHttpSettings, httpLaunchOptions, applyHttpSettings } = require('./http-settings');
 
 class DebugCapture {
-  constructor() {
+  /**
+   * @param {Object} [options] - `{ http }`: target headers, basic auth, proxy, TLS errors, user agent and cookies
+   */
+  constructor(options = {}) {
+    this.httpSettings = resolveHttpSettings(options.http);
     this.consoleLogs = [];
     this.networkRequests = [];
     this.performanceMetrics = {};
@@ -179,8 +184,11 @@ class DebugCapture {
     
     const browserPath = getBrowserPath();
     const browserOptions = getBrowserOptions(browserPath);
+    const http = httpLaunchOptions(this.httpSettings, 'puppeteer');
     const browser = await puppeteer.launch({
       ...browserOptions,
+      ...http,
+      args: [...browserOptions.args, ...(http.args || [])],
       timeout: 60000,
       protocolTimeout: 60000
     });
@@ -190,12 +198,12 @@ class DebugCapture {
       page.setDefaultTimeout(30000);
       page.setDefaultNavigationTimeout(30000);
       
-      // Add extra headers for better compatibility
-      await page.setExtraHTTPHeaders({
-        'Accept-Language': 'en-US,en;q=0.9'
+      // Accept-Language for better compatibility, under the target's own headers
+      await applyHttpSettings(page, this.httpSettings, url, {
+        headers: { 'Accept-Language': 'en-US,en;q=0.9' }
       });
       
-      await page.setViewport({ width: 1440, height: 900 });
+      await page.setViewport(options.viewport || { width: 1440, height: 900 });
 
       // Attach listeners
       if (options.console) {
@@ -0,0 +1,165 @@
+const { devices: PLAYWRIGHT_DEVICES } = require('playwright');
+
+/**
+ * Device catalog: every Playwright device descriptor plus project-defined devices
+ *
+ * Custom devices live in config under `customDevices` and can be captured with
+ * `devices` / `--devices` like the built-in ones (a custom device with the same
+ * name replaces the built-in). `vrt devices` lists and searches the catalog.
+ *
+ *   customDevices: {
+ *     'Kiosk Portrait': { width: 1080, height: 1920, hasTouch: true },
+ *     'Galaxy Fold Open': {
+ *       viewport: { width: 717, height: 512 },
+ *       deviceScaleFactor: 2.6,
+ *       userAgent: 'Mozilla/5.0 (Linux; Android 12; SM-F926B) ...',
+ *       isMobile: true
+ *     }
+ *   }
+ */
+
+// Devices `vrt mobile` captures when --devices is not given
+const DEFAULT_MOBILE_DEVICES = ['iPhone 14 Pro', 'Pixel 7', 'iPad Pro 11'];
+
+/**
+ * Normalize config `customDevices` into Playwright descriptors
+ * Accepts `{ viewport: { width, height } }` or the `{ width, height }` shorthand;
+ * `hasTouch` follows `isMobile` unless set.
+ * @returns {Object} name -> descriptor
+ */
+function normalizeCustomDevices(customDevices = {}) {
+  if (typeof customDevices !== 'object' || Array.isArray(customDevices)) {
+    throw new Error('customDevices must map device names to { viewport, deviceScaleFactor, userAgent, isMobile, hasTouch }');
+  }
+
+  const normalized = {};
+  for (const [name, definition] of Object.entries(customDevices)) {
+    const { width, height, ...rest } = definition || {};
+    const viewport = rest.viewport || { width, height };
+    if (!(viewport.width > 0) || !(viewport.height > 0)) {
+      throw new Error(`Custom device "${name}" needs a viewport width and height`);
+    }
+
+    const isMobile = Boolean(rest.isMobile);
+    normalized[name] = {
+      ...rest,
+      viewport: { width: Number(viewport.width), height: Number(viewport.height) },
+      deviceScaleFactor: Number(rest.deviceScaleFactor || 1),
+      isMobile,
+      hasTouch: rest.hasTouch !== undefined ? Boolean(rest.hasTouch) : isMobile,
+      defaultBrowserType: rest.defaultBrowserType || 'chromium'
+    };
+  }
+  return normalized;
+}
+
+/**
+ * Built-in descriptors merged with the project's custom devices
+ * @returns {Object} name -> descriptor
+ */
+function buildDeviceCatalog(customDevices) {
+  return { ...PLAYWRIGHT_DEVICES, ...normalizeCustomDevices(customDevices) };
+}
+
+/**
+ * Look up device names, failing on any the catalog doesn't have
+ * @returns {Array<{name: string, descriptor: Object}>}
+ */
+function resolveDevices(names, catalog) {
+  const unknown = names.filter(name => !catalog[name]);
+  if (unknown.length > 0) {
+    const suggestions = unknown.flatMap(name => suggestDevices(name, catalog));
+    const error = new Error(`Unknown device${unknown.length > 1 ? 's' : ''}: ${unknown.map(name => `"${name}"`).join(', ')}` +
+      (suggestions.length > 0 ? `. Did you mean: ${[...new Set(suggestions)].join(', ')}?` : '') +
+      ' Run `vrt devices` to list available devices.');
+    // A missing device won't appear on retry
+    error.retryable = false;
+    throw error;
+  }
+  return names.map(name => ({ name, descriptor: catalog[name] }));
+}
+
+// Catalog names sharing a word with an unknown name (case-insensitive)
+function suggestDevices(name, catalog, limit = 5) {
+  const words = name.toLowerCase().split(/[\s-]+/).filter(word => word.length > 1);
+  return Object.keys(catalog)
+    .filter(candidate => !/landscape$/i.test(candidate))
+    .map(candidate => ({
+      candidate,
+      score: words.filter(word => candidate.toLowerCase().includes(word)).length
+    }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(entry => entry.candidate);
+}
+
+function detectOs(userAgent = '') {
+  if (/iPhone|iPad|iPod/.test(userAgent)) return 'ios';
+  if (/Android/.test(userAgent)) return 'android';
+  if (/Windows/.test(userAgent)) return 'windows';
+  if (/Macintosh|Mac OS X/.test(userAgent)) return 'macos';
+  if (/Linux|X11/.test(userAgent)) return 'linux';
+  return 'other';
+}
+
+/**
+ * One catalog entry as a flat row for listing
+ */
+function describeDevice(name, descriptor, customDevices = {}) {
+  return {
+    name,
+    os: detectOs(descriptor.userAgent),
+    width: descriptor.viewport.width,
+    height: descriptor.viewport.height,
+    deviceScaleFactor: descriptor.deviceScaleFactor,
+    mobile: Boolean(descriptor.isMobile),
+    touch: Boolean(descriptor.hasTouch),
+    browser: descriptor.defaultBrowserType,
+    custom: Object.prototype.hasOwnProperty.call(customDevices, name)
+  };
+}
+
+// `375`, `360-414`, `1024-` or `-414` into [min, max]
+function parseRange(value, label) {
+  const match = /^(\d*)(?:-(\d*))?$/.exec(String(value).trim());
+  if (!match || (!match[1] && !match[2])) {
+    throw new Error(`Invalid ${label} "${value}". Use a number or a range like 360-414`);
+  }
+  const min = match[1] ? parseInt(match[1], 10) : 0;
+  const max = match[2] !== undefined ? (match[2] ? parseInt(match[2], 10) : Infinity) : min;
+  return [min, max];
+}
+
+/**
+ * Search the catalog by name, OS and viewport size
+ * @param {Object} catalog - name -> descriptor
+ * @param {Object} [filters] - `{ query, os, width, height, mobile, customDevices }`;
+ *   `width` / `height` are a number or a range (`360-414`, `1024-`)
+ * @returns {Array<Object>} describeDevice rows sorted by name
+ */
+function searchDevices(catalog, filters = {}) {
+  const terms = filters.query ? filters.query.toLowerCase().split(/\s+/).filter(Boolean) : [];
+  const width = filters.width !== undefined ? parseRange(filters.width, 'width') : null;
+  const height = filters.height !== undefined ? parseRange(filters.height, 'height') : null;
+  const os = filters.os ? filters.os.toLowerCase() : null;
+
+  return Object.entries(catalog)
+    .map(([name, descriptor]) => describeDevice(name, descriptor, filters.customDevices))
+    .filter(device => terms.every(term => device.name.toLowerCase().includes(term)))
+    .filter(device => !os || device.os === os)
+    .filter(device => !width || (device.width >= width[0] && device.width <= width[1]))
+    .filter(device => !height || (device.height >= height[0] && device.height <= height[1]))
+    .filter(device => filters.mobile === undefined || device.mobile === filters.mobile)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  PLAYWRIGHT_DEVICES,
+  DEFAULT_MOBILE_DEVICES,
+  normalizeCustomDevices,
+  buildDeviceCatalog,
+  resolveDevices,
+  describeDevice,
+  searchDevices
+};
@@ -0,0 +1,190 @@
+/**
+ * Emulation matrix for captures
+ *
+ * A matrix lists values per dimension, e.g.
+ *   { colorScheme: ['light', 'dark'], locale: ['en-AU', 'fr-FR'] }
+ * and expands into every combination. Each combination is passed to
+ * `browser.newContext()` and becomes its own screenshot variant, with the
+ * dimensions appended to the filename:
+ *   chromium-desktop-full~colorScheme=dark~locale=fr-FR.png
+ * `compare --filter` and the HTML report filter on these dimensions.
+ */
+
+const DIMENSIONS = {
+  colorScheme: ['light', 'dark', 'no-preference'],
+  reducedMotion: ['reduce', 'no-preference'],
+  forcedColors: ['active', 'none'],
+  locale: null,      // any BCP 47 tag, e.g. 'fr-FR'
+  timezoneId: null,  // any IANA zone, e.g. 'Australia/Sydney'
+  geolocation: null  // { name, latitude, longitude, accuracy }
+};
+
+const TOKEN_PATTERN = /~([a-zA-Z]+)=([^~]+)/g;
+
+/**
+ * Filename-safe value: anything outside [A-Za-z0-9.+-] becomes `_`
+ */
+function encodeValue(value) {
+  return String(value).replace(/[^a-zA-Z0-9.+-]+/g, '_');
+}
+
+/**
+ * Label for a dimension value (geolocation objects use their name)
+ */
+function valueLabel(dimension, value) {
+  if (dimension === 'geolocation') {
+    return value.name || `${value.latitude},${value.longitude}`;
+  }
+  return value;
+}
+
+function validateValue(dimension, value) {
+  const allowed = DIMENSIONS[dimension];
+  if (allowed && !allowed.includes(value)) {
+    throw new Error(`Invalid ${dimension} "${value}". Allowed: ${allowed.join(', ')}`);
+  }
+  if (dimension === 'geolocation' &&
+    (typeof value !== 'object' || typeof value.latitude !== 'number' || typeof value.longitude !== 'number')) {
+    throw new Error(`geolocation entries need numeric latitude and longitude: ${JSON.stringify(value)}`);
+  }
+  if ((dimension === 'locale' || dimension === 'timezoneId') && (typeof value !== 'string' || !value)) {
+    throw new Error(`Invalid ${dimension} ${JSON.stringify(value)}`);
+  }
+}
+
+/**
+ * Validate a matrix and normalize single values to lists
+ * @returns {Object} dimension -> list of values (empty dimensions dropped)
+ */
+function normalizeMatrix(matrix) {
+  if (!matrix) return {};
+  if (typeof matrix !== 'object' || Array.isArray(matrix)) {
+    throw new Error('Emulation matrix must be an object of dimension -> values');
+  }
+
+  const normalized = {};
+  for (const [dimension, values] of Object.entries(matrix)) {
+    if (!(dimension in DIMENSIONS)) {
+      throw new Error(`Unknown emulation dimension "${dimension}". Available: ${Object.keys(DIMENSIONS).join(', ')}`);
+    }
+    const list = (Array.isArray(values) ? values : [values]).filter(value => value !== undefined && value !== null);
+    list.forEach(value => validateValue(dimension, value));
+    if (list.length > 0) {
+      normalized[dimension] = list;
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Expand a matrix into variants, in dimension order
+ * @returns {Array<Object>} `{ emulation, suffix, contextOptions }`; a single variant
+ *   with an empty suffix when the matrix is empty
+ */
+function expandMatrix(matrix) {
+  const normalized = normalizeMatrix(matrix);
+  let combinations = [{}];
+
+  for (const [dimension, values] of Object.entries(normalized)) {
+    combinations = combinations.flatMap(combination => values.map(value => ({ ...combination, [dimension]: value })));
+  }
+
+  return combinations.map(combination => {
+    const emulation = {};
+    const contextOptions = {};
+    let suffix = '';
+
+    for (const [dimension, value] of Object.entries(combination)) {
+      const label = valueLabel(dimension, value);
+      emulation[dimension] = label;
+      suffix += `~${dimension}=${encodeValue(label)}`;
+
+      if (dimension === 'geolocation') {
+        const { name, ...coordinates } = value;
+        contextOptions.geolocation = coordinates;
+        contextOptions.permissions = ['geolocation'];
+      } else {
+        contextOptions[dimension] = value;
+      }
+    }
+
+    return { emulation, suffix, contextOptions };
+  });
+}
+
+/**
+ * Parse `--emulate colorScheme=light|dark,locale=en-AU|fr-FR` into a matrix.
+ * Geolocation values are names of config geolocations or `latitude:longitude`.
+ */
+function parseMatrixArg(arg, configMatrix = {}) {
+  const matrix = {};
+
+  for (const entry of String(arg).split(',').map(e => e.trim()).filter(Boolean)) {
+    const [dimension, rawValues] = entry.split('=');
+    if (!(dimension in DIMENSIONS) || !rawValues) {
+      throw new Error(`Invalid --emulate entry "${entry}". Use dimension=value|value with one of: ${Object.keys(DIMENSIONS).join(', ')}`);
+    }
+
+    matrix[dimension] = rawValues.split('|').map(value => {
+      if (dimension !== 'geolocation') return value;
+
+      const named = [].concat(configMatrix.geolocation || []).find(location => location.name === value);
+      if (named) return named;
+      const [latitude, longitude] = value.split(':').map(Number);
+      if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+        throw new Error(`Unknown geolocation "${value}". Use a name from config emulation.geolocation or latitude:longitude`);
+      }
+      return { name: value.replace(':', '_'), latitude, longitude };
+    });
+  }
+
+  return normalizeMatrix(matrix);
+}
+
+/**
+ * Read the dimensions encoded in a screenshot filename
+ * @returns {Object} dimension -> encoded value (empty for plain screenshots)
+ */
+function parseVariant(file) {
+  const name = file.replace(/\.png$/i, '');
+  const emulation = {};
+  for (const [, dimension, value] of name.matchAll(TOKEN_PATTERN)) {
+    emulation[dimension] = value;
+  }
+  return emulation;
+}
+
+/**
+ * Parse `--filter colorScheme=dark,locale=fr-FR` into dimension -> allowed values.
+ * Repeating a dimension allows either value.
+ */
+function parseFilter(filter) {
+  const entries = Array.isArray(filter) ? filter : String(filter || '').split(',');
+  const parsed = {};
+
+  for (const entry of entries.map(e => e.trim()).filter(Boolean)) {
+    const [dimension, value] = entry.split('=');
+    if (!(dimension in DIMENSIONS) || !value) {
+      throw new Error(`Invalid filter "${entry}". Use dimension=value with one of: ${Object.keys(DIMENSIONS).join(', ')}`);
+    }
+    parsed[dimension] = [...(parsed[dimension] || []), encodeValue(value)];
+  }
+  return parsed;
+}
+
+/**
+ * Whether a screenshot's dimensions pass a parsed filter
+ */
+function matchesFilter(emulation, filter) {
+  return Object.entries(filter).every(([dimension, values]) => values.includes(emulation[dimension]));
+}
+
+module.exports = {
+  DIMENSIONS,
+  normalizeMatrix,
+  expandMatrix,
+  parseMatrixArg,
+  parseVariant,
+  parseFilter,
+  matchesFilter
+};
@@ -0,0 +1,255 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Network recording and replay (HAR 1.2) for offline, repeatable captures
+ *
+ * HarRecorder collects every response seen by the pages it is attached to and
+ * writes them as a single archive, across browsers, viewports and pages. Cookies,
+ * credentials and the target's own headers are left out, so archives can be
+ * committed as fixtures.
+ * HarReplayer serves responses only from an archive through page.route; requests
+ * missing from the archive are aborted and, in 'fail' mode, fail the run.
+ */
+
+const NOT_FOUND_MODES = ['abort', 'fail'];
+
+// Headers that carry sessions or credentials; never written to an archive
+const SENSITIVE_HEADERS = ['set-cookie', 'cookie', 'authorization', 'proxy-authorization'];
+
+function requestKey(method, url) {
+  return `${method.toUpperCase()} ${url}`;
+}
+
+function toHeaderList(headers, omit = []) {
+  return Object.entries(headers || {})
+    .filter(([name]) => !omit.includes(name.toLowerCase()))
+    .map(([name, value]) => ({ name, value: String(value) }));
+}
+
+class HarRecorder {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.omitHeaders] - More header names to leave out, e.g. the target's `headers`
+   */
+  constructor(options = {}) {
+    this.entries = [];
+    this.pending = new Set();
+    this.omitHeaders = [...SENSITIVE_HEADERS, ...(options.omitHeaders || []).map(name => name.toLowerCase())];
+  }
+
+  /**
+   * Start recording responses for a Playwright page
+   */
+  attach(page) {
+    page.on('response', response => {
+      const task = this.record(response).finally(() => this.pending.delete(task));
+      this.pending.add(task);
+    });
+  }
+
+  async record(response) {
+    const request = response.request();
+    const startedAt = new Date();
+
+    let body = null;
+    try {
+      // Redirects and aborted responses have no body
+      body = await response.body();
+    } catch (error) {
+      body = null;
+    }
+
+    const headers = await response.allHeaders().catch(() => response.headers());
+
+    this.entries.push({
+      startedDateTime: startedAt.toISOString(),
+      time: 0,
+      request: {
+        method: request.method(),
+        url: request.url(),
+        httpVersion: 'HTTP/1.1',
+        headers: toHeaderList(request.headers(), this.omitHeaders),
+        queryString: [],
+        cookies: [],
+        headersSize: -1,
+        bodySize: request.postData() ? Buffer.byteLength(request.postData()) : 0,
+        ...(request.postData() ? {
+          postData: { mimeType: request.headers()['content-type'] || '', text: request.postData() }
+        } : {})
+      },
+      response: {
+        status: response.status(),
+        statusText: response.statusText(),
+        httpVersion: 'HTTP/1.1',
+        headers: toHeaderList(headers, this.omitHeaders),
+        cookies: [],
+        content: {
+          size: body ? body.length : 0,
+          mimeType: headers['content-type'] || 'application/octet-stream',
+          ...(body ? { text: body.toString('base64'), encoding: 'base64' } : {})
+        },
+        redirectURL: headers.location || '',
+        headersSize: -1,
+        bodySize: body ? body.length : 0
+      },
+      cache: {},
+      timings: { send: 0, wait: 0, receive: 0 }
+    });
+  }
+
+  /**
+   * Wait for in-flight response bodies (call before closing a context)
+   */
+  async flush() {
+    await Promise.all([...this.pending]);
+  }
+
+  /**
+   * Write everything recorded so far to a HAR file
+   */
+  async save(harPath) {
+    await this.flush();
+    await fs.mkdir(path.dirname(path.resolve(harPath)), { recursive: true });
+    await fs.writeFile(harPath, JSON.stringify({
+      log: {
+        version: '1.2',
+        creator: { name: 'visual-regression-tool', version: '3.0.0' },
+        pages: [],
+        entries: this.entries
+      }
+    }, null, 2));
+    return { path: harPath, entries: this.entries.length };
+  }
+}
+
+class HarReplayer {
+  /**
+   * @param {Object} har - Parsed HAR document
+   * @param {Object} options
+   * @param {string} [options.notFound='abort'] - 'abort' or 'fail' for requests missing from the archive
+   * @param {string} [options.baseDir] - Directory for resolving attached (`_file`) bodies
+   */
+  constructor(har, options = {}) {
+    const notFound = options.notFound || 'abort';
+    if (!NOT_FOUND_MODES.includes(notFound)) {
+      throw new Error(`Invalid HAR not-found mode "${notFound}". Use: ${NOT_FOUND_MODES.join(', ')}`);
+    }
+
+    this.notFound = notFound;
+    this.baseDir = options.baseDir || process.cwd();
+    this.responses = new Map();
+    this.missing = [];
+
+    for (const entry of (har.log && har.log.entries) || []) {
+      const key = requestKey(entry.request.method, entry.request.url);
+      if (!this.responses.has(key)) {
+        this.responses.set(key, []);
+      }
+      this.responses.get(key).push(entry.response);
+    }
+  }
+
+  static async load(harPath, options = {}) {
+    let har;
+    try {
+      har = JSON.parse(await fs.readFile(harPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read HAR archive ${harPath}: ${error.message}`);
+    }
+    return new HarReplayer(har, { baseDir: path.dirname(path.resolve(harPath)), ...options });
+  }
+
+  /**
+   * Serve every request for a Playwright page from the archive
+   * Each page replays from the start of the archive, so concurrent jobs sharing
+   * one replayer get the same responses whatever order they run in. Attach it
+   * before any other page route (setupPage's `archive` option does): Playwright
+   * runs the most recently added route first, and replay answers every request,
+   * so a route added earlier would never see one.
+   */
+  async attach(page) {
+    const cursors = new Map();
+    await page.route('**/*', route => this.handle(route, cursors));
+  }
+
+  /**
+   * @param {Route} route - Intercepted request
+   * @param {Map} [cursors] - Per-page count of requests served for each key
+   */
+  async handle(route, cursors = new Map()) {
+    const request = route.request();
+    const key = requestKey(request.method(), request.url());
+    const recorded = this.responses.get(key);
+
+    if (!recorded || recorded.length === 0) {
+      this.missing.push(key);
+      return route.abort('internetdisconnected');
+    }
+
+    // Serve repeated requests in recorded order, then keep serving the last one
+    const served = cursors.get(key) || 0;
+    cursors.set(key, served + 1);
+    const response = recorded[Math.min(served, recorded.length - 1)];
+
+    let body;
+    try {
+      body = await this.readBody(response.content || {});
+    } catch (error) {
+      console.warn(`HAR replay: ${error.message}`);
+      return route.abort('accessdenied');
+    }
+
+    return route.fulfill({
+      status: response.status,
+      headers: Object.fromEntries(
+        (response.headers || [])
+          .filter(h => !['content-length', 'content-encoding', 'transfer-encoding'].includes(h.name.toLowerCase()))
+          .map(h => [h.name, h.value])
+      ),
+      body
+    });
+  }
+
+  /**
+   * Response body from inline text or an attached file; attached files must stay inside `baseDir`
+   */
+  async readBody(content) {
+    if (content._file) {
+      const baseDir = path.resolve(this.baseDir);
+      const file = path.resolve(baseDir, content._file);
+      const relative = path.relative(baseDir, file);
+      if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new Error(`Attached body "${content._file}" is outside the archive directory ${baseDir}`);
+      }
+      return fs.readFile(file);
+    }
+    if (content.text === undefined) {
+      return Buffer.alloc(0);
+    }
+    return Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf8');
+  }
+
+  /**
+   * Throw if requests were missing and the replay runs in 'fail' mode
+   */
+  assertComplete() {
+    const unique = [...new Set(this.missing)];
+    this.missing = [];
+
+    if (this.notFound !== 'fail' || unique.length === 0) return;
+
+    const error = new Error(
+      `${unique.length} request(s) missing from HAR archive:\n  ${unique.slice(0, 20).join('\n  ')}` +
+      (unique.length > 20 ? `\n  ... and ${unique.length - 20} more` : '')
+    );
+    error.retryable = false;
+    throw error;
+  }
+}
+
+module.exports = {
+  NOT_FOUND_MODES,
+  HarRecorder,
+  HarReplayer
+};
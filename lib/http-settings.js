@@ -0,0 +1,157 @@
+const { interpolateEnv } = require('./auth');
+const { cookiesForUrl } = require('./cookies');
+
+/**
+ * Target-level HTTP settings: request headers, basic auth, proxy, TLS errors,
+ * user agent and cookies
+ *
+ * Set on a target in config and applied to every browser, context and page a
+ * run opens, whichever engine it uses. `${NAME}` pulls secrets from the
+ * environment.
+ *
+ *   targets: {
+ *     staging: {
+ *       baseUrl: 'https://staging.example.com',
+ *       headers: { 'X-Preview-Token': '${PREVIEW_TOKEN}' },
+ *       httpCredentials: { username: 'preview', password: '${STAGING_PASSWORD}' },
+ *       proxy: 'http://proxy.internal:3128',          // or { server, bypass, username, password }
+ *       ignoreHTTPSErrors: true,
+ *       userAgent: 'Mozilla/5.0 (VRT)',
+ *       cookies: [{ name: 'feature_flags', value: 'new-nav' }]   // set for the page's origin
+ *     }
+ *   }
+ */
+
+const HTTP_KEYS = ['headers', 'httpCredentials', 'proxy', 'ignoreHTTPSErrors', 'userAgent', 'cookies'];
+
+/**
+ * Pick and validate the HTTP settings of a target (or any object carrying them)
+ * @returns {Object|null} `{ headers, httpCredentials, proxy, ignoreHTTPSErrors, userAgent, cookies }`,
+ *   or null when none are set
+ */
+function resolveHttpSettings(target) {
+  if (!target || !HTTP_KEYS.some(key => target[key] !== undefined && target[key] !== null)) return null;
+
+  const raw = interpolateEnv(Object.fromEntries(HTTP_KEYS.map(key => [key, target[key]])));
+  const settings = {
+    headers: {},
+    httpCredentials: null,
+    proxy: null,
+    ignoreHTTPSErrors: Boolean(raw.ignoreHTTPSErrors),
+    userAgent: raw.userAgent || null,
+    cookies: []
+  };
+
+  if (raw.headers) {
+    if (typeof raw.headers !== 'object' || Array.isArray(raw.headers)) {
+      throw new Error('headers must be an object of header names to values');
+    }
+    settings.headers = Object.fromEntries(Object.entries(raw.headers).map(([name, value]) => [name, String(value)]));
+  }
+
+  if (raw.httpCredentials) {
+    if (!raw.httpCredentials.username || raw.httpCredentials.password === undefined) {
+      throw new Error('httpCredentials needs a username and password');
+    }
+    settings.httpCredentials = { ...raw.httpCredentials, password: String(raw.httpCredentials.password) };
+  }
+
+  if (raw.proxy) {
+    const proxy = typeof raw.proxy === 'string' ? { server: raw.proxy } : { ...raw.proxy };
+    if (!proxy.server) {
+      throw new Error('proxy needs a server, e.g. "http://proxy.internal:3128"');
+    }
+    settings.proxy = proxy;
+  }
+
+  if (raw.cookies) {
+    settings.cookies = Array.isArray(raw.cookies) ? raw.cookies : [raw.cookies];
+    for (const cookie of settings.cookies) {
+      if (!cookie || !cookie.name || cookie.value === undefined) {
+        throw new Error(`Invalid cookie: ${JSON.stringify(cookie)} (expected name and value)`);
+      }
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Options for launching a browser: the proxy and, for Puppeteer, certificate errors
+ * @param {Object|null} settings - Resolved HTTP settings
+ * @param {string} engine - 'playwright' or 'puppeteer'
+ */
+function httpLaunchOptions(settings, engine) {
+  if (!settings) return {};
+
+  if (engine === 'puppeteer') {
+    const args = [];
+    if (settings.proxy) {
+      args.push(`--proxy-server=${settings.proxy.server}`);
+      if (settings.proxy.bypass) {
+        args.push(`--proxy-bypass-list=${settings.proxy.bypass.split(',').map(host => host.trim()).join(';')}`);
+      }
+    }
+    return {
+      ...(args.length > 0 ? { args } : {}),
+      ...(settings.ignoreHTTPSErrors ? { acceptInsecureCerts: true } : {})
+    };
+  }
+
+  return settings.proxy ? { proxy: settings.proxy } : {};
+}
+
+/**
+ * Playwright context options for the settings (cookies are added per page, see applyHttpSettings)
+ */
+function httpContextOptions(settings) {
+  if (!settings) return {};
+  return {
+    ...(Object.keys(settings.headers).length > 0 ? { extraHTTPHeaders: settings.headers } : {}),
+    ...(settings.httpCredentials ? { httpCredentials: settings.httpCredentials } : {}),
+    ...(settings.ignoreHTTPSErrors ? { ignoreHTTPSErrors: true } : {}),
+    ...(settings.userAgent ? { userAgent: settings.userAgent } : {})
+  };
+}
+
+/**
+ * Apply the settings to a page before navigation
+ * Playwright pages only need the cookies (the rest is set on the context); Puppeteer
+ * pages get headers, credentials and user agent too. Puppeteer answers server and
+ * proxy auth challenges with one set of credentials, so httpCredentials win over
+ * the proxy's.
+ * @param {Page} page - Playwright or Puppeteer page
+ * @param {Object|null} settings - Resolved HTTP settings
+ * @param {string} url - The page about to be loaded (cookies are set for its origin)
+ * @param {Object} [defaults] - `{ headers }` the settings' headers are merged over
+ */
+async function applyHttpSettings(page, settings, url, defaults = {}) {
+  const headers = { ...(defaults.headers || {}), ...(settings ? settings.headers : {}) };
+  const cookies = settings ? cookiesForUrl(settings.cookies, url) : [];
+
+  if (typeof page.route === 'function') {
+    if (cookies.length > 0) await page.context().addCookies(cookies);
+    return;
+  }
+
+  if (Object.keys(headers).length > 0) await page.setExtraHTTPHeaders(headers);
+  if (!settings) return;
+
+  const proxyCredentials = settings.proxy && settings.proxy.username
+    ? { username: settings.proxy.username, password: settings.proxy.password || '' }
+    : null;
+  const credentials = settings.httpCredentials || proxyCredentials;
+  if (credentials) {
+    await page.authenticate({ username: credentials.username, password: credentials.password });
+  }
+  if (settings.userAgent) await page.setUserAgent(settings.userAgent);
+  if (cookies.length > 0) await page.setCookie(...cookies);
+}
+
+module.exports = {
+  HTTP_KEYS,
+  resolveHttpSettings,
+  httpLaunchOptions,
+  httpContextOptions,
+  applyHttpSettings
+};
@@ -0,0 +1,71 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Capture jobs that failed every attempt
+ *
+ * Each browser x viewport/device job is retried on its own with its own
+ * timeout. Jobs that never succeed are listed in `failures.json` next to the
+ * screenshots that did, with the error, the attempt count and a screenshot of
+ * the page when the last attempt failed (`failures/<job>.png`), so `compare`
+ * can report them as errored instead of missing.
+ */
+
+const FAILURES_FILE = 'failures.json';
+const FAILURES_DIR = 'failures';
+
+/**
+ * Error for a job attempt that ran past its timeout
+ */
+function jobTimeoutError(job, timeout) {
+  const error = new Error(`Job ${job.id} timed out after ${timeout}ms`);
+  error.timedOut = true;
+  return error;
+}
+
+/**
+ * Screenshot the page a failed attempt left behind, if it got that far
+ * @returns {Promise<string|null>} Path of the failure screenshot
+ */
+async function saveFailureScreenshot(context, outputDir, job) {
+  const pages = typeof context.pages === 'function' ? context.pages() : [];
+  const page = pages[pages.length - 1];
+  if (!page) return null;
+
+  try {
+    const failurePath = path.join(outputDir, FAILURES_DIR, `${job.id}.png`);
+    await fs.mkdir(path.dirname(failurePath), { recursive: true });
+    await page.screenshot({ path: failurePath, timeout: 5000 });
+    return failurePath;
+  } catch (error) {
+    // A crashed or closed page has nothing left to show
+    return null;
+  }
+}
+
+async function writeFailures(outputDir, failures) {
+  const failuresPath = path.join(outputDir, FAILURES_FILE);
+  await fs.writeFile(failuresPath, JSON.stringify({ failures }, null, 2));
+  return failuresPath;
+}
+
+/**
+ * Failures recorded in a capture directory (empty when every job succeeded)
+ */
+async function readFailures(dir) {
+  try {
+    const data = JSON.parse(await fs.readFile(path.join(dir, FAILURES_FILE), 'utf8'));
+    return Array.isArray(data.failures) ? data.failures : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+module.exports = {
+  FAILURES_FILE,
+  FAILURES_DIR,
+  jobTimeoutError,
+  saveFailureScreenshot,
+  writeFailures,
+  readFailures
+};
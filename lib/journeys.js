@@ -0,0 +1,360 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { globToRegExp } = require('./crawler');
+const { toList } = require('./config-loader');
+
+/**
+ * Declarative user journeys for `vrt journey`
+ *
+ * A journey file (YAML or JSON) opens a URL and runs named steps in order:
+ *
+ *   name: checkout
+ *   url: /products/42
+ *   steps:
+ *     - click: '#add-to-cart'
+ *     - checkpoint: product-added
+ *     - name: Open the cart
+ *       click: a.cart
+ *     - assert: { visible: .cart-items }
+ *     - assert: { text: h1, equals: Your cart }
+ *     - assert: { url: /cart }
+ *     - checkpoint: { name: cart, fullPage: true }
+ *
+ * Steps are `{ type, ... }` objects (the interaction types of
+ * `PlaywrightVRT.performInteractions`, plus goto, assert and checkpoint) or the
+ * `{ <type>: <value> }` shorthand above. `type` is also the field naming the step
+ * type, so `{ type: '#email', text: ... }` only reads as the shorthand when the
+ * value is not a step type and the step has `text` but no `selector`. Every checkpoint is a screenshot named
+ * `<checkpoint>-<browser>-<viewport>.png` in the journey folder, so two runs
+ * compare like two captures. The first failing step stops the journey; later
+ * steps are reported as skipped.
+ */
+
+const INTERACTION_TYPES = [
+  'click', 'type', 'fill', 'hover', 'drag', 'select', 'check', 'uncheck',
+  'press', 'scroll', 'wait', 'script', 'evaluate'
+];
+const STEP_TYPES = ['goto', 'assert', 'checkpoint', ...INTERACTION_TYPES];
+const JOURNEY_EXTENSIONS = ['.yml', '.yaml', '.json'];
+
+// Shorthand value -> the field it fills, e.g. `click: '#add'` -> `{ selector: '#add' }`
+const SHORTHAND_FIELDS = {
+  goto: 'url',
+  checkpoint: 'name',
+  script: 'name',
+  press: 'key',
+  evaluate: 'function'
+};
+
+const ASSERT_TIMEOUT = 5000;
+const ASSERT_POLL_INTERVAL = 100;
+
+function slugify(value) {
+  return String(value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function describeStep(step) {
+  switch (step.type) {
+    case 'goto':
+      return `Go to ${step.url}`;
+    case 'checkpoint':
+      return `Checkpoint ${step.name}`;
+    case 'script':
+      return `Run script ${step.name}`;
+    case 'assert':
+      if (step.visible) return `${step.visible} is visible`;
+      if (step.hidden) return `${step.hidden} is hidden`;
+      if (step.text) return `${step.text} text ${step.equals !== undefined ? `equals "${step.equals}"` : `contains "${step.contains}"`}`;
+      return `URL matches ${step.url}`;
+    default:
+      return [step.type, step.selector || step.key || ''].join(' ').trim();
+  }
+}
+
+/**
+ * Normalize one step (explicit `type` or `{ <type>: value }` shorthand)
+ */
+function normalizeStep(raw, index) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Step ${index + 1} must be an object`);
+  }
+
+  // `type: '#email'` + `text:` is the typing shorthand, not an explicit (unknown) type
+  const typeShorthand = typeof raw.type === 'string' && !STEP_TYPES.includes(raw.type) &&
+    raw.text !== undefined && raw.selector === undefined;
+
+  let step;
+  if (typeShorthand) {
+    step = { ...raw, type: 'type', selector: raw.type };
+  } else if (raw.type) {
+    step = { ...raw };
+  } else {
+    const type = Object.keys(raw).find(key => STEP_TYPES.includes(key));
+    if (!type) {
+      throw new Error(`Step ${index + 1} has no type. Use one of: ${STEP_TYPES.join(', ')}`);
+    }
+    const { [type]: value, ...rest } = raw;
+    // `wait: 500` pauses, `wait: .spinner` waits for an element
+    const field = type === 'wait' && typeof value === 'number' ? 'timeout' : SHORTHAND_FIELDS[type] || 'selector';
+    step = typeof value === 'object' && value !== null
+      ? { ...rest, ...value, type }
+      : { ...rest, type, [field]: value };
+    // `name: Cart page` next to `checkpoint: cart` (or `script: ...`) labels the step
+    if (SHORTHAND_FIELDS[type] === 'name' && rest.name && step.name !== rest.name) {
+      step.label = step.label || rest.name;
+    }
+  }
+
+  if (!STEP_TYPES.includes(step.type)) {
+    throw new Error(
+      `Step ${index + 1}: unknown type "${step.type}". Use one of: ${STEP_TYPES.join(', ')} ` +
+      '(to type into an element, give `text` with `type: <selector>`, or use `fill: <selector>`)'
+    );
+  }
+  if (step.type === 'script' && !step.name) {
+    throw new Error(`Step ${index + 1}: script needs a name`);
+  }
+  if (step.type === 'goto' && !step.url) {
+    throw new Error(`Step ${index + 1}: goto needs a url`);
+  }
+  if (step.type === 'checkpoint') {
+    if (!step.name || !slugify(step.name)) {
+      throw new Error(`Step ${index + 1}: checkpoint needs a name`);
+    }
+    step.checkpoint = slugify(step.name);
+  }
+  if (step.type === 'assert' && !step.visible && !step.hidden && !step.text && !step.url) {
+    throw new Error(`Step ${index + 1}: assert needs visible, hidden, text or url`);
+  }
+  if (step.type === 'assert' && step.text && step.equals === undefined && step.contains === undefined) {
+    throw new Error(`Step ${index + 1}: text assertions need equals or contains`);
+  }
+
+  return {
+    ...step,
+    label: SHORTHAND_FIELDS[step.type] === 'name' ? (step.label || describeStep(step)) : (step.name || describeStep(step))
+  };
+}
+
+/**
+ * Validate a parsed journey file
+ * @returns {Object} `{ name, slug, url, file, viewports, steps }`; `url` becomes the first (goto) step
+ */
+function normalizeJourney(raw, file = null) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(`Journey ${file ? `${file} ` : ''}must be an object with steps`);
+  }
+  const name = raw.name || (file ? path.basename(file, path.extname(file)) : null);
+  if (!name) {
+    throw new Error('Journey needs a name');
+  }
+  if (!Array.isArray(raw.steps) || raw.steps.length === 0) {
+    throw new Error(`Journey "${name}" has no steps`);
+  }
+
+  const rawSteps = raw.url ? [{ type: 'goto', url: raw.url }, ...raw.steps] : raw.steps;
+  const steps = rawSteps.map((step, index) => {
+    try {
+      return normalizeStep(step, index);
+    } catch (error) {
+      throw new Error(`Journey "${name}": ${error.message}`);
+    }
+  });
+
+  if (steps[0].type !== 'goto') {
+    throw new Error(`Journey "${name}" needs a url or a goto first step`);
+  }
+
+  const checkpoints = steps.filter(step => step.type === 'checkpoint').map(step => step.checkpoint);
+  const duplicate = checkpoints.find((checkpoint, index) => checkpoints.indexOf(checkpoint) !== index);
+  if (duplicate) {
+    throw new Error(`Journey "${name}" has two checkpoints named "${duplicate}"`);
+  }
+
+  return {
+    name,
+    slug: slugify(name),
+    url: steps[0].url,
+    file,
+    viewports: raw.viewports ? toList(raw.viewports) : null,
+    steps
+  };
+}
+
+async function loadJourney(file) {
+  const content = await fs.readFile(file, 'utf8');
+  let raw;
+  try {
+    raw = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new Error(`Invalid journey file ${file}: ${error.message}`);
+  }
+  return normalizeJourney(raw, file);
+}
+
+/**
+ * Load journey files; directories contribute their .yml/.yaml/.json files
+ */
+async function loadJourneys(paths) {
+  const files = [];
+  for (const entry of toList(paths)) {
+    const stats = await fs.stat(entry).catch(() => null);
+    if (!stats) {
+      throw new Error(`Journey not found: ${entry}`);
+    }
+    if (stats.isDirectory()) {
+      const names = (await fs.readdir(entry))
+        .filter(name => JOURNEY_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+        .sort();
+      files.push(...names.map(name => path.join(entry, name)));
+    } else {
+      files.push(entry);
+    }
+  }
+
+  const journeys = [];
+  for (const file of files) {
+    journeys.push(await loadJourney(file));
+  }
+  return journeys;
+}
+
+/**
+ * URL assertion: `/regex/flags`, a full URL glob, or a path glob (`/orders/*`)
+ * matched against pathname + search
+ */
+function urlMatches(url, pattern) {
+  const regex = /^\/(.+)\/([gimsuy]*)$/.exec(pattern);
+  if (regex && /[\\^$.*+?()[\]{}|]/.test(regex[1])) {
+    return new RegExp(regex[1], regex[2]).test(url);
+  }
+
+  if (/^[a-z]+:\/\//i.test(pattern)) {
+    return globToRegExp(pattern).test(url);
+  }
+  const parsed = new URL(url);
+  return globToRegExp(pattern).test(parsed.pathname) || globToRegExp(pattern).test(parsed.pathname + parsed.search);
+}
+
+async function pollUntil(check, timeout) {
+  const startedAt = Date.now();
+  for (;;) {
+    const result = await check();
+    if (result.ok || Date.now() - startedAt >= timeout) return result;
+    await new Promise(resolve => setTimeout(resolve, ASSERT_POLL_INTERVAL));
+  }
+}
+
+/**
+ * Run an assert step, waiting up to `timeout` ms for it to hold
+ */
+async function runAssertion(page, step) {
+  const timeout = step.timeout || ASSERT_TIMEOUT;
+
+  if (step.visible || step.hidden) {
+    const selector = step.visible || step.hidden;
+    const state = step.visible ? 'visible' : 'hidden';
+    try {
+      await page.locator(selector).first().waitFor({ state, timeout });
+    } catch (error) {
+      throw new Error(`Expected ${selector} to be ${state} within ${timeout}ms`);
+    }
+    return;
+  }
+
+  if (step.text) {
+    const result = await pollUntil(async () => {
+      let actual = null;
+      try {
+        actual = await page.locator(step.text).first().textContent({ timeout: ASSERT_POLL_INTERVAL });
+      } catch (error) {
+        return { ok: false, actual: null };
+      }
+      actual = (actual || '').replace(/\s+/g, ' ').trim();
+      const ok = step.equals !== undefined ? actual === String(step.equals) : actual.includes(String(step.contains));
+      return { ok, actual };
+    }, timeout);
+
+    if (!result.ok) {
+      const expected = step.equals !== undefined ? `to equal "${step.equals}"` : `to contain "${step.contains}"`;
+      throw new Error(result.actual === null
+        ? `Expected ${step.text} text ${expected}, but ${step.text} was not found`
+        : `Expected ${step.text} text ${expected}, got "${result.actual}"`);
+    }
+    return;
+  }
+
+  const result = await pollUntil(async () => ({ ok: urlMatches(page.url(), step.url), actual: page.url() }), timeout);
+  if (!result.ok) {
+    throw new Error(`Expected URL to match ${step.url}, got ${result.actual}`);
+  }
+}
+
+/**
+ * Run a journey's steps on an open page
+ * @param {Object} page - Playwright page
+ * @param {Object} journey - Normalized journey
+ * @param {Object} hooks - `{ goto(step), interact(step), checkpoint(step) }`; checkpoint
+ *   returns `{ path }` of its screenshot
+ * @returns {Object} `{ passed, steps, failedStep }`; each step has a status of
+ *   passed, failed or skipped, a duration and an error or screenshot
+ */
+async function runJourneySteps(page, journey, hooks) {
+  const steps = [];
+  let failedStep = null;
+
+  for (const [index, step] of journey.steps.entries()) {
+    const record = { index: index + 1, name: step.label, type: step.type };
+
+    if (failedStep) {
+      steps.push({ ...record, status: 'skipped' });
+      continue;
+    }
+
+    const startedAt = Date.now();
+    try {
+      let artifact = null;
+      if (step.type === 'goto') {
+        await hooks.goto(step);
+      } else if (step.type === 'assert') {
+        await runAssertion(page, step);
+      } else if (step.type === 'checkpoint') {
+        artifact = await hooks.checkpoint(step);
+      } else {
+        await hooks.interact(step);
+      }
+
+      steps.push({
+        ...record,
+        status: 'passed',
+        duration: Date.now() - startedAt,
+        ...(artifact ? { checkpoint: step.checkpoint, screenshot: artifact.path } : {})
+      });
+    } catch (error) {
+      failedStep = record.index;
+      steps.push({ ...record, status: 'failed', duration: Date.now() - startedAt, error: error.message });
+    }
+  }
+
+  return { passed: failedStep === null, steps, failedStep };
+}
+
+async function writeJourneyResults(outputDir, runs) {
+  const manifestPath = path.join(outputDir, 'journey.json');
+  await fs.writeFile(manifestPath, JSON.stringify(runs, null, 2));
+  return manifestPath;
+}
+
+module.exports = {
+  STEP_TYPES,
+  INTERACTION_TYPES,
+  normalizeStep,
+  normalizeJourney,
+  loadJourney,
+  loadJourneys,
+  urlMatches,
+  runAssertion,
+  runJourneySteps,
+  writeJourneyResults
+};
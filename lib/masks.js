@@ -0,0 +1,245 @@
+const fs = require('fs').promises;
+const { PNG } = require('pngjs');
+
+/**
+ * Masking of dynamic regions (timestamps, carousels, ad slots)
+ *
+ * A mask is either a CSS selector or a pixel rectangle. Rectangles can be written
+ * as objects ({ x, y, width, height }) or as ImageMagick-style geometry strings
+ * ("300x250+0+120"), which keeps them usable in comma-separated CLI lists.
+ *
+ * At capture time the matching element boxes are painted over in the screenshot
+ * and recorded in a `<screenshot>.masks.json` sidecar. At comparison time the
+ * union of both sidecars is excluded from the diff and drawn hatched.
+ */
+
+const MASK_COLOR = { r: 255, g: 0, b: 255 };
+const HATCH_COLORS = [
+  { r: 160, g: 160, b: 160 },
+  { r: 225, g: 225, b: 225 }
+];
+const GEOMETRY_PATTERN = /^(\d+)x(\d+)\+(\d+)\+(\d+)$/;
+
+/**
+ * Normalize mask input into `{ selector }` and `{ x, y, width, height }` entries
+ * @param {string|Object|Array} input - Comma-separated string, single mask or list
+ * @returns {Array<Object>}
+ */
+function parseMasks(input) {
+  if (!input) return [];
+
+  const list = Array.isArray(input)
+    ? input
+    : typeof input === 'string' ? input.split(',') : [input];
+
+  return list
+    .map(entry => (typeof entry === 'string' ? entry.trim() : entry))
+    .filter(Boolean)
+    .map(entry => {
+      if (typeof entry === 'string') {
+        const geometry = entry.match(GEOMETRY_PATTERN);
+        if (geometry) {
+          const [, width, height, x, y] = geometry.map(Number);
+          return { x, y, width, height };
+        }
+        return { selector: entry };
+      }
+
+      if (entry.selector) {
+        return { selector: entry.selector };
+      }
+
+      const { x, y, width, height } = entry;
+      if ([x, y, width, height].some(v => typeof v !== 'number' || Number.isNaN(v))) {
+        throw new Error(`Invalid mask: ${JSON.stringify(entry)} (expected a selector or x/y/width/height)`);
+      }
+      return { x, y, width, height };
+    });
+}
+
+/**
+ * Resolve masks to screenshot-pixel regions for the current page state.
+ * Works with both Playwright and Puppeteer pages (single-argument evaluate).
+ * Rectangles are given in CSS pixels here and scaled by devicePixelRatio.
+ * Selectors may pierce shadow roots with `>>>` (see lib/selectors.js).
+ * `options.offset` (CSS pixels, page coordinates) makes regions relative to an
+ * element screenshot instead of the page.
+ */
+async function collectMaskRegions(page, masks, options = {}) {
+  const { scale, regions } = await page.evaluate(({ masks, fullPage }) => {
+    const found = [];
+    const offsetX = fullPage ? window.scrollX : 0;
+    const offsetY = fullPage ? window.scrollY : 0;
+
+    // `host >>> .inner`: each part after the first is looked up in the previous matches' shadow roots
+    const queryAll = selector => selector.split('>>>').map(part => part.trim()).reduce(
+      (scopes, part, index) => scopes.flatMap(scope => {
+        const root = index === 0 ? scope : scope.shadowRoot;
+        return root ? Array.from(root.querySelectorAll(part)) : [];
+      }),
+      [document]
+    );
+
+    for (const mask of masks) {
+      if (!mask.selector) {
+        found.push({ x: mask.x, y: mask.y, width: mask.width, height: mask.height });
+        continue;
+      }
+
+      let elements = [];
+      try {
+        elements = queryAll(mask.selector);
+      } catch (error) {
+        found.push({ selector: mask.selector, error: 'Invalid selector' });
+        continue;
+      }
+
+      for (const element of elements) {
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) continue;
+        found.push({
+          selector: mask.selector,
+          x: rect.left + offsetX,
+          y: rect.top + offsetY,
+          width: rect.width,
+          height: rect.height
+        });
+      }
+    }
+
+    return { scale: window.devicePixelRatio || 1, regions: found };
+  }, { masks, fullPage: !!options.fullPage || !!options.offset });
+
+  const offset = options.offset || { x: 0, y: 0 };
+
+  const invalid = regions.filter(r => r.error);
+  invalid.forEach(r => console.warn(`Mask selector "${r.selector}" is invalid, skipping...`));
+
+  return regions
+    .filter(r => !r.error)
+    .map(r => ({
+      ...(r.selector ? { selector: r.selector } : {}),
+      x: Math.floor((r.x - offset.x) * scale),
+      y: Math.floor((r.y - offset.y) * scale),
+      width: Math.ceil(r.width * scale),
+      height: Math.ceil(r.height * scale)
+    }));
+}
+
+/**
+ * Build a per-pixel mask (1 = ignored) clipped to the image bounds
+ */
+function buildMaskBitmap(width, height, regions) {
+  const bitmap = new Uint8Array(width * height);
+
+  for (const region of regions) {
+    const x0 = Math.max(0, region.x);
+    const y0 = Math.max(0, region.y);
+    const x1 = Math.min(width, region.x + region.width);
+    const y1 = Math.min(height, region.y + region.height);
+
+    for (let y = y0; y < y1; y++) {
+      bitmap.fill(1, y * width + x0, y * width + Math.max(x0, x1));
+    }
+  }
+
+  return bitmap;
+}
+
+/**
+ * Fill masked pixels of a PNG, either solid or with diagonal hatching
+ * @returns {number} Number of masked pixels
+ */
+function fillMaskedPixels(png, bitmap, { hatched = false } = {}) {
+  let count = 0;
+
+  for (let i = 0; i < bitmap.length; i++) {
+    if (!bitmap[i]) continue;
+    count++;
+
+    const x = i % png.width;
+    const y = Math.floor(i / png.width);
+    const color = hatched ? HATCH_COLORS[Math.floor((x + y) / 4) % 2] : MASK_COLOR;
+    const idx = i * 4;
+    png.data[idx] = color.r;
+    png.data[idx + 1] = color.g;
+    png.data[idx + 2] = color.b;
+    png.data[idx + 3] = 255;
+  }
+
+  return count;
+}
+
+function getSidecarPath(screenshotPath) {
+  return screenshotPath.replace(/\.png$/i, '.masks.json');
+}
+
+/**
+ * Record mask regions for a freshly taken screenshot, paint over them and
+ * write the sidecar file next to it
+ * @returns {Object|null} `{ regions, sidecarPath }`, or null when there is nothing to mask
+ */
+async function applyCaptureMasks(page, screenshotPath, masks, options = {}) {
+  if (!masks || masks.length === 0) return null;
+
+  const regions = await collectMaskRegions(page, masks, options);
+
+  const png = PNG.sync.read(await fs.readFile(screenshotPath));
+  fillMaskedPixels(png, buildMaskBitmap(png.width, png.height, regions));
+  await fs.writeFile(screenshotPath, PNG.sync.write(png));
+
+  const sidecarPath = getSidecarPath(screenshotPath);
+  await fs.writeFile(sidecarPath, JSON.stringify({
+    masks,
+    regions,
+    fullPage: !!options.fullPage,
+    timestamp: new Date().toISOString()
+  }, null, 2));
+
+  return { regions, sidecarPath };
+}
+
+/**
+ * Read the regions recorded at capture time, if any
+ */
+async function readSidecarRegions(screenshotPath) {
+  try {
+    const sidecar = JSON.parse(await fs.readFile(getSidecarPath(screenshotPath), 'utf8'));
+    return sidecar.regions || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Combine the capture-time regions of both screenshots with compare-time masks.
+ * Compare-time rectangles are in image pixels; compare-time selectors can only
+ * be honored if they were recorded when the screenshots were captured.
+ * @returns {{regions: Array<Object>, unresolved: Array<string>}}
+ */
+async function resolveCompareRegions(beforePath, afterPath, ignoreRegions) {
+  const recorded = [
+    ...(await readSidecarRegions(beforePath)),
+    ...(await readSidecarRegions(afterPath))
+  ];
+  const extra = parseMasks(ignoreRegions);
+
+  const rectangles = extra.filter(mask => !mask.selector);
+  const unresolved = extra
+    .filter(mask => mask.selector && !recorded.some(r => r.selector === mask.selector))
+    .map(mask => mask.selector);
+
+  return { regions: [...recorded, ...rectangles], unresolved };
+}
+
+module.exports = {
+  MASK_COLOR,
+  parseMasks,
+  collectMaskRegions,
+  buildMaskBitmap,
+  fillMaskedPixels,
+  getSidecarPath,
+  applyCaptureMasks,
+  readSidecarRegions,
+  resolveCompareRegions
+};
@@ -0,0 +1,292 @@
+const fs = require('fs').promises;
+
+/**
+ * Per-screenshot DOM and environment metadata
+ *
+ * Every page screenshot gets a `.meta.json` sidecar recording what produced
+ * it: browser and version, user agent, viewport and device scale, emulation
+ * settings and timing, plus a snapshot of the visible elements with their
+ * bounding boxes and key computed styles. `compare` uses the snapshot to name
+ * the elements under changed pixels, and the report shows when two sides came
+ * from different environments.
+ *
+ *   metadata: true                                    // default
+ *   metadata: false
+ *   metadata: { maxElements: 500, styles: ['color', 'font-size'] }
+ */
+
+const KEY_STYLES = [
+  'display',
+  'position',
+  'z-index',
+  'opacity',
+  'color',
+  'background-color',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'line-height'
+];
+
+const DEFAULT_METADATA = {
+  maxElements: 1500,   // Visible elements recorded per screenshot (document order)
+  styles: KEY_STYLES   // Computed styles recorded per element
+};
+
+// Changed pixels are counted on a grid of this many screenshot pixels
+const GRID_CELL = 8;
+
+/**
+ * Resolve a metadata option (false, true, undefined or a settings object)
+ * @returns {Object|null} Settings, or null when metadata is off
+ */
+function resolveMetadata(value) {
+  if (value === false || value === 'false') return null;
+  if (value === true || value === undefined || value === null) return { ...DEFAULT_METADATA };
+
+  const settings = { ...DEFAULT_METADATA, ...value };
+  if (!(Number(settings.maxElements) >= 0)) {
+    throw new Error(`metadata maxElements must be a number (got "${settings.maxElements}")`);
+  }
+  settings.maxElements = Number(settings.maxElements);
+  return settings;
+}
+
+// Runs in the page: visible elements with page-coordinate boxes and computed styles
+function snapshotInPage({ maxElements, styles }) {
+  const SKIPPED = ['script', 'style', 'link', 'meta', 'noscript', 'template', 'br'];
+
+  const pathOf = element => {
+    const parts = [];
+    for (let node = element; node && node !== document.documentElement; node = node.parentElement) {
+      if (node === document.body) {
+        parts.unshift('body');
+        break;
+      }
+      if (node.id && /^[A-Za-z][\w-]*$/.test(node.id)) {
+        parts.unshift(`#${node.id}`);
+        break;
+      }
+      let index = 1;
+      for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+        if (sibling.localName === node.localName) index++;
+      }
+      parts.unshift(`${node.localName}:nth-of-type(${index})`);
+    }
+    return parts.join(' > ');
+  };
+
+  const ownText = element => Array.from(element.childNodes)
+    .filter(node => node.nodeType === Node.TEXT_NODE)
+    .map(node => node.textContent)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 80);
+
+  const elements = [];
+  let visible = 0;
+  const candidates = document.body ? [document.body, ...document.body.querySelectorAll('*')] : [];
+
+  for (const element of candidates) {
+    if (SKIPPED.includes(element.localName)) continue;
+
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) continue;
+    const computed = getComputedStyle(element);
+    if (computed.display === 'none' || computed.visibility !== 'visible' || computed.opacity === '0') continue;
+
+    visible++;
+    if (elements.length >= maxElements) continue;
+
+    const text = ownText(element);
+    elements.push({
+      selector: pathOf(element),
+      tag: element.localName,
+      ...(text ? { text } : {}),
+      bbox: {
+        x: Math.round(rect.left + window.scrollX),
+        y: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      },
+      styles: Object.fromEntries(styles.map(name => [name, computed.getPropertyValue(name)]))
+    });
+  }
+
+  return {
+    title: document.title,
+    userAgent: navigator.userAgent,
+    language: navigator.language,
+    timezoneId: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    colorScheme: matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light',
+    reducedMotion: matchMedia('(prefers-reduced-motion: reduce)').matches ? 'reduce' : 'no-preference',
+    document: {
+      width: document.documentElement.scrollWidth,
+      height: document.documentElement.scrollHeight,
+      scrollX: window.scrollX,
+      scrollY: window.scrollY,
+      devicePixelRatio: window.devicePixelRatio || 1,
+      viewport: { width: window.innerWidth, height: window.innerHeight }
+    },
+    elements,
+    truncated: visible > elements.length
+  };
+}
+
+/**
+ * Snapshot the page right after its screenshot and combine it with the run's context
+ * @param {Page} page - Playwright or Puppeteer page
+ * @param {Object} settings - Resolved metadata settings
+ * @param {Object} context - `{ screenshot, url, browser, browserVersion, device, viewport, emulation, fullPage, print, suppression, timing }`
+ * @returns {Promise<Object>} Sidecar contents
+ */
+async function collectPageMetadata(page, settings, context) {
+  const snapshot = await page.evaluate(snapshotInPage, { maxElements: settings.maxElements, styles: settings.styles });
+  const { elements, truncated, document, title, ...browserState } = snapshot;
+
+  return {
+    screenshot: context.screenshot,
+    url: context.url,
+    title,
+    fullPage: Boolean(context.fullPage),
+    environment: {
+      browser: context.browser,
+      browserVersion: context.browserVersion || null,
+      userAgent: browserState.userAgent,
+      ...(context.device ? { device: context.device } : {}),
+      viewport: context.viewport || null,
+      deviceScaleFactor: document.devicePixelRatio,
+      language: browserState.language,
+      timezoneId: browserState.timezoneId,
+      colorScheme: browserState.colorScheme,
+      reducedMotion: browserState.reducedMotion,
+      media: context.print ? 'print' : 'screen',
+      ...(context.emulation ? { emulation: context.emulation } : {})
+    },
+    ...(context.suppression ? { suppression: context.suppression } : {}),
+    timing: context.timing,
+    document,
+    elements,
+    truncated
+  };
+}
+
+function getMetadataPath(screenshotPath) {
+  return screenshotPath.replace(/\.png$/i, '.meta.json');
+}
+
+async function writePageMetadata(screenshotPath, metadata) {
+  const sidecarPath = getMetadataPath(screenshotPath);
+  await fs.writeFile(sidecarPath, JSON.stringify(metadata, null, 2));
+  return sidecarPath;
+}
+
+/**
+ * Read the metadata sidecar of a screenshot, if any
+ */
+async function readPageMetadata(screenshotPath) {
+  try {
+    return JSON.parse(await fs.readFile(getMetadataPath(screenshotPath), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether two screenshots came from different environments (browser build,
+ * user agent, viewport or device scale)
+ */
+function environmentChanged(before, after) {
+  if (!before || !after) return false;
+  const key = env => JSON.stringify([env.browser, env.browserVersion, env.userAgent, env.viewport, env.deviceScaleFactor]);
+  return key(before) !== key(after);
+}
+
+/**
+ * Elements under the changed (pixelmatch red) pixels of a diff image
+ * Counts are per grid cell, so boxes are matched to the nearest 8 screenshot pixels.
+ * Containers are left out when an element inside them accounts for all of their changes.
+ * @param {PNG} diff - pixelmatch output
+ * @param {Object} metadata - Sidecar of the screenshot the diff was made from
+ * @param {Object} [options] - `{ limit }` (default 10)
+ * @returns {Array<Object>} `{ selector, tag, text, bbox, changedPixels }`, most changed first
+ */
+function locateChangedElements(diff, metadata, options = {}) {
+  if (!metadata || !Array.isArray(metadata.elements)) return [];
+
+  const columns = Math.ceil(diff.width / GRID_CELL);
+  const rows = Math.ceil(diff.height / GRID_CELL);
+
+  // Summed-area table over changed pixels per cell
+  const sums = new Float64Array((columns + 1) * (rows + 1));
+  const cells = new Uint32Array(columns * rows);
+  let total = 0;
+  for (let i = 0; i < diff.data.length; i += 4) {
+    if (diff.data[i] === 255 && diff.data[i + 1] === 0 && diff.data[i + 2] === 0) {
+      const pixel = i / 4;
+      cells[Math.floor((pixel / diff.width) / GRID_CELL) * columns + Math.floor((pixel % diff.width) / GRID_CELL)]++;
+      total++;
+    }
+  }
+  if (total === 0) return [];
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      sums[(row + 1) * (columns + 1) + column + 1] = cells[row * columns + column] +
+        sums[row * (columns + 1) + column + 1] +
+        sums[(row + 1) * (columns + 1) + column] -
+        sums[row * (columns + 1) + column];
+    }
+  }
+
+  const scale = (metadata.document && metadata.document.devicePixelRatio) || 1;
+  const origin = metadata.fullPage || !metadata.document
+    ? { x: 0, y: 0 }
+    : { x: metadata.document.scrollX, y: metadata.document.scrollY };
+  const clamp = (value, max) => Math.max(0, Math.min(max, value));
+
+  const changed = metadata.elements
+    .map((element, index) => {
+      const x0 = clamp(Math.floor(((element.bbox.x - origin.x) * scale) / GRID_CELL), columns);
+      const y0 = clamp(Math.floor(((element.bbox.y - origin.y) * scale) / GRID_CELL), rows);
+      const x1 = clamp(Math.ceil(((element.bbox.x + element.bbox.width - origin.x) * scale) / GRID_CELL), columns);
+      const y1 = clamp(Math.ceil(((element.bbox.y + element.bbox.height - origin.y) * scale) / GRID_CELL), rows);
+      const at = (row, column) => sums[row * (columns + 1) + column];
+      return { element, index, changedPixels: at(y1, x1) - at(y0, x1) - at(y1, x0) + at(y0, x0) };
+    })
+    .filter(entry => entry.changedPixels > 0);
+
+  // Same-sized wrappers: the later one in document order is the inner element
+  const inside = (inner, outer) => inner.element.bbox.x >= outer.element.bbox.x &&
+    inner.element.bbox.y >= outer.element.bbox.y &&
+    inner.element.bbox.x + inner.element.bbox.width <= outer.element.bbox.x + outer.element.bbox.width &&
+    inner.element.bbox.y + inner.element.bbox.height <= outer.element.bbox.y + outer.element.bbox.height &&
+    (JSON.stringify(inner.element.bbox) !== JSON.stringify(outer.element.bbox) || inner.index > outer.index);
+
+  return changed
+    .filter(entry => !changed.some(other => other !== entry &&
+      other.changedPixels === entry.changedPixels && inside(other, entry)))
+    .sort((a, b) => b.changedPixels - a.changedPixels ||
+      a.element.bbox.width * a.element.bbox.height - b.element.bbox.width * b.element.bbox.height)
+    .slice(0, options.limit || 10)
+    .map(({ element, changedPixels }) => ({
+      selector: element.selector,
+      tag: element.tag,
+      ...(element.text ? { text: element.text } : {}),
+      bbox: element.bbox,
+      changedPixels
+    }));
+}
+
+module.exports = {
+  KEY_STYLES,
+  DEFAULT_METADATA,
+  resolveMetadata,
+  collectPageMetadata,
+  getMetadataPath,
+  writePageMetadata,
+  readPageMetadata,
+  environmentChanged,
+  locateChangedElements
+};
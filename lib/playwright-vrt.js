@@ -1,7 +1,25 @@
-const { chromium, firefox, webkit, devices } = require('playwright');
+const { chromium, firefox, webkit } = require('playwright');
 const fs = require('fs').promises;
 const path = require('path');
 const VRTBase = require('./vrt-base');
+const { resolveStabilization, installStabilization, stabilizePage } = require('./stabilization');
+const { resolveAutoScroll, autoScroll } = require('./auto-scroll');
+const { resolveSettle, waitForVisualStability, writeSettle } = require('./visual-stability');
+const { HarRecorder, HarReplayer } = require('./har');
+const { DEFAULT_COMPONENTS, normalizeComponents, captureComponents } = require('./components');
+const { parseMasks } = require('./masks');
+const { resolveTimeline, applyNetworkProfile, captureFrames, writeTimelineManifest } = require('./timeline');
+const { BrowserPool } = require('./browser-pool');
+const { expandMatrix } = require('./emulation');
+const { runJourneySteps, writeJourneyResults } = require('./journeys');
+const { ScriptRegistry, scriptError } = require('./scripts');
+const { resolvePrint, supportsPdf, rasterizePdf, capturePdf } = require('./print');
+const { resolveScrollTargets, captureScrollTargets } = require('./scroll-capture');
+const { resolveSuppression, installSuppression, collectSuppression } = require('./suppression');
+const { resolveMetadata, collectPageMetadata, writePageMetadata } = require('./page-metadata');
+const { httpLaunchOptions, httpContextOptions, applyHttpSettings } = require('./http-settings');
+const { buildDeviceCatalog, resolveDevices } = require('./devices');
+const { jobTimeoutError, saveFailureScreenshot, writeFailures } = require('./job-failures');
 
 class PlaywrightVRT extends VRTBase {
   constructor(options = {}) {
@@ -17,40 +35,42 @@ class PlaywrightVRT extends VRTBase {
       slowMo: options.slowMo || 0,
       interactive: options.interactive || false,
       recordVideo: options.recordVideo || false,
-      tracing: options.tracing || false
+      tracing: options.tracing || false,
+      recordHar: options.recordHar || null, // Save every response to this HAR file
+      replayHar: options.replayHar || null, // Serve responses only from this HAR file
+      harNotFound: options.harNotFound || 'abort', // abort or fail on requests missing from the HAR
+      authRole: options.authRole || null, // Capture as this role (see lib/auth.js)
+      authManager: options.authManager || null,
+      scripts: options.scripts || null, // ScriptRegistry for `script` interactions (default: built-ins + scriptsDir)
+      scriptsDir: options.scriptsDir || null,
+      allowInlineScripts: options.allowInlineScripts || false, // Allow inline `evaluate` code
+      jobTimeout: options.jobTimeout || 180000 // Per attempt of one browser x viewport/device job
     };
+
+    // Network archive state, shared across captures so multi-page runs use one HAR
+    this.harRecorder = null;
+    this.harReplayer = null;
     
-    // Device presets for mobile emulation
-    this.devicePresets = {
-      'iPhone 14 Pro': devices['iPhone 14 Pro'],
-      'iPhone 14 Pro Max': devices['iPhone 14 Pro Max'],
-      'iPhone 13': devices['iPhone 13'],
-      'iPhone SE': devices['iPhone SE'],
-      'iPad Pro': devices['iPad Pro'],
-      'iPad Mini': devices['iPad Mini'],
-      'Pixel 7': devices['Pixel 7'],
-      'Galaxy S22': devices['Galaxy S22'],
-      'Galaxy Tab S8': devices['Galaxy Tab S8']
-    };
+    // Every Playwright device descriptor plus config `customDevices` (see lib/devices.js)
+    this.deviceCatalog = buildDeviceCatalog(options.customDevices);
   }
 
   // Resource management methods inherited from VRTBase
 
   async getBrowser(browserType = this.options.browser) {
     // Check resource limits
-    await this.waitForBrowserSlot();
+    const releaseSlot = await this.waitForBrowserSlot();
     await this.checkMemoryUsage();
     
     const launchOptions = {
       headless: this.options.headless,
       slowMo: this.options.slowMo,
-      timeout: this.options.timeout
+      timeout: this.options.timeout,
+      ...httpLaunchOptions(this.httpSettings, 'playwright')
     };
 
     let browser;
     try {
-      this.currentBrowserCount++;
-      
       switch (browserType.toLowerCase()) {
         case 'firefox':
           browser = await firefox.launch(launchOptions);
@@ -71,208 +91,827 @@ class PlaywrightVRT extends VRTBase {
       }
 
       this.activeBrowsers.add(browser);
+      this.browserSlotReleases.set(browser, releaseSlot);
       return browser;
     } catch (error) {
-      this.currentBrowserCount--;
+      releaseSlot();
       throw error;
     }
   }
 
+  /**
+   * Capture a page on every browser x viewport/device
+   * Jobs are retried on their own (`retries`, `jobTimeout`); screenshots of jobs that
+   * succeeded are kept when others fail.
+   * @returns {Array<Object>} Screenshot results, with `failures` listing the jobs that
+   *   failed every attempt (`{ id, browser, viewport|device, file, error, attempts, failureScreenshot }`)
+   */
   async capture(pageNameOrUrl, options = {}) {
-    return this.withRetry(async () => {
-      const timestamp = new Date().toISOString().replace(/[:]/g, '-').split('.')[0];
-      const outputDir = path.join(this.options.outputDir, options.outputDir || `capture-${timestamp}`);
-      
-      await fs.mkdir(outputDir, { recursive: true });
+    const timestamp = new Date().toISOString().replace(/[:]/g, '-').split('.')[0];
+    const outputDir = path.join(this.options.outputDir, options.outputDir || `capture-${timestamp}`);
+    
+    await fs.mkdir(outputDir, { recursive: true });
+
+    // Determine which browsers to use
+    const browserTypes = options.browsers || (this.options.browser === 'all' 
+      ? ['chromium', 'firefox', 'webkit'] 
+      : [this.options.browser]);
+
+    const url = await this.resolvePageUrl(pageNameOrUrl);
+
+    await this.prepareNetworkArchive();
+    const storageState = await this.resolveStorageState();
+
+    // Deterministic rendering (on unless disabled globally or for this page)
+    const stabilization = resolveStabilization(
+      options.stabilize !== undefined ? options.stabilize : this.options.stabilize
+    );
+
+    // Consent banners, chat widgets and popups (on unless disabled globally or for this page)
+    const suppression = resolveSuppression(
+      options.suppress !== undefined ? options.suppress : this.options.suppress,
+      this.options.blockAds ? ['ads'] : []
+    );
+
+    // DOM/environment sidecar per page screenshot (on unless disabled)
+    const metadata = resolveMetadata(options.metadata !== undefined ? options.metadata : this.options.metadata);
+
+    // Print mode: printed layout (full page) instead of the screen, optionally as PDF pages
+    const printing = resolvePrint(options.print);
+
+    // Lazy-load pass before full-page screenshots (on unless disabled)
+    const scrolling = options.fullPage || printing
+      ? resolveAutoScroll(options.autoScroll !== undefined ? options.autoScroll : this.options.autoScroll)
+      : null;
+
+    // Wait for the page to stop changing; an explicit `delay` keeps the old fixed sleep
+    const settling = resolveSettle(
+      options.settle !== undefined ? options.settle
+        : options.delay !== undefined ? options.delay
+          : this.options.settle
+    );
+
+    const timeline = resolveTimeline(options.timeline);
+    const run = { url, outputDir, options, storageState, stabilization, suppression, scrolling, settling, printing, metadata };
+
+    browserTypes.forEach(browserType => this.emit('capture:start', pageNameOrUrl, browserType));
+
+    // Every browser x viewport/device (and timeline network) is an independent job
+    const jobs = this.planCaptureJobs(browserTypes, options, timeline);
+    const outcomes = await this.runCaptureJobs(jobs, run);
+
+    const results = [];
+    const timelineRuns = [];
+    const failures = [];
+    jobs.forEach((job, index) => {
+      if (outcomes[index].failure) {
+        failures.push(outcomes[index].failure);
+      } else if (job.type === 'timeline') {
+        timelineRuns.push(outcomes[index]);
+      } else {
+        results.push(...outcomes[index]);
+      }
+    });
 
-      const results = [];
-      const browsers = [];
+    // Attach timeline runs to the screenshot they belong to
+    for (const timelineRun of timelineRuns) {
+      const owner = results.find(r => !r.component && r.jobId === timelineRun.owner);
+      if (owner) {
+        owner.timeline = [...(owner.timeline || []), timelineRun];
+      }
+    }
+    results.forEach(result => delete result.jobId);
+    timelineRuns.forEach(timelineRun => delete timelineRun.owner);
 
-      try {
-        // Determine which browsers to use
-        const browserTypes = options.browsers || (this.options.browser === 'all' 
-          ? ['chromium', 'firefox', 'webkit'] 
-          : [this.options.browser]);
+    if (timelineRuns.length > 0) {
+      await writeTimelineManifest(path.join(outputDir, 'timeline'), timelineRuns);
+    }
 
-        const url = (pageNameOrUrl.startsWith('http') || pageNameOrUrl.startsWith('file://'))
-          ? pageNameOrUrl 
-          : `${this.options.baseUrl}${pageNameOrUrl}`;
+    if (this.harRecorder) {
+      const saved = await this.harRecorder.save(this.options.recordHar);
+      console.log(`📼 Recorded ${saved.entries} responses to ${saved.path}`);
+    }
 
-        // Process browsers sequentially to respect resource limits
-        for (const browserType of browserTypes) {
+    if (this.harReplayer) {
+      this.harReplayer.assertComplete();
+    }
+
+    // Lets `compare` report these screenshots as errored rather than missing
+    if (failures.length > 0) {
+      await writeFailures(outputDir, failures);
+    }
+    results.failures = failures;
+
+    this.emit('capture:complete', pageNameOrUrl, results);
+    return results;
+  }
+
+  /**
+   * Absolute URL for a page path or URL
+   * With `serve`, relative page paths resolve against the local static server
+   */
+  async resolvePageUrl(pageNameOrUrl) {
+    if (await this.ensureStaticServer()) {
+      return this.resolveServedUrl(pageNameOrUrl);
+    }
+    return (pageNameOrUrl.startsWith('http') || pageNameOrUrl.startsWith('file://'))
+      ? pageNameOrUrl
+      : `${this.options.baseUrl}${pageNameOrUrl}`;
+  }
+
+  /**
+   * Expand a capture into jobs: one per browser, viewport/device and emulation
+   * variant, plus one per timeline network profile
+   */
+  planCaptureJobs(browserTypes, options, timeline) {
+    const targets = [];
+    const printing = Boolean(resolvePrint(options.print));
+
+    if (!options.devicesOnly) {
+      // Per-capture viewports (e.g. `--viewport 1280x800@2`) override the configured ones
+      for (const viewport of options.viewports || this.options.viewports) {
+        // Security: Sanitize viewport name to prevent path traversal
+        const sanitizedViewportName = this.sanitizePathComponent(viewport.name);
+        targets.push({
+          viewport: viewport.name,
+          name: sanitizedViewportName,
+          fileSuffix: printing ? '-print' : `-${options.fullPage ? 'full' : 'viewport'}`,
+          contextOptions: {
+            viewport: { width: viewport.width, height: viewport.height },
+            deviceScaleFactor: viewport.deviceScaleFactor || 1
+          }
+        });
+      }
+    }
+
+    // Unknown devices fail the capture rather than quietly producing fewer screenshots
+    for (const { name: deviceName, descriptor } of resolveDevices(options.devices || this.options.devices, this.deviceCatalog)) {
+      // Security: Sanitize device name to prevent path traversal
+      targets.push({
+        device: deviceName,
+        name: this.sanitizePathComponent(deviceName.replace(/\s+/g, '-')),
+        fileSuffix: printing ? '-print' : '',
+        contextOptions: { ...descriptor }
+      });
+    }
+
+    // Color scheme, locale, timezone... combinations; the variant suffix ends every filename
+    const variants = expandMatrix(options.emulation !== undefined ? options.emulation : this.options.emulation);
+
+    const jobs = [];
+    for (const browserType of browserTypes) {
+      for (const target of targets) {
+        const prefix = `${browserType}-${target.name}`;
+
+        for (const variant of variants) {
+          const id = `${prefix}${variant.suffix}`;
+          const job = {
+            browserType,
+            prefix,
+            ...target,
+            variant,
+            contextOptions: { ...target.contextOptions, ...variant.contextOptions }
+          };
+          jobs.push({ type: 'screenshot', id, ...job });
+
+          for (const network of (timeline ? timeline.networks : [])) {
+            jobs.push({
+              type: 'timeline',
+              id: `${id}-${this.sanitizePathComponent(network.name)}`,
+              owner: id,
+              ...job,
+              network,
+              intervals: timeline.intervals
+            });
+          }
+        }
+      }
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Lazily create the warm browser pool shared by all captures of this instance
+   */
+  getBrowserPool() {
+    if (!this.browserPool) {
+      this.browserPool = new BrowserPool({
+        launch: browserType => {
           console.log(`🚀 Launching ${browserType}...`);
-          const browser = await this.getBrowser(browserType);
-
-          try {
-            this.emit('capture:start', pageNameOrUrl, browserType);
-
-            // Capture with viewports
-            if (!options.devicesOnly) {
-              for (const viewport of this.options.viewports) {
-                const context = await browser.newContext({
-                  viewport,
-                  recordVideo: this.options.recordVideo ? { dir: path.join(outputDir, 'videos') } : undefined
-                });
-
-                if (this.options.tracing) {
-                  await context.tracing.start({ screenshots: true, snapshots: true });
-                }
-
-                const page = await context.newPage();
-                await this.setupPage(page);
-
-                await page.goto(url, { 
-                  waitUntil: options.waitUntil || 'domcontentloaded',
-                  timeout: this.options.navigationTimeout 
-                });
-
-                if (options.waitFor) {
-                  await page.waitForSelector(options.waitFor, { timeout: 10000 });
-                }
-
-                if (options.interact) {
-                  await this.performInteractions(page, options.interact);
-                }
-
-                await page.waitForTimeout(options.delay || 2000);
-
-                // Security: Sanitize viewport name to prevent path traversal
-                const sanitizedViewportName = this.sanitizePathComponent(viewport.name);
-                const screenshotPath = path.join(
-                  outputDir, 
-                  `${browserType}-${sanitizedViewportName}-${options.fullPage ? 'full' : 'viewport'}.png`
-                );
-
-                await page.screenshot({
-                  path: screenshotPath,
-                  fullPage: options.fullPage || false
-                });
-
-                results.push({
-                  browser: browserType,
-                  viewport: viewport.name,
-                  path: screenshotPath,
-                  url: url
-                });
-
-                // AI Analysis if enabled
-                if (this.options.aiEnabled && options.analyze) {
-                  try {
-                    const analysis = await this.ai.analyzeScreenshot(screenshotPath, {
-                      browser: browserType,
-                      viewport: viewport.name,
-                      url: url,
-                      detectIssues: options.detectIssues,
-                      checkAccessibility: options.checkAccessibility
-                    });
-                    results[results.length - 1].analysis = analysis;
-                  } catch (error) {
-                    console.warn('AI analysis failed:', error.message);
-                  }
-                }
-
-                if (this.options.tracing) {
-                  await context.tracing.stop({ 
-                    path: path.join(outputDir, `trace-${browserType}-${viewport.name}.zip`) 
-                  });
-                }
-
-                await context.close();
-              }
-            }
+          return this.getBrowser(browserType);
+        },
+        close: browser => this.cleanupBrowser(browser),
+        slots: this.browserSlots,
+        contextsPerBrowser: this.options.maxContextsPerBrowser
+      });
+    }
+    return this.browserPool;
+  }
 
-            // Capture with specific devices
-            if (options.devices || this.options.devices.length > 0) {
-              const devicesToEmulate = options.devices || this.options.devices;
-              
-              for (const deviceName of devicesToEmulate) {
-                const device = this.devicePresets[deviceName] || devices[deviceName];
-                
-                if (!device) {
-                  console.warn(`Device "${deviceName}" not found, skipping...`);
-                  continue;
-                }
-
-                const context = await browser.newContext({
-                  ...device,
-                  recordVideo: this.options.recordVideo ? { dir: path.join(outputDir, 'videos') } : undefined
-                });
-
-                const page = await context.newPage();
-                await this.setupPage(page);
-
-                await page.goto(url, { 
-                  waitUntil: options.waitUntil || 'domcontentloaded',
-                  timeout: this.options.navigationTimeout 
-                });
-
-                if (options.interact) {
-                  await this.performInteractions(page, options.interact);
-                }
-
-                await page.waitForTimeout(options.delay || 2000);
-
-                // Security: Sanitize device name to prevent path traversal
-                const sanitizedDeviceName = this.sanitizePathComponent(deviceName.replace(/\s+/g, '-'));
-                const screenshotPath = path.join(
-                  outputDir, 
-                  `${browserType}-${sanitizedDeviceName}.png`
-                );
-
-                await page.screenshot({
-                  path: screenshotPath,
-                  fullPage: options.fullPage || false
-                });
-
-                results.push({
-                  browser: browserType,
-                  device: deviceName,
-                  path: screenshotPath,
-                  url: url
-                });
-
-                await context.close();
-              }
-            }
-          } finally {
-            // Always clean up browser after use
-            await this.cleanupBrowser(browser);
+  /**
+   * Run capture jobs concurrently through the browser pool
+   * Each job gets `retries` more attempts, each in a fresh context and limited to `jobTimeout`.
+   * Emits job:start, job:retry, job:complete and job:error with `{ id, type, browser, viewport|device, index, total }`
+   * @returns {Array} Job outcomes in job order; a job that failed every attempt yields `{ failure }`
+   */
+  async runCaptureJobs(jobs, run) {
+    const total = jobs.length;
+    const { retries } = this.options;
+    let completed = 0;
+
+    return Promise.all(jobs.map(async (job, index) => {
+      const progress = {
+        id: job.id,
+        type: job.type,
+        browser: job.browserType,
+        ...(job.device ? { device: job.device } : { viewport: job.viewport }),
+        index,
+        total
+      };
+
+      for (let attempt = 1; ; attempt++) {
+        const startedAt = Date.now();
+        const final = attempt > retries;
+        try {
+          const outcome = await this.runCaptureJobAttempt(job, run, { progress, final, retry: attempt > 1 });
+          completed++;
+          this.emit('job:complete', { ...progress, completed, attempts: attempt, duration: Date.now() - startedAt });
+          return outcome;
+        } catch (error) {
+          // Deterministic failures (e.g. missing HAR entries) won't succeed on retry
+          if (!final && error.retryable !== false) {
+            this.emit('job:retry', { ...progress, attempt, error });
+            await this.sleep(Math.min(1000 * Math.pow(2, attempt - 1), 5000));
+            continue;
           }
+
+          completed++;
+          this.emit('job:error', { ...progress, completed, attempts: attempt, error });
+          return {
+            failure: {
+              id: job.id,
+              type: job.type,
+              browser: job.browserType,
+              ...(job.device ? { device: job.device } : { viewport: job.viewport }),
+              ...(job.type === 'screenshot' ? { file: `${job.prefix}${job.fileSuffix}${job.variant.suffix}.png` } : {}),
+              error: error.message,
+              ...(error.timedOut ? { timedOut: true } : {}),
+              attempts: attempt,
+              failureScreenshot: error.failureScreenshot || null
+            }
+          };
         }
+      }
+    }));
+  }
+
+  /**
+   * One attempt of a job in a fresh pooled context, failing after `jobTimeout`
+   * Retries resolve the auth session again, so one that expired mid-run logs in
+   * again. The last attempt screenshots whatever the page shows when it fails.
+   * A timed-out attempt has its context closed right away, so it stops using the
+   * pool slot and cannot write screenshots while its retry runs.
+   */
+  async runCaptureJobAttempt(job, run, { progress, final, retry }) {
+    const contextOptions = {
+      timezoneId: run.stabilization ? run.stabilization.timezoneId : undefined,
+      ...job.contextOptions,
+      ...this.getHttpContextOptions(),
+      storageState: retry ? await this.resolveStorageState() : run.storageState,
+      recordVideo: this.options.recordVideo && job.type === 'screenshot'
+        ? { dir: path.join(run.outputDir, 'videos') }
+        : undefined
+    };
 
-        this.emit('capture:complete', pageNameOrUrl, results);
-        return results;
+    return this.getBrowserPool().withContext(job.browserType, contextOptions, async context => {
+      this.emit('job:start', progress);
+      let timer;
 
+      try {
+        const work = job.type === 'timeline'
+          ? this.captureTimelineJob(context, job, run)
+          : this.captureScreenshotJob(context, job, run);
+        const timeout = new Promise((resolve, reject) => {
+          timer = setTimeout(async () => {
+            const error = jobTimeoutError(job, this.options.jobTimeout);
+            if (final) {
+              error.failureScreenshot = await saveFailureScreenshot(context, run.outputDir, job);
+            }
+            // The page calls of the abandoned attempt fail from here on
+            await context.close().catch(() => {});
+            reject(error);
+          }, this.options.jobTimeout);
+        });
+        return await Promise.race([work, timeout]);
+      } catch (error) {
+        if (final && !error.timedOut) {
+          error.failureScreenshot = await saveFailureScreenshot(context, run.outputDir, job);
+        }
+        throw error;
       } finally {
-        // Cleanup any remaining browsers (shouldn't be any if everything worked)
-        for (const browser of browsers) {
-          await this.cleanupBrowser(browser);
+        clearTimeout(timer);
+        if (this.harRecorder) {
+          await this.harRecorder.flush();
         }
       }
     });
   }
 
-  async setupPage(page) {
+  /**
+   * Screenshot one browser x viewport/device, plus its components and scroll targets
+   * @returns {Array<Object>} Page result followed by component and scroll target results
+   */
+  async captureScreenshotJob(context, job, run) {
+    const { url, outputDir, options, stabilization, suppression, scrolling, settling, printing, metadata } = run;
+    const results = [];
+    const startedAt = Date.now();
+
+    if (this.options.tracing) {
+      await context.tracing.start({ screenshots: true, snapshots: true });
+    }
+
+    const page = await context.newPage();
+    const suppressed = await this.setupPage(page, { stabilization, suppression, url, archive: true });
+
+    await page.goto(url, { 
+      waitUntil: options.waitUntil || 'domcontentloaded',
+      timeout: this.options.navigationTimeout 
+    });
+    const navigatedAt = Date.now();
+    await this.assertAuthenticated(page);
+
+    if (options.waitFor) {
+      await page.waitForSelector(options.waitFor, { timeout: 10000 });
+    }
+
+    if (options.interact) {
+      await this.performInteractions(page, options.interact);
+    }
+
+    const scrolled = scrolling ? await autoScroll(page, scrolling) : null;
+
+    // Print stylesheets apply from here on: stabilization, masks and the screenshot
+    if (printing) {
+      await page.emulateMedia({ media: 'print' });
+    }
+
+    if (stabilization) {
+      await stabilizePage(page, stabilization);
+    }
+
+    const settle = settling ? await waitForVisualStability(page, settling) : null;
+    const suppressedRules = suppressed ? await collectSuppression(page, suppressed) : null;
+
+    const screenshotPath = path.join(outputDir, `${job.prefix}${job.fileSuffix}${job.variant.suffix}.png`);
+
+    const readyAt = Date.now();
+    await page.screenshot({
+      path: screenshotPath,
+      fullPage: Boolean(printing) || options.fullPage || false,
+      // Infinite feeds: stop at the auto-scroll height cap (measured on the screen layout)
+      ...(scrolled && scrolled.capped && !printing
+        ? { clip: { x: 0, y: 0, width: page.viewportSize().width, height: scrolled.height } }
+        : {})
+    });
+
+    const masked = await this.applyMasks(page, screenshotPath, { ...options, fullPage: Boolean(printing) || options.fullPage });
+    if (settle) {
+      await writeSettle(screenshotPath, settle);
+    }
+
+    const metadataPath = metadata
+      ? await writePageMetadata(screenshotPath, await collectPageMetadata(page, metadata, {
+        screenshot: path.basename(screenshotPath),
+        url,
+        browser: job.browserType,
+        browserVersion: this.getBrowserVersion(context),
+        device: job.device,
+        viewport: page.viewportSize(),
+        emulation: job.variant.suffix ? job.variant.emulation : undefined,
+        fullPage: Boolean(printing) || options.fullPage,
+        print: Boolean(printing),
+        suppression: suppressedRules || undefined,
+        timing: {
+          startedAt: new Date(startedAt).toISOString(),
+          navigation: navigatedAt - startedAt,
+          ready: readyAt - startedAt,
+          screenshot: Date.now() - readyAt
+        }
+      }))
+      : null;
+
+    let pdf;
+    if (printing && printing.pdf) {
+      if (supportsPdf(job.browserType)) {
+        pdf = await capturePdf(page, {
+          pdfPath: path.join(outputDir, `${job.prefix}-pdf${job.variant.suffix}.pdf`),
+          pagePath: number => path.join(outputDir, `${job.prefix}-pdf-p${number}${job.variant.suffix}.png`),
+          settings: printing,
+          rasterize: buffer => this.rasterizePdf(context, buffer, printing)
+        });
+      } else {
+        console.warn(`PDF output needs Chromium; ${job.browserType} gets the print screenshot only`);
+      }
+    }
+
+    const pageResult = {
+      browser: job.browserType,
+      ...(job.device ? { device: job.device } : { viewport: job.viewport }),
+      path: screenshotPath,
+      url: url,
+      masks: masked ? masked.sidecarPath : undefined,
+      autoScroll: scrolled || undefined,
+      settle: settle || undefined,
+      suppression: suppressedRules || undefined,
+      metadata: metadataPath || undefined,
+      print: printing ? true : undefined,
+      pdf: pdf || undefined,
+      ...(job.variant.suffix ? { emulation: job.variant.emulation } : {}),
+      jobId: job.id
+    };
+    results.push(pageResult);
+
+    if (options.components) {
+      const componentResults = await this.captureComponents(page, outputDir, job.prefix, {
+        ...options,
+        suffix: job.variant.suffix
+      });
+      componentResults.forEach(component => results.push({
+        browser: job.browserType,
+        ...(job.device ? { device: job.device } : { viewport: job.viewport }),
+        ...(job.variant.suffix ? { emulation: job.variant.emulation } : {}),
+        url: url,
+        ...component
+      }));
+    }
+
+    if (options.scrollTargets) {
+      const targetResults = await this.captureScrollTargets(page, outputDir, job.prefix, {
+        ...options,
+        suffix: job.variant.suffix
+      });
+      targetResults.forEach(target => results.push({
+        browser: job.browserType,
+        ...(job.device ? { device: job.device } : { viewport: job.viewport }),
+        ...(job.variant.suffix ? { emulation: job.variant.emulation } : {}),
+        url: url,
+        ...target
+      }));
+    }
+
+    // AI Analysis if enabled
+    if (this.options.aiEnabled && options.analyze) {
+      try {
+        const analysis = await this.ai.analyzeScreenshot(screenshotPath, {
+          browser: job.browserType,
+          viewport: job.viewport || job.device,
+          emulation: job.variant.emulation,
+          url: url,
+          detectIssues: options.detectIssues,
+          checkAccessibility: options.checkAccessibility
+        });
+        pageResult.analysis = analysis;
+      } catch (error) {
+        console.warn('AI analysis failed:', error.message);
+      }
+    }
+
+    if (this.options.tracing) {
+      await context.tracing.stop({ 
+        path: path.join(outputDir, `trace-${job.id}.zip`) 
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Context options for the target's headers, basic auth, TLS errors and user agent
+   */
+  getHttpContextOptions() {
+    return httpContextOptions(this.httpSettings);
+  }
+
+  /**
+   * Version of the browser behind a context, when the context can tell
+   */
+  getBrowserVersion(context) {
+    const browser = typeof context.browser === 'function' ? context.browser() : null;
+    return browser ? browser.version() : null;
+  }
+
+  /**
+   * PNG per PDF page (pdf.js in a fresh page of the capture's context)
+   */
+  async rasterizePdf(context, pdfBuffer, settings) {
+    return rasterizePdf(context, pdfBuffer, settings);
+  }
+
+  /**
+   * Record a loading filmstrip for one network profile. Each profile runs in
+   * its own fresh context so caches don't carry over between profiles.
+   * @returns {Object} Timeline run `{ id, browser, viewport, network, frames, analysis }`
+   */
+  async captureTimelineJob(context, job, run) {
+    const { url, outputDir, stabilization, suppression } = run;
+
+    const page = await context.newPage();
+    await this.setupPage(page, { stabilization, suppression, url, archive: true });
+    await applyNetworkProfile(page, context, job.browserType, job.network);
+
+    // Frames are taken while navigation is still in flight
+    let navigationError;
+    const startTime = Date.now();
+    page.goto(url, {
+      waitUntil: 'load',
+      timeout: this.options.navigationTimeout
+    }).catch(error => {
+      navigationError = error.message;
+    });
+
+    const frames = await captureFrames(page, path.join(outputDir, 'timeline', job.id), job.intervals, startTime);
+
+    const analysis = await this.ai.analyzeTimeline(frames.filter(frame => frame.path));
+    console.log(`🎬 Timeline ${job.id}: ${frames.filter(frame => frame.path).length}/${frames.length} frames`);
+
+    return {
+      id: job.id,
+      owner: job.owner,
+      browser: job.browserType,
+      viewport: job.viewport || job.device,
+      ...(job.variant.suffix ? { emulation: job.variant.emulation } : {}),
+      network: job.network.name,
+      url,
+      frames,
+      navigationError,
+      analysis
+    };
+  }
+
+  /**
+   * Capture named components as separate screenshots with bounding boxes
+   * `options.components` is true (defaults), a list of { name, selector } or a name -> selector map;
+   * `options.suffix` is the emulation variant appended to each filename
+   */
+  async captureComponents(page, outputDir, prefix, options = {}) {
+    const components = options.components === true
+      ? DEFAULT_COMPONENTS
+      : normalizeComponents(options.components);
+
+    return captureComponents(page, {
+      outputDir,
+      prefix,
+      suffix: options.suffix,
+      components: components.map(c => ({ ...c, name: this.sanitizePathComponent(c.name) })),
+      masks: [...parseMasks(this.options.masks), ...parseMasks(options.masks)]
+    });
+  }
+
+  /**
+   * Capture inner scroll containers and iframes in full (see lib/scroll-capture.js)
+   * `options.scrollTargets` is a selector, a target object or a list of either
+   */
+  async captureScrollTargets(page, outputDir, prefix, options = {}) {
+    return captureScrollTargets(page, {
+      outputDir,
+      prefix,
+      suffix: options.suffix,
+      targets: resolveScrollTargets(options.scrollTargets)
+        .map(target => ({ ...target, name: this.sanitizePathComponent(target.name) })),
+      masks: [...parseMasks(this.options.masks), ...parseMasks(options.masks)]
+    });
+  }
+
+  /**
+   * Run a journey (see lib/journeys.js) in every browser x viewport
+   * Checkpoints land in `<outputDir>/<journey>/` as `<checkpoint>-<browser>-<viewport>.png`,
+   * so two runs compare like two captures. A failing step is a result, not an
+   * error: the run records it, screenshots the page into `failures/` and
+   * skips the remaining steps.
+   * @param {Object} journey - Normalized journey
+   * @param {Object} options - `{ outputDir, viewports, browsers, masks, settle, stabilize, suppress }`
+   * @returns {Object} `{ journey, outputDir, passed, runs, manifest, report }`
+   */
+  async runJourney(journey, options = {}) {
+    const timestamp = new Date().toISOString().replace(/[:]/g, '-').split('.')[0];
+    const outputDir = path.join(
+      this.options.outputDir,
+      options.outputDir || `journey-${timestamp}`,
+      this.sanitizePathComponent(journey.slug)
+    );
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const browserTypes = options.browsers || (this.options.browser === 'all'
+      ? ['chromium', 'firefox', 'webkit']
+      : [this.options.browser]);
+    const viewports = options.viewports || this.options.viewports;
+
+    await this.prepareNetworkArchive();
+    const storageState = await this.resolveStorageState();
+    const stabilization = resolveStabilization(
+      options.stabilize !== undefined ? options.stabilize : this.options.stabilize
+    );
+    const suppression = resolveSuppression(
+      options.suppress !== undefined ? options.suppress : this.options.suppress,
+      this.options.blockAds ? ['ads'] : []
+    );
+    const settling = resolveSettle(options.settle !== undefined ? options.settle : this.options.settle);
+    // Consent cookies are seeded for the journey's first page
+    const url = await this.resolvePageUrl(journey.url);
+
+    const pool = this.getBrowserPool();
+    const runs = [];
+    for (const browserType of browserTypes) {
+      for (const viewport of viewports) {
+        const prefix = `${browserType}-${this.sanitizePathComponent(viewport.name)}`;
+        const contextOptions = {
+          viewport: { width: viewport.width, height: viewport.height },
+          deviceScaleFactor: viewport.deviceScaleFactor || 1,
+          timezoneId: stabilization ? stabilization.timezoneId : undefined,
+          ...this.getHttpContextOptions(),
+          storageState
+        };
+
+        this.emit('journey:start', { journey: journey.name, browser: browserType, viewport: viewport.name });
+        const run = await pool.withContext(browserType, contextOptions, async context => {
+          const page = await context.newPage();
+          await this.setupPage(page, { stabilization, suppression, url, archive: true });
+
+          const result = await runJourneySteps(page, journey, {
+            goto: async step => {
+              await page.goto(await this.resolvePageUrl(step.url), {
+                waitUntil: step.waitUntil || 'domcontentloaded',
+                timeout: this.options.navigationTimeout
+              });
+              await this.assertAuthenticated(page);
+            },
+            interact: step => this.performInteractions(page, step),
+            checkpoint: async step => {
+              if (stabilization) {
+                await stabilizePage(page, stabilization);
+              }
+              const settle = settling ? await waitForVisualStability(page, settling) : null;
+
+              const screenshotPath = path.join(outputDir, `${step.checkpoint}-${prefix}.png`);
+              await page.screenshot({ path: screenshotPath, fullPage: step.fullPage || false });
+              await this.applyMasks(page, screenshotPath, {
+                masks: [...parseMasks(options.masks), ...parseMasks(step.masks)],
+                fullPage: step.fullPage
+              });
+              if (settle) {
+                await writeSettle(screenshotPath, settle);
+              }
+              return { path: screenshotPath };
+            }
+          });
+
+          // What the page looked like when the journey broke
+          let failureScreenshot;
+          if (!result.passed) {
+            failureScreenshot = path.join(outputDir, 'failures', `${prefix}.png`);
+            try {
+              await fs.mkdir(path.dirname(failureScreenshot), { recursive: true });
+              await page.screenshot({ path: failureScreenshot });
+            } catch (error) {
+              failureScreenshot = undefined;
+            }
+          }
+
+          if (this.harRecorder) {
+            await this.harRecorder.flush();
+          }
+
+          return {
+            journey: journey.name,
+            file: journey.file,
+            browser: browserType,
+            viewport: viewport.name,
+            ...result,
+            failureScreenshot
+          };
+        });
+
+        this.emit('journey:complete', run);
+        runs.push(run);
+      }
+    }
+
+    if (this.harRecorder) {
+      const saved = await this.harRecorder.save(this.options.recordHar);
+      console.log(`📼 Recorded ${saved.entries} responses to ${saved.path}`);
+    }
+
+    const manifest = await writeJourneyResults(outputDir, runs);
+    const ReportGenerator = require('./report-generator');
+    const report = path.join(outputDir, 'journey-report.html');
+    await fs.writeFile(report, ReportGenerator.generateJourneyReport(runs, outputDir, 'playwright'));
+
+    return { journey: journey.name, outputDir, passed: runs.every(run => run.passed), runs, manifest, report };
+  }
+
+  /**
+   * Storage state for the configured auth role, refreshed when expired
+   * Jobs that find the session expired at the same time share one login.
+   */
+  async resolveStorageState() {
+    if (!this.options.authRole) return undefined;
+    if (!this.options.authManager) {
+      throw new Error('authRole requires an authManager');
+    }
+    if (!this.pendingSession) {
+      this.pendingSession = this.options.authManager.ensureSession(this.options.authRole, this)
+        .finally(() => { this.pendingSession = null; });
+    }
+    return this.pendingSession;
+  }
+
+  /**
+   * Detect sessions rejected by the server: drop the saved state so the job's
+   * next attempt logs in again
+   */
+  async assertAuthenticated(page) {
+    const { authRole, authManager } = this.options;
+    if (!authRole || !authManager.isLoginPage(authRole, page.url())) return;
+
+    await authManager.invalidate(authRole);
+    throw new Error(`Session for "${authRole}" expired (redirected to ${page.url()})`);
+  }
+
+  /**
+   * Load the replay archive / start the recorder once per instance
+   */
+  async prepareNetworkArchive() {
+    if (this.options.replayHar && !this.harReplayer) {
+      this.harReplayer = await HarReplayer.load(this.options.replayHar, {
+        notFound: this.options.harNotFound
+      });
+    }
+    if (this.options.recordHar && !this.harRecorder) {
+      this.harRecorder = new HarRecorder({
+        omitHeaders: this.httpSettings ? Object.keys(this.httpSettings.headers) : []
+      });
+    }
+  }
+
+  /**
+   * Route a page through the replay archive and/or record its responses
+   */
+  async attachNetworkArchive(page) {
+    if (this.harReplayer) {
+      await this.harReplayer.attach(page);
+    }
+    if (this.harRecorder) {
+      this.harRecorder.attach(page);
+    }
+  }
+
+  /**
+   * Timeouts, init scripts and request handling for a new page
+   * `options.suppression` (with the `url` about to load, for consent cookies) hides
+   * banners and blocks widget requests; `blockAds` alone still blocks ad networks.
+   * `options.archive` routes the page through the HAR archive before any other route.
+   * @returns {Promise<Object|null>} Suppression tracker for collectSuppression, if any
+   */
+  async setupPage(page, options = {}) {
     // Set default timeouts
     page.setDefaultTimeout(this.options.timeout);
     page.setDefaultNavigationTimeout(this.options.navigationTimeout);
 
+    // Playwright runs the most recently added route first, so replay goes in first:
+    // suppression and throttling routes then see each request before the archive does
+    if (options.archive) {
+      await this.attachNetworkArchive(page);
+    }
+
+    // Pin clock, seed Math.random and stop autoplay before any page script runs
+    if (options.stabilization) {
+      await installStabilization(page, options.stabilization);
+    }
+
     // Add console listener for debugging
     if (this.options.debug) {
       page.on('console', msg => console.log('PAGE LOG:', msg.text()));
       page.on('pageerror', error => console.log('PAGE ERROR:', error.message));
     }
 
-    // Add request interception if needed
-    if (this.options.blockAds) {
-      await page.route('**/*', route => {
-        const url = route.request().url();
-        if (url.includes('doubleclick') || url.includes('googlesyndication')) {
-          return route.abort();
-        }
-        return route.continue();
-      });
+    // Target cookies (headers, credentials and user agent are context options)
+    await applyHttpSettings(page, this.httpSettings, options.url || this.options.baseUrl);
+
+    const suppression = options.suppression !== undefined
+      ? options.suppression
+      : resolveSuppression(false, this.options.blockAds ? ['ads'] : []);
+    return suppression ? installSuppression(page, suppression, options.url || page.url()) : null;
+  }
+
+  /**
+   * Named scripts: the configured registry, or built-ins plus `scriptsDir`
+   */
+  getScriptRegistry() {
+    if (!this.options.scripts) {
+      this.options.scripts = ScriptRegistry.fromDirectory(this.options.scriptsDir);
     }
+    return this.options.scripts;
   }
 
   async performInteractions(page, interactions) {
@@ -361,38 +1000,24 @@ class PlaywrightVRT extends VRTBase {
           }
           break;
 
+        case 'script':
+          await this.getScriptRegistry().run(page, interaction.name, interaction.args);
+          break;
+
         case 'evaluate':
-          // Security: Validate and sanitize function execution
-          if (!interaction.function) {
-            throw new Error('Evaluate interaction requires a function');
+          // Security: arbitrary code only when the project opts in; use named scripts otherwise
+          if (!this.options.allowInlineScripts) {
+            throw scriptError(
+              'Security: inline evaluate is disabled. Register the code as a named script ' +
+              '({ type: \'script\', name }) or set scripts.allowInline in config'
+            );
           }
-          
-          // Only allow string functions for security
-          if (typeof interaction.function !== 'string') {
-            throw new Error('Function must be provided as a string for security');
-          }
-          
-          // Check for dangerous patterns
-          const dangerousPatterns = [
-            'require', 'process', 'child_process', '__dirname', '__filename',
-            'eval', 'Function', 'setTimeout', 'setInterval', 'setImmediate',
-            'fs', 'http', 'https', 'net', 'os', 'path', 'crypto', 'buffer'
-          ];
-          
-          const functionStr = interaction.function.toLowerCase();
-          for (const pattern of dangerousPatterns) {
-            if (functionStr.includes(pattern)) {
-              throw new Error(`Security: Unsafe pattern "${pattern}" detected in evaluate function`);
-            }
-          }
-          
-          // Execute in a sandboxed context
-          try {
-            const safeFunction = new Function('return ' + interaction.function)();
-            await page.evaluate(safeFunction, interaction.args);
-          } catch (error) {
-            throw new Error(`Evaluate execution failed: ${error.message}`);
+          if (typeof interaction.function !== 'string' || !interaction.function.trim()) {
+            throw scriptError('Evaluate interaction requires a function string');
           }
+
+          // The source is only ever compiled in the page, never in Node.js
+          await page.evaluate(`(${interaction.function})(${JSON.stringify(interaction.args)})`);
           break;
 
         case 'screenshot':
@@ -419,13 +1044,15 @@ class PlaywrightVRT extends VRTBase {
     const browser = await this.getBrowser(options.browser || this.options.browser);
     
     try {
+      const device = options.device ? resolveDevices([options.device], this.deviceCatalog)[0].descriptor : null;
       const context = await browser.newContext({
-        viewport: options.viewport || { width: 1440, height: 900 },
+        ...(device || { viewport: options.viewport || { width: 1440, height: 900 } }),
+        ...this.getHttpContextOptions(),
         recordVideo: { dir: path.join(this.options.outputDir, 'interactive-sessions') }
       });
 
       const page = await context.newPage();
-      await this.setupPage(page);
+      await this.setupPage(page, { url });
 
       await page.goto(url, { waitUntil: 'domcontentloaded' });
 
@@ -584,23 +1211,27 @@ class PlaywrightVRT extends VRTBase {
       if (browser && this.activeBrowsers.has(browser)) {
         await browser.close();
         this.activeBrowsers.delete(browser);
-        this.currentBrowserCount = Math.max(0, this.currentBrowserCount - 1);
+        this.releaseBrowserSlot(browser);
       }
     } catch (error) {
       console.warn('Error closing browser:', error.message);
-      // Ensure count is decremented even on error
+      // Ensure the slot is released even on error
       if (this.activeBrowsers.has(browser)) {
         this.activeBrowsers.delete(browser);
-        this.currentBrowserCount = Math.max(0, this.currentBrowserCount - 1);
+        this.releaseBrowserSlot(browser);
       }
     }
   }
 
   async cleanup() {
-    // Clean up all active browsers
+    // Warm pooled browsers first, then anything launched outside the pool
+    if (this.browserPool) {
+      await this.browserPool.closeAll();
+    }
     for (const browser of this.activeBrowsers) {
       await this.cleanupBrowser(browser);
     }
+    await this.stopStaticServer();
   }
 }
 
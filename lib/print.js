@@ -0,0 +1,191 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { startStaticServer } = require('./static-server');
+
+/**
+ * Print output capture
+ *
+ * In print mode a capture emulates `media: 'print'` and takes a full-page
+ * screenshot of the printed layout (`<browser>-<viewport>-print.png`) at each
+ * viewport. With `pdf`, Chromium also renders `page.pdf()` at the configured
+ * paper size (`<browser>-<viewport>-pdf.pdf`) and every PDF page is rasterized
+ * to `<browser>-<viewport>-pdf-p<N>.png`, so page breaks, headers and margins
+ * compare like any other screenshot. Pages are rasterized with pdf.js
+ * (`pdfjs-dist` 5, an optional dependency) inside the capture browser.
+ */
+
+const DEFAULT_PRINT = {
+  format: 'A4',          // Paper format, or set width and height (e.g. '8.5in', '210mm')
+  width: null,
+  height: null,
+  landscape: false,
+  margin: '10mm',        // One value for every side, or { top, right, bottom, left }
+  printBackground: true,
+  pdf: false,            // Also render page.pdf() and rasterize its pages (Chromium only)
+  dpi: 150               // Raster resolution of PDF pages
+};
+
+const PAPER_FORMATS = ['Letter', 'Legal', 'Tabloid', 'Ledger', 'A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6'];
+const PDF_BROWSERS = ['chromium', 'chrome', 'edge'];
+
+function normalizeMargin(margin) {
+  if (margin === undefined || margin === null) return undefined;
+  if (typeof margin !== 'object') {
+    const value = typeof margin === 'number' ? `${margin}px` : String(margin);
+    return { top: value, right: value, bottom: value, left: value };
+  }
+  return margin;
+}
+
+/**
+ * Resolve a print option: false/undefined (off), true (defaults), a paper
+ * format name, or a settings object
+ * @returns {Object|null} Settings, or null when print mode is off
+ */
+function resolvePrint(value) {
+  if (value === false || value === 'false' || value === undefined || value === null) return null;
+
+  const settings = value === true
+    ? { ...DEFAULT_PRINT }
+    : typeof value === 'string'
+      ? { ...DEFAULT_PRINT, format: value }
+      : { ...DEFAULT_PRINT, ...value };
+
+  if (!settings.width !== !settings.height) {
+    throw new Error('print needs both width and height for a custom paper size');
+  }
+  if (!settings.width) {
+    const format = PAPER_FORMATS.find(name => name.toLowerCase() === String(settings.format).toLowerCase());
+    if (!format) {
+      throw new Error(`Unknown paper format "${settings.format}". Use one of: ${PAPER_FORMATS.join(', ')}, or width and height`);
+    }
+    settings.format = format;
+  }
+  if (!(Number(settings.dpi) > 0)) {
+    throw new Error(`print dpi must be a positive number (got "${settings.dpi}")`);
+  }
+
+  settings.dpi = Number(settings.dpi);
+  settings.margin = normalizeMargin(settings.margin);
+  return settings;
+}
+
+/**
+ * page.pdf() options for resolved print settings
+ */
+function pdfOptions(settings) {
+  return {
+    ...(settings.width
+      ? { width: settings.width, height: settings.height }
+      : { format: settings.format }),
+    landscape: settings.landscape,
+    margin: settings.margin,
+    printBackground: settings.printBackground
+  };
+}
+
+function supportsPdf(browserType) {
+  return PDF_BROWSERS.includes(String(browserType).toLowerCase());
+}
+
+/**
+ * Locate the pdf.js browser build
+ * @returns {Object} `{ root, module, worker }` file names under root
+ */
+function locatePdfjs() {
+  let root;
+  try {
+    root = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'build');
+  } catch (error) {
+    const missing = new Error('Rasterizing PDF pages needs pdf.js: npm install pdfjs-dist@5');
+    // Installing a package is the only fix, so don't retry
+    missing.retryable = false;
+    throw missing;
+  }
+  return { root, module: 'pdf.min.mjs', worker: 'pdf.worker.min.mjs' };
+}
+
+// Runs in the page: render every PDF page to a PNG (base64) with pdf.js
+async function renderPdfPagesInPage({ moduleUrl, workerUrl, data, scale }) {
+  const pdfjs = await import(moduleUrl);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+
+  const bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0));
+  const pdf = await pdfjs.getDocument({ data: bytes, isEvalSupported: false }).promise;
+  const pages = [];
+
+  for (let number = 1; number <= pdf.numPages; number++) {
+    const pdfPage = await pdf.getPage(number);
+    const viewport = pdfPage.getViewport({ scale });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await pdfPage.render({ canvasContext: context, viewport }).promise;
+
+    pages.push(canvas.toDataURL('image/png').split(',')[1]);
+    pdfPage.cleanup();
+  }
+
+  await pdf.destroy();
+  return pages;
+}
+
+/**
+ * Rasterize a PDF into one PNG buffer per page, in a fresh page of `context`
+ * (pdf.js is served from a local static server so its module and worker load)
+ * @returns {Promise<Array<Buffer>>}
+ */
+async function rasterizePdf(context, pdfBuffer, settings = DEFAULT_PRINT) {
+  const pdfjs = locatePdfjs();
+  const server = await startStaticServer(pdfjs.root);
+  const page = await context.newPage();
+
+  try {
+    // Any page on the server's origin will do: the module and worker must be same-origin
+    await page.goto(`${server.url}/`, { waitUntil: 'domcontentloaded' });
+    const pages = await page.evaluate(renderPdfPagesInPage, {
+      moduleUrl: `${server.url}/${pdfjs.module}`,
+      workerUrl: `${server.url}/${pdfjs.worker}`,
+      data: pdfBuffer.toString('base64'),
+      scale: settings.dpi / 72
+    });
+    return pages.map(data => Buffer.from(data, 'base64'));
+  } finally {
+    await page.close().catch(() => {});
+    await server.close();
+  }
+}
+
+/**
+ * Render the page to PDF and write each PDF page as a PNG
+ * @param {Object} page - Playwright page (Chromium)
+ * @param {Object} options - `{ pdfPath, pagePath(number), settings, rasterize(pdfBuffer) }`
+ * @returns {Promise<Object>} `{ path, pages }` with the PDF path and the page PNG paths
+ */
+async function capturePdf(page, options) {
+  const buffer = await page.pdf({ path: options.pdfPath, ...pdfOptions(options.settings) });
+  const images = await options.rasterize(buffer);
+
+  const pages = [];
+  for (const [index, image] of images.entries()) {
+    const pagePath = options.pagePath(index + 1);
+    await fs.writeFile(pagePath, image);
+    pages.push(pagePath);
+  }
+  return { path: options.pdfPath, pages };
+}
+
+module.exports = {
+  DEFAULT_PRINT,
+  PAPER_FORMATS,
+  resolvePrint,
+  pdfOptions,
+  supportsPdf,
+  locatePdfjs,
+  rasterizePdf,
+  capturePdf
+};
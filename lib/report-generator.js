@@ -3,11 +3,15 @@
  * Uses extracted templates for better maintainability
  */
 
+const path = require('path');
 const {
   reportStyles,
   getCSS,
   generateSummarySection,
-  generateComparisonItem
+  generateComparisonItem,
+  generateFilmstripSection,
+  generateEmulationFilter,
+  generateJourneyRun
 } = require('./report-templates');
 
 class ReportGenerator {
@@ -24,6 +28,8 @@ class ReportGenerator {
     const comparisonsHTML = results.report
       .map(item => generateComparisonItem(item))
       .join('');
+    const filmstripHTML = generateFilmstripSection(results.timelines);
+    const filterHTML = generateEmulationFilter(results.report);
 
     return `
 <!DOCTYPE html>
@@ -42,6 +48,8 @@ class ReportGenerator {
     </div>
     
     ${summaryHTML}
+    ${filmstripHTML}
+    ${filterHTML}
     ${comparisonsHTML}
     
     <footer>
@@ -57,6 +65,64 @@ class ReportGenerator {
     `;
   }
 
+  /**
+   * Generate the HTML report for journey runs
+   * @param {Array<Object>} runs - Journey runs (see PlaywrightVRT.runJourney)
+   * @param {string} reportDir - Directory the report is written to; screenshots link relative to it
+   * @returns {string} HTML report content
+   */
+  static generateJourneyReport(runs, reportDir, engineType = 'Playwright') {
+    const style = reportStyles[engineType] || reportStyles.default;
+    const failed = runs.filter(run => !run.passed).length;
+    const src = file => path.relative(reportDir, file).split(path.sep).join('/');
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>Journey Report - ${engineType}</title>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <style>${getCSS(style)}</style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🧭 Journey Report</h1>
+      <p>${style.subtitle}</p>
+    </div>
+
+    <div class="summary">
+      <div class="summary-card">
+        <h3>Journey Status</h3>
+        <div class="value ${failed === 0 ? 'passed' : 'failed'}">
+          ${failed === 0 ? '✅ PASSED' : '❌ FAILED'}
+        </div>
+      </div>
+      <div class="summary-card">
+        <h3>Runs</h3>
+        <div class="value">${runs.length}</div>
+      </div>
+      <div class="summary-card">
+        <h3>Failed Runs</h3>
+        <div class="value ${failed > 0 ? 'failed' : 'passed'}">${failed}</div>
+      </div>
+    </div>
+
+    ${runs.map(run => generateJourneyRun(run, src)).join('')}
+
+    <footer>
+      <p>
+        Generated with ${engineType} Visual Regression Tool<br>
+        ${new Date().toLocaleString()}
+      </p>
+    </footer>
+  </div>
+</body>
+</html>
+    `;
+  }
+
   /**
    * Generate a summary report in JSON format
    */
@@ -270,6 +270,72 @@ const getCSS = (style) => `
     color: #14171a;
   }
 
+  .filmstrip-row {
+    display: flex;
+    gap: 8px;
+    overflow-x: auto;
+    padding: 10px 0;
+  }
+  
+  .filmstrip-label {
+    font-size: 0.8rem;
+    font-weight: 600;
+    color: #657786;
+    margin-top: 10px;
+  }
+  
+  .filmstrip-frame {
+    flex: 0 0 auto;
+    width: 160px;
+    text-align: center;
+    font-size: 0.75rem;
+    color: #657786;
+  }
+  
+  .filmstrip-frame img {
+    width: 100%;
+    border: 1px solid #e1e8ed;
+    border-radius: 4px;
+    display: block;
+    margin-bottom: 4px;
+  }
+  
+  .filmstrip-missing {
+    height: 90px;
+    background: #f8f9fa;
+    border: 1px dashed #e1e8ed;
+    border-radius: 4px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    margin-bottom: 4px;
+  }
+  
+  .emulation-filter {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 15px;
+    align-items: center;
+    margin-bottom: 30px;
+    padding: 15px 20px;
+    background: white;
+    border-radius: 12px;
+    box-shadow: 0 4px 20px rgba(0,0,0,0.08);
+  }
+  
+  .emulation-filter label {
+    font-size: 0.85rem;
+    font-weight: 600;
+    color: #657786;
+  }
+  
+  .emulation-filter select {
+    margin-left: 6px;
+    padding: 4px 8px;
+    border: 1px solid #e1e8ed;
+    border-radius: 6px;
+  }
+
   @media (max-width: 768px) {
     .header h1 {
       font-size: 1.8rem;
@@ -305,35 +371,131 @@ const generateSummarySection = (results) => `
         ${results.differences.length}
       </div>
     </div>
-    
+    ${results.errors && results.errors.length > 0 ? `
+    <div class="summary-card">
+      <h3>Capture Errors</h3>
+      <div class="value failed">${results.errors.length}</div>
+    </div>
+    ` : ''}
     <div class="summary-card">
       <h3>Pass Rate</h3>
       <div class="value">
         ${results.totalImages > 0 
-          ? Math.round(((results.totalImages - results.differences.length) / results.totalImages) * 100) 
+          ? Math.round(((results.totalImages - results.differences.length - (results.errors || []).length) / results.totalImages) * 100) 
           : 100}%
       </div>
     </div>
   </div>
 `;
 
+const describeSettle = (settle) => {
+  if (!settle) return 'n/a';
+  if (settle.fixedDelay !== undefined) return `fixed ${settle.fixedDelay}ms`;
+  return settle.settled ? `${settle.duration}ms` : `never (gave up after ${settle.duration}ms)`;
+};
+
+const generateSettleBadge = (settle) => {
+  const unsettled = [settle.before, settle.after].some(side => side && side.settled === false);
+  return `
+    <span class="badge badge-${unsettled ? 'warning' : 'success'}" style="margin-left: 10px;">
+      settled: ${describeSettle(settle.before)} → ${describeSettle(settle.after)}
+    </span>
+  `;
+};
+
+const describeEnvironment = (environment) => environment
+  ? `${environment.browser} ${environment.browserVersion || ''} · ${environment.viewport ? `${environment.viewport.width}×${environment.viewport.height}` : ''}@${environment.deviceScaleFactor}x · ${environment.colorScheme} · ${environment.timezoneId}`
+  : 'n/a';
+
+const generateEnvironmentSection = (environment) => `
+  <details style="margin-bottom: 15px;">
+    <summary>🖥️ Environment${environment.changed ? ' (changed)' : ''}</summary>
+    <p><strong>Before:</strong> ${escapeHtml(describeEnvironment(environment.before))}</p>
+    <p><strong>After:</strong> ${escapeHtml(describeEnvironment(environment.after))}</p>
+    ${environment.changed && environment.before && environment.after && environment.before.userAgent !== environment.after.userAgent ? `
+      <p><strong>User agent:</strong> ${escapeHtml(environment.before.userAgent)} → ${escapeHtml(environment.after.userAgent)}</p>
+    ` : ''}
+  </details>
+`;
+
+const generateChangedElements = (elements) => `
+  <div class="ai-analysis">
+    <h4>🔎 Changed Elements</h4>
+    <ul>
+      ${elements.map(element => `
+        <li><code>${escapeHtml(element.selector)}</code>${element.text ? ` “${escapeHtml(element.text)}”` : ''}
+          (${element.changedPixels} px changed)</li>
+      `).join('')}
+    </ul>
+  </div>
+`;
+
+// Diff images sit next to the screenshot's page folder: `<page>/diff-<file>`
+const diffFile = (file) => file.replace(/[^/]*$/, name => `diff-${name}`);
+
+const emulationAttributes = (emulation = {}) => Object.entries(emulation)
+  .map(([dimension, value]) => ` data-${dimension.toLowerCase()}="${value}"`)
+  .join('');
+
 const generateComparisonItem = (item) => `
-  <div class="comparison">
+  <div class="comparison comparison-item"${emulationAttributes(item.emulation)}>
     <div class="comparison-header">
       <h3>${item.file}</h3>
       <div style="margin-top: 10px;">
         <span class="badge badge-${item.passed ? 'success' : 'error'}">
-          ${item.passed ? 'PASS' : 'FAIL'}
+          ${item.passed ? 'PASS' : item.status === 'errored' ? 'ERROR' : 'FAIL'}
         </span>
+        ${item.status === 'errored' ? `
+          <span class="badge badge-error" style="margin-left: 10px;">
+            ${item.side} capture failed after ${item.attempts} attempt${item.attempts === 1 ? '' : 's'}
+          </span>
+        ` : ''}
         ${item.difference !== undefined ? `
           <span class="badge badge-${item.difference < 0.01 ? 'success' : item.difference < 0.1 ? 'warning' : 'error'}" style="margin-left: 10px;">
             ${(item.difference * 100).toFixed(2)}% difference
           </span>
         ` : ''}
+        ${item.sizeChange ? `
+          <span class="badge badge-warning" style="margin-left: 10px;">
+            ${item.sizeChange.before.width}×${item.sizeChange.before.height} → ${item.sizeChange.after.width}×${item.sizeChange.after.height}
+            (${(item.overlapDifference * 100).toFixed(2)}% of the overlap changed)
+          </span>
+        ` : ''}
+        ${item.ignoredRegions ? `
+          <span class="badge badge-warning" style="margin-left: 10px;">
+            ${item.ignoredRegions} masked region${item.ignoredRegions === 1 ? '' : 's'} ignored
+          </span>
+        ` : ''}
+        ${item.unmaskedRegions ? `
+          <span class="badge badge-error" style="margin-left: 10px;">
+            partially unmasked: ${item.unmaskedRegions.join(', ')} not recorded at capture
+          </span>
+        ` : ''}
+        ${item.component ? `
+          <span class="badge badge-success" style="margin-left: 10px;">
+            component: ${item.component}
+          </span>
+        ` : ''}
+        ${item.moved || item.resized ? `
+          <span class="badge badge-warning" style="margin-left: 10px;">
+            ${[item.moved ? 'moved' : '', item.resized ? 'resized' : ''].filter(Boolean).join(' & ')}
+            (${item.bbox.before.x},${item.bbox.before.y} ${item.bbox.before.width}×${item.bbox.before.height}
+            → ${item.bbox.after.x},${item.bbox.after.y} ${item.bbox.after.width}×${item.bbox.after.height})
+          </span>
+        ` : ''}
+        ${item.settle ? generateSettleBadge(item.settle) : ''}
+        ${item.environment && item.environment.changed ? `
+          <span class="badge badge-warning" style="margin-left: 10px;">environment changed</span>
+        ` : ''}
+        ${item.emulation ? Object.entries(item.emulation).map(([dimension, value]) => `
+          <span class="badge badge-success" style="margin-left: 10px;">${dimension}: ${value}</span>
+        `).join('') : ''}
       </div>
     </div>
     
     <div class="comparison-content">
+      ${item.environment ? generateEnvironmentSection(item.environment) : ''}
+      ${!item.passed && item.elements ? generateChangedElements(item.elements) : ''}
       ${item.aiAnalysis ? `
         <div class="ai-analysis">
           <h4>🤖 AI Analysis</h4>
@@ -354,7 +516,20 @@ const generateComparisonItem = (item) => `
         </div>
       ` : ''}
       
-      ${!item.passed && item.file ? `
+      ${item.status === 'errored' ? `
+        <div class="ai-analysis">
+          <h4>⚠️ Capture Error</h4>
+          <p>${escapeHtml(item.error)}</p>
+        </div>
+        ${item.failureScreenshot ? `
+          <div class="images">
+            <div class="image-container">
+              <h4>Page when the ${item.side} capture failed</h4>
+              <img src="${escapeHtml(item.failureScreenshot)}" alt="Failure" loading="lazy">
+            </div>
+          </div>
+        ` : ''}
+      ` : !item.passed && item.file ? `
         <div class="images">
           <div class="image-container">
             <h4>Before</h4>
@@ -366,7 +541,7 @@ const generateComparisonItem = (item) => `
           </div>
           <div class="image-container">
             <h4>Difference</h4>
-            <img src="diff-${item.file}" alt="Difference" loading="lazy">
+            <img src="${diffFile(item.file)}" alt="Difference" loading="lazy">
           </div>
         </div>
       ` : ''}
@@ -374,9 +549,141 @@ const generateComparisonItem = (item) => `
   </div>
 `;
 
+const generateFilmstripRow = (label, frames) => `
+  <div class="filmstrip-label">${label}</div>
+  <div class="filmstrip-row">
+    ${frames ? frames.map(frame => `
+      <div class="filmstrip-frame">
+        ${frame.src
+          ? `<img src="${frame.src}" alt="${frame.time}ms" loading="lazy">`
+          : `<div class="filmstrip-missing">no frame</div>`}
+        ${frame.time}ms
+      </div>
+    `).join('') : '<div class="filmstrip-frame"><div class="filmstrip-missing">not captured</div></div>'}
+  </div>
+`;
+
+const generateFilmstripSection = (timelines = []) => timelines.length === 0 ? '' : `
+  <div class="comparison">
+    <div class="comparison-header">
+      <h3>🎬 Loading Timeline</h3>
+    </div>
+    <div class="comparison-content">
+      ${timelines.map(strip => `
+        <h4>${strip.browser} · ${strip.viewport} · ${strip.network === 'none' ? 'no throttling' : strip.network}</h4>
+        ${generateFilmstripRow('Before', strip.before)}
+        ${generateFilmstripRow('After', strip.after)}
+      `).join('')}
+    </div>
+  </div>
+`;
+
+/**
+ * Dropdowns that show only comparisons with the chosen emulation dimensions
+ */
+const generateEmulationFilter = (items = []) => {
+  const dimensions = {};
+  items.forEach(item => Object.entries(item.emulation || {}).forEach(([dimension, value]) => {
+    dimensions[dimension] = dimensions[dimension] || new Set();
+    dimensions[dimension].add(value);
+  }));
+  if (Object.keys(dimensions).length === 0) return '';
+
+  return `
+  <div class="emulation-filter">
+    ${Object.entries(dimensions).map(([dimension, values]) => `
+      <label>${dimension}
+        <select data-dimension="${dimension.toLowerCase()}">
+          <option value="">all</option>
+          ${[...values].sort().map(value => `<option value="${value}">${value}</option>`).join('')}
+        </select>
+      </label>
+    `).join('')}
+  </div>
+  <script>
+    document.querySelectorAll('.emulation-filter select').forEach(select => {
+      select.addEventListener('change', () => {
+        const chosen = [...document.querySelectorAll('.emulation-filter select')].filter(s => s.value);
+        document.querySelectorAll('.comparison-item').forEach(item => {
+          const visible = chosen.every(s => item.dataset[s.dataset.dimension] === s.value);
+          item.style.display = visible ? '' : 'none';
+        });
+      });
+    });
+  </script>
+  `;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const STEP_BADGES = { passed: 'success', failed: 'error', skipped: 'warning' };
+
+/**
+ * One journey run (browser x viewport): step table, checkpoints and the
+ * screenshot of the page where the journey broke
+ */
+const generateJourneyRun = (run, src) => {
+  const failed = run.steps.find(step => step.status === 'failed');
+  const checkpoints = run.steps.filter(step => step.screenshot);
+
+  return `
+  <div class="comparison">
+    <div class="comparison-header">
+      <h3>${escapeHtml(run.journey)} · ${escapeHtml(run.browser)} · ${escapeHtml(run.viewport)}</h3>
+      <div style="margin-top: 10px;">
+        <span class="badge badge-${run.passed ? 'success' : 'error'}">
+          ${run.passed ? 'PASS' : `FAIL at step ${run.failedStep}`}
+        </span>
+      </div>
+    </div>
+    <div class="comparison-content">
+      ${failed ? `
+        <div class="suggested-fixes">
+          <h4>❌ Step ${failed.index}: ${escapeHtml(failed.name)}</h4>
+          <pre>${escapeHtml(failed.error)}</pre>
+        </div>
+      ` : ''}
+      <table class="journey-steps" style="width: 100%; border-collapse: collapse; margin: 15px 0;">
+        ${run.steps.map(step => `
+          <tr>
+            <td>${step.index}</td>
+            <td>${escapeHtml(step.name)}</td>
+            <td><span class="badge badge-${STEP_BADGES[step.status]}">${step.status}</span></td>
+            <td>${step.duration !== undefined ? `${step.duration}ms` : ''}</td>
+          </tr>
+        `).join('')}
+      </table>
+      ${checkpoints.length > 0 || run.failureScreenshot ? `
+        <div class="images">
+          ${checkpoints.map(step => `
+            <div class="image-container">
+              <h4>📸 ${escapeHtml(step.checkpoint)}</h4>
+              <img src="${escapeHtml(src(step.screenshot))}" alt="${escapeHtml(step.checkpoint)}" loading="lazy">
+            </div>
+          `).join('')}
+          ${run.failureScreenshot ? `
+            <div class="image-container">
+              <h4>💥 At failure</h4>
+              <img src="${escapeHtml(src(run.failureScreenshot))}" alt="Page at failure" loading="lazy">
+            </div>
+          ` : ''}
+        </div>
+      ` : ''}
+    </div>
+  </div>
+`;
+};
+
 module.exports = {
   reportStyles,
   getCSS,
   generateSummarySection,
-  generateComparisonItem
+  generateComparisonItem,
+  generateFilmstripSection,
+  generateEmulationFilter,
+  generateJourneyRun
 };
\ No newline at end of file
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Named page scripts for the `script` interaction
+ *
+ *   { type: 'script', name: 'hideCookieBanner' }
+ *   { type: 'script', name: 'expandAllAccordions', args: { selector: '.faq' } }
+ *
+ * Scripts are plain functions that run in the page with one `args` argument.
+ * They come from the built-ins below and from the project scripts directory
+ * (config `scripts.dir`, default `./vrt-scripts`): each `.js` file exports a
+ * function, registered under the file name, or an object of named functions.
+ * Functions are serialized into the page, so they can't use anything from the
+ * Node.js scope. Inline `evaluate` code is off unless `scripts.allowInline` is set.
+ */
+
+const SCRIPT_NAME_PATTERN = /^[A-Za-z][\w-]*$/;
+
+const BUILTIN_SCRIPTS = {
+  // Hide common consent banners (OneTrust, Cookiebot, Osano, ...) plus `args.selectors`
+  hideCookieBanner(args = {}) {
+    const selectors = [
+      '#onetrust-consent-sdk',
+      '#CybotCookiebotDialog',
+      '.osano-cm-window',
+      '.cc-window',
+      '#cookie-banner',
+      '.cookie-banner',
+      '#cookie-consent',
+      '.cookie-consent',
+      '[aria-label="cookieconsent"]',
+      ...(args.selectors || [])
+    ];
+    let hidden = 0;
+    document.querySelectorAll(selectors.join(',')).forEach(element => {
+      element.style.setProperty('display', 'none', 'important');
+      hidden++;
+    });
+    return hidden;
+  },
+
+  // Open every <details> and collapsed aria-expanded toggle (within `args.selector`)
+  expandAllAccordions(args = {}) {
+    const root = args.selector ? document.querySelector(args.selector) : document;
+    if (!root) return 0;
+    let expanded = 0;
+    root.querySelectorAll('details:not([open])').forEach(details => {
+      details.open = true;
+      expanded++;
+    });
+    root.querySelectorAll('[aria-expanded="false"][aria-controls]').forEach(toggle => {
+      toggle.click();
+      expanded++;
+    });
+    return expanded;
+  }
+};
+
+function scriptError(message) {
+  const error = new Error(message);
+  // A missing or disabled script fails the same way on every attempt
+  error.retryable = false;
+  return error;
+}
+
+class ScriptRegistry {
+  constructor(scripts = {}) {
+    this.scripts = new Map();
+    for (const [name, fn] of Object.entries({ ...BUILTIN_SCRIPTS, ...scripts })) {
+      this.register(name, fn);
+    }
+  }
+
+  /**
+   * Built-ins plus every script in a project scripts directory (missing directory: built-ins only)
+   */
+  static fromDirectory(dir) {
+    const registry = new ScriptRegistry();
+    if (!dir || !fs.existsSync(dir)) return registry;
+
+    const files = fs.readdirSync(dir).filter(file => path.extname(file) === '.js').sort();
+    for (const file of files) {
+      const filepath = path.resolve(dir, file);
+      const exported = require(filepath);
+
+      if (typeof exported === 'function') {
+        registry.register(path.basename(file, '.js'), exported, filepath);
+      } else if (exported && typeof exported === 'object') {
+        for (const [name, fn] of Object.entries(exported)) {
+          registry.register(name, fn, filepath);
+        }
+      } else {
+        throw new Error(`Script file ${filepath} must export a function or an object of functions`);
+      }
+    }
+    return registry;
+  }
+
+  register(name, fn, source = null) {
+    if (!SCRIPT_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid script name "${name}"${source ? ` in ${source}` : ''}: use letters, digits, - and _`);
+    }
+    if (typeof fn !== 'function') {
+      throw new Error(`Script "${name}"${source ? ` in ${source}` : ''} must be a function`);
+    }
+    this.scripts.set(name, fn);
+  }
+
+  has(name) {
+    return this.scripts.has(name);
+  }
+
+  names() {
+    return [...this.scripts.keys()].sort();
+  }
+
+  get(name) {
+    if (!this.scripts.has(name)) {
+      throw scriptError(`Unknown script "${name}". Registered scripts: ${this.names().join(', ')}`);
+    }
+    return this.scripts.get(name);
+  }
+
+  /**
+   * Run a named script in the page
+   * @returns {Promise<*>} The script's (serializable) return value
+   */
+  async run(page, name, args) {
+    return page.evaluate(this.get(name), args);
+  }
+}
+
+module.exports = {
+  BUILTIN_SCRIPTS,
+  ScriptRegistry,
+  scriptError
+};
@@ -0,0 +1,347 @@
+const path = require('path');
+const sharp = require('sharp');
+const { applyCaptureMasks } = require('./masks');
+const { splitPiercingSelector, toPlaywrightSelector } = require('./selectors');
+
+/**
+ * Inner scroll container and iframe capture
+ *
+ * Full-page screenshots only grow the document, so modals, side panels and
+ * iframes with their own scrollbars come out clipped. A scroll target names
+ * such a container and is saved in full as `{browser}-{viewport}-scroll-{name}.png`:
+ *
+ *   scrollTargets: [
+ *     '.modal-body',                                   // expand (default)
+ *     { selector: 'app-shell >>> .side-panel', mode: 'stitch' },
+ *     { frame: 'iframe#terms' },                      // the frame's whole document
+ *     { frame: 'iframe#checkout', selector: '.order-summary', name: 'order' }
+ *   ]
+ *
+ * - `expand` grows the container (and any ancestors clipping it) to its
+ *   content height, takes an element screenshot and puts the styles back.
+ * - `stitch` scrolls the container one visible height at a time and joins the
+ *   segments, for layouts that break when expanded (virtual lists, sticky headers).
+ *
+ * `frame` selects an iframe in the page; the target is then looked up through
+ * that frame (its scrolling document when there is no `selector`). A bare
+ * selector that matches an iframe is treated the same way. Selectors may
+ * pierce shadow roots with `>>>`.
+ */
+
+const SCROLL_MODES = ['expand', 'stitch'];
+
+const DEFAULT_SCROLL_TARGET = {
+  mode: 'expand',
+  maxHeight: 20000          // CSS px; taller content is captured up to here
+};
+
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+}
+
+/**
+ * Resolve a scrollTargets option: a selector, a target object or a list of either
+ * @param {*} value
+ * @param {Object} [defaults] - Settings for targets that don't set their own (e.g. `{ mode }`)
+ * @returns {Array<Object>} `{ name, selector, frame, mode, maxHeight }` per target
+ */
+function resolveScrollTargets(value, defaults = {}) {
+  if (!value) return [];
+
+  const list = Array.isArray(value) ? value : [value];
+  const names = new Set();
+
+  return list.map((entry, index) => {
+    const target = {
+      ...DEFAULT_SCROLL_TARGET,
+      ...defaults,
+      ...(typeof entry === 'string' ? { selector: entry } : entry)
+    };
+
+    if (!target.selector && !target.frame) {
+      throw new Error(`Invalid scroll target: ${JSON.stringify(entry)} (expected a selector or frame)`);
+    }
+    if (!SCROLL_MODES.includes(target.mode)) {
+      throw new Error(`Unknown scroll mode "${target.mode}". Use one of: ${SCROLL_MODES.join(', ')}`);
+    }
+    if (!(Number(target.maxHeight) > 0)) {
+      throw new Error(`Scroll target maxHeight must be a positive number of pixels (got "${target.maxHeight}")`);
+    }
+    [target.frame, target.selector].filter(Boolean).forEach(splitPiercingSelector);
+
+    let name = target.name || slugify(target.selector || target.frame) || `target-${index + 1}`;
+    if (names.has(name)) name = `${name}-${index + 1}`;
+    names.add(name);
+
+    return {
+      name,
+      selector: target.selector || null,
+      frame: target.frame || null,
+      mode: target.mode,
+      maxHeight: Number(target.maxHeight)
+    };
+  });
+}
+
+/**
+ * Find a target's element, and the frame it lives in
+ * @returns {Promise<Object|null>} `{ element, frame, iframe, isDocument }`, or null when not found
+ */
+async function locateScrollTarget(page, target) {
+  let frame = page.mainFrame();
+  let iframe = null;
+  let selector = target.selector;
+
+  if (target.frame) {
+    iframe = await page.$(toPlaywrightSelector(target.frame));
+  } else {
+    const candidate = await page.$(toPlaywrightSelector(selector));
+    if (!candidate) return null;
+    const tagName = await candidate.evaluate(el => el.tagName);
+    if (tagName !== 'IFRAME' && tagName !== 'FRAME') {
+      return { element: candidate, frame, iframe: null, isDocument: false };
+    }
+    iframe = candidate;
+    selector = null;
+  }
+
+  if (!iframe) return null;
+  frame = await iframe.contentFrame();
+  if (!frame) return null;
+
+  const element = selector
+    ? await frame.$(toPlaywrightSelector(selector))
+    : (await frame.evaluateHandle(() => document.scrollingElement || document.documentElement)).asElement();
+
+  return element ? { element, frame, iframe, isDocument: !selector } : null;
+}
+
+// Runs in the target's frame: grow `element` to its content height (or `height`), clipped
+// at `maxHeight`, lifting the clipping of ancestors; the old inline styles are kept for restoreInPage
+function expandInPage(element, { height, maxHeight = Infinity } = {}) {
+  const saved = window.__vrtScrollRestore || (window.__vrtScrollRestore = []);
+  const override = (node, styles) => {
+    saved.push([node, node.getAttribute('style')]);
+    for (const [property, value] of Object.entries(styles)) {
+      node.style.setProperty(property, value, 'important');
+    }
+  };
+  const unclipped = node => ({
+    'max-height': 'none',
+    'overflow-y': 'visible',
+    // Fixed boxes can't outgrow the viewport; absolute ones extend the page
+    ...(getComputedStyle(node).position === 'fixed' ? { position: 'absolute' } : {})
+  });
+
+  if (element === document.documentElement || element === document.body) {
+    return { height: element.scrollHeight };
+  }
+
+  // scrollHeight includes the padding; a given height (an iframe's document) doesn't
+  const style = getComputedStyle(element);
+  const borders = element.offsetHeight - element.clientHeight;
+  const padding = height ? parseFloat(style.paddingTop) + parseFloat(style.paddingBottom) : 0;
+  const contentHeight = height || element.scrollHeight;
+  const shownHeight = Math.min(contentHeight, maxHeight);
+  override(element, {
+    ...unclipped(element),
+    // Past the cap the rest is cut off rather than scrolled
+    ...(shownHeight < contentHeight ? { 'overflow-y': 'hidden' } : {}),
+    'box-sizing': 'border-box',
+    height: `${shownHeight + borders + padding}px`
+  });
+
+  for (let node = element.parentElement; node && node !== document.body && node !== document.documentElement; node = node.parentElement) {
+    const computed = getComputedStyle(node);
+    if (computed.overflowY !== 'visible' || computed.maxHeight !== 'none' || computed.position === 'fixed') {
+      override(node, { ...unclipped(node), height: 'auto' });
+    }
+  }
+
+  return { height: contentHeight };
+}
+
+// Runs in the target's frame: put back the inline styles expandInPage replaced
+function restoreInPage() {
+  const saved = window.__vrtScrollRestore || [];
+  while (saved.length > 0) {
+    const [node, style] = saved.pop();
+    if (style === null) {
+      node.removeAttribute('style');
+    } else {
+      node.setAttribute('style', style);
+    }
+  }
+}
+
+// Runs in the target's frame: scroll the container, wait for a frame to paint
+async function scrollContainerTo(element, top) {
+  element.scrollTo({ top, behavior: 'instant' });
+  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+  return { scrollTop: element.scrollTop, scrollHeight: element.scrollHeight };
+}
+
+// Runs in the page: page coordinates in CSS pixels, as masks expect
+function pageBox(el) {
+  const rect = el.getBoundingClientRect();
+  return {
+    x: Math.round(rect.left + window.scrollX),
+    y: Math.round(rect.top + window.scrollY),
+    width: Math.round(rect.width),
+    height: Math.round(rect.height)
+  };
+}
+
+async function expandTarget(page, located, target, screenshotPath, masks) {
+  const { element, frame, iframe, isDocument } = located;
+
+  try {
+    const expanded = await element.evaluate(expandInPage, { maxHeight: target.maxHeight });
+    let height = expanded.height;
+
+    if (iframe) {
+      // The iframe element grows to the (expanded) document inside it
+      height = await frame.evaluate(() => (document.scrollingElement || document.documentElement).scrollHeight);
+      await iframe.evaluate(expandInPage, { height, maxHeight: target.maxHeight });
+    }
+
+    const shot = isDocument ? iframe : element;
+    await shot.screenshot({ path: screenshotPath });
+
+    // Mask selectors resolve in the page, so only targets laid out there line up
+    const masked = iframe || !masks || masks.length === 0
+      ? null
+      : await applyCaptureMasks(page, screenshotPath, masks, { offset: await element.evaluate(pageBox) });
+
+    return { height: Math.min(height, target.maxHeight), capped: height > target.maxHeight, masked };
+  } finally {
+    await frame.evaluate(restoreInPage).catch(() => {});
+    if (iframe) await page.evaluate(restoreInPage).catch(() => {});
+  }
+}
+
+async function stitchTarget(located, target, screenshotPath) {
+  const { element, iframe, isDocument } = located;
+  // What is on screen: the container itself, or the iframe showing the document
+  const viewport = isDocument ? iframe : element;
+
+  const metrics = await element.evaluate(el => ({
+    clientWidth: el.clientWidth,
+    clientHeight: el.clientHeight,
+    clientLeft: el.clientLeft,
+    clientTop: el.clientTop,
+    scrollTop: el.scrollTop
+  }));
+  // Where the scrolled area starts inside the screenshotted box
+  const inset = isDocument
+    ? await iframe.evaluate(el => {
+      const style = getComputedStyle(el);
+      return { left: el.clientLeft + parseFloat(style.paddingLeft), top: el.clientTop + parseFloat(style.paddingTop) };
+    })
+    : { left: metrics.clientLeft, top: metrics.clientTop };
+
+  const segments = [];
+  let scrollHeight = 0;
+  let contentHeight = 0;
+  let scale = 1;
+
+  try {
+    for (let top = 0; ; top += metrics.clientHeight) {
+      const position = await element.evaluate(scrollContainerTo, top);
+      scrollHeight = position.scrollHeight;
+      contentHeight = Math.min(scrollHeight, target.maxHeight);
+
+      const image = await viewport.screenshot();
+      const box = await viewport.boundingBox();
+      const { width: imageWidth, height: imageHeight } = await sharp(image).metadata();
+      scale = imageWidth / box.width;
+
+      const left = Math.round(inset.left * scale);
+      const cropTop = Math.round(inset.top * scale);
+      const segment = await sharp(image).extract({
+        left,
+        top: cropTop,
+        width: Math.min(Math.round(metrics.clientWidth * scale), imageWidth - left),
+        height: Math.min(Math.round(metrics.clientHeight * scale), imageHeight - cropTop)
+      }).toBuffer({ resolveWithObject: true });
+
+      segments.push({ ...segment, scrollTop: position.scrollTop });
+
+      // Done once the bottom is on screen (or the browser stops scrolling further)
+      if (position.scrollTop + metrics.clientHeight >= contentHeight || position.scrollTop < top) break;
+    }
+  } finally {
+    await element.evaluate(scrollContainerTo, metrics.scrollTop).catch(() => {});
+  }
+
+  const width = segments[0].info.width;
+  const height = Math.round(contentHeight * scale);
+  await sharp({
+    create: { width, height, channels: 4, background: { r: 255, g: 255, b: 255, alpha: 1 } }
+  })
+    .composite(segments
+      .map(segment => ({
+        input: segment.data,
+        left: 0,
+        // The last segment may overlap the previous one; keep every segment inside the image
+        top: Math.max(0, Math.min(Math.round(segment.scrollTop * scale), height - segment.info.height))
+      }))
+      .filter(segment => segment.top < height))
+    .png()
+    .toFile(screenshotPath);
+
+  return { height: contentHeight, capped: scrollHeight > target.maxHeight, masked: null };
+}
+
+/**
+ * Screenshot each scroll target in full
+ * @param {Page} page - Playwright page, already stabilized
+ * @param {Object} options
+ * @param {string} options.outputDir
+ * @param {string} options.prefix - `{browser}-{viewport}` part of the filename
+ * @param {string} [options.suffix] - Emulation variant appended to the filename
+ * @param {Array<Object>} options.targets - Resolved scroll targets
+ * @param {Array<Object>} [options.masks] - Parsed masks, applied to expanded targets in the page itself
+ * @returns {Array<Object>} `{ scrollTarget, selector, frame, mode, path, height, masks }` per captured target
+ */
+async function captureScrollTargets(page, options) {
+  const results = [];
+
+  for (const target of options.targets) {
+    const label = [target.frame, target.selector].filter(Boolean).join(' → ');
+    const located = await locateScrollTarget(page, target);
+    if (!located) {
+      console.warn(`Scroll target "${target.name}" (${label}) not found, skipping...`);
+      continue;
+    }
+
+    const screenshotPath = path.join(options.outputDir, `${options.prefix}-scroll-${target.name}${options.suffix || ''}.png`);
+    const captured = target.mode === 'stitch'
+      ? await stitchTarget(located, target, screenshotPath)
+      : await expandTarget(page, located, target, screenshotPath, options.masks);
+
+    if (captured.capped) {
+      console.warn(`Scroll target "${target.name}" is taller than ${target.maxHeight}px, captured up to there`);
+    }
+
+    results.push({
+      scrollTarget: target.name,
+      selector: target.selector || undefined,
+      frame: target.frame || undefined,
+      mode: target.mode,
+      path: screenshotPath,
+      height: captured.height,
+      masks: captured.masked ? captured.masked.sidecarPath : undefined
+    });
+  }
+
+  return results;
+}
+
+module.exports = {
+  SCROLL_MODES,
+  DEFAULT_SCROLL_TARGET,
+  resolveScrollTargets,
+  locateScrollTarget,
+  captureScrollTargets
+};
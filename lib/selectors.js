@@ -0,0 +1,34 @@
+/**
+ * Shadow-DOM piercing selectors
+ *
+ * `host-element >>> .inner` matches `.inner` inside the open shadow root of
+ * `host-element` (repeat `>>>` for nested components). Masks, components and
+ * scroll targets accept this syntax in every engine.
+ */
+
+const PIERCE = '>>>';
+
+/**
+ * Split a piercing selector into its per-shadow-root parts
+ */
+function splitPiercingSelector(selector) {
+  const parts = String(selector).split(PIERCE).map(part => part.trim());
+  if (parts.some(part => !part)) {
+    throw new Error(`Invalid selector "${selector}": ${PIERCE} needs a selector on both sides`);
+  }
+  return parts;
+}
+
+/**
+ * Playwright selector for a piercing selector: Playwright's CSS engine already
+ * looks inside open shadow roots, so the parts become a `>>` chain
+ */
+function toPlaywrightSelector(selector) {
+  return splitPiercingSelector(selector).join(' >> ');
+}
+
+module.exports = {
+  PIERCE,
+  splitPiercingSelector,
+  toPlaywrightSelector
+};
@@ -0,0 +1,80 @@
+const { PNG } = require('pngjs');
+const { buildMaskBitmap } = require('./masks');
+
+/**
+ * Comparing screenshots of different sizes
+ *
+ * When a page grows or shrinks, both screenshots are placed top-left on a
+ * common canvas. The overlapping area is diffed as usual; the rest is a band
+ * that only one side has, drawn tinted in the diff image: green where the
+ * after screenshot added content, blue where it lost content.
+ */
+
+const ADDED_COLOR = { r: 0, g: 200, b: 83 };
+const REMOVED_COLOR = { r: 41, g: 121, b: 255 };
+
+/**
+ * Top-left width x height of an image (the image itself when it already has that size)
+ */
+function cropImage(png, width, height) {
+  if (png.width === width && png.height === height) return png;
+
+  const cropped = new PNG({ width, height });
+  PNG.bitblt(png, cropped, 0, 0, width, height, 0, 0);
+  return cropped;
+}
+
+/**
+ * Compose the overlap diff and the added/removed bands on the common canvas
+ * Band pixels under an ignored region aren't counted.
+ * @param {PNG} overlapDiff - Diff of the overlapping area
+ * @param {PNG} before - Full before image
+ * @param {PNG} after - Full after image
+ * @param {Array<Object>} regions - Ignored regions `{ x, y, width, height }`
+ * @returns {{ diff: PNG, mask: Uint8Array, addedPixels: number, removedPixels: number }}
+ */
+function drawSizeBands(overlapDiff, before, after, regions = []) {
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const diff = new PNG({ width, height });
+  const mask = buildMaskBitmap(width, height, regions);
+  PNG.bitblt(overlapDiff, diff, 0, 0, overlapDiff.width, overlapDiff.height, 0, 0);
+
+  let addedPixels = 0;
+  let removedPixels = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (x < overlapDiff.width && y < overlapDiff.height) continue;
+
+      const inBefore = x < before.width && y < before.height;
+      const inAfter = x < after.width && y < after.height;
+      // Corner that neither image covers stays transparent
+      if (!inBefore && !inAfter) continue;
+
+      const source = inAfter ? after : before;
+      const color = inAfter ? ADDED_COLOR : REMOVED_COLOR;
+      const from = (y * source.width + x) * 4;
+      const to = (y * width + x) * 4;
+      diff.data[to] = Math.round((source.data[from] + color.r) / 2);
+      diff.data[to + 1] = Math.round((source.data[from + 1] + color.g) / 2);
+      diff.data[to + 2] = Math.round((source.data[from + 2] + color.b) / 2);
+      diff.data[to + 3] = 255;
+
+      if (mask[y * width + x]) continue;
+      if (inAfter) {
+        addedPixels++;
+      } else {
+        removedPixels++;
+      }
+    }
+  }
+
+  return { diff, mask, addedPixels, removedPixels };
+}
+
+module.exports = {
+  ADDED_COLOR,
+  REMOVED_COLOR,
+  cropImage,
+  drawSizeBands
+};
@@ -0,0 +1,153 @@
+/**
+ * Deterministic rendering for captures
+ * Freezes animations and carets, pins the clock and timezone, seeds Math.random,
+ * pauses media at frame 0 and waits for web fonts. Shared by both engines:
+ * init scripts run through Playwright's addInitScript / Puppeteer's evaluateOnNewDocument.
+ */
+
+const DEFAULT_STABILIZATION = {
+  freezeAnimations: true,
+  hideCaret: true,
+  clock: '2024-01-01T12:00:00.000Z',
+  tickClock: false, // true lets the clock run on from `clock` for pages that wait on elapsed time
+  timezoneId: 'UTC',
+  randomSeed: 42,
+  pauseMedia: true,
+  waitForFonts: true,
+  fontTimeout: 5000
+};
+
+const FREEZE_CSS = `
+  *, *::before, *::after {
+    animation-delay: -1ms !important;
+    animation-duration: 0s !important;
+    animation-iteration-count: 1 !important;
+    animation-play-state: paused !important;
+    transition-duration: 0s !important;
+    transition-delay: 0s !important;
+    scroll-behavior: auto !important;
+  }
+`;
+
+const CARET_CSS = `
+  *, *::before, *::after {
+    caret-color: transparent !important;
+  }
+`;
+
+/**
+ * Resolve a stabilize option (false, true, undefined or a settings object)
+ * @returns {Object|null} Settings, or null when stabilization is off
+ */
+function resolveStabilization(value) {
+  if (value === false || value === 'false') return null;
+  if (value === true || value === undefined || value === null) return { ...DEFAULT_STABILIZATION };
+  return { ...DEFAULT_STABILIZATION, ...value };
+}
+
+/**
+ * Runs in the page before any page script: pins Date, seeds Math.random and
+ * stops media from auto-playing. With `tickClock` the clock runs on from the fixed time.
+ */
+function stabilizationInitScript(settings) {
+  if (settings.clock) {
+    const NativeDate = Date;
+    const fixedTime = new NativeDate(settings.clock).getTime();
+    const offset = fixedTime - NativeDate.now();
+    const now = settings.tickClock ? () => NativeDate.now() + offset : () => fixedTime;
+
+    function FixedDate(...args) {
+      if (!new.target) {
+        return new NativeDate(now()).toString();
+      }
+      return new NativeDate(...(args.length === 0 ? [now()] : args));
+    }
+    FixedDate.prototype = NativeDate.prototype;
+    FixedDate.now = now;
+    FixedDate.parse = NativeDate.parse;
+    FixedDate.UTC = NativeDate.UTC;
+
+    window.Date = FixedDate;
+  }
+
+  if (settings.randomSeed !== null && settings.randomSeed !== undefined) {
+    // mulberry32
+    let seed = settings.randomSeed >>> 0;
+    Math.random = () => {
+      seed = (seed + 0x6D2B79F5) >>> 0;
+      let t = seed;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  if (settings.pauseMedia) {
+    HTMLMediaElement.prototype.play = function() {
+      this.pause();
+      return Promise.resolve();
+    };
+  }
+}
+
+/**
+ * Register init scripts on a page before navigation
+ */
+async function installStabilization(page, settings) {
+  if (typeof page.addInitScript === 'function') {
+    await page.addInitScript(stabilizationInitScript, settings);
+  } else {
+    await page.evaluateOnNewDocument(stabilizationInitScript, settings);
+    if (settings.timezoneId) {
+      await page.emulateTimezone(settings.timezoneId);
+    }
+  }
+}
+
+/**
+ * Settle the page right before a screenshot
+ */
+async function stabilizePage(page, settings) {
+  const css = [
+    settings.freezeAnimations ? FREEZE_CSS : '',
+    settings.hideCaret ? CARET_CSS : ''
+  ].join('');
+
+  if (css.trim()) {
+    await page.addStyleTag({ content: css });
+  }
+
+  await page.evaluate(async ({ pauseMedia, freezeAnimations, waitForFonts, fontTimeout }) => {
+    if (pauseMedia) {
+      document.querySelectorAll('video, audio').forEach(media => {
+        media.pause();
+        media.currentTime = 0;
+      });
+    }
+
+    // Finish Web Animations API animations that CSS overrides cannot reach
+    if (freezeAnimations && document.getAnimations) {
+      document.getAnimations().forEach(animation => {
+        try {
+          animation.finish();
+        } catch (error) {
+          animation.pause();
+        }
+      });
+    }
+
+    if (waitForFonts && document.fonts) {
+      await Promise.race([
+        document.fonts.ready,
+        new Promise(resolve => setTimeout(resolve, fontTimeout))
+      ]);
+    }
+  }, settings);
+}
+
+module.exports = {
+  DEFAULT_STABILIZATION,
+  resolveStabilization,
+  installStabilization,
+  stabilizePage
+};
@@ -0,0 +1,151 @@
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Minimal static file server for captures of local builds
+ * (`--serve ./dist`, a `storybook-static` directory). Serves files under one
+ * root on 127.0.0.1, directories resolve to their index.html, and nothing
+ * outside the root is reachable. With `spa`, unknown routes without a file
+ * extension get the app shell (index.html) so client-side routing works.
+ */
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.wasm': 'application/wasm'
+};
+
+/**
+ * Resolve a request path to a file under root, or null if it escapes the root
+ */
+function resolveRequestPath(root, requestUrl) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(requestUrl, 'http://localhost').pathname);
+  } catch (error) {
+    return null;
+  }
+
+  // Security: never serve anything outside the root
+  const filePath = path.resolve(root, `.${pathname}`);
+  if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+    return null;
+  }
+  return filePath;
+}
+
+async function findFile(filePath) {
+  const stats = await fs.stat(filePath);
+  if (stats.isDirectory()) {
+    const indexPath = path.join(filePath, 'index.html');
+    await fs.access(indexPath);
+    return indexPath;
+  }
+  return filePath;
+}
+
+/**
+ * SPA fallback file for a missing path: only extension-less routes
+ * (`/dashboard/42`), so missing assets still 404
+ */
+function fallbackFor(root, filePath, spa) {
+  if (!spa || path.extname(filePath)) return null;
+  return path.resolve(root, spa === true ? 'index.html' : spa);
+}
+
+/**
+ * Serve a directory until `close()` is called
+ * @param {string} dir - Directory to serve
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on (default: any free port)
+ * @param {boolean|string} [options.spa] - Answer unknown routes with index.html (or this file)
+ * @param {Object} [options.headers] - Extra headers sent with every response
+ * @returns {Promise<Object>} `{ url, port, root, close }`
+ */
+async function startStaticServer(dir, options = {}) {
+  const root = path.resolve(dir);
+  const stats = await fs.stat(root).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw new Error(`Cannot serve ${dir}: not a directory`);
+  }
+  const headers = options.headers || {};
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { ...headers, Allow: 'GET, HEAD' });
+      res.end();
+      return;
+    }
+
+    const filePath = resolveRequestPath(root, req.url);
+    if (!filePath) {
+      res.writeHead(403, headers);
+      res.end('Forbidden');
+      return;
+    }
+
+    let file;
+    try {
+      file = await findFile(filePath);
+    } catch (error) {
+      file = fallbackFor(root, filePath, options.spa);
+    }
+
+    try {
+      if (!file) throw new Error('Not found');
+      const body = await fs.readFile(file);
+      res.writeHead(200, {
+        'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+        'Content-Length': body.length,
+        'Cache-Control': 'no-cache',
+        ...headers
+      });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    } catch (error) {
+      res.writeHead(404, headers);
+      res.end('Not found');
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port || 0, '127.0.0.1', resolve);
+  });
+
+  const { port } = server.address();
+  return {
+    url: `http://127.0.0.1:${port}`,
+    port,
+    root,
+    close: () => new Promise(resolve => {
+      server.close(() => resolve());
+      // Browsers keep connections alive; drop them so close() returns promptly
+      server.closeAllConnections();
+    })
+  };
+}
+
+module.exports = {
+  MIME_TYPES,
+  resolveRequestPath,
+  startStaticServer
+};
@@ -0,0 +1,242 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { globToRegExp } = require('./crawler');
+const { toList } = require('./config-loader');
+
+/**
+ * Storybook story capture for `vrt storybook`
+ *
+ * Reads the story index of a running Storybook (URL) or a static build
+ * (`storybook-static` directory): `index.json` (Storybook 7+) or `stories.json`
+ * (Storybook 6). Each story's iframe (`iframe.html?id=<story>&viewMode=story`)
+ * is captured on its own into `<capture>/<story-id>/`, so every story compares
+ * and baselines like a page. Stories tune their capture with a `vrt` parameter:
+ *
+ *   parameters: { vrt: { skip: true } }
+ *   parameters: { vrt: { viewports: ['mobile', '390x844@3'], masks: ['.clock'], fullPage: true, delay: 300 } }
+ *
+ * or skip with the `vrt-skip` tag (Storybook 7+ tags are part of index.json).
+ */
+
+const DEFAULT_STORYBOOK = {
+  include: [],    // story id / title globs to capture (default: all)
+  exclude: [],    // story id / title globs to skip
+  fullPage: false,
+  // Storybook adds sb-show-main once a story rendered (sb-show-errordisplay when it threw)
+  waitFor: 'body.sb-show-main, body.sb-show-errordisplay',
+  timeout: 15000
+};
+
+const INDEX_FILES = ['index.json', 'stories.json'];
+const SKIP_TAG = 'vrt-skip';
+
+/**
+ * Base URL of a Storybook, without a trailing slash or iframe.html/index.html
+ */
+function storybookBaseUrl(url) {
+  return url.replace(/[?#].*$/, '').replace(/\/(iframe|index)\.html$/, '').replace(/\/+$/, '');
+}
+
+/**
+ * Normalize a Storybook index (v3 stories.json, v4/v5 index.json) into stories
+ * @returns {Array<Object>} `{ id, title, name, tags, vrt }`, docs entries dropped
+ */
+function parseStoryIndex(index) {
+  const entries = index && (index.entries || index.stories);
+  if (!entries || typeof entries !== 'object') {
+    throw new Error('Not a Storybook index: expected `entries` (index.json) or `stories` (stories.json)');
+  }
+
+  return Object.values(entries)
+    .filter(entry => {
+      if (entry.type) return entry.type === 'story';
+      return !(entry.parameters && entry.parameters.docsOnly);
+    })
+    .map(entry => ({
+      id: entry.id,
+      title: entry.title || entry.kind,
+      name: entry.name || entry.story,
+      tags: entry.tags || [],
+      vrt: (entry.parameters && entry.parameters.vrt) || {}
+    }));
+}
+
+/**
+ * Read the story index from a Storybook URL or a static build directory
+ */
+async function loadStoryIndex(source, options = {}) {
+  const timeout = options.timeout || DEFAULT_STORYBOOK.timeout;
+  const errors = [];
+
+  for (const file of INDEX_FILES) {
+    try {
+      if (/^https?:\/\//i.test(source)) {
+        const response = await fetch(`${storybookBaseUrl(source)}/${file}`, {
+          signal: AbortSignal.timeout(timeout)
+        });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return parseStoryIndex(await response.json());
+      }
+      return parseStoryIndex(JSON.parse(await fs.readFile(path.join(source, file), 'utf8')));
+    } catch (error) {
+      errors.push(`${file}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`No Storybook index found at ${source} (${errors.join('; ')})`);
+}
+
+function matchesStory(story, globs) {
+  const names = [story.id, `${story.title}/${story.name}`];
+  return globs.some(glob => {
+    const pattern = globToRegExp(glob);
+    return names.some(name => pattern.test(name));
+  });
+}
+
+/**
+ * Apply include/exclude globs (matched against the story id or `Title/Name`)
+ * and skips from parameters or tags
+ * @returns {Object} `{ stories, skipped }`
+ */
+function selectStories(stories, settings = {}) {
+  const include = toList(settings.include);
+  const exclude = toList(settings.exclude);
+  const selected = [];
+  const skipped = [];
+
+  for (const story of stories) {
+    if (include.length > 0 && !matchesStory(story, include)) continue;
+    if (exclude.length > 0 && matchesStory(story, exclude)) continue;
+
+    if (story.vrt.skip || story.tags.includes(SKIP_TAG)) {
+      skipped.push(story);
+    } else {
+      selected.push(story);
+    }
+  }
+
+  return { stories: selected, skipped };
+}
+
+/**
+ * Iframe URL that renders one story without the Storybook UI
+ */
+function storyUrl(baseUrl, id) {
+  return `${storybookBaseUrl(baseUrl)}/iframe.html?id=${encodeURIComponent(id)}&viewMode=story`;
+}
+
+/**
+ * Runs in the Storybook preview: the `vrt` parameter of each story.
+ * index.json (Storybook 7+) carries no parameters, so they are read from the
+ * preview's story store.
+ */
+async function readVrtParametersInPage(ids) {
+  const preview = window.__STORYBOOK_PREVIEW__;
+  const store = preview && (preview.storyStoreValue || preview.storyStore);
+  const parameters = {};
+  if (!store || typeof store.loadStory !== 'function') return parameters;
+
+  for (const storyId of ids) {
+    try {
+      const story = await store.loadStory({ storyId });
+      const vrt = story && story.parameters && story.parameters.vrt;
+      if (vrt) parameters[storyId] = JSON.parse(JSON.stringify(vrt));
+    } catch (error) {
+      // Broken story files still get captured (and show their error)
+    }
+  }
+  return parameters;
+}
+
+/**
+ * Fill in `vrt` parameters from the running preview
+ * @param {Object} vrt - PlaywrightVRT instance (its browser pool is reused)
+ */
+async function loadPreviewParameters(vrt, baseUrl, stories, options = {}) {
+  const timeout = options.timeout || DEFAULT_STORYBOOK.timeout;
+  const pool = vrt.getBrowserPool();
+
+  const parameters = await pool.withContext(options.browser || 'chromium', vrt.getHttpContextOptions(), async context => {
+    const page = await context.newPage();
+    await page.goto(`${storybookBaseUrl(baseUrl)}/iframe.html`, { waitUntil: 'domcontentloaded', timeout });
+    try {
+      await page.waitForFunction(() => {
+        const preview = window.__STORYBOOK_PREVIEW__;
+        return preview && (preview.storyStoreValue || preview.storyStore);
+      }, null, { timeout });
+    } catch (error) {
+      return {};
+    }
+    return page.evaluate(readVrtParametersInPage, stories.map(story => story.id));
+  });
+
+  return stories.map(story => ({ ...story, vrt: { ...story.vrt, ...(parameters[story.id] || {}) } }));
+}
+
+/**
+ * Capture each story into `<outputDir>/<story-id>/`
+ * @param {Object} vrt - PlaywrightVRT instance
+ * @param {Array<Object>} stories - Selected stories
+ * @param {Object} options - `{ baseUrl, outputDir, viewports, masks, browsers, fullPage, waitFor,
+ *   resolveViewports, onStory }`; `resolveViewports` turns story viewport names into viewports
+ * @returns {Array<Object>} `{ story, outputDir, results }` per story
+ */
+async function captureStories(vrt, stories, options) {
+  const captured = [];
+
+  for (const [index, story] of stories.entries()) {
+    const storyDir = path.join(options.outputDir, vrt.sanitizePathComponent(story.id));
+    if (options.onStory) options.onStory(story, index, stories.length);
+
+    const viewports = story.vrt.viewports && options.resolveViewports
+      ? options.resolveViewports(story.vrt.viewports)
+      : options.viewports;
+
+    const results = await vrt.capture(storyUrl(options.baseUrl, story.id), {
+      outputDir: storyDir,
+      viewports,
+      fullPage: story.vrt.fullPage !== undefined ? story.vrt.fullPage : options.fullPage,
+      masks: [...toList(options.masks), ...toList(story.vrt.masks)],
+      waitFor: story.vrt.waitFor || options.waitFor,
+      delay: story.vrt.delay,
+      browsers: options.browsers
+    });
+
+    captured.push({ story, outputDir: storyDir, results });
+  }
+
+  return captured;
+}
+
+/**
+ * Page manifest for the captured stories: one page per story id, so
+ * `--manifest` recaptures them and `baseline update` keeps a folder per story
+ */
+function buildStoryManifest(stories, baseUrl) {
+  const origin = new URL(baseUrl).origin;
+  return {
+    generatedAt: new Date().toISOString(),
+    startUrl: storybookBaseUrl(baseUrl),
+    origin,
+    pages: stories.map(story => ({
+      name: story.id,
+      url: storyUrl(baseUrl, story.id).slice(origin.length),
+      title: `${story.title}/${story.name}`
+    }))
+  };
+}
+
+module.exports = {
+  DEFAULT_STORYBOOK,
+  storybookBaseUrl,
+  parseStoryIndex,
+  loadStoryIndex,
+  selectStories,
+  storyUrl,
+  loadPreviewParameters,
+  captureStories,
+  buildStoryManifest
+};
@@ -0,0 +1,280 @@
+/**
+ * Popup, cookie banner and chat widget suppression
+ * Hides known consent managers and chat widgets, blocks their third-party
+ * requests and pre-seeds consent cookies so banners never open. Shared by both
+ * engines: the hide stylesheet is an init script (Playwright's addInitScript /
+ * Puppeteer's evaluateOnNewDocument) so banners never cover the page, not even
+ * while it settles. Which rules fired is collected right before the screenshot.
+ *
+ *   suppress: true                                   // built-in rules (default)
+ *   suppress: false
+ *   suppress: {
+ *     rules: ['onetrust', 'intercom', 'ads'],        // true = every default rule
+ *     hide: ['.newsletter-modal'],                   // extra CSS selectors
+ *     block: ['*widget.example-chat.com*'],          // extra URL patterns
+ *     cookies: [{ name: 'consent', value: 'all' }]   // seeded for the page's origin
+ *   }
+ *
+ * URL patterns match the full request URL; `*` matches anything and a pattern
+ * without `*` matches anywhere in the URL.
+ */
+
+const { cookiesForUrl } = require('./cookies');
+
+// Fixed so seeded consent cookies don't change between runs
+const CONSENT_DATE = '2024-01-01T12:00:00.000Z';
+
+const BUILTIN_RULES = {
+  // Consent managers
+  onetrust: {
+    selectors: ['#onetrust-consent-sdk', '#onetrust-banner-sdk'],
+    cookies: [{ name: 'OptanonAlertBoxClosed', value: CONSENT_DATE }]
+  },
+  cookiebot: {
+    selectors: ['#CybotCookiebotDialog', '#CybotCookiebotDialogBodyUnderlay'],
+    // -1: consent not required, so the dialog never opens
+    cookies: [{ name: 'CookieConsent', value: '-1' }]
+  },
+  osano: {
+    selectors: ['.osano-cm-window', '.osano-cm-dialog']
+  },
+  cookieconsent: {
+    selectors: ['.cc-window', '.cc-banner', '.cc-revoke'],
+    cookies: [{ name: 'cookieconsent_status', value: 'dismiss' }]
+  },
+  didomi: {
+    selectors: ['#didomi-host', '.didomi-popup-backdrop'],
+    css: 'html.didomi-popup-open, body.didomi-popup-open { overflow: auto !important; }'
+  },
+  quantcast: {
+    selectors: ['.qc-cmp2-container', '#qc-cmp2-container']
+  },
+  trustarc: {
+    selectors: ['#truste-consent-track', '.truste_overlay', '.truste_box_overlay']
+  },
+  usercentrics: {
+    selectors: ['#usercentrics-root', '#usercentrics-cmp-ui']
+  },
+  'generic-consent': {
+    selectors: [
+      '#cookie-banner', '.cookie-banner', '#cookie-consent', '.cookie-consent',
+      '#cookie-notice', '.cookie-notice', '[aria-label="cookieconsent"]'
+    ]
+  },
+
+  // Chat widgets
+  intercom: {
+    selectors: ['#intercom-container', '.intercom-lightweight-app', '.intercom-launcher'],
+    block: ['*widget.intercom.io*', '*js.intercomcdn.com*']
+  },
+  drift: {
+    selectors: ['#drift-widget-container', '#drift-frame-controller', '#drift-frame-chat'],
+    block: ['*js.driftt.com*']
+  },
+  zendesk: {
+    selectors: ['iframe#launcher', 'iframe#webWidget'],
+    block: ['*static.zdassets.com*']
+  },
+  hubspot: {
+    selectors: ['#hubspot-messages-iframe-container'],
+    block: ['*js.usemessages.com*']
+  },
+  tawk: {
+    selectors: ['.tawk-min-container', '#tawkchat-container'],
+    block: ['*embed.tawk.to*']
+  },
+  crisp: {
+    selectors: ['.crisp-client'],
+    block: ['*client.crisp.chat*']
+  },
+
+  // Ad networks (not a default rule; also enabled by the `blockAds` option)
+  ads: {
+    block: ['doubleclick', 'googlesyndication']
+  }
+};
+
+const DEFAULT_RULES = Object.keys(BUILTIN_RULES).filter(name => name !== 'ads');
+
+function normalizeRule(name, rule) {
+  return {
+    name,
+    selectors: rule.selectors || [],
+    css: rule.css || '',
+    block: rule.block || [],
+    cookies: rule.cookies || []
+  };
+}
+
+function resolveRules(rules) {
+  if (rules === true || rules === undefined) return DEFAULT_RULES.map(name => normalizeRule(name, BUILTIN_RULES[name]));
+  if (!rules) return [];
+
+  return rules.map(rule => {
+    if (typeof rule === 'object') {
+      if (!rule.name) {
+        throw new Error(`Invalid suppression rule: ${JSON.stringify(rule)} (expected a name)`);
+      }
+      return normalizeRule(rule.name, rule);
+    }
+    if (!BUILTIN_RULES[rule]) {
+      throw new Error(`Unknown suppression rule "${rule}". Available: ${Object.keys(BUILTIN_RULES).join(', ')}`);
+    }
+    return normalizeRule(rule, BUILTIN_RULES[rule]);
+  });
+}
+
+/**
+ * Resolve a suppress option (false, true, undefined or a settings object)
+ * @param {*} value
+ * @param {Array<string>} [extraRules] - Rules added even when suppression is off (e.g. 'ads' for blockAds)
+ * @returns {Object|null} `{ rules }`, or null when nothing is suppressed
+ */
+function resolveSuppression(value, extraRules = []) {
+  const off = value === false || value === 'false';
+  const settings = off || value === true || value === undefined || value === null ? {} : value;
+
+  const rules = off ? [] : resolveRules(settings.rules);
+  for (const name of extraRules) {
+    if (!rules.some(rule => rule.name === name)) rules.push(...resolveRules([name]));
+  }
+
+  const toList = list => (Array.isArray(list) ? list : list ? [list] : []);
+  const custom = normalizeRule('custom', {
+    selectors: toList(settings.hide),
+    block: toList(settings.block),
+    cookies: toList(settings.cookies)
+  });
+  if (custom.selectors.length || custom.block.length || custom.cookies.length) {
+    rules.push(custom);
+  }
+
+  for (const cookie of rules.flatMap(rule => rule.cookies)) {
+    if (!cookie.name || cookie.value === undefined) {
+      throw new Error(`Invalid suppression cookie: ${JSON.stringify(cookie)} (expected name and value)`);
+    }
+  }
+
+  return rules.length > 0 ? { rules } : null;
+}
+
+function patternToRegExp(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(pattern.includes('*') ? `^${escaped}$` : escaped);
+}
+
+/**
+ * The rule blocking a request URL, if any
+ */
+function findBlockingRule(settings, url) {
+  return settings.rules.find(rule => rule.block.some(pattern => patternToRegExp(pattern).test(url))) || null;
+}
+
+/**
+ * Stylesheet hiding every rule's selectors (one CSS rule per selector, so a
+ * selector a browser doesn't support can't void the others)
+ */
+function suppressionCss(settings) {
+  return settings.rules
+    .flatMap(rule => [
+      ...rule.selectors.map(selector => `${selector} { display: none !important; }`),
+      rule.css
+    ])
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Runs in the page before any page script: add the hide stylesheet as soon as there is a document
+function suppressionInitScript(css) {
+  const insert = () => {
+    const style = document.createElement('style');
+    style.setAttribute('data-vrt-suppress', '');
+    style.textContent = css;
+    document.documentElement.appendChild(style);
+  };
+
+  if (document.documentElement) {
+    insert();
+  } else {
+    new MutationObserver((records, observer) => {
+      if (document.documentElement) {
+        observer.disconnect();
+        insert();
+      }
+    }).observe(document, { childList: true });
+  }
+}
+
+/**
+ * Register blocking, the hide stylesheet and consent cookies on a page before navigation
+ * @param {Page} page - Playwright or Puppeteer page
+ * @param {Object} settings - Resolved suppression settings
+ * @param {string} url - The page about to be loaded (consent cookies are set for its origin)
+ * @returns {Promise<Object>} Tracker `{ settings, blocked, cookies }` for collectSuppression
+ */
+async function installSuppression(page, settings, url) {
+  const tracker = { settings, blocked: {}, cookies: [] };
+  const block = request => {
+    const rule = findBlockingRule(settings, request.url());
+    if (rule) tracker.blocked[rule.name] = (tracker.blocked[rule.name] || 0) + 1;
+    return Boolean(rule);
+  };
+
+  const blocking = settings.rules.some(rule => rule.block.length > 0);
+  const css = suppressionCss(settings);
+  const cookies = cookiesForUrl(settings.rules.flatMap(rule => rule.cookies), url);
+
+  if (typeof page.route === 'function') {
+    if (blocking) {
+      // fallback() hands other requests to routes added before this one, such as HAR replay
+      await page.route('**/*', route => (block(route.request()) ? route.abort() : route.fallback()));
+    }
+    if (css) await page.addInitScript(suppressionInitScript, css);
+    if (cookies.length > 0) await page.context().addCookies(cookies);
+  } else {
+    if (blocking) {
+      await page.setRequestInterception(true);
+      page.on('request', request => (block(request) ? request.abort() : request.continue()));
+    }
+    if (css) await page.evaluateOnNewDocument(suppressionInitScript, css);
+    if (cookies.length > 0) await page.setCookie(...cookies);
+  }
+
+  tracker.cookies = cookies.map(cookie => cookie.name);
+  return tracker;
+}
+
+/**
+ * Which rules fired on the page: elements hidden now plus requests blocked so far
+ * @returns {Promise<Object|null>} `{ rules: [{ name, hidden, blocked }], cookies }`, or null when nothing fired
+ */
+async function collectSuppression(page, tracker) {
+  const counts = await page.evaluate(rules => rules.map(rule => {
+    let hidden = 0;
+    for (const selector of rule.selectors) {
+      try {
+        hidden += document.querySelectorAll(selector).length;
+      } catch (error) {
+        // Unsupported selector: it can't have hidden anything either
+      }
+    }
+    return hidden;
+  }), tracker.settings.rules.map(rule => ({ selectors: rule.selectors })));
+
+  const rules = tracker.settings.rules
+    .map((rule, index) => ({ name: rule.name, hidden: counts[index], blocked: tracker.blocked[rule.name] || 0 }))
+    .filter(rule => rule.hidden > 0 || rule.blocked > 0);
+
+  if (rules.length === 0 && tracker.cookies.length === 0) return null;
+  return { rules, cookies: tracker.cookies };
+}
+
+module.exports = {
+  BUILTIN_RULES,
+  DEFAULT_RULES,
+  resolveSuppression,
+  findBlockingRule,
+  suppressionCss,
+  installSuppression,
+  collectSuppression
+};
@@ -0,0 +1,189 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Visual timeline capture
+ *
+ * A timeline is a series of viewport frames taken at fixed offsets from the start
+ * of navigation, repeated for each network profile so slow-connection loading
+ * states (skeletons, layout shifts, late fonts) become visible. Frames are written
+ * to `<outputDir>/timeline/<browser>-<viewport>-<network>/<time>ms.png` and listed
+ * in `<outputDir>/timeline/timeline.json`, which the comparison report turns into
+ * a filmstrip.
+ */
+
+const DEFAULT_TIMELINE = {
+  intervals: [0, 250, 500, 1000, 2000, 3000, 5000],
+  networks: ['none']
+};
+
+// Throughput in bytes/s, latency in ms (Chrome DevTools presets)
+const NETWORK_PROFILES = {
+  none: null,
+  'fast-3g': { latency: 563, downloadThroughput: 184320, uploadThroughput: 86400 },
+  'slow-3g': { latency: 2000, downloadThroughput: 51200, uploadThroughput: 51200 }
+};
+
+const MANIFEST_FILE = 'timeline.json';
+
+/**
+ * Resolve a timeline option (true, an intervals list or a settings object)
+ * @returns {Object|null} `{ intervals, networks: [{ name, ...conditions }] }`, or null when off
+ */
+function resolveTimeline(value) {
+  if (!value) return null;
+
+  const settings = Array.isArray(value)
+    ? { ...DEFAULT_TIMELINE, intervals: value }
+    : { ...DEFAULT_TIMELINE, ...(value === true ? {} : value) };
+
+  const intervals = settings.intervals.map(Number);
+  if (intervals.some(ms => Number.isNaN(ms) || ms < 0)) {
+    throw new Error(`Invalid timeline intervals: ${settings.intervals.join(', ')}`);
+  }
+
+  const networks = settings.networks.map(network => {
+    if (typeof network === 'object') {
+      if (!network.name) {
+        throw new Error(`Custom network profile needs a name: ${JSON.stringify(network)}`);
+      }
+      return network;
+    }
+    if (!(network in NETWORK_PROFILES)) {
+      throw new Error(`Unknown network profile "${network}". Available: ${Object.keys(NETWORK_PROFILES).join(', ')}`);
+    }
+    return { name: network, ...NETWORK_PROFILES[network] };
+  });
+
+  return { intervals: [...new Set(intervals)].sort((a, b) => a - b), networks };
+}
+
+/**
+ * Throttle a Playwright page. Chromium gets full emulation over CDP; other
+ * browsers only get the added latency (via a fall-through route)
+ */
+async function applyNetworkProfile(page, context, browserType, network) {
+  if (!network || (!network.latency && !network.downloadThroughput)) return;
+
+  if (['chromium', 'chrome', 'edge'].includes(browserType)) {
+    const cdp = await context.newCDPSession(page);
+    await cdp.send('Network.enable');
+    await cdp.send('Network.emulateNetworkConditions', {
+      offline: false,
+      latency: network.latency || 0,
+      downloadThroughput: network.downloadThroughput || -1,
+      uploadThroughput: network.uploadThroughput || -1
+    });
+    return;
+  }
+
+  console.warn(`Bandwidth throttling is Chromium-only; ${browserType} gets ${network.latency || 0}ms latency only`);
+  await page.route('**/*', async route => {
+    await new Promise(resolve => setTimeout(resolve, network.latency || 0));
+    await route.fallback();
+  });
+}
+
+/**
+ * Take a viewport frame at each interval, measured from `startTime`
+ * @returns {Array<Object>} `{ time, actualTime, path }` per frame
+ */
+async function captureFrames(page, frameDir, intervals, startTime) {
+  await fs.mkdir(frameDir, { recursive: true });
+  const frames = [];
+
+  for (const interval of intervals) {
+    const wait = interval - (Date.now() - startTime);
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    const framePath = path.join(frameDir, `${interval}ms.png`);
+    const actualTime = Date.now() - startTime;
+    try {
+      await page.screenshot({ path: framePath, fullPage: false, animations: 'allow' });
+      frames.push({ time: interval, actualTime, path: framePath });
+    } catch (error) {
+      // Frames taken mid-navigation can fail; keep the rest of the strip
+      frames.push({ time: interval, actualTime, error: error.message });
+    }
+  }
+
+  return frames;
+}
+
+/**
+ * Add runs to `<timelineDir>/timeline.json`, replacing runs with the same id.
+ * Frame paths are stored relative to the timeline directory so captures can be moved.
+ */
+async function writeTimelineManifest(timelineDir, runs) {
+  const manifestPath = path.join(timelineDir, MANIFEST_FILE);
+  const existing = await readTimelineManifest(timelineDir);
+  const ids = new Set(runs.map(run => run.id));
+
+  const stored = runs.map(run => ({
+    ...run,
+    frames: run.frames.map(({ path: framePath, ...frame }) => ({
+      ...frame,
+      ...(framePath ? { file: path.relative(timelineDir, framePath) } : {})
+    }))
+  }));
+
+  await fs.mkdir(timelineDir, { recursive: true });
+  await fs.writeFile(manifestPath, JSON.stringify({
+    runs: [...existing.runs.filter(run => !ids.has(run.id)), ...stored]
+  }, null, 2));
+
+  return manifestPath;
+}
+
+async function readTimelineManifest(timelineDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(timelineDir, MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    return { runs: [] };
+  }
+}
+
+/**
+ * Pair the timeline runs of two capture directories for the filmstrip report.
+ * Frame paths are made relative to the report directory.
+ */
+async function buildFilmstrips(beforeDir, afterDir, reportDir) {
+  const beforeTimeline = path.join(beforeDir, 'timeline');
+  const afterTimeline = path.join(afterDir, 'timeline');
+  const before = await readTimelineManifest(beforeTimeline);
+  const after = await readTimelineManifest(afterTimeline);
+  const ids = [...new Set([...before.runs, ...after.runs].map(run => run.id))];
+
+  const toStrip = (run, timelineDir) => run && run.frames.map(frame => ({
+    time: frame.time,
+    error: frame.error,
+    src: frame.file ? path.relative(reportDir, path.join(timelineDir, frame.file)) : null
+  }));
+
+  return ids.map(id => {
+    const beforeRun = before.runs.find(run => run.id === id);
+    const afterRun = after.runs.find(run => run.id === id);
+    const run = afterRun || beforeRun;
+    return {
+      id,
+      browser: run.browser,
+      viewport: run.viewport,
+      network: run.network,
+      before: toStrip(beforeRun, beforeTimeline),
+      after: toStrip(afterRun, afterTimeline)
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_TIMELINE,
+  NETWORK_PROFILES,
+  resolveTimeline,
+  applyNetworkProfile,
+  captureFrames,
+  writeTimelineManifest,
+  readTimelineManifest,
+  buildFilmstrips
+};
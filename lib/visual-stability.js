@@ -0,0 +1,121 @@
+const fs = require('fs').promises;
+const sharp = require('sharp');
+
+/**
+ * Visual-stability wait before each screenshot
+ *
+ * Instead of sleeping for a fixed time, take cheap viewport snapshots until
+ * `frames` consecutive snapshots match within `tolerance` (the share of
+ * changed pixels on a downscaled grayscale copy), or give up after `maxWait`.
+ * Works with Playwright and Puppeteer pages. How long each screenshot took to
+ * settle is saved in a `<screenshot>.settle.json` sidecar and shown in the
+ * comparison report.
+ */
+
+const DEFAULT_SETTLE = {
+  frames: 3,        // consecutive matching snapshots
+  interval: 100,    // ms between snapshots
+  tolerance: 0.001, // share of pixels allowed to change between snapshots
+  maxWait: 5000,    // ms before giving up
+  sampleWidth: 320  // snapshots are downscaled to this width before comparing
+};
+
+// Per-pixel grayscale difference that counts as a change (ignores AA noise)
+const PIXEL_THRESHOLD = 16;
+
+/**
+ * Resolve a settle option: false (no wait), a number (legacy fixed delay in ms),
+ * true/undefined (defaults) or a settings object
+ * @returns {Object|null} Settings (`{ fixedDelay }` for a fixed wait), or null when off
+ */
+function resolveSettle(value) {
+  if (value === false || value === 'false') return null;
+  if (typeof value === 'number') return { fixedDelay: value };
+  if (value === true || value === undefined || value === null) return { ...DEFAULT_SETTLE };
+  return { ...DEFAULT_SETTLE, ...value };
+}
+
+async function toSample(buffer, width) {
+  return sharp(buffer)
+    .resize({ width, withoutEnlargement: true })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Share of pixels (0-1) that differ between two snapshots; 1 when sizes differ
+ */
+async function frameDifference(bufferA, bufferB, sampleWidth = DEFAULT_SETTLE.sampleWidth) {
+  const [a, b] = await Promise.all([toSample(bufferA, sampleWidth), toSample(bufferB, sampleWidth)]);
+  if (a.info.width !== b.info.width || a.info.height !== b.info.height) return 1;
+
+  let changed = 0;
+  for (let i = 0; i < a.data.length; i++) {
+    if (Math.abs(a.data[i] - b.data[i]) > PIXEL_THRESHOLD) changed++;
+  }
+  return changed / a.data.length;
+}
+
+/**
+ * Wait until the page stops changing
+ * @returns {Object} `{ settled, duration, frames, maxWait }`; `settled` is false when
+ *   maxWait ran out first (`frames` is the number of snapshots taken)
+ */
+async function waitForVisualStability(page, settings) {
+  const startedAt = Date.now();
+
+  if (settings.fixedDelay !== undefined) {
+    await new Promise(resolve => setTimeout(resolve, settings.fixedDelay));
+    return { settled: true, duration: Date.now() - startedAt, frames: 0, fixedDelay: settings.fixedDelay };
+  }
+
+  let previous = await page.screenshot({ type: 'png', fullPage: false });
+  let frames = 1;
+  let matching = 1;
+
+  while (matching < settings.frames) {
+    const elapsed = Date.now() - startedAt;
+    if (elapsed >= settings.maxWait) {
+      return { settled: false, duration: elapsed, frames, maxWait: settings.maxWait };
+    }
+
+    await new Promise(resolve => setTimeout(resolve, Math.min(settings.interval, settings.maxWait - elapsed)));
+    const current = await page.screenshot({ type: 'png', fullPage: false });
+    frames++;
+
+    const difference = await frameDifference(previous, current, settings.sampleWidth);
+    matching = difference <= settings.tolerance ? matching + 1 : 1;
+    previous = current;
+  }
+
+  return { settled: true, duration: Date.now() - startedAt, frames, maxWait: settings.maxWait };
+}
+
+function getSettlePath(screenshotPath) {
+  return screenshotPath.replace(/\.png$/i, '.settle.json');
+}
+
+async function writeSettle(screenshotPath, settle) {
+  const sidecarPath = getSettlePath(screenshotPath);
+  await fs.writeFile(sidecarPath, JSON.stringify(settle, null, 2));
+  return sidecarPath;
+}
+
+async function readSettle(screenshotPath) {
+  try {
+    return JSON.parse(await fs.readFile(getSettlePath(screenshotPath), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_SETTLE,
+  resolveSettle,
+  frameDifference,
+  waitForVisualStability,
+  getSettlePath,
+  writeSettle,
+  readSettle
+};
@@ -3,6 +3,48 @@ const fs = require('fs').promises;
 const path = require('path');
 const { PNG } = require('pngjs');
 const pixelmatch = require('pixelmatch').default || require('pixelmatch');
+const { DEFAULT_VIEWPORTS } = require('./config-loader');
+const {
+  parseMasks,
+  applyCaptureMasks,
+  resolveCompareRegions,
+  buildMaskBitmap,
+  fillMaskedPixels
+} = require('./masks');
+const { readComponentMeta } = require('./components');
+const { readPageMetadata, environmentChanged, locateChangedElements } = require('./page-metadata');
+const { buildFilmstrips } = require('./timeline');
+const { readSettle } = require('./visual-stability');
+const { parseVariant, parseFilter, matchesFilter } = require('./emulation');
+const { Semaphore } = require('./browser-pool');
+const { startStaticServer } = require('./static-server');
+const { FAILURES_FILE, FAILURES_DIR, readFailures } = require('./job-failures');
+const { cropImage, drawSizeBands } = require('./size-bands');
+const { resolveHttpSettings } = require('./http-settings');
+
+// Folders a capture writes next to its screenshots that are not page folders
+const CAPTURE_SUBDIRS = ['timeline', 'videos', FAILURES_DIR];
+
+/**
+ * Folders of a capture directory that hold screenshots: the directory itself ('')
+ * and, for multi-page captures, one `<page>` folder per page
+ */
+async function listPageDirs(dir) {
+  const pages = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (!entry.isDirectory() || CAPTURE_SUBDIRS.includes(entry.name)) continue;
+    const files = await fs.readdir(path.join(dir, entry.name));
+    if (files.some(file => file.endsWith('.png') || file === FAILURES_FILE || file === 'timeline')) {
+      pages.push(entry.name);
+    }
+  }
+  return ['', ...pages.sort()];
+}
+
+// `<file>` for the top level, `<page>/<file>` inside a page folder
+function pageFile(page, file) {
+  return page ? `${page}/${file}` : file;
+}
 
 /**
  * Base class for Visual Regression Testing
@@ -16,32 +58,48 @@ class VRTBase extends EventEmitter {
     this.options = {
       baseUrl: options.baseUrl || 'http://localhost:8000',
       outputDir: options.outputDir || './screenshots',
-      viewports: options.viewports || [
-        { name: 'mobile', width: 375, height: 812, deviceScaleFactor: 2 },
-        { name: 'tablet', width: 768, height: 1024, deviceScaleFactor: 2 },
-        { name: 'desktop', width: 1440, height: 900, deviceScaleFactor: 1 },
-        { name: 'desktop-xl', width: 1920, height: 1080, deviceScaleFactor: 1 }
-      ],
+      viewports: options.viewports || DEFAULT_VIEWPORTS,
       aiEnabled: options.aiEnabled !== false,
       parallel: options.parallel || false,
       maxParallel: options.maxParallel || 4,
-      retries: options.retries || 3,
+      retries: options.retries !== undefined ? options.retries : 3,
       timeout: options.timeout || 30000,
       navigationTimeout: options.navigationTimeout || 30000,
       maxConcurrentBrowsers: options.maxConcurrentBrowsers || 3,
+      maxContextsPerBrowser: options.maxContextsPerBrowser || 3,
       memoryThreshold: options.memoryThreshold || 1024 * 1024 * 1024, // 1GB
+      masks: options.masks || [],
+      // Deterministic rendering is opt-in here; capture and baseline runs turn it on from config `stabilize`
+      stabilize: options.stabilize !== undefined ? options.stabilize : false,
+      autoScroll: options.autoScroll !== undefined ? options.autoScroll : true,
+      settle: options.settle !== undefined ? options.settle : true,
+      suppress: options.suppress !== undefined ? options.suppress : true,
+      metadata: options.metadata !== undefined ? options.metadata : true,
       ...options
     };
 
+    // Headers, basic auth, proxy, TLS errors, user agent and cookies of the target
+    this.httpSettings = resolveHttpSettings(this.options.http);
+
     // Initialize AI module with safe fallback
     this.initializeAIModule();
     
     // Initialize BaselineManager with safe fallback
     this.initializeBaselineManager();
     
-    // Resource tracking
+    // Resource tracking: one slot per open browser, released in cleanupBrowser
     this.activeBrowsers = new Set();
-    this.currentBrowserCount = 0;
+    this.browserSlots = new Semaphore(this.options.maxConcurrentBrowsers || 3);
+    this.browserSlotReleases = new Map();
+    this.browserPool = null;
+
+    // Static server for `serve` (started on first capture, stopped in cleanup)
+    this.staticServer = null;
+    this.staticServerStarting = null;
+  }
+
+  get currentBrowserCount() {
+    return this.browserSlots.inUse;
   }
 
   initializeAIModule() {
@@ -85,21 +143,39 @@ class VRTBase extends EventEmitter {
     const memUsage = process.memoryUsage();
     if (memUsage.heapUsed > this.options.memoryThreshold) {
       console.warn(`Memory usage high: ${Math.round(memUsage.heapUsed / 1024 / 1024)}MB`);
-      // Force cleanup of oldest browser if we have multiple
-      if (this.activeBrowsers.size > 1) {
-        const oldestBrowser = this.activeBrowsers.values().next().value;
-        await this.cleanupBrowser(oldestBrowser);
+      // Force cleanup of the oldest browser not in use if we have multiple
+      const oldestIdle = [...this.activeBrowsers].find(browser => (
+        !this.browserPool || !this.browserPool.isBusy(browser)
+      ));
+      if (this.activeBrowsers.size > 1 && oldestIdle) {
+        await this.cleanupBrowser(oldestIdle);
       }
     }
   }
 
   /**
    * Wait for a browser slot to become available
+   * @returns {Function} Release function for the slot
    */
   async waitForBrowserSlot() {
-    while (this.currentBrowserCount >= this.options.maxConcurrentBrowsers) {
+    if (this.browserSlots.available === 0) {
       console.log(`Waiting for browser slot (${this.currentBrowserCount}/${this.options.maxConcurrentBrowsers} in use)...`);
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      // Warm browsers nobody is using give their slot up first
+      if (this.browserPool) {
+        await this.browserPool.evictIdle();
+      }
+    }
+    return this.browserSlots.acquire();
+  }
+
+  /**
+   * Give back the slot held by a browser that has been closed
+   */
+  releaseBrowserSlot(browser) {
+    const release = this.browserSlotReleases.get(browser);
+    if (release) {
+      this.browserSlotReleases.delete(browser);
+      release();
     }
   }
 
@@ -113,6 +189,11 @@ class VRTBase extends EventEmitter {
       try {
         return await operation();
       } catch (error) {
+        // Deterministic failures (e.g. missing HAR entries) won't succeed on retry
+        if (error.retryable === false) {
+          throw error;
+        }
+
         lastError = error;
         console.warn(`Attempt ${i + 1}/${retries + 1} failed: ${error.message}`);
         
@@ -127,6 +208,48 @@ class VRTBase extends EventEmitter {
     throw new Error(`Operation failed after ${retries + 1} attempts. Last error: ${lastError.message}`);
   }
 
+  /**
+   * Start the `serve` static server once and point baseUrl at it
+   * @returns {Promise<Object|null>} The running server, or null when nothing is served
+   */
+  async ensureStaticServer() {
+    if (!this.options.serve) return null;
+    if (!this.staticServerStarting) {
+      const { dir, ...serverOptions } = this.options.serve;
+      this.staticServerStarting = startStaticServer(dir, serverOptions);
+    }
+
+    try {
+      this.staticServer = await this.staticServerStarting;
+    } catch (error) {
+      this.staticServerStarting = null;
+      // Missing build output won't appear on retry
+      error.retryable = false;
+      throw error;
+    }
+    this.options.baseUrl = this.staticServer.url;
+    return this.staticServer;
+  }
+
+  async stopStaticServer() {
+    const starting = this.staticServerStarting;
+    this.staticServer = null;
+    this.staticServerStarting = null;
+    if (starting) {
+      const server = await starting.catch(() => null);
+      if (server) await server.close();
+    }
+  }
+
+  /**
+   * Resolve a page path against the running static server
+   * (absolute URLs are returned unchanged)
+   */
+  resolveServedUrl(pageNameOrUrl) {
+    if (/^[a-z]+:\/\//i.test(pageNameOrUrl)) return pageNameOrUrl;
+    return new URL(pageNameOrUrl.replace(/^(\.\/|\/)*/, '/'), this.staticServer.url).href;
+  }
+
   /**
    * Sleep helper
    */
@@ -134,50 +257,103 @@ class VRTBase extends EventEmitter {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  /**
+   * Paint masked regions over a screenshot and record them in a sidecar file
+   * Masks come from the instance options plus the per-capture `options.masks`
+   */
+  async applyMasks(page, screenshotPath, options = {}) {
+    const masks = [...parseMasks(this.options.masks), ...parseMasks(options.masks)];
+    return applyCaptureMasks(page, screenshotPath, masks, { fullPage: options.fullPage });
+  }
+
   /**
    * Compare two images and generate diff
+   * Regions recorded at capture time (and `options.ignoreRegions`) are excluded
+   * from the difference and drawn hatched in the diff image. Images of different
+   * sizes are compared on a common canvas: the overlap is diffed and the bands only
+   * one side has count as changed (see size-bands.js).
    */
-  async compareImages(beforePath, afterPath, diffPath, threshold) {
+  async compareImages(beforePath, afterPath, diffPath, threshold, options = {}) {
     try {
       // Read images
       const img1 = PNG.sync.read(await fs.readFile(beforePath));
       const img2 = PNG.sync.read(await fs.readFile(afterPath));
 
-      // Ensure images have same dimensions
-      if (img1.width !== img2.width || img1.height !== img2.height) {
-        return {
-          difference: 1,
-          dimensions: { width: img1.width - img2.width, height: img1.height - img2.height },
-          analysisTime: 0,
-          passed: false,
-          error: 'Image dimensions do not match'
-        };
-      }
+      // Diff the area both images cover
+      const width = Math.min(img1.width, img2.width);
+      const height = Math.min(img1.height, img2.height);
+      const before = cropImage(img1, width, height);
+      const after = cropImage(img2, width, height);
+      const resized = img1.width !== img2.width || img1.height !== img2.height;
+
+      // Neutralize ignored regions in both images so they never count as different
+      const { regions, unresolved } = await resolveCompareRegions(beforePath, afterPath, options.ignoreRegions);
+      unresolved.forEach(selector => {
+        console.warn(`Ignore region "${selector}" was not recorded at capture time; capture with it as a mask to exclude it`);
+      });
+      const mask = buildMaskBitmap(width, height, regions);
+      const maskedPixels = fillMaskedPixels(before, mask);
+      fillMaskedPixels(after, mask);
 
       // Create diff image
-      const diff = new PNG({ width: img1.width, height: img1.height });
+      const diff = new PNG({ width, height });
 
       // Compare pixels
       const numDiffPixels = pixelmatch(
-        img1.data,
-        img2.data,
+        before.data,
+        after.data,
         diff.data,
-        img1.width,
-        img1.height,
+        width,
+        height,
         { threshold: 0.1 }
       );
 
-      // Calculate difference percentage
-      const totalPixels = img1.width * img1.height;
-      const difference = numDiffPixels / totalPixels;
+      // Name the elements under the changed pixels, from the capture-time DOM snapshot
+      const elements = options.metadata && numDiffPixels > 0
+        ? locateChangedElements(diff, options.metadata)
+        : [];
+
+      // Difference over the pixels that were actually compared
+      const overlapPixels = width * height - maskedPixels;
+      const overlapDifference = overlapPixels > 0 ? numDiffPixels / overlapPixels : 0;
+
+      let output = diff;
+      let sizeChange = null;
+      let difference = overlapDifference;
+      if (resized) {
+        // Added and removed bands count as changed pixels
+        const bands = drawSizeBands(diff, img1, img2, regions);
+        fillMaskedPixels(bands.diff, bands.mask, { hatched: true });
+        output = bands.diff;
+        sizeChange = {
+          before: { width: img1.width, height: img1.height },
+          after: { width: img2.width, height: img2.height },
+          width: img2.width - img1.width,
+          height: img2.height - img1.height,
+          addedPixels: bands.addedPixels,
+          removedPixels: bands.removedPixels
+        };
+        const comparedPixels = overlapPixels + bands.addedPixels + bands.removedPixels;
+        difference = comparedPixels > 0
+          ? (numDiffPixels + bands.addedPixels + bands.removedPixels) / comparedPixels
+          : 0;
+      } else {
+        fillMaskedPixels(diff, mask, { hatched: true });
+      }
 
       // Save diff image
-      await fs.writeFile(diffPath, PNG.sync.write(diff));
+      await fs.writeFile(diffPath, PNG.sync.write(output));
 
       return {
         difference,
-        dimensions: { width: 0, height: 0 },
+        dimensions: { width: img1.width - img2.width, height: img1.height - img2.height },
         analysisTime: Date.now(),
+        maskedPixels,
+        ignoredRegions: regions.length,
+        // Selector masks with no recorded box: their pixels still count toward the difference
+        ...(unresolved.length > 0 ? { unmaskedRegions: unresolved } : {}),
+        ...(sizeChange ? { overlapDifference, sizeChange } : {}),
+        ...(elements.length > 0 ? { elements } : {}),
         passed: difference <= threshold
       };
     } catch (error) {
@@ -194,6 +370,8 @@ class VRTBase extends EventEmitter {
 
   /**
    * Compare directories of screenshots
+   * Multi-page captures keep each page in its own folder; their screenshots are
+   * paired and reported as `<page>/<file>`.
    */
   async compare(beforeDir, afterDir, options = {}) {
     const threshold = options.threshold || 0.1;
@@ -201,34 +379,104 @@ class VRTBase extends EventEmitter {
     
     await fs.mkdir(outputDir, { recursive: true });
 
-    const beforeFiles = await fs.readdir(beforeDir);
-    const afterFiles = await fs.readdir(afterDir);
+    const pageDirs = [...new Set([...await listPageDirs(beforeDir), ...await listPageDirs(afterDir)])];
+    const listFiles = async dir => {
+      const files = [];
+      for (const page of pageDirs) {
+        const names = await fs.readdir(path.join(dir, page)).catch(() => []);
+        files.push(...names.filter(name => name.endsWith('.png')).map(name => pageFile(page, name)));
+      }
+      return files;
+    };
+    const beforeFiles = await listFiles(beforeDir);
+    const afterFiles = await listFiles(afterDir);
     
     const results = {
       passed: true,
       totalImages: 0,
       differences: [],
+      errors: [],
+      unmasked: [],
       report: []
     };
 
+    // all, pages (full-page/viewport shots only) or components
+    const scope = options.scope || 'all';
+
+    // Emulation dimensions to keep, e.g. 'colorScheme=dark,locale=fr-FR'
+    const filter = parseFilter(options.filter);
+
     for (const file of beforeFiles) {
-      if (!file.endsWith('.png')) continue;
       if (!afterFiles.includes(file)) continue;
 
-      results.totalImages++;
-
       const beforePath = path.join(beforeDir, file);
       const afterPath = path.join(afterDir, file);
-      const diffPath = path.join(outputDir, `diff-${file}`);
+      const diffPath = path.join(outputDir, path.dirname(file), `diff-${path.basename(file)}`);
+      await fs.mkdir(path.dirname(diffPath), { recursive: true });
+
+      // Component screenshots carry a bounding-box sidecar and are diffed on their own
+      const beforeComponent = await readComponentMeta(beforePath);
+      const afterComponent = await readComponentMeta(afterPath);
+      const isComponent = !!(beforeComponent || afterComponent);
+      if ((scope === 'pages' && isComponent) || (scope === 'components' && !isComponent)) continue;
+
+      const emulation = parseVariant(path.basename(file));
+      if (!matchesFilter(emulation, filter)) continue;
+
+      results.totalImages++;
+
+      // Environment and DOM snapshot recorded next to each page screenshot
+      const beforeMeta = await readPageMetadata(beforePath);
+      const afterMeta = await readPageMetadata(afterPath);
+
+      const comparison = await this.compareImages(beforePath, afterPath, diffPath, threshold, {
+        ignoreRegions: options.ignoreRegions,
+        metadata: afterMeta || beforeMeta
+      });
+
+      if (beforeMeta || afterMeta) {
+        comparison.environment = {
+          before: beforeMeta ? beforeMeta.environment : null,
+          after: afterMeta ? afterMeta.environment : null,
+          changed: environmentChanged(beforeMeta && beforeMeta.environment, afterMeta && afterMeta.environment)
+        };
+      }
+
+      if (isComponent) {
+        const before = beforeComponent ? beforeComponent.bbox : null;
+        const after = afterComponent ? afterComponent.bbox : null;
+        comparison.component = (afterComponent || beforeComponent).component;
+        comparison.bbox = { before, after };
+        comparison.moved = !!(before && after && (before.x !== after.x || before.y !== after.y));
+        comparison.resized = !!(before && after && (before.width !== after.width || before.height !== after.height));
+      }
+
+      // How long each side took to become visually stable before capture
+      const beforeSettle = await readSettle(beforePath);
+      const afterSettle = await readSettle(afterPath);
+      if (beforeSettle || afterSettle) {
+        comparison.settle = { before: beforeSettle, after: afterSettle };
+      }
 
-      const comparison = await this.compareImages(beforePath, afterPath, diffPath, threshold);
+      if (Object.keys(emulation).length > 0) {
+        comparison.emulation = emulation;
+      }
+
+      if (comparison.unmaskedRegions) {
+        results.unmasked.push({ file, selectors: comparison.unmaskedRegions });
+      }
       
       if (comparison.difference > threshold) {
         results.passed = false;
         results.differences.push({
           file,
           difference: comparison.difference,
-          diffPath
+          diffPath,
+          ...(comparison.component ? { component: comparison.component } : {}),
+          ...(comparison.sizeChange ? { sizeChange: comparison.sizeChange } : {}),
+          ...(comparison.elements ? { elements: comparison.elements.map(element => element.selector) } : {}),
+          ...(comparison.unmaskedRegions ? { unmaskedRegions: comparison.unmaskedRegions } : {}),
+          ...(comparison.emulation ? { emulation: comparison.emulation } : {})
         });
 
         // AI Analysis of differences
@@ -248,6 +496,51 @@ class VRTBase extends EventEmitter {
       });
     }
 
+    // Screenshots whose capture job failed every attempt are errored, not missing
+    const failures = [];
+    for (const page of pageDirs) {
+      for (const [side, dir] of [['before', beforeDir], ['after', afterDir]]) {
+        failures.push(...(await readFailures(path.join(dir, page))).map(failure => ({
+          ...failure,
+          ...(failure.file ? { file: pageFile(page, failure.file) } : {}),
+          side
+        })));
+      }
+    }
+    failures.sort((a, b) => (a.side === b.side ? 0 : a.side === 'before' ? -1 : 1));
+    for (const failure of failures) {
+      const { file } = failure;
+      if (!file || (failure.side === 'before' ? beforeFiles : afterFiles).includes(file)) continue;
+      if (results.errors.some(error => error.file === file)) continue;
+      if (scope === 'components') continue;
+
+      const emulation = parseVariant(path.basename(file));
+      if (!matchesFilter(emulation, filter)) continue;
+
+      const error = {
+        file,
+        status: 'errored',
+        side: failure.side,
+        error: failure.error,
+        attempts: failure.attempts,
+        failureScreenshot: failure.failureScreenshot || null
+      };
+      results.totalImages++;
+      results.passed = false;
+      results.errors.push(error);
+      results.report.push({ ...error, passed: false });
+    }
+
+    // Loading filmstrips from timeline captures, shown side by side in the report
+    const timelines = [];
+    for (const page of pageDirs) {
+      const strips = await buildFilmstrips(path.join(beforeDir, page), path.join(afterDir, page), outputDir);
+      timelines.push(...strips.map(strip => ({ ...strip, id: pageFile(page, strip.id) })));
+    }
+    if (timelines.length > 0) {
+      results.timelines = timelines;
+    }
+
     if (options.generateReport) {
       await this.generateHTMLReport(results, outputDir);
     }
@@ -6,6 +6,11 @@ const path = require('path');
 const sharp = require('sharp');
 const { getBrowserPath, getBrowserOptions } = require('./browser-detector');
 const VRTBase = require('./vrt-base');
+const { resolveStabilization, installStabilization, stabilizePage } = require('./stabilization');
+const { resolveSuppression, installSuppression, collectSuppression } = require('./suppression');
+const { resolveMetadata, collectPageMetadata, writePageMetadata } = require('./page-metadata');
+const { httpLaunchOptions, applyHttpSettings } = require('./http-settings');
+const { resolveSettle, waitForVisualStability, writeSettle } = require('./visual-stability');
 
 // Debug module
 const DebugCapture = require('./debug-capture');
@@ -47,9 +52,13 @@ class VRT extends VRTBase {
       const browserPath = getBrowserPath();
       const browserOptions = getBrowserOptions(browserPath);
       
+      // Target proxy and certificate errors are launch-wide in Puppeteer
+      const http = httpLaunchOptions(this.httpSettings, 'puppeteer');
       const launchOptions = {
         ...this.options.puppeteerOptions,
-        ...browserOptions
+        ...browserOptions,
+        ...http,
+        args: [...(browserOptions.args || []), ...(http.args || [])]
       };
 
       // Remove empty executablePath if Puppeteer should use bundled Chromium
@@ -88,7 +97,10 @@ class VRT extends VRTBase {
       const results = [];
       // Fix URL handling - check for file:// protocol and ensure absolute paths
       let url;
-      if (pageNameOrUrl.startsWith('http') || pageNameOrUrl.startsWith('file://')) {
+      if (await this.ensureStaticServer()) {
+        // With `serve`, relative page paths resolve against the local static server
+        url = this.resolveServedUrl(pageNameOrUrl);
+      } else if (pageNameOrUrl.startsWith('http') || pageNameOrUrl.startsWith('file://')) {
         url = pageNameOrUrl;
       } else if (pageNameOrUrl.startsWith('/') || pageNameOrUrl.includes('.html')) {
         // If it's a file path without file:// protocol, add it
@@ -101,20 +113,51 @@ class VRT extends VRTBase {
         url = `${this.options.baseUrl}${pageNameOrUrl}`;
       }
 
+      // Deterministic rendering (on unless disabled globally or for this page)
+      const stabilization = resolveStabilization(
+        options.stabilize !== undefined ? options.stabilize : this.options.stabilize
+      );
+
+      // Consent banners, chat widgets and popups (on unless disabled globally or for this page)
+      const suppression = resolveSuppression(
+        options.suppress !== undefined ? options.suppress : this.options.suppress
+      );
+
+      // DOM/environment sidecar per screenshot (on unless disabled)
+      const metadata = resolveMetadata(options.metadata !== undefined ? options.metadata : this.options.metadata);
+
+      // Wait for the page to stop changing; an explicit `delay` keeps the old fixed sleep
+      const settling = resolveSettle(
+        options.settle !== undefined ? options.settle
+          : options.delay !== undefined ? options.delay
+            : this.options.settle
+      );
+
       // Process viewports in parallel or sequentially based on settings
       const viewports = options.viewports || this.options.viewports;
       const capturePromises = viewports.map(async (viewport) => {
         const page = await browser.newPage();
+        const startedAt = Date.now();
 
         try {
           // Set viewport
           await page.setViewport(viewport);
 
+          // Target headers, basic auth, user agent and cookies
+          await applyHttpSettings(page, this.httpSettings, url);
+
+          if (stabilization) {
+            await installStabilization(page, stabilization);
+          }
+
+          const suppressed = suppression ? await installSuppression(page, suppression, url) : null;
+
           // Navigate to page
           await page.goto(url, {
             waitUntil: options.waitUntil || 'networkidle2',
             timeout: this.options.timeout
           });
+          const navigatedAt = Date.now();
 
           // Wait if needed
           if (options.waitFor) {
@@ -125,23 +168,55 @@ class VRT extends VRTBase {
             }
           }
 
-          // Additional delay
-          await new Promise(resolve => setTimeout(resolve, options.delay || 2000));
+          if (stabilization) {
+            await stabilizePage(page, stabilization);
+          }
+
+          const settle = settling ? await waitForVisualStability(page, settling) : null;
+          const suppressedRules = suppressed ? await collectSuppression(page, suppressed) : null;
 
           // Security: Sanitize viewport name to prevent path traversal
           const sanitizedViewportName = this.sanitizePathComponent(viewport.name);
           const screenshotPath = path.join(outputDir, `${sanitizedViewportName}-${options.fullPage ? 'full' : 'viewport'}.png`);
 
           // Take screenshot
+          const readyAt = Date.now();
           await page.screenshot({
             path: screenshotPath,
             fullPage: options.fullPage || false
           });
 
+          const masked = await this.applyMasks(page, screenshotPath, options);
+          if (settle) {
+            await writeSettle(screenshotPath, settle);
+          }
+
+          const metadataPath = metadata
+            ? await writePageMetadata(screenshotPath, await collectPageMetadata(page, metadata, {
+              screenshot: path.basename(screenshotPath),
+              url,
+              browser: 'chrome',
+              browserVersion: await browser.version(),
+              viewport: { width: viewport.width, height: viewport.height },
+              fullPage: options.fullPage,
+              suppression: suppressedRules || undefined,
+              timing: {
+                startedAt: new Date(startedAt).toISOString(),
+                navigation: navigatedAt - startedAt,
+                ready: readyAt - startedAt,
+                screenshot: Date.now() - readyAt
+              }
+            }))
+            : null;
+
           results.push({
             viewport: viewport.name,
             path: screenshotPath,
-            url: url
+            url: url,
+            masks: masked ? masked.sidecarPath : undefined,
+            settle: settle || undefined,
+            suppression: suppressedRules || undefined,
+            metadata: metadataPath || undefined
           });
 
           // AI Analysis if enabled and available
@@ -179,9 +254,9 @@ class VRT extends VRTBase {
   }
 
   async debug(url, options = {}) {
-    const browser = await this.getBrowser();
-    const debugCapture = new DebugCapture(browser, this.options);
-    return debugCapture.analyze(url, options);
+    // DebugCapture launches its own browser with the target's HTTP settings
+    const debugCapture = new DebugCapture(this.options);
+    return debugCapture.capture(url, options);
   }
 
   // compare method inherited from VRTBase
@@ -205,6 +280,7 @@ class VRT extends VRTBase {
       await this.browser.close();
       this.browser = null;
     }
+    await this.stopStaticServer();
   }
 
   async cleanupBrowser(browser) {
@@ -0,0 +1,63 @@
+/**
+ * Shared scaffolding for the standalone test scripts
+ *
+ * Each tests/test-*.js file is a list of sections that print their checks
+ * and return true when all of them passed; runTests runs the sections in
+ * order, prints the summary and exits with the result.
+ */
+
+/**
+ * Print each named check as ✅/❌
+ * @param {Object} checks - Check name → boolean
+ * @returns {boolean} Whether every check passed
+ */
+function report(checks) {
+  let passed = true;
+  for (const [name, ok] of Object.entries(checks)) {
+    console.log(`   ${ok ? '✅' : '❌'} ${name}`);
+    passed = passed && ok;
+  }
+  return passed;
+}
+
+/**
+ * Whether `fn` throws an error whose message includes `text`
+ */
+function rejects(fn, text) {
+  try {
+    fn();
+  } catch (error) {
+    return error.message.includes(text);
+  }
+  return false;
+}
+
+/**
+ * Run test sections in order, print the summary and exit (1 on any failure)
+ * @param {string} title - Heading, e.g. 'CONFIG LOADER TESTS'
+ * @param {Object} sections - Section name → async function returning true when it passed
+ */
+async function runTests(title, sections) {
+  console.log(`🧪 ${title}`);
+  console.log(`${'='.repeat(title.length + 3)}\n`);
+
+  try {
+    const results = {};
+    for (const [name, section] of Object.entries(sections)) {
+      results[name] = await section();
+    }
+
+    const allPassed = Object.values(results).every(r => r === true);
+    console.log(allPassed ? '\n🎉 ALL TESTS PASSED!' : '\n⚠️ Some tests failed. Please review.');
+    process.exit(allPassed ? 0 : 1);
+  } catch (error) {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  report,
+  rejects,
+  runTests
+};
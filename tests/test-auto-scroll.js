@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Test the lazy-load scroll pass before full-page capture
+ * Runs without a browser: page functions execute against a simulated window
+ */
+
+const { EventEmitter } = require('events');
+const { resolveAutoScroll, autoScroll } = require('../lib/auto-scroll');
+const { report, runTests } = require('./helpers');
+
+/**
+ * Simulated page whose height grows while scrolling (lazy sections / infinite feed)
+ * and whose images below the fold only decode once scrolled into view
+ */
+function createPage({ initialHeight, growBy, growTimes = Infinity, viewportHeight = 800, lazySection = null }) {
+  const state = {
+    scrollY: 0,
+    height: initialHeight,
+    positions: [],
+    decoded: 0,
+    grown: 0,
+    sectionLoaded: false,
+    sectionRequested: false
+  };
+  const page = new EventEmitter();
+
+  const images = Array.from({ length: 5 }, (_, index) => ({
+    top: 600 + index * 1000,
+    complete: false,
+    naturalWidth: 0,
+    loading: 'lazy',
+    getBoundingClientRect: () => ({ top: 600 + index * 1000 - state.scrollY, bottom: 800 + index * 1000 - state.scrollY }),
+    decode() {
+      this.complete = true;
+      this.naturalWidth = 100;
+      state.decoded++;
+      return Promise.resolve();
+    }
+  }));
+
+  global.window = {
+    get scrollY() { return state.scrollY; },
+    innerHeight: viewportHeight,
+    scrollTo: ({ top }) => {
+      state.scrollY = Math.max(0, Math.min(top, state.height - viewportHeight));
+      state.positions.push(state.scrollY);
+      // Reaching the bottom loads another batch
+      if (growBy && state.grown < growTimes && state.scrollY + viewportHeight >= state.height) {
+        state.height += growBy;
+        state.grown++;
+      }
+      // A section in view fetches its content a moment later, then renders taller
+      if (lazySection && !state.sectionRequested && state.scrollY + viewportHeight > lazySection.top) {
+        state.sectionRequested = true;
+        const request = { url: () => '/api/section' };
+        setTimeout(() => {
+          page.emit('request', request);
+          setTimeout(() => {
+            state.sectionLoaded = true;
+            state.height += lazySection.growBy;
+            page.emit('requestfinished', request);
+          }, lazySection.fetchDelay);
+        }, lazySection.startDelay);
+      }
+    }
+  };
+  global.document = {
+    body: { get scrollHeight() { return state.height; } },
+    documentElement: { get scrollHeight() { return state.height; } },
+    images
+  };
+
+  page.evaluate = async (fn, arg) => fn(arg);
+  page.waitForTimeout = async () => {};
+
+  return { page, state, images };
+}
+
+async function testSettings() {
+  console.log('1️⃣ Auto-scroll settings...');
+  return report({
+    'on by default': resolveAutoScroll(undefined).maxHeight === 20000,
+    'disabled with false': resolveAutoScroll(false) === null,
+    'overrides merged': resolveAutoScroll({ maxHeight: 5000 }).maxHeight === 5000 &&
+      resolveAutoScroll({ maxHeight: 5000 }).decodeTimeout === 3000
+  });
+}
+
+async function testLazyPage() {
+  console.log('\n2️⃣ Lazy-loaded page...');
+  const { page, state, images } = createPage({ initialHeight: 3000, growBy: 1500, growTimes: 1 });
+
+  const result = await autoScroll(page, resolveAutoScroll({ networkQuietWindow: 10 }));
+
+  return report({
+    'scrolled through the page': state.positions.includes(800) && state.positions.includes(1600),
+    'followed content loaded on the way': Math.max(...state.positions) === 4500 - 800 && !result.capped,
+    'stopped listening for requests': ['request', 'requestfinished', 'requestfailed'].every(name => page.listenerCount(name) === 0),
+    'lazy images decoded': images.slice(0, 3).every(img => img.complete) && result.images >= 3,
+    'back at the top': state.scrollY === 0 && state.positions[state.positions.length - 1] === 0
+  });
+}
+
+async function testInfiniteFeed() {
+  console.log('\n3️⃣ Infinite feed...');
+  const { page, state } = createPage({ initialHeight: 2000, growBy: 2000 });
+
+  const result = await autoScroll(page, resolveAutoScroll({ maxHeight: 6000, networkQuietWindow: 10 }));
+
+  return report({
+    'stopped at the height cap': Math.max(...state.positions) <= 6000 - 800,
+    'reported as capped': result.capped && result.height === 6000,
+    'finished at the top': state.scrollY === 0
+  });
+}
+
+async function testShortPage() {
+  console.log('\n4️⃣ Page shorter than the viewport...');
+  const { page, state } = createPage({ initialHeight: 600, growBy: 0 });
+
+  const result = await autoScroll(page, resolveAutoScroll({ networkQuietWindow: 10 }));
+
+  return report({
+    'no scroll steps': result.steps === 0,
+    'not capped': !result.capped && result.height === 600,
+    'stayed at the top': state.positions.every(y => y === 0)
+  });
+}
+
+async function testDelayedFetch() {
+  console.log('\n5️⃣ Below-the-fold section loaded by fetch...');
+  // The request starts after the scroll and outlasts it; networkidle was reached long before
+  const { page, state } = createPage({
+    initialHeight: 2400,
+    growBy: 0,
+    lazySection: { top: 1800, startDelay: 20, fetchDelay: 150, growBy: 1200 }
+  });
+
+  const result = await autoScroll(page, resolveAutoScroll({ networkQuietWindow: 60 }));
+
+  return report({
+    'waited for the section request': state.sectionLoaded,
+    'scrolled through the loaded section': Math.max(...state.positions) === 3600 - 800,
+    'height includes the section': result.height === 3600 && !result.capped,
+    'back at the top': state.scrollY === 0
+  });
+}
+
+async function runAllTests() {
+  await runTests('AUTO-SCROLL TESTS', {
+    settings: testSettings,
+    lazyPage: testLazyPage,
+    infiniteFeed: testInfiniteFeed,
+    shortPage: testShortPage,
+    delayedFetch: testDelayedFetch
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+/**
+ * Test the browser pool, browser slots and the capture job scheduler
+ * Runs without a browser using stub browsers and contexts
+ */
+
+const { EventEmitter } = require('events');
+const { Semaphore, BrowserPool } = require('../lib/browser-pool');
+const PlaywrightVRT = require('../lib/playwright-vrt');
+const { report, runTests } = require('./helpers');
+
+const tick = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createStubBrowser(type, stats) {
+  const browser = new EventEmitter();
+  browser.type = type;
+  browser.newContext = async options => {
+    stats.open++;
+    stats.maxOpen = Math.max(stats.maxOpen, stats.open);
+    let closed = false;
+    return {
+      options,
+      close: async () => {
+        if (!closed) {
+          closed = true;
+          stats.open--;
+        }
+      }
+    };
+  };
+  browser.close = async () => {
+    stats.closed.push(type);
+    browser.emit('disconnected');
+  };
+  return browser;
+}
+
+async function testSemaphore() {
+  console.log('1️⃣ Semaphore...');
+  const semaphore = new Semaphore(1);
+  const order = [];
+
+  const release = await semaphore.acquire();
+  const waiting = semaphore.acquire().then(next => {
+    order.push('second');
+    return next;
+  });
+  await tick();
+  const blocked = order.length === 0 && semaphore.waiting === 1;
+
+  release();
+  release(); // releasing twice must not free two permits
+  const releaseSecond = await waiting;
+  const single = semaphore.inUse === 1;
+  releaseSecond();
+
+  let invalidRejected = false;
+  try {
+    new Semaphore(0);
+  } catch (error) {
+    invalidRejected = true;
+  }
+
+  return report({
+    'second acquire waits': blocked,
+    'waiter granted on release': order[0] === 'second',
+    'double release ignored': single,
+    'all permits returned': semaphore.available === 1,
+    'invalid limit rejected': invalidRejected
+  });
+}
+
+async function testPool() {
+  console.log('\n2️⃣ Browser pool...');
+  const stats = { open: 0, maxOpen: 0, closed: [], launched: [] };
+  const slots = new Semaphore(1);
+  const releases = new Map();
+
+  const pool = new BrowserPool({
+    slots,
+    contextsPerBrowser: 2,
+    launch: async type => {
+      const release = await slots.acquire();
+      stats.launched.push(type);
+      const browser = createStubBrowser(type, stats);
+      releases.set(browser, release);
+      return browser;
+    },
+    close: async browser => {
+      await browser.close();
+      releases.get(browser)();
+    }
+  });
+
+  const job = type => pool.withContext(type, {}, async () => {
+    await tick(10);
+    return type;
+  });
+
+  // Two browser types, one browser slot, two contexts per browser
+  const outcomes = await Promise.all([
+    job('chromium'), job('chromium'), job('chromium'), job('firefox'), job('firefox')
+  ]);
+  const afterFirstRun = [...stats.launched];
+
+  await job('firefox');
+  const warmReuse = stats.launched.length === afterFirstRun.length;
+
+  await pool.closeAll();
+
+  return report({
+    'all jobs completed': outcomes.join(',') === 'chromium,chromium,chromium,firefox,firefox',
+    'context limit respected': stats.maxOpen <= 2,
+    'idle browser evicted for waiting type': stats.closed[0] === 'chromium' && afterFirstRun.join(',') === 'chromium,firefox',
+    'warm browser reused across runs': warmReuse,
+    'contexts closed': stats.open === 0,
+    'slots returned on close': slots.available === 1
+  });
+}
+
+async function testScheduler() {
+  console.log('\n3️⃣ Capture job scheduler...');
+  const stats = { open: 0, maxOpen: 0, closed: [] };
+  const vrt = new PlaywrightVRT({
+    aiEnabled: false,
+    maxConcurrentBrowsers: 2,
+    maxContextsPerBrowser: 2,
+    viewports: [
+      { name: 'mobile', width: 375, height: 812 },
+      { name: 'tablet', width: 768, height: 1024 },
+      { name: 'desktop', width: 1440, height: 900 }
+    ]
+  });
+
+  let launches = 0;
+  vrt.getBrowser = async type => {
+    const release = await vrt.waitForBrowserSlot();
+    launches++;
+    const browser = createStubBrowser(type, stats);
+    vrt.activeBrowsers.add(browser);
+    vrt.browserSlotReleases.set(browser, release);
+    return browser;
+  };
+
+  let running = 0;
+  let maxRunning = 0;
+  vrt.captureScreenshotJob = async (context, job) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await tick(10);
+    running--;
+    return [{ browser: job.browserType, viewport: job.viewport, path: `${job.prefix}.png`, jobId: job.id }];
+  };
+
+  const events = [];
+  vrt.on('job:complete', event => events.push(event));
+
+  const jobs = vrt.planCaptureJobs(['chromium', 'firefox'], {}, null);
+  const outcomes = await vrt.runCaptureJobs(jobs, { outputDir: '.', options: {} });
+  await vrt.runCaptureJobs(jobs.slice(0, 1), { outputDir: '.', options: {} });
+  const launchesAfterSecondRun = launches;
+
+  await vrt.cleanup();
+
+  return report({
+    'one job per browser and viewport': jobs.length === 6,
+    'jobs ran concurrently': maxRunning > 1 && maxRunning <= 4,
+    'results kept in job order': outcomes[0][0].path === 'chromium-mobile.png' && outcomes[5][0].path === 'firefox-desktop.png',
+    'progress events emitted': events.length === 7 && events[5].completed === 6 && events[5].total === 6,
+    'browsers stayed warm between runs': launchesAfterSecondRun === 2,
+    'cleanup released every slot': vrt.currentBrowserCount === 0
+  });
+}
+
+async function runAllTests() {
+  await runTests('BROWSER POOL TESTS', {
+    semaphore: testSemaphore,
+    pool: testPool,
+    scheduler: testScheduler
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
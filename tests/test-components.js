@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Test component definitions and per-component comparison
+ * Runs without a browser using generated PNGs and bounding-box sidecars
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const VRTBase = require('../lib/vrt-base');
+const {
+  DEFAULT_COMPONENTS,
+  normalizeComponents,
+  selectComponents,
+  getComponentMetaPath
+} = require('../lib/components');
+const { report, runTests } = require('./helpers');
+
+function createImage(width, height, color) {
+  const png = new PNG({ width, height });
+  for (let i = 0; i < png.data.length; i += 4) {
+    png.data[i] = color[0];
+    png.data[i + 1] = color[1];
+    png.data[i + 2] = color[2];
+    png.data[i + 3] = 255;
+  }
+  return PNG.sync.write(png);
+}
+
+async function testDefinitions() {
+  console.log('1️⃣ Component definitions...');
+  const components = normalizeComponents({ header: 'header', search: { selector: '#search' } });
+
+  // Checked on the name as it ends up in the filename
+  const reservedRejected = ['full', 'print', 'scroll-modal', 'pdf-p2', 'full!', 'Viewport', 'pr int', 'Scroll-Modal', 'pdf-p 3'].every(name => {
+    try {
+      normalizeComponents({ [name]: 'main' });
+    } catch (error) {
+      return error.message === `Component name "${name}" is reserved`;
+    }
+    return false;
+  }) && normalizeComponents({ scroller: '.s', pdf: '.p' }).length === 2;
+
+  let unknownRejected = false;
+  try {
+    selectComponents(components, 'footer');
+  } catch (error) {
+    unknownRejected = error.message.includes('header, search');
+  }
+
+  return report({
+    'map normalized': components[1].name === 'search' && components[1].selector === '#search',
+    'reserved name rejected': reservedRejected,
+    'all selected by default': selectComponents(components, true).length === 2,
+    'defaults without config': selectComponents([], true) === DEFAULT_COMPONENTS,
+    'subset selected by name': selectComponents(components, 'search')[0].selector === '#search',
+    'unknown name rejected': unknownRejected
+  });
+}
+
+async function testComponentComparison() {
+  console.log('\n2️⃣ Component comparison...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-components-'));
+  const vrt = new VRTBase({ aiEnabled: false });
+
+  try {
+    const beforeDir = path.join(dir, 'before');
+    const afterDir = path.join(dir, 'after');
+    await fs.mkdir(beforeDir);
+    await fs.mkdir(afterDir);
+
+    // The page shifts (different pixels) while the header only moves
+    await fs.writeFile(path.join(beforeDir, 'chromium-desktop-viewport.png'), createImage(40, 40, [255, 255, 255]));
+    await fs.writeFile(path.join(afterDir, 'chromium-desktop-viewport.png'), createImage(40, 40, [0, 0, 0]));
+
+    for (const [folder, y] of [[beforeDir, 0], [afterDir, 24]]) {
+      const shot = path.join(folder, 'chromium-desktop-header.png');
+      await fs.writeFile(shot, createImage(20, 10, [10, 20, 30]));
+      await fs.writeFile(getComponentMetaPath(shot), JSON.stringify({
+        component: 'header',
+        selector: 'header',
+        bbox: { x: 0, y, width: 20, height: 10 }
+      }));
+    }
+
+    const all = await vrt.compare(beforeDir, afterDir, { output: path.join(dir, 'all'), threshold: 0.01 });
+    const components = await vrt.compare(beforeDir, afterDir, {
+      output: path.join(dir, 'components'),
+      threshold: 0.01,
+      scope: 'components'
+    });
+    const pages = await vrt.compare(beforeDir, afterDir, {
+      output: path.join(dir, 'pages'),
+      threshold: 0.01,
+      scope: 'pages'
+    });
+
+    const header = components.report[0];
+
+    return report({
+      'page and component compared': all.totalImages === 2,
+      'component diffed on its own': components.totalImages === 1 && header.passed,
+      'component tagged': header.component === 'header',
+      'move detected': header.moved && !header.resized && header.bbox.after.y === 24,
+      'pages scope skips components': pages.totalImages === 1 && !pages.report[0].component
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  await runTests('COMPONENT TESTS', {
+    definitions: testDefinitions,
+    comparison: testComponentComparison
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Test project config discovery and normalization
+ * Runs without a browser
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const {
+  loadConfig,
+  resolvePages,
+  resolveUrl,
+  selectViewports,
+  parseViewportSize,
+  DEFAULT_VIEWPORTS
+} = require('../lib/config-loader');
+const PlaywrightVRT = require('../lib/playwright-vrt');
+const ReportGenerator = require('../lib/report-generator');
+const { report, rejects, runTests } = require('./helpers');
+
+async function withTempProject(files, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-config-'));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      const filePath = path.join(dir, name);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content);
+    }
+    return await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testDefaults() {
+  console.log('1️⃣ Defaults without a config file...');
+  return withTempProject({}, async (dir) => {
+    const config = loadConfig({ cwd: dir });
+    const ok = config.filepath === null &&
+      config.viewports.length === DEFAULT_VIEWPORTS.length &&
+      config.threshold === 0.1 &&
+      config.pages.length === 0;
+    console.log(`   ${ok ? '✅' : '❌'} Defaults applied`);
+    return ok;
+  });
+}
+
+async function testDiscovery() {
+  console.log('\n2️⃣ Discovery from a nested working directory...');
+  const json = JSON.stringify({
+    baseUrl: 'http://localhost:3000',
+    targets: { staging: 'https://staging.example.com' },
+    pages: { homepage: '/', listing: { url: '/business-for-sale', fullPage: true } },
+    viewports: ['mobile', { name: 'laptop', width: 1366, height: 768 }],
+    threshold: '0.05'
+  });
+
+  return withTempProject({ 'vrt.config.json': json, 'src/app/.keep': '' }, async (dir) => {
+    const config = loadConfig({ cwd: path.join(dir, 'src', 'app') });
+    const staging = loadConfig({ cwd: dir, target: 'staging' });
+
+    const checks = {
+      'config file found': config.filepath === path.join(dir, 'vrt.config.json'),
+      'pages normalized': config.pages.length === 2 && config.pages[1].name === 'listing' && config.pages[1].fullPage === true,
+      'preset viewport resolved': config.viewports[0].width === 375,
+      'custom viewport defaults DPR': config.viewports[1].deviceScaleFactor === 1,
+      'threshold parsed': config.threshold === 0.05,
+      'target baseUrl applied': staging.baseUrl === 'https://staging.example.com'
+    };
+
+    return report(checks);
+  });
+}
+
+async function testSelection() {
+  console.log('\n3️⃣ Page and viewport selection...');
+  const js = `module.exports = {
+    baseUrl: 'http://localhost:3000/',
+    pages: [{ name: 'home', url: '/' }, '/contact'],
+    viewports: [{ name: 'wide', width: 2560, height: 1440 }]
+  };`;
+
+  return withTempProject({ 'vrt.config.js': js }, async (dir) => {
+    const config = loadConfig({ cwd: dir });
+    const selected = resolvePages(config, 'contact,/about');
+
+    const checks = {
+      'JS config loaded': config.pages.length === 2,
+      'page names derived from url': selected[0].url === '/contact' && selected[1].name === 'about',
+      'urls resolved against baseUrl': resolveUrl(config, '/contact') === 'http://localhost:3000/contact',
+      'config viewport selectable': selectViewports(config, 'wide')[0].width === 2560,
+      'preset viewport selectable': selectViewports(config, ['tablet'])[0].width === 768
+    };
+
+    let unknownRejected = false;
+    try {
+      selectViewports(config, 'watch');
+    } catch (error) {
+      unknownRejected = error.message.includes('Unknown viewport');
+    }
+    checks['unknown viewport rejected'] = unknownRejected;
+    checks['null config rejected'] = await withTempProject({ 'vrt.config.js': 'module.exports = null;' }, async (nullDir) =>
+      rejects(() => loadConfig({ cwd: nullDir }), 'Config must export an object'));
+
+    return report(checks);
+  });
+}
+
+async function testAdHocViewports() {
+  console.log('\n4️⃣ Ad-hoc viewport sizes...');
+  const js = `module.exports = {
+    viewports: ['desktop', { name: 'laptop', width: 1366, height: 768, deviceScaleFactor: 2 }, '1024x700']
+  };`;
+
+  return withTempProject({ 'vrt.config.js': js }, async (dir) => {
+    const config = loadConfig({ cwd: dir });
+    const selected = selectViewports(config, '1280x800@2,390x844@3,laptop,mobile');
+
+    const vrt = new PlaywrightVRT({ aiEnabled: false, viewports: config.viewports });
+    const jobs = vrt.planCaptureJobs(['chromium'], { viewports: selected.slice(0, 2) }, null);
+
+    let malformedRejected = false;
+    try {
+      selectViewports(config, '1280x');
+    } catch (error) {
+      malformedRejected = error.message.includes('WIDTHxHEIGHT');
+    }
+
+    return report({
+      'size parsed with scale': selected[0].width === 1280 && selected[0].height === 800 && selected[0].deviceScaleFactor === 2,
+      'scale defaults to 1': parseViewportSize('1024x700').deviceScaleFactor === 1 && parseViewportSize('mobile') === null,
+      'filename-safe names': selected[0].name === '1280x800-2x' && parseViewportSize('800x600@1.5').name === '800x600-1_5x',
+      'sizes allowed in config': config.viewports[2].name === '1024x700',
+      'names and sizes mixed': selected[2].deviceScaleFactor === 2 && selected[3].width === 375,
+      'capture viewports override the engine': jobs.length === 2 && jobs[1].id === 'chromium-390x844-3x',
+      'scale passed to the context': jobs[1].contextOptions.deviceScaleFactor === 3 &&
+        jobs[1].contextOptions.viewport.width === 390 && !('name' in jobs[1].contextOptions.viewport),
+      'malformed size rejected': malformedRejected
+    });
+  });
+}
+
+function createImage(value) {
+  const png = new PNG({ width: 10, height: 10 });
+  png.data.fill(value);
+  return PNG.sync.write(png);
+}
+
+// A capture of config pages: one folder per page, as `capture` writes for several pages
+async function writeMultiPageCapture(dir, pages) {
+  for (const [page, files] of Object.entries(pages)) {
+    await fs.mkdir(path.join(dir, page), { recursive: true });
+    for (const [file, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(dir, page, file), typeof content === 'number' ? createImage(content) : JSON.stringify(content));
+    }
+  }
+}
+
+async function testMultiPageCompare() {
+  console.log('\n5️⃣ Comparing multi-page captures...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-config-'));
+
+  try {
+    const beforeDir = path.join(dir, 'before');
+    const afterDir = path.join(dir, 'after');
+    await writeMultiPageCapture(beforeDir, {
+      home: { 'chromium-desktop-viewport.png': 255, 'chromium-mobile-viewport.png': 255 },
+      pricing: { 'chromium-desktop-viewport.png': 255 }
+    });
+    await writeMultiPageCapture(afterDir, {
+      home: {
+        'chromium-desktop-viewport.png': 255,
+        'failures.json': { failures: [{ id: 'chromium-mobile', file: 'chromium-mobile-viewport.png', error: 'Timed out', attempts: 2 }] }
+      },
+      pricing: { 'chromium-desktop-viewport.png': 0 },
+      videos: {}
+    });
+
+    const vrt = new PlaywrightVRT({ aiEnabled: false });
+    const outputDir = path.join(dir, 'comparison');
+    const results = await vrt.compare(beforeDir, afterDir, { output: outputDir });
+    const html = ReportGenerator.generateReport(results, 'playwright');
+    const diffWritten = await fs.stat(path.join(outputDir, 'pricing', 'diff-chromium-desktop-viewport.png')).then(() => true, () => false);
+
+    return report({
+      'page folders compared': results.totalImages === 3 && results.report.some(item => item.file === 'home/chromium-desktop-viewport.png' && item.passed),
+      'changed page fails the comparison': results.passed === false && results.differences.length === 1 &&
+        results.differences[0].file === 'pricing/chromium-desktop-viewport.png',
+      'failures read from page folders': results.errors.length === 1 && results.errors[0].file === 'home/chromium-mobile-viewport.png',
+      'diff written next to the page': diffWritten && html.includes('src="pricing/diff-chromium-desktop-viewport.png"')
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  await runTests('CONFIG LOADER TESTS', {
+    defaults: testDefaults,
+    discovery: testDiscovery,
+    selection: testSelection,
+    adHocViewports: testAdHocViewports,
+    multiPageCompare: testMultiPageCompare
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Test page discovery and the page manifest
+ * Crawls a small site served from a local HTTP server
+ */
+
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config-loader');
+const {
+  globToRegExp,
+  templateFor,
+  compileTemplates,
+  parseSitemap,
+  extractLinks,
+  crawl,
+  buildManifest,
+  writeManifest
+} = require('../lib/crawler');
+const { report, runTests } = require('./helpers');
+
+const html = links => `<html><body>${links.map(href => `<a href="${href}">link</a>`).join('')}</body></html>`;
+
+const SITE = {
+  '/': html(['/about', '/business/101', '/business/102#reviews', '/admin/users', '/logo.png', 'https://example.com/']),
+  '/about': html(['/team', '/']),
+  '/team': html(['/careers']),
+  '/careers': html([]),
+  '/business/101': html(['/business/103']),
+  '/business/102': html([]),
+  '/business/103': html([]),
+  '/business/joes-pizza': html([]),
+  '/business/sunset-cafe': html([]),
+  '/admin/users': html([]),
+  '/robots.txt': 'User-agent: *\nSitemap: /sitemap-index.xml',
+  '/sitemap-index.xml': '<sitemapindex><sitemap><loc>{origin}/sitemap-pages.xml</loc></sitemap></sitemapindex>',
+  '/sitemap-pages.xml': '<urlset><url><loc>{origin}/business/joes-pizza</loc></url>' +
+    '<url><loc>{origin}/business/sunset-cafe</loc></url></urlset>'
+};
+
+function startServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const body = SITE[req.url];
+    if (body === undefined) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    const origin = `http://${req.headers.host}`;
+    const type = req.url.endsWith('.xml') || req.url.endsWith('.txt') ? 'text/plain' : 'text/html';
+    res.writeHead(200, { 'Content-Type': type });
+    res.end(body.replace(/\{origin\}/g, origin).replace('Sitemap: /', `Sitemap: ${origin}/`));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, origin: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+async function testParsing() {
+  console.log('1️⃣ Globs, templates and parsing...');
+  const sitemap = parseSitemap('<urlset><url><loc> https://a.test/x?a=1&amp;b=2 </loc></url></urlset>');
+  const index = parseSitemap('<sitemapindex><sitemap><loc>https://a.test/s.xml</loc></sitemap></sitemapindex>');
+  const links = extractLinks('<a href="/a">A</a><a href=\'b\'>B</a><a href="#top">T</a><a href="mailto:x@y">M</a>', 'https://a.test/dir/page');
+
+  return report({
+    '* stays within a segment': globToRegExp('/business/*').test('/business/1') && !globToRegExp('/business/*').test('/business/1/photos'),
+    '** crosses segments': globToRegExp('/admin/**').test('/admin/users/1'),
+    'numeric IDs collapse': templateFor('/business/123/photos') === '/business/:id/photos',
+    'UUIDs collapse': templateFor('/orders/3f2b9c1e-8a4d-4e6f-9b0a-1c2d3e4f5a6b') === '/orders/:id',
+    'plain paths kept': templateFor('/about/team') === '/about/team',
+    'explicit template wins': templateFor('/business/joes-pizza', compileTemplates(['/business/:id'])) === '/business/:id',
+    'sitemap entities decoded': sitemap.urls[0] === 'https://a.test/x?a=1&b=2',
+    'sitemap index detected': index.sitemaps.length === 1 && index.urls.length === 0,
+    'links resolved, anchors skipped': links.join(',') === 'https://a.test/a,https://a.test/dir/b'
+  });
+}
+
+async function testCrawl() {
+  console.log('\n2️⃣ Crawl and manifest...');
+  const { server, requests, origin } = await startServer();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-crawl-'));
+
+  try {
+    const result = await crawl(`${origin}/`, {
+      depth: 2,
+      exclude: ['/admin/**'],
+      templates: ['/business/:id'],
+      onWarning: () => {}
+    });
+    const urls = result.pages.map(page => page.url);
+    const business = result.pages.find(page => page.template === '/business/:id');
+    const fetched = [...requests];
+
+    const included = await crawl(`${origin}/`, { include: ['/business/**'], sitemap: false, onWarning: () => {} });
+    const shallow = await crawl(`${origin}/`, { depth: 0, sitemap: false, onWarning: () => {} });
+    // '/', '/about' and '/team' lead to the included pages but fall outside `include`
+    const narrow = await crawl(`${origin}/`, {
+      include: ['/careers', '/business/**'],
+      maxPages: 2,
+      depth: 3,
+      sitemap: false,
+      onWarning: () => {}
+    });
+
+    const manifest = buildManifest(result, `${origin}/`);
+    const manifestPath = path.join(dir, 'vrt.pages.json');
+    await writeManifest(manifestPath, manifest);
+    const config = loadConfig({ cwd: dir, manifest: 'vrt.pages.json' });
+
+    return report({
+      'same-origin pages found': urls.includes('/') && urls.includes('/about') && urls.includes('/team'),
+      'depth limit respected': !urls.includes('/careers') && shallow.pages.length === 1,
+      'excluded paths skipped': !urls.includes('/admin/users') && !fetched.includes('/admin/users'),
+      'assets and other origins skipped': !urls.some(url => url.endsWith('.png')),
+      'one representative per template': !!business && business.count === 4 &&
+        urls.filter(url => url.startsWith('/business/')).length === 1,
+      'template members not fetched': !fetched.includes('/business/103'),
+      'sitemap index followed': fetched.includes('/sitemap-pages.xml'),
+      'include filters the manifest': included.pages.every(page => page.url.startsWith('/business/')) && included.pages.length === 1,
+      'only included pages count toward maxPages': narrow.pages.map(page => page.url).join() === '/business/101,/careers',
+      'manifest pages named': manifest.pages[0].name === 'homepage' &&
+        manifest.pages.find(page => page.template).name === 'business-id',
+      'config loads manifest pages': config.pages.length === manifest.pages.length && config.pages[1].url === manifest.pages[1].url
+    });
+  } finally {
+    server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  await runTests('CRAWLER TESTS', {
+    parsing: testParsing,
+    crawl: testCrawl
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Test the device catalog: custom devices, search and unknown device failures
+ * Runs without a browser: only capture planning is exercised
+ */
+
+const PlaywrightVRT = require('../lib/playwright-vrt');
+const { normalizeConfig } = require('../lib/config-loader');
+const {
+  PLAYWRIGHT_DEVICES,
+  DEFAULT_MOBILE_DEVICES,
+  normalizeCustomDevices,
+  buildDeviceCatalog,
+  resolveDevices,
+  searchDevices
+} = require('../lib/devices');
+const { report, rejects, runTests } = require('./helpers');
+
+const CUSTOM_DEVICES = {
+  'Kiosk Portrait': { width: 1080, height: 1920, hasTouch: true },
+  'Fold Open': {
+    viewport: { width: 717, height: 512 },
+    deviceScaleFactor: 2.6,
+    userAgent: 'Mozilla/5.0 (Linux; Android 12; SM-F926B) AppleWebKit/537.36 Chrome/140.0 Mobile Safari/537.36',
+    isMobile: true
+  }
+};
+
+async function testCatalog() {
+  console.log('1️⃣ Catalog and custom devices...');
+  const custom = normalizeCustomDevices(CUSTOM_DEVICES);
+  const catalog = buildDeviceCatalog(CUSTOM_DEVICES);
+  const config = normalizeConfig({ customDevices: CUSTOM_DEVICES });
+
+  return report({
+    'every Playwright descriptor available': Object.keys(PLAYWRIGHT_DEVICES).every(name => catalog[name]) &&
+      Object.keys(PLAYWRIGHT_DEVICES).length > 100,
+    'width/height shorthand': custom['Kiosk Portrait'].viewport.width === 1080 && custom['Kiosk Portrait'].deviceScaleFactor === 1 &&
+      custom['Kiosk Portrait'].hasTouch === true && custom['Kiosk Portrait'].isMobile === false,
+    'touch follows mobile': custom['Fold Open'].hasTouch === true && custom['Fold Open'].defaultBrowserType === 'chromium',
+    'custom devices in the catalog': catalog['Fold Open'].deviceScaleFactor === 2.6,
+    'custom devices replace built-ins': buildDeviceCatalog({ 'iPhone 13': { width: 400, height: 800 } })['iPhone 13'].viewport.width === 400,
+    'config normalizes customDevices': config.customDevices['Kiosk Portrait'].viewport.height === 1920 &&
+      Object.keys(normalizeConfig({}).customDevices).length === 0,
+    'viewport size required': rejects(() => normalizeCustomDevices({ Broken: { deviceScaleFactor: 2 } }), 'Custom device "Broken" needs a viewport'),
+    'map required': rejects(() => normalizeCustomDevices(['Kiosk']), 'customDevices must map device names')
+  });
+}
+
+async function testSearch() {
+  console.log('\n2️⃣ Searching...');
+  const catalog = buildDeviceCatalog(CUSTOM_DEVICES);
+  const byName = searchDevices(catalog, { query: 'iphone 13' });
+  const android = searchDevices(catalog, { os: 'android', width: '700-720', customDevices: CUSTOM_DEVICES });
+  const desktops = searchDevices(catalog, { mobile: false, width: '1024-' });
+
+  return report({
+    'name terms all match': byName.length > 0 && byName.every(device => /iphone 13/i.test(device.name)),
+    'OS from the user agent': byName.every(device => device.os === 'ios') &&
+      searchDevices(catalog, { query: 'desktop edge' }).every(device => device.os === 'windows'),
+    'width range and custom flag': android.some(device => device.name === 'Fold Open' && device.custom) &&
+      android.every(device => device.width >= 700 && device.width <= 720),
+    'open-ended range and desktop only': desktops.length > 0 &&
+      desktops.every(device => !device.mobile && device.width >= 1024) && desktops.some(device => device.name === 'Kiosk Portrait'),
+    'sorted by name': byName.map(device => device.name).join() === byName.map(device => device.name).sort((a, b) => a.localeCompare(b)).join(),
+    'invalid range rejected': rejects(() => searchDevices(catalog, { width: 'wide' }), 'Invalid width "wide"')
+  });
+}
+
+async function testCapturePlan() {
+  console.log('\n3️⃣ Capture planning...');
+  const vrt = new PlaywrightVRT({ aiEnabled: false, customDevices: CUSTOM_DEVICES });
+  const jobs = vrt.planCaptureJobs(['chromium'], { devices: ['Kiosk Portrait', 'Pixel 7'], devicesOnly: true }, null);
+
+  let unknown = null;
+  try {
+    vrt.planCaptureJobs(['chromium'], { devices: ['iPhone 13', 'iPhone 99'], devicesOnly: true }, null);
+  } catch (error) {
+    unknown = error;
+  }
+
+  return report({
+    'custom and built-in devices planned': jobs.map(job => job.id).join() === 'chromium-Kiosk-Portrait,chromium-Pixel-7' &&
+      jobs[0].contextOptions.viewport.width === 1080 && jobs[1].contextOptions.isMobile === true,
+    'unknown device fails the run': unknown !== null && unknown.message.includes('Unknown device: "iPhone 99"') &&
+      unknown.message.includes('vrt devices'),
+    'not retried': unknown !== null && unknown.retryable === false,
+    'close names suggested': unknown !== null && unknown.message.includes('Did you mean') && unknown.message.includes('iPhone'),
+    'vrt mobile defaults resolve': resolveDevices(DEFAULT_MOBILE_DEVICES, buildDeviceCatalog({})).length === DEFAULT_MOBILE_DEVICES.length,
+    'lookup keeps the order': resolveDevices(['Fold Open', 'Pixel 7'], buildDeviceCatalog(CUSTOM_DEVICES)).map(device => device.name).join() === 'Fold Open,Pixel 7'
+  });
+}
+
+async function runAllTests() {
+  await runTests('DEVICE CATALOG TESTS', {
+    catalog: testCatalog,
+    search: testSearch,
+    plan: testCapturePlan
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
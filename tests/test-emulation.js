@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * Test the emulation matrix, variant filenames and dimension filters
+ * Runs without a browser using generated PNGs
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const VRTBase = require('../lib/vrt-base');
+const PlaywrightVRT = require('../lib/playwright-vrt');
+const ReportGenerator = require('../lib/report-generator');
+const {
+  expandMatrix,
+  parseMatrixArg,
+  parseVariant,
+  parseFilter,
+  matchesFilter
+} = require('../lib/emulation');
+const { report, runTests } = require('./helpers');
+
+function createImage(width, height, color) {
+  const png = new PNG({ width, height });
+  for (let i = 0; i < png.data.length; i += 4) {
+    png.data[i] = color[0];
+    png.data[i + 1] = color[1];
+    png.data[i + 2] = color[2];
+    png.data[i + 3] = 255;
+  }
+  return PNG.sync.write(png);
+}
+
+async function testMatrix() {
+  console.log('1️⃣ Matrix expansion...');
+  const sydney = { name: 'sydney', latitude: -33.87, longitude: 151.21 };
+  const variants = expandMatrix({
+    colorScheme: ['light', 'dark'],
+    locale: ['en-AU', 'fr-FR'],
+    timezoneId: 'Australia/Sydney',
+    geolocation: [sydney]
+  });
+  const dark = variants.find(v => v.emulation.colorScheme === 'dark' && v.emulation.locale === 'fr-FR');
+
+  let invalidRejected = false;
+  try {
+    expandMatrix({ colorScheme: ['sepia'] });
+  } catch (error) {
+    invalidRejected = true;
+  }
+
+  let unknownRejected = false;
+  try {
+    expandMatrix({ contrast: ['more'] });
+  } catch (error) {
+    unknownRejected = true;
+  }
+
+  const fromArg = parseMatrixArg('colorScheme=light|dark,geolocation=sydney|48.85:2.35', { geolocation: [sydney] });
+
+  return report({
+    'every combination expanded': variants.length === 4,
+    'no matrix keeps plain filenames': expandMatrix(undefined).length === 1 && expandMatrix({})[0].suffix === '',
+    'dimensions encoded in suffix': dark.suffix === '~colorScheme=dark~locale=fr-FR~timezoneId=Australia_Sydney~geolocation=sydney',
+    'context options passed through': dark.contextOptions.colorScheme === 'dark' && dark.contextOptions.locale === 'fr-FR' &&
+      dark.contextOptions.timezoneId === 'Australia/Sydney',
+    'geolocation granted': dark.contextOptions.geolocation.latitude === -33.87 &&
+      dark.contextOptions.permissions[0] === 'geolocation' && !('name' in dark.contextOptions.geolocation),
+    'invalid value rejected': invalidRejected,
+    'unknown dimension rejected': unknownRejected,
+    'CLI matrix parsed': fromArg.colorScheme.length === 2 && fromArg.geolocation[0] === sydney &&
+      fromArg.geolocation[1].latitude === 48.85
+  });
+}
+
+async function testJobs() {
+  console.log('\n2️⃣ Capture jobs per variant...');
+  const vrt = new PlaywrightVRT({
+    aiEnabled: false,
+    viewports: [{ name: 'desktop', width: 1440, height: 900 }]
+  });
+
+  const jobs = vrt.planCaptureJobs(['chromium'], {
+    fullPage: true,
+    emulation: { colorScheme: ['light', 'dark'], reducedMotion: 'reduce' }
+  }, null);
+  const ids = jobs.map(job => job.id);
+  const plain = vrt.planCaptureJobs(['chromium'], {}, null);
+
+  return report({
+    'one job per variant': jobs.length === 2,
+    'variant in job id': ids.includes('chromium-desktop~colorScheme=dark~reducedMotion=reduce'),
+    'viewport and emulation merged': jobs[1].contextOptions.viewport.width === 1440 && jobs[1].contextOptions.colorScheme === 'dark',
+    'no matrix, no variants': plain.length === 1 && plain[0].id === 'chromium-desktop'
+  });
+}
+
+async function testCompareFilter() {
+  console.log('\n3️⃣ Compare and report filters...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-emulation-'));
+  const vrt = new VRTBase({ aiEnabled: false });
+
+  try {
+    const beforeDir = path.join(dir, 'before');
+    const afterDir = path.join(dir, 'after');
+    await fs.mkdir(beforeDir);
+    await fs.mkdir(afterDir);
+
+    const files = [
+      'chromium-desktop-full~colorScheme=light~locale=en-AU.png',
+      'chromium-desktop-full~colorScheme=dark~locale=en-AU.png',
+      'chromium-desktop-full~colorScheme=dark~locale=fr-FR.png'
+    ];
+    for (const file of files) {
+      await fs.writeFile(path.join(beforeDir, file), createImage(10, 10, [255, 255, 255]));
+      await fs.writeFile(path.join(afterDir, file), createImage(10, 10, [255, 255, 255]));
+    }
+
+    const all = await vrt.compare(beforeDir, afterDir, { output: path.join(dir, 'all') });
+    const dark = await vrt.compare(beforeDir, afterDir, { output: path.join(dir, 'dark'), filter: 'colorScheme=dark' });
+    const darkFrench = await vrt.compare(beforeDir, afterDir, {
+      output: path.join(dir, 'dark-fr'),
+      filter: 'colorScheme=dark,locale=fr-FR'
+    });
+    const html = ReportGenerator.generateReport(all, 'playwright');
+
+    let badFilterRejected = false;
+    try {
+      parseFilter('theme=dark');
+    } catch (error) {
+      badFilterRejected = true;
+    }
+
+    return report({
+      'dimensions parsed from filename': parseVariant(files[2]).locale === 'fr-FR' &&
+        Object.keys(parseVariant('chromium-desktop-full.png')).length === 0,
+      'repeated dimension means either': matchesFilter({ locale: 'fr-FR' }, parseFilter('locale=en-AU,locale=fr-FR')),
+      'unfiltered compare sees all variants': all.totalImages === 3 && !!all.report[0].emulation.colorScheme,
+      'filter by one dimension': dark.totalImages === 2,
+      'filter by two dimensions': darkFrench.totalImages === 1 && darkFrench.report[0].file === files[2],
+      'invalid filter rejected': badFilterRejected,
+      'report has dimension filters': html.includes('data-dimension="colorscheme"') &&
+        html.includes('data-locale="fr-FR"') && html.includes('<option value="dark">')
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  await runTests('EMULATION TESTS', {
+    matrix: testMatrix,
+    jobs: testJobs,
+    compare: testCompareFilter
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+
+/**
+ * Test HAR recording and replay
+ * Runs without a browser using stub pages, requests and routes
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { HarRecorder, HarReplayer } = require('../lib/har');
+const PlaywrightVRT = require('../lib/playwright-vrt');
+const { report, runTests } = require('./helpers');
+
+function stubRequest(method, url) {
+  return {
+    method: () => method,
+    url: () => url,
+    headers: () => ({}),
+    postData: () => null
+  };
+}
+
+function stubResponse(url, body, contentType) {
+  return {
+    request: () => stubRequest('GET', url),
+    status: () => 200,
+    statusText: () => 'OK',
+    body: async () => Buffer.from(body),
+    allHeaders: async () => ({ 'content-type': contentType }),
+    headers: () => ({ 'content-type': contentType })
+  };
+}
+
+function stubRoute(method, url) {
+  const route = { fulfilled: null, aborted: false };
+  route.request = () => stubRequest(method, url);
+  route.fulfill = async response => { route.fulfilled = response; };
+  route.abort = async () => { route.aborted = true; };
+  return route;
+}
+
+// Page whose route handler the replayer installs
+function stubPage() {
+  const page = { handler: null };
+  page.route = async (pattern, handler) => { page.handler = handler; };
+  return page;
+}
+
+// Page with Playwright's route order: the most recently added route runs first,
+// fallback() hands the request to the one added before it
+function routedPage() {
+  const page = {
+    routes: [],
+    setDefaultTimeout: () => {},
+    setDefaultNavigationTimeout: () => {},
+    url: () => 'about:blank',
+    route: async (pattern, handler) => { page.routes.push(handler); },
+    request: async (method, url, index = page.routes.length - 1) => {
+      const route = stubRoute(method, url);
+      route.fallback = async () => {
+        route.outcome = index > 0 ? await page.request(method, url, index - 1) : 'continued';
+      };
+      await page.routes[index](route);
+      if (route.fulfilled) return 'fulfilled';
+      return route.aborted ? 'aborted' : route.outcome;
+    }
+  };
+  return page;
+}
+
+async function testRecordAndReplay() {
+  console.log('1️⃣ Record and replay...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-har-'));
+
+  try {
+    const harPath = path.join(dir, 'site.har');
+    const page = new EventEmitter();
+    const recorder = new HarRecorder();
+    recorder.attach(page);
+
+    page.emit('response', stubResponse('https://example.com/', '<h1>Hello</h1>', 'text/html'));
+    page.emit('response', stubResponse('https://example.com/api/count', '{"count":1}', 'application/json'));
+    page.emit('response', stubResponse('https://example.com/api/count', '{"count":2}', 'application/json'));
+    const saved = await recorder.save(harPath);
+
+    const replayer = await HarReplayer.load(harPath);
+    const pageA = stubPage();
+    const pageB = stubPage();
+    await replayer.attach(pageA);
+    await replayer.attach(pageB);
+
+    const html = stubRoute('GET', 'https://example.com/');
+    const first = stubRoute('GET', 'https://example.com/api/count');
+    const other = stubRoute('GET', 'https://example.com/api/count');
+    const second = stubRoute('GET', 'https://example.com/api/count');
+    const third = stubRoute('GET', 'https://example.com/api/count');
+    const otherSecond = stubRoute('GET', 'https://example.com/api/count');
+    // Two concurrent pages interleave their requests
+    await pageA.handler(html);
+    await pageA.handler(first);
+    await pageB.handler(other);
+    await pageA.handler(second);
+    await pageA.handler(third);
+    await pageB.handler(otherSecond);
+
+    return report({
+      'all responses recorded': saved.entries === 3,
+      'body replayed': html.fulfilled && html.fulfilled.body.toString() === '<h1>Hello</h1>',
+      'content type replayed': html.fulfilled && html.fulfilled.headers['content-type'] === 'text/html',
+      'repeated requests in recorded order': first.fulfilled.body.toString() === '{"count":1}' &&
+        second.fulfilled.body.toString() === '{"count":2}',
+      'last response reused': third.fulfilled.body.toString() === '{"count":2}',
+      'each page replays from the start': other.fulfilled.body.toString() === '{"count":1}' &&
+        otherSecond.fulfilled.body.toString() === '{"count":2}'
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testMissingRequests() {
+  console.log('\n2️⃣ Missing requests...');
+  const har = { log: { entries: [] } };
+
+  const aborting = new HarReplayer(har);
+  const abortRoute = stubRoute('GET', 'https://example.com/missing.js');
+  await aborting.handle(abortRoute);
+  let abortThrew = false;
+  try {
+    aborting.assertComplete();
+  } catch (error) {
+    abortThrew = true;
+  }
+
+  const failing = new HarReplayer(har, { notFound: 'fail' });
+  await failing.handle(stubRoute('GET', 'https://example.com/missing.js'));
+  let failError = null;
+  try {
+    failing.assertComplete();
+  } catch (error) {
+    failError = error;
+  }
+
+  let invalidRejected = false;
+  try {
+    new HarReplayer(har, { notFound: 'ignore' });
+  } catch (error) {
+    invalidRejected = true;
+  }
+
+  return report({
+    'missing request aborted': abortRoute.aborted,
+    'abort mode does not fail': !abortThrew,
+    'fail mode lists missing requests': !!failError && failError.message.includes('GET https://example.com/missing.js'),
+    'fail mode is not retried': !!failError && failError.retryable === false,
+    'invalid mode rejected': invalidRejected
+  });
+}
+
+async function testRouteOrder() {
+  console.log('\n3️⃣ Replay behind other page routes...');
+  const har = { log: { entries: [{
+    request: { method: 'GET', url: 'https://example.com/app.js' },
+    response: { status: 200, headers: [], content: { text: 'app()' } }
+  }] } };
+
+  const vrt = new PlaywrightVRT({ aiEnabled: false });
+  vrt.harReplayer = new HarReplayer(har);
+  const page = routedPage();
+  await vrt.setupPage(page, { suppression: null, archive: true });
+
+  // A route added later (like latency throttling) sees the request, then replay answers it
+  const seen = [];
+  await page.route('**/*', route => {
+    seen.push(route.request().url());
+    return route.fallback();
+  });
+
+  const plain = routedPage();
+  await vrt.setupPage(plain, { suppression: null });
+
+  return report({
+    'archive is the first page route': page.routes.length === 2,
+    'later routes run before replay': await page.request('GET', 'https://example.com/app.js') === 'fulfilled' &&
+      seen.join() === 'https://example.com/app.js',
+    'no archive unless asked for': plain.routes.length === 0
+  });
+}
+
+async function testAttachedBodies() {
+  console.log('\n4️⃣ Attached bodies...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-har-'));
+  const warn = console.warn;
+  console.warn = () => {};
+
+  try {
+    await fs.mkdir(path.join(dir, 'archive', 'bodies'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'archive', 'bodies', 'app.js'), 'app()');
+    await fs.writeFile(path.join(dir, 'secret.txt'), 'secret');
+    const entry = (url, file) => ({
+      request: { method: 'GET', url },
+      response: { status: 200, headers: [], content: { _file: file } }
+    });
+    const replayer = new HarReplayer({ log: { entries: [
+      entry('https://example.com/app.js', 'bodies/app.js'),
+      entry('https://example.com/escape', '../secret.txt'),
+      entry('https://example.com/absolute', path.join(dir, 'secret.txt'))
+    ] } }, { baseDir: path.join(dir, 'archive') });
+
+    const inside = stubRoute('GET', 'https://example.com/app.js');
+    const escape = stubRoute('GET', 'https://example.com/escape');
+    const absolute = stubRoute('GET', 'https://example.com/absolute');
+    await replayer.handle(inside);
+    await replayer.handle(escape);
+    await replayer.handle(absolute);
+
+    return report({
+      'file inside the archive directory served': inside.fulfilled && inside.fulfilled.body.toString() === 'app()',
+      'relative path outside rejected': !escape.fulfilled && escape.aborted,
+      'absolute path outside rejected': !absolute.fulfilled && absolute.aborted
+    });
+  } finally {
+    console.warn = warn;
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testSecretsLeftOut() {
+  console.log('\n5️⃣ Cookies, credentials and target headers...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-har-'));
+
+  try {
+    const harPath = path.join(dir, 'site.har');
+    const vrt = new PlaywrightVRT({
+      aiEnabled: false,
+      recordHar: harPath,
+      http: { headers: { 'X-Preview-Token': 'preview-secret' } }
+    });
+    await vrt.prepareNetworkArchive();
+
+    const page = new EventEmitter();
+    vrt.harRecorder.attach(page);
+    const response = stubResponse('https://staging.example.com/', '<h1>Hi</h1>', 'text/html');
+    response.request = () => ({
+      ...stubRequest('GET', 'https://staging.example.com/'),
+      headers: () => ({
+        accept: 'text/html',
+        cookie: 'session=live-session',
+        authorization: 'Basic dXNlcjpwYXNz',
+        'proxy-authorization': 'Basic cHJveHk6cGFzcw==',
+        'x-preview-token': 'preview-secret'
+      })
+    });
+    response.allHeaders = async () => ({
+      'content-type': 'text/html',
+      'set-cookie': 'session=live-session; HttpOnly',
+      'X-Preview-Token': 'preview-secret'
+    });
+    page.emit('response', response);
+    await vrt.harRecorder.save(harPath);
+
+    const saved = await fs.readFile(harPath, 'utf8');
+    const [entry] = JSON.parse(saved).log.entries;
+    const names = headers => headers.map(header => header.name).join();
+
+    return report({
+      'no secrets in the archive': !saved.includes('live-session') && !saved.includes('preview-secret') &&
+        !saved.includes('dXNlcjpwYXNz') && !saved.includes('cHJveHk6cGFzcw=='),
+      'other request headers kept': names(entry.request.headers) === 'accept',
+      'other response headers kept': names(entry.response.headers) === 'content-type'
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  await runTests('HAR TESTS', {
+    replay: testRecordAndReplay,
+    missing: testMissingRequests,
+    order: testRouteOrder,
+    attachedBodies: testAttachedBodies,
+    secrets: testSecretsLeftOut
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
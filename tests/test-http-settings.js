@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * Test target-level HTTP settings: headers, basic auth, proxy, TLS errors, user agent and cookies
+ * Runs without a browser: stub pages and browsers record what they were given
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const VRT = require('../lib/vrt');
+const PlaywrightVRT = require('../lib/playwright-vrt');
+const DebugCapture = require('../lib/debug-capture');
+const { cookiesForUrl } = require('../lib/cookies');
+const {
+  resolveHttpSettings,
+  httpLaunchOptions,
+  httpContextOptions,
+  applyHttpSettings
+} = require('../lib/http-settings');
+const { report, rejects, runTests } = require('./helpers');
+
+const STAGING = {
+  name: 'staging',
+  baseUrl: 'https://staging.example.com',
+  headers: { 'X-Preview-Token': '${VRT_TEST_PREVIEW_TOKEN}' },
+  httpCredentials: { username: 'preview', password: '${VRT_TEST_STAGING_PASSWORD}' },
+  proxy: { server: 'http://proxy.internal:3128', bypass: 'localhost, .internal', username: 'proxy-user', password: 'p' },
+  ignoreHTTPSErrors: true,
+  userAgent: 'Mozilla/5.0 (VRT staging)',
+  cookies: [{ name: 'feature_flags', value: 'new-nav' }, { name: 'region', value: 1, domain: '.example.com' }]
+};
+
+// Puppeteer-like stub page
+function createPuppeteerPage() {
+  const page = {
+    headers: null,
+    credentials: null,
+    userAgent: null,
+    cookies: [],
+    setExtraHTTPHeaders: async headers => { page.headers = headers; },
+    authenticate: async credentials => { page.credentials = credentials; },
+    setUserAgent: async userAgent => { page.userAgent = userAgent; },
+    setCookie: async (...cookies) => page.cookies.push(...cookies)
+  };
+  return page;
+}
+
+async function testSettings() {
+  console.log('1️⃣ Target settings...');
+  process.env.VRT_TEST_PREVIEW_TOKEN = 'preview-123';
+  process.env.VRT_TEST_STAGING_PASSWORD = 'hunter2';
+  const settings = resolveHttpSettings(STAGING);
+
+  return report({
+    'nothing to do for plain targets': resolveHttpSettings({ name: 'local', baseUrl: 'http://localhost' }) === null &&
+      resolveHttpSettings(null) === null,
+    'secrets read from the environment': settings.headers['X-Preview-Token'] === 'preview-123' &&
+      settings.httpCredentials.password === 'hunter2',
+    'proxy string becomes a server': resolveHttpSettings({ proxy: 'http://proxy:3128' }).proxy.server === 'http://proxy:3128',
+    'proxy needs a server': rejects(() => resolveHttpSettings({ proxy: { bypass: 'localhost' } }), 'proxy needs a server'),
+    'credentials need both parts': rejects(() => resolveHttpSettings({ httpCredentials: { username: 'x' } }), 'username and password'),
+    'cookies need name and value': rejects(() => resolveHttpSettings({ cookies: [{ name: 'x' }] }), 'expected name and value'),
+    'headers must be an object': rejects(() => resolveHttpSettings({ headers: ['X-Token: 1'] }), 'headers must be an object'),
+    'unset variable rejected': rejects(() => resolveHttpSettings({ headers: { 'X-Token': '${VRT_TEST_UNSET_TOKEN}' } }), 'VRT_TEST_UNSET_TOKEN')
+  });
+}
+
+async function testEngines() {
+  console.log('\n2️⃣ Launch, context and page setup...');
+  const settings = resolveHttpSettings(STAGING);
+
+  const playwrightLaunch = httpLaunchOptions(settings, 'playwright');
+  const puppeteerLaunch = httpLaunchOptions(settings, 'puppeteer');
+  const context = httpContextOptions(settings);
+
+  const page = createPuppeteerPage();
+  await applyHttpSettings(page, settings, 'https://staging.example.com/listing', {
+    headers: { 'Accept-Language': 'en-US,en;q=0.9', 'X-Preview-Token': 'default' }
+  });
+
+  const proxyOnly = createPuppeteerPage();
+  await applyHttpSettings(proxyOnly, resolveHttpSettings({ proxy: STAGING.proxy }), 'https://staging.example.com/');
+
+  const defaultsOnly = createPuppeteerPage();
+  await applyHttpSettings(defaultsOnly, null, 'https://staging.example.com/', { headers: { 'Accept-Language': 'en-US' } });
+
+  const added = [];
+  const playwrightPage = { route: async () => {}, context: () => ({ addCookies: async cookies => added.push(...cookies) }) };
+  await applyHttpSettings(playwrightPage, settings, 'file:///tmp/page.html');
+
+  const [originCookie, domainCookie, urlCookie] = cookiesForUrl([
+    { name: 'a', value: 1 },
+    { name: 'b', value: 'x', domain: '.example.com' },
+    { name: 'c', value: 'y', url: 'https://other.example.com' }
+  ], 'https://staging.example.com/listing?id=1');
+
+  return report({
+    'Playwright proxy at launch': playwrightLaunch.proxy.server === 'http://proxy.internal:3128' &&
+      playwrightLaunch.proxy.username === 'proxy-user',
+    'Puppeteer proxy and certificates at launch': puppeteerLaunch.args.join(' ') ===
+      '--proxy-server=http://proxy.internal:3128 --proxy-bypass-list=localhost;.internal' && puppeteerLaunch.acceptInsecureCerts === true,
+    'context options': context.extraHTTPHeaders['X-Preview-Token'] === 'preview-123' && context.httpCredentials.username === 'preview' &&
+      context.ignoreHTTPSErrors === true && context.userAgent === 'Mozilla/5.0 (VRT staging)' && !('proxy' in context),
+    'no options without settings': Object.keys(httpContextOptions(null)).length === 0 && Object.keys(httpLaunchOptions(null, 'puppeteer')).length === 0,
+    'target headers over defaults': page.headers['Accept-Language'] === 'en-US,en;q=0.9' && page.headers['X-Preview-Token'] === 'preview-123',
+    'Puppeteer credentials, user agent and cookies': page.credentials.password === 'hunter2' &&
+      page.userAgent === 'Mozilla/5.0 (VRT staging)' && page.cookies[0].url === 'https://staging.example.com' &&
+      page.cookies[1].domain === '.example.com' && page.cookies[1].value === '1',
+    'proxy credentials when no server credentials': proxyOnly.credentials.username === 'proxy-user',
+    'default headers without a target': defaultsOnly.headers['Accept-Language'] === 'en-US' && defaultsOnly.credentials === null,
+    'only domain cookies for file pages': added.length === 1 && added[0].name === 'region',
+    'cookie helper fills in origin and path': originCookie.url === 'https://staging.example.com' && originCookie.value === '1' &&
+      domainCookie.path === '/' && !domainCookie.url && urlCookie.url === 'https://other.example.com' && !urlCookie.path
+  });
+}
+
+async function testCapture() {
+  console.log('\n3️⃣ Capture jobs...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-http-'));
+  const vrt = new PlaywrightVRT({ aiEnabled: false, http: STAGING });
+
+  try {
+    const contexts = [];
+    const cookies = [];
+    const page = {
+      setDefaultTimeout: () => {},
+      setDefaultNavigationTimeout: () => {},
+      route: async () => {},
+      context: () => ({ addCookies: async added => cookies.push(...added) }),
+      goto: async () => {},
+      screenshot: async options => fs.writeFile(options.path, 'png')
+    };
+    vrt.browserPool = {
+      withContext: async (browserType, contextOptions, fn) => {
+        contexts.push(contextOptions);
+        return fn({ newPage: async () => page });
+      }
+    };
+
+    const run = { url: 'https://staging.example.com/pricing', outputDir: dir, options: {} };
+    const jobs = vrt.planCaptureJobs(['chromium'], { viewports: [{ name: 'mobile', width: 390, height: 844 }], devices: ['iPhone 13'] }, null);
+    await vrt.runCaptureJobs(jobs, run);
+
+    // VRT#debug hands the session to DebugCapture (stubbed: it launches Puppeteer)
+    const debugged = [];
+    const debugCapture = DebugCapture.prototype.capture;
+    DebugCapture.prototype.capture = async function(url, options) {
+      debugged.push({ url, options, httpSettings: this.httpSettings });
+      return { summary: {} };
+    };
+    let debugResults;
+    try {
+      debugResults = await new VRT({ aiEnabled: false, http: STAGING }).debug('https://staging.example.com/', { console: true });
+    } finally {
+      DebugCapture.prototype.capture = debugCapture;
+    }
+
+    return report({
+      'every context gets the settings': contexts.length === 2 &&
+        contexts.every(options => options.extraHTTPHeaders['X-Preview-Token'] === 'preview-123' && options.ignoreHTTPSErrors),
+      'target user agent wins over device presets': contexts.every(options => options.userAgent === 'Mozilla/5.0 (VRT staging)'),
+      'cookies set for the page origin': cookies.length === 4 && cookies[0].url === 'https://staging.example.com',
+      'debug sessions use the target too': new DebugCapture({ http: STAGING }).httpSettings.httpCredentials.username === 'preview' &&
+        new DebugCapture().httpSettings === null,
+      'debug runs a debug capture': debugged.length === 1 && debugged[0].options.console === true &&
+        debugged[0].httpSettings.httpCredentials.username === 'preview' && Boolean(debugResults.summary)
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  await runTests('HTTP SETTINGS TESTS', {
+    settings: testSettings,
+    engines: testEngines,
+    capture: testCapture
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
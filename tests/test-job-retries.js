@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+
+/**
+ * Test job-level retries: per-job attempts and timeouts, partial results,
+ * failures.json, errored screenshots in compare and sessions refreshed on retry
+ * Runs without a browser: the pool hands out stub contexts and jobs are stubbed
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const PlaywrightVRT = require('../lib/playwright-vrt');
+const { readFailures } = require('../lib/job-failures');
+const { report, runTests } = require('./helpers');
+
+async function writePng(file) {
+  const png = new PNG({ width: 4, height: 4 });
+  png.data.fill(255);
+  await fs.writeFile(file, PNG.sync.write(png));
+}
+
+// VRT whose pool gives out stub contexts; `attempt(job, n)` plays one attempt of a job
+function createVRT(dir, attempt, options = {}) {
+  const vrt = new PlaywrightVRT({ aiEnabled: false, outputDir: dir, ...options });
+  const attempts = {};
+  vrt.contexts = 0;
+  vrt.contextOptions = [];
+  vrt.contextEvents = [];
+  vrt.sleep = async () => {};
+  vrt.browserPool = {
+    withContext: async (browserType, contextOptions, fn) => {
+      vrt.contexts++;
+      vrt.contextOptions.push(contextOptions);
+      const context = { id: vrt.contexts, closed: false };
+      const page = {
+        screenshot: async ({ path: file }) => {
+          if (context.closed) throw new Error('Target page, context or browser has been closed');
+          await writePng(file);
+        }
+      };
+      context.pages = () => [page];
+      context.close = async () => {
+        context.closed = true;
+        vrt.contextEvents.push(`close ${context.id}`);
+      };
+      vrt.contextEvents.push(`open ${context.id}`);
+      return fn(context);
+    },
+    closeAll: async () => {}
+  };
+  vrt.captureScreenshotJob = async (context, job, run) => {
+    attempts[job.id] = (attempts[job.id] || 0) + 1;
+    await attempt(job, attempts[job.id]);
+    const file = path.join(run.outputDir, `${job.prefix}${job.fileSuffix}${job.variant.suffix}.png`);
+    await writePng(file);
+    return [{ path: file, browser: job.browserType, viewport: job.viewport, jobId: job.id }];
+  };
+  return vrt;
+}
+
+const VIEWPORTS = [
+  { name: 'mobile', width: 390, height: 844 },
+  { name: 'desktop', width: 1280, height: 800 }
+];
+
+async function testRetries() {
+  console.log('1️⃣ Retrying jobs on their own...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-retries-'));
+
+  try {
+    const vrt = createVRT(dir, async (job, n) => {
+      if (job.viewport === 'mobile' && n < 3) throw new Error('net::ERR_CONNECTION_RESET');
+    });
+    const retried = [];
+    const completed = [];
+    vrt.on('job:retry', event => retried.push(event));
+    vrt.on('job:complete', event => completed.push(event));
+
+    const jobs = vrt.planCaptureJobs(['chromium'], { viewports: VIEWPORTS }, null);
+    const outcomes = await vrt.runCaptureJobs(jobs, { url: 'https://example.com', outputDir: dir, options: {} });
+
+    return report({
+      'flaky job retried until it passed': outcomes.every(outcome => Array.isArray(outcome)) &&
+        retried.length === 2 && retried.every(event => event.id === 'chromium-mobile'),
+      'attempts reported on completion': completed.find(event => event.id === 'chromium-mobile').attempts === 3 &&
+        completed.find(event => event.id === 'chromium-desktop').attempts === 1,
+      'fresh context per attempt': vrt.contexts === 4
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testFailures() {
+  console.log('\n2️⃣ Failed jobs and timeouts...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-retries-'));
+
+  try {
+    const vrt = createVRT(dir, async job => {
+      if (job.viewport === 'mobile') throw new Error('Navigation timeout of 30000 ms exceeded');
+      if (job.browserType === 'webkit') {
+        const error = new Error('No HAR entry for GET https://example.com/app.js');
+        error.retryable = false;
+        throw error;
+      }
+      if (job.browserType === 'firefox') await new Promise(() => {});
+    }, { retries: 1, jobTimeout: 50 });
+    const errors = [];
+    vrt.on('job:error', event => errors.push(event));
+
+    const jobs = vrt.planCaptureJobs(['chromium', 'firefox', 'webkit'], { viewports: VIEWPORTS }, null);
+    const outcomes = await vrt.runCaptureJobs(jobs, { url: 'https://example.com', outputDir: dir, options: {} });
+    const failures = outcomes.filter(outcome => outcome.failure).map(outcome => outcome.failure);
+    const byId = id => failures.find(failure => failure.id === id);
+
+    const mobile = byId('chromium-mobile');
+    const screenshot = mobile && mobile.failureScreenshot
+      ? await fs.stat(mobile.failureScreenshot).then(() => true, () => false)
+      : false;
+
+    return report({
+      'other jobs kept': Array.isArray(outcomes[1]) && outcomes[1][0].path.endsWith('chromium-desktop-viewport.png'),
+      'failures in job order': failures.map(failure => failure.id).join() ===
+        'chromium-mobile,firefox-mobile,firefox-desktop,webkit-mobile,webkit-desktop',
+      'error, attempts and file recorded': mobile.error.includes('Navigation timeout') && mobile.attempts === 2 &&
+        mobile.file === 'chromium-mobile-viewport.png' && mobile.viewport === 'mobile',
+      'failure screenshot saved': screenshot && mobile.failureScreenshot === path.join(dir, 'failures', 'chromium-mobile.png'),
+      'attempts time out': byId('firefox-desktop').timedOut === true && byId('firefox-desktop').error.includes('timed out after 50ms'),
+      'non-retryable errors fail at once': byId('webkit-desktop').attempts === 1,
+      'job:error carries attempts': errors.length === 5 && errors.every(event => event.attempts >= 1 && event.error)
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testPartialCapture() {
+  console.log('\n3️⃣ Partial captures and compare...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-retries-'));
+
+  try {
+    const before = createVRT(dir, async () => {});
+    const after = createVRT(dir, async job => {
+      if (job.viewport === 'desktop') throw new Error('locator.click: <button class="cta"> intercepts pointer events');
+    }, { retries: 0 });
+
+    const beforeResults = await before.capture('file:///tmp/page.html', { outputDir: 'before', viewports: VIEWPORTS, metadata: false });
+    const afterResults = await after.capture('file:///tmp/page.html', { outputDir: 'after', viewports: VIEWPORTS, metadata: false });
+    const recorded = await readFailures(path.join(dir, 'after'));
+
+    const comparison = await after.compare(path.join(dir, 'before'), path.join(dir, 'after'), {
+      output: path.join(dir, 'comparison'),
+      generateReport: true
+    });
+    const errored = comparison.report.find(item => item.status === 'errored');
+    const html = await fs.readFile(path.join(dir, 'comparison', 'report.html'), 'utf8').catch(() => '');
+
+    const components = await after.compare(path.join(dir, 'before'), path.join(dir, 'after'), {
+      output: path.join(dir, 'comparison'),
+      scope: 'components'
+    });
+
+    return report({
+      'successful screenshots returned': afterResults.length === 1 && afterResults[0].viewport === 'mobile' &&
+        beforeResults.failures.length === 0,
+      'failures listed on the results': afterResults.failures.length === 1 && afterResults.failures[0].attempts === 1,
+      'failures.json written': recorded.length === 1 && recorded[0].file === 'chromium-desktop-viewport.png' &&
+        (await readFailures(path.join(dir, 'before'))).length === 0,
+      'compare reports errored, not missing': comparison.passed === false && comparison.errors.length === 1 &&
+        errored.file === 'chromium-desktop-viewport.png' && errored.side === 'after' && errored.attempts === 1 &&
+        comparison.totalImages === 2 && comparison.differences.length === 0,
+      'errored screenshots in the HTML report': html.includes('ERROR') && html.includes('intercepts pointer events'),
+      'error text escaped in the report': html.includes('&lt;button class=&quot;cta&quot;&gt;') && !html.includes('<button class="cta">'),
+      'scope applies to errored screenshots': components.errors.length === 0 && components.passed === true
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testExpiredSession() {
+  console.log('\n4️⃣ Session expired during the run...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-retries-'));
+
+  try {
+    // Stub auth role: every login writes a new state file, the saved one is dropped on expiry
+    const auth = { logins: 0, invalidated: 0, saved: 'state-0.json' };
+    const authManager = {
+      ensureSession: async () => {
+        if (!auth.saved) auth.saved = `state-${++auth.logins}.json`;
+        return auth.saved;
+      },
+      isLoginPage: (role, url) => url.endsWith('/login'),
+      invalidate: async () => {
+        auth.invalidated++;
+        auth.saved = null;
+      }
+    };
+
+    const vrt = createVRT(dir, async (job, n) => {
+      // The first attempt of each job lands on the login page
+      await vrt.assertAuthenticated({ url: () => (n === 1 ? 'https://example.com/login' : 'https://example.com/') });
+    }, { authRole: 'editor', authManager });
+
+    const results = await vrt.capture('https://example.com/', { outputDir: 'run', viewports: VIEWPORTS, metadata: false });
+    const states = vrt.contextOptions.map(options => options.storageState);
+
+    return report({
+      'every job captured after logging in again': results.length === 2 && results.failures.length === 0,
+      'first attempts used the saved session': states.slice(0, 2).every(state => state === 'state-0.json'),
+      'retries used the fresh session': states.slice(2).every(state => state && state !== 'state-0.json'),
+      'expired session dropped': auth.invalidated >= 1 && auth.logins >= 1
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testTimedOutAttempt() {
+  console.log('\n5️⃣ Timed-out attempt stopped before its retry...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-retries-'));
+
+  try {
+    const vrt = createVRT(dir, async () => {}, { retries: 1, jobTimeout: 50 });
+    let attempts = 0;
+    let lateScreenshot = null;
+    // The first attempt is stuck past the timeout, then tries to take its screenshot
+    vrt.captureScreenshotJob = async (context, job, run) => {
+      const attempt = ++attempts;
+      if (attempt === 1) await new Promise(resolve => setTimeout(resolve, 150));
+      const file = path.join(run.outputDir, `attempt-${attempt}.png`);
+      const taken = context.pages()[0].screenshot({ path: file });
+      if (attempt === 1) lateScreenshot = taken.then(() => 'written', () => 'rejected');
+      await taken;
+      return [{ path: file, browser: job.browserType, viewport: job.viewport, jobId: job.id }];
+    };
+
+    const jobs = vrt.planCaptureJobs(['chromium'], { viewports: [VIEWPORTS[0]] }, null);
+    const outcomes = await vrt.runCaptureJobs(jobs, { url: 'https://example.com', outputDir: dir, options: {} });
+    await new Promise(resolve => setTimeout(resolve, 150));
+    const stale = await fs.stat(path.join(dir, 'attempt-1.png')).then(() => true, () => false);
+
+    return report({
+      'retry succeeded': Array.isArray(outcomes[0]) && outcomes[0][0].path.endsWith('attempt-2.png'),
+      'context closed when the timeout fired': vrt.contextEvents.join() === 'open 1,close 1,open 2',
+      'stuck attempt wrote nothing': await lateScreenshot === 'rejected' && !stale
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  await runTests('JOB RETRY TESTS', {
+    retries: testRetries,
+    failures: testFailures,
+    partial: testPartialCapture,
+    session: testExpiredSession,
+    timedOut: testTimedOutAttempt
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+
+/**
+ * Test journey files, step assertions and journey runs
+ * Runs without a browser: a stub page plays the site
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const PlaywrightVRT = require('../lib/playwright-vrt');
+const ReportGenerator = require('../lib/report-generator');
+const {
+  normalizeJourney,
+  loadJourneys,
+  urlMatches,
+  runAssertion,
+  runJourneySteps
+} = require('../lib/journeys');
+const { report, rejects, runTests } = require('./helpers');
+
+const CHECKOUT_YAML = `
+name: Checkout
+url: /products/42
+viewports: [mobile, 1280x800]
+steps:
+  - click: '#add-to-cart'
+  - checkpoint: Product added
+  - name: Open the cart
+    click: a.cart
+  - assert: { visible: .cart-items }
+  - assert: { text: h1, equals: Your cart }
+  - assert: { url: /cart }
+  - wait: 200
+  - checkpoint: { name: cart, fullPage: true, masks: [.price] }
+`;
+
+/**
+ * Stub page: a two-page shop where clicking a.cart navigates to /cart
+ */
+function createPage(origin = 'http://shop.test') {
+  let url = 'about:blank';
+  const elements = {
+    '/products/42': { '#add-to-cart': '', 'a.cart': 'Cart (1)', h1: 'Product' },
+    '/cart': { '.cart-items': '', h1: '  Your\n cart ' }
+  };
+  const current = () => elements[new URL(url).pathname] || {};
+
+  return {
+    visited: [],
+    clicks: [],
+    screenshots: [],
+    initScripts: [],
+    cookies: [],
+    url: () => url,
+    setDefaultTimeout: () => {},
+    setDefaultNavigationTimeout: () => {},
+    on: () => {},
+    route: async () => {},
+    addInitScript: async function (fn, arg) {
+      this.initScripts.push(arg);
+    },
+    context: function () {
+      return { addCookies: async cookies => this.cookies.push(...cookies) };
+    },
+    goto: async function (target) {
+      this.visited.push(target);
+      url = target;
+    },
+    click: async function (selector) {
+      if (!(selector in current())) throw new Error(`Timeout waiting for ${selector}`);
+      this.clicks.push(selector);
+      if (selector === 'a.cart') url = `${origin}/cart`;
+    },
+    waitForTimeout: async () => {},
+    screenshot: async function (options) {
+      this.screenshots.push(options);
+      await fs.writeFile(options.path, 'png');
+    },
+    locator: selector => ({
+      first: () => ({
+        waitFor: async ({ state, timeout }) => {
+          const present = selector in current();
+          if ((state === 'visible') !== present) throw new Error(`Timeout ${timeout}ms exceeded`);
+        },
+        textContent: async () => {
+          if (!(selector in current())) throw new Error('Timeout');
+          return current()[selector];
+        }
+      })
+    })
+  };
+}
+
+async function testParsing() {
+  console.log('1️⃣ Journey files...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-journeys-'));
+  try {
+    await fs.writeFile(path.join(dir, 'checkout.yml'), CHECKOUT_YAML);
+    await fs.writeFile(path.join(dir, 'login.json'), JSON.stringify({
+      steps: [
+        { goto: '/login' },
+        { type: 'fill', selector: '#email', text: 'a@b.c' },
+        { type: '#password', text: 'secret' },
+        { checkpoint: 'filled' }
+      ]
+    }));
+    await fs.writeFile(path.join(dir, 'notes.txt'), 'ignored');
+
+    const [checkout, login] = await loadJourneys(dir);
+    const [single] = await loadJourneys(path.join(dir, 'login.json'));
+    const steps = checkout.steps;
+
+    return report({
+      'directory loads yml and json, sorted': checkout.name === 'Checkout' && login.name === 'login',
+      'single file loads': single.name === 'login' && single.steps.length === 4,
+      'url becomes the first goto step': steps[0].type === 'goto' && steps[0].url === '/products/42' && checkout.url === '/products/42',
+      'shorthand fills the selector': steps[1].type === 'click' && steps[1].selector === '#add-to-cart',
+      'checkpoint names slugged': steps[2].checkpoint === 'product-added' && steps[2].label === 'Checkpoint Product added',
+      'step names become labels': steps[3].label === 'Open the cart',
+      'assert objects spread': steps[5].text === 'h1' && steps[5].equals === 'Your cart',
+      'wait with a number pauses': steps[7].timeout === 200 && steps[7].selector === undefined,
+      'checkpoint options kept': steps[8].fullPage === true && steps[8].masks[0] === '.price',
+      'journey viewports kept': checkout.viewports.join() === 'mobile,1280x800',
+      'explicit type steps': login.steps[1].type === 'fill' && login.steps[1].text === 'a@b.c',
+      'type shorthand': login.steps[2].type === 'type' && login.steps[2].selector === '#password' &&
+        login.steps[2].text === 'secret'
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testValidation() {
+  console.log('\n2️⃣ Journey validation...');
+  const journey = steps => () => normalizeJourney({ name: 'j', url: '/', steps });
+
+  let missingFile = false;
+  try {
+    await loadJourneys('/nonexistent/journey.yml');
+  } catch (error) {
+    missingFile = error.message.includes('Journey not found');
+  }
+
+  return report({
+    'steps required': rejects(() => normalizeJourney({ name: 'j', url: '/' }), 'has no steps'),
+    'unknown step type': rejects(journey([{ tap: '#x' }]), 'has no type'),
+    'unknown explicit type': rejects(journey([{ type: 'tap' }]), 'unknown type "tap"'),
+    'type shorthand without text points to fill': rejects(journey([{ type: '#email' }]), 'use `fill: <selector>`'),
+    'unknown type with a selector': rejects(journey([{ type: 'tpye', selector: '#email', text: 'a' }]), 'unknown type "tpye"'),
+    'checkpoint needs a name': rejects(journey([{ checkpoint: '' }]), 'checkpoint needs a name'),
+    'duplicate checkpoints': rejects(journey([{ checkpoint: 'Cart' }, { checkpoint: 'cart' }]), 'two checkpoints named "cart"'),
+    'assert needs a condition': rejects(journey([{ assert: {} }]), 'assert needs visible'),
+    'text assert needs equals or contains': rejects(journey([{ assert: { text: 'h1' } }]), 'need equals or contains'),
+    'first step must navigate': rejects(() => normalizeJourney({ name: 'j', steps: [{ click: '#x' }] }), 'needs a url or a goto'),
+    'missing file reported': missingFile
+  });
+}
+
+async function testAssertions() {
+  console.log('\n3️⃣ Assertions...');
+  const page = createPage();
+  await page.goto('http://shop.test/cart?step=2');
+
+  const fails = async step => {
+    try {
+      await runAssertion(page, { timeout: 150, ...step });
+    } catch (error) {
+      return error.message;
+    }
+    return null;
+  };
+
+  const wrongText = await fails({ text: 'h1', equals: 'Checkout' });
+  const missingText = await fails({ text: 'h2', contains: 'x' });
+
+  return report({
+    'path glob': urlMatches('http://shop.test/orders/42', '/orders/*') && !urlMatches('http://shop.test/orders/42/items', '/orders/*'),
+    'path with query': urlMatches('http://shop.test/cart?step=2', '/cart?step=2'),
+    'full URL glob': urlMatches('https://shop.test/cart', 'https://shop.test/**'),
+    'regex': urlMatches('http://shop.test/orders/42', '/\\/orders\\/\\d+$/') && !urlMatches('http://shop.test/orders/x', '/\\/orders\\/\\d+$/'),
+    'visible passes': await fails({ visible: '.cart-items' }) === null,
+    'hidden passes': await fails({ hidden: '#spinner' }) === null,
+    'visible fails with the selector': (await fails({ visible: '#coupon' })).includes('#coupon to be visible'),
+    'text equals normalizes whitespace': await fails({ text: 'h1', equals: 'Your cart' }) === null,
+    'text contains': await fails({ text: 'h1', contains: 'cart' }) === null,
+    'text mismatch shows the actual text': wrongText.includes('got "Your cart"'),
+    'missing element reported': missingText.includes('h2 was not found'),
+    'url assert': await fails({ url: '/cart' }) === null &&
+      (await fails({ url: '/checkout' })).includes('got http://shop.test/cart?step=2')
+  });
+}
+
+async function testSteps() {
+  console.log('\n4️⃣ Step runner...');
+  const journey = normalizeJourney({
+    name: 'broken',
+    url: '/products/42',
+    steps: [
+      { click: '#add-to-cart' },
+      { checkpoint: 'added' },
+      { assert: { visible: '.cart-items', timeout: 100 } },
+      { click: 'a.cart' },
+      { checkpoint: 'cart' }
+    ]
+  });
+
+  const page = createPage();
+  const calls = [];
+  const result = await runJourneySteps(page, journey, {
+    goto: async step => { calls.push(`goto ${step.url}`); await page.goto(`http://shop.test${step.url}`); },
+    interact: async step => { calls.push(`${step.type} ${step.selector}`); await page.click(step.selector); },
+    checkpoint: async step => { calls.push(`checkpoint ${step.checkpoint}`); return { path: `${step.checkpoint}.png` }; }
+  });
+
+  const [, , added, failed, click, cart] = result.steps;
+
+  return report({
+    'journey failed': result.passed === false && result.failedStep === 4,
+    'steps before the failure passed': result.steps.slice(0, 3).every(step => step.status === 'passed'),
+    'checkpoint screenshot recorded': added.checkpoint === 'added' && added.screenshot === 'added.png',
+    'failing step has the error': failed.status === 'failed' && failed.error.includes('.cart-items') &&
+      failed.name === '.cart-items is visible',
+    'later steps skipped': click.status === 'skipped' && cart.status === 'skipped' && cart.screenshot === undefined,
+    'nothing runs after the failure': calls.join('|') === 'goto /products/42|click #add-to-cart|checkpoint added',
+    'durations recorded': typeof failed.duration === 'number' && click.duration === undefined
+  });
+}
+
+async function testRun() {
+  console.log('\n5️⃣ Journey run and report...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-journeys-'));
+  const pages = [];
+
+  // Stub pool: each context opens a stub page
+  const vrt = new PlaywrightVRT({
+    aiEnabled: false,
+    baseUrl: 'http://shop.test',
+    outputDir: dir,
+    stabilize: false,
+    settle: false
+  });
+  vrt.browserPool = {
+    withContext: async (browserType, contextOptions, fn) => fn({
+      newPage: async () => {
+        const page = createPage();
+        page.contextOptions = contextOptions;
+        pages.push(page);
+        return page;
+      }
+    })
+  };
+
+  try {
+    const journey = normalizeJourney({
+      name: 'Checkout <flow>',
+      url: '/products/42',
+      steps: [{ click: '#add-to-cart' }, { checkpoint: 'added' }, { click: 'a.cart' }, { assert: { text: 'h1', equals: 'Basket', timeout: 100 } }, { checkpoint: 'cart' }]
+    });
+    const result = await vrt.runJourney(journey, {
+      outputDir: 'run',
+      browsers: ['chromium', 'firefox'],
+      viewports: [{ name: 'mobile', width: 375, height: 667, deviceScaleFactor: 2 }]
+    });
+
+    const journeyDir = path.join(dir, 'run', 'checkout-flow');
+    const files = (await fs.readdir(journeyDir)).sort();
+    const failures = await fs.readdir(path.join(journeyDir, 'failures'));
+    const manifest = JSON.parse(await fs.readFile(path.join(journeyDir, 'journey.json'), 'utf8'));
+    const html = await fs.readFile(result.report, 'utf8');
+    const standalone = ReportGenerator.generateJourneyReport(manifest, journeyDir);
+
+    return report({
+      'one run per browser x viewport': result.runs.length === 2 && result.runs[1].browser === 'firefox',
+      'viewport and scale in the context': pages[0].contextOptions.viewport.width === 375 &&
+        pages[0].contextOptions.deviceScaleFactor === 2,
+      'banners suppressed from the first page': pages[0].initScripts.length === 1 &&
+        pages[0].cookies.some(cookie => cookie.name === 'OptanonAlertBoxClosed' && cookie.url === 'http://shop.test'),
+      'relative URLs against baseUrl': pages[0].visited[0] === 'http://shop.test/products/42' &&
+        pages[0].clicks.join() === '#add-to-cart,a.cart',
+      'checkpoints named like captures': files.includes('added-chromium-mobile.png') && files.includes('added-firefox-mobile.png'),
+      'no screenshot after the failure': !files.includes('cart-chromium-mobile.png'),
+      'failure screenshot per run': failures.sort().join() === 'chromium-mobile.png,firefox-mobile.png',
+      'result reports the failure': result.passed === false && result.runs[0].failedStep === 5,
+      'journey.json written': manifest.length === 2 && manifest[0].steps[4].error.includes('got "Your cart"'),
+      'report shows the failing step': html.includes('FAIL at step 5') && html.includes('Step 5:'),
+      'report links screenshots relatively': html.includes('src="added-chromium-mobile.png"') &&
+        html.includes('src="failures/chromium-mobile.png"'),
+      'report escapes names': standalone.includes('Checkout &lt;flow&gt;') && !standalone.includes('<flow>')
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  await runTests('JOURNEY TESTS', {
+    parsing: testParsing,
+    validation: testValidation,
+    assertions: testAssertions,
+    steps: testSteps,
+    run: testRun
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
@@ -217,7 +217,7 @@ async function testSecurityFeatures() {
         console.log(`   ❌ FAILED: "${pattern}" was not blocked`);
         securityPassed = false;
       } catch (error) {
-        if (error.message.includes('Unsafe pattern')) {
+        if (error.message.includes('inline evaluate is disabled')) {
           blocked++;
         }
       }
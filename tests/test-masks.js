@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Test mask parsing and masked image comparison
+ * Runs without a browser using generated PNGs
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const VRTBase = require('../lib/vrt-base');
+const { parseMasks, getSidecarPath } = require('../lib/masks');
+const { report, runTests } = require('./helpers');
+
+function createImage(width, height, paint) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * 4;
+      const [r, g, b] = paint(x, y);
+      png.data[idx] = r;
+      png.data[idx + 1] = g;
+      png.data[idx + 2] = b;
+      png.data[idx + 3] = 255;
+    }
+  }
+  return PNG.sync.write(png);
+}
+
+async function testParseMasks() {
+  console.log('1️⃣ Mask parsing...');
+  const masks = parseMasks('.timestamp, 300x250+10+20');
+  const mixed = parseMasks([{ selector: '#ad' }, { x: 0, y: 0, width: 5, height: 5 }]);
+
+  let invalidRejected = false;
+  try {
+    parseMasks([{ x: 0, y: 0 }]);
+  } catch (error) {
+    invalidRejected = true;
+  }
+
+  return report({
+    'selector parsed': masks[0].selector === '.timestamp',
+    'geometry parsed': masks[1].x === 10 && masks[1].y === 20 && masks[1].width === 300 && masks[1].height === 250,
+    'objects normalized': mixed[0].selector === '#ad' && mixed[1].width === 5,
+    'incomplete rectangle rejected': invalidRejected
+  });
+}
+
+async function testMaskedComparison() {
+  console.log('\n2️⃣ Masked comparison...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-masks-'));
+  const vrt = new VRTBase({ aiEnabled: false });
+
+  try {
+    const beforePath = path.join(dir, 'before.png');
+    const afterPath = path.join(dir, 'after.png');
+    const diffPath = path.join(dir, 'diff.png');
+
+    // A 20x20 "timestamp" block at (10,10) changes between runs
+    await fs.writeFile(beforePath, createImage(100, 100, () => [255, 255, 255]));
+    await fs.writeFile(afterPath, createImage(100, 100, (x, y) => (
+      x >= 10 && x < 30 && y >= 10 && y < 30 ? [0, 0, 0] : [255, 255, 255]
+    )));
+
+    const unmasked = await vrt.compareImages(beforePath, afterPath, diffPath, 0.01);
+
+    await fs.writeFile(getSidecarPath(afterPath), JSON.stringify({
+      regions: [{ selector: '.timestamp', x: 10, y: 10, width: 20, height: 20 }]
+    }));
+    const masked = await vrt.compareImages(beforePath, afterPath, diffPath, 0.01);
+
+    const diff = PNG.sync.read(await fs.readFile(diffPath));
+    const hatchIdx = (15 * 100 + 15) * 4;
+    const hatched = diff.data[hatchIdx] === diff.data[hatchIdx + 1] && diff.data[hatchIdx] !== 255;
+
+    await fs.unlink(getSidecarPath(afterPath));
+    const rectangle = await vrt.compareImages(beforePath, afterPath, diffPath, 0.01, {
+      ignoreRegions: '20x20+10+10'
+    });
+
+    // A selector given only at compare time has no recorded box to mask
+    const warn = console.warn;
+    console.warn = () => {};
+    let unrecorded;
+    let directory;
+    try {
+      unrecorded = await vrt.compareImages(beforePath, afterPath, diffPath, 0.01, { ignoreRegions: '.timestamp' });
+      await fs.mkdir(path.join(dir, 'before'));
+      await fs.mkdir(path.join(dir, 'after'));
+      await fs.copyFile(beforePath, path.join(dir, 'before', 'home.png'));
+      await fs.copyFile(afterPath, path.join(dir, 'after', 'home.png'));
+      directory = await vrt.compare(path.join(dir, 'before'), path.join(dir, 'after'), {
+        output: path.join(dir, 'comparison'),
+        threshold: 0.01,
+        ignoreRegions: '.timestamp'
+      });
+    } finally {
+      console.warn = warn;
+    }
+
+    return report({
+      'unmasked change detected': unmasked.difference > 0.01 && !unmasked.passed,
+      'sidecar region excluded': masked.difference === 0 && masked.passed,
+      'masked pixels reported': masked.maskedPixels === 400,
+      'masked area hatched in diff': hatched,
+      'compare-time rectangle excluded': rectangle.difference === 0 && rectangle.ignoredRegions === 1 &&
+        rectangle.unmaskedRegions === undefined,
+      'unrecorded selector reported as unmasked': unrecorded.unmaskedRegions.join() === '.timestamp' && !unrecorded.passed,
+      'compare lists partially unmasked screenshots': directory.unmasked.length === 1 &&
+        directory.unmasked[0].file === 'home.png' && directory.differences[0].unmaskedRegions.join() === '.timestamp'
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  await runTests('MASK TESTS', {
+    parse: testParseMasks,
+    comparison: testMaskedComparison
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
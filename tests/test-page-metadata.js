@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+/**
+ * Test the per-screenshot metadata sidecar and mapping pixel changes to elements
+ * Runs without a browser: stub pages return a fixed DOM snapshot
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const VRTBase = require('../lib/vrt-base');
+const PlaywrightVRT = require('../lib/playwright-vrt');
+const {
+  resolveMetadata,
+  collectPageMetadata,
+  getMetadataPath,
+  writePageMetadata,
+  readPageMetadata,
+  environmentChanged,
+  locateChangedElements
+} = require('../lib/page-metadata');
+const { report, runTests } = require('./helpers');
+
+// Solid image with an optional differently coloured block
+function createImage(width, height, block = null) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inBlock = block && x >= block.x && x < block.x + block.width && y >= block.y && y < block.y + block.height;
+      const idx = (y * width + x) * 4;
+      png.data[idx] = inBlock ? 0 : 255;
+      png.data[idx + 1] = inBlock ? 0 : 255;
+      png.data[idx + 2] = inBlock ? 0 : 255;
+      png.data[idx + 3] = 255;
+    }
+  }
+  return png;
+}
+
+// pixelmatch-style diff: red where pixels changed, grey elsewhere
+function createDiff(width, height, block) {
+  const png = createImage(width, height);
+  for (let y = block.y; y < block.y + block.height; y++) {
+    for (let x = block.x; x < block.x + block.width; x++) {
+      const idx = (y * width + x) * 4;
+      png.data[idx + 1] = 0;
+      png.data[idx + 2] = 0;
+    }
+  }
+  return png;
+}
+
+const ELEMENTS = [
+  { selector: 'body', tag: 'body', bbox: { x: 0, y: 0, width: 96, height: 96 } },
+  { selector: '#main', tag: 'main', bbox: { x: 0, y: 0, width: 96, height: 96 } },
+  { selector: '#main > div:nth-of-type(1)', tag: 'div', bbox: { x: 32, y: 32, width: 40, height: 40 } },
+  { selector: '#main > div:nth-of-type(1) > h2:nth-of-type(1)', tag: 'h2', text: 'Price', bbox: { x: 40, y: 40, width: 16, height: 16 } },
+  { selector: '#main > footer:nth-of-type(1)', tag: 'footer', bbox: { x: 0, y: 80, width: 96, height: 16 } }
+];
+
+function snapshot(overrides = {}) {
+  return {
+    title: 'Listing',
+    userAgent: 'Mozilla/5.0 HeadlessChrome/140.0',
+    language: 'en-US',
+    timezoneId: 'UTC',
+    colorScheme: 'light',
+    reducedMotion: 'no-preference',
+    document: { width: 96, height: 96, scrollX: 0, scrollY: 0, devicePixelRatio: 1, viewport: { width: 96, height: 96 } },
+    elements: ELEMENTS,
+    truncated: false,
+    ...overrides
+  };
+}
+
+async function testSettings() {
+  console.log('1️⃣ Metadata settings...');
+  let rejected = false;
+  try {
+    resolveMetadata({ maxElements: 'lots' });
+  } catch (error) {
+    rejected = error.message.includes('maxElements');
+  }
+
+  return report({
+    'on by default': resolveMetadata(undefined).maxElements === 1500 && resolveMetadata(true).styles.includes('font-size'),
+    'off': resolveMetadata(false) === null,
+    'overrides': resolveMetadata({ maxElements: 200 }).maxElements === 200,
+    'invalid maxElements rejected': rejected,
+    'sidecar next to the screenshot': getMetadataPath('/out/chromium-desktop-full.png') === '/out/chromium-desktop-full.meta.json'
+  });
+}
+
+async function testCollect() {
+  console.log('\n2️⃣ Collected metadata...');
+  const page = { evaluate: async (fn, arg) => ({ ...snapshot(), requested: arg }) };
+  const metadata = await collectPageMetadata(page, resolveMetadata({ maxElements: 10 }), {
+    screenshot: 'chromium-desktop-full.png',
+    url: 'http://localhost:8000/listing',
+    browser: 'chromium',
+    browserVersion: '140.0.7339.16',
+    viewport: { width: 96, height: 96 },
+    emulation: { colorScheme: 'dark' },
+    fullPage: true,
+    timing: { startedAt: '2024-01-01T00:00:00.000Z', navigation: 120, ready: 900, screenshot: 80 }
+  });
+
+  return report({
+    'environment': metadata.environment.browser === 'chromium' && metadata.environment.browserVersion === '140.0.7339.16' &&
+      metadata.environment.userAgent.includes('HeadlessChrome') && metadata.environment.deviceScaleFactor === 1 &&
+      metadata.environment.media === 'screen' && metadata.environment.emulation.colorScheme === 'dark',
+    'timing kept': metadata.timing.navigation === 120 && metadata.timing.ready === 900,
+    'DOM snapshot with boxes': metadata.elements.length === ELEMENTS.length && metadata.elements[3].bbox.width === 16,
+    'page context': metadata.title === 'Listing' && metadata.fullPage === true && metadata.document.height === 96,
+    'environment changes detected': environmentChanged(metadata.environment, { ...metadata.environment, browserVersion: '141.0' }) &&
+      !environmentChanged(metadata.environment, { ...metadata.environment }) && !environmentChanged(null, metadata.environment)
+  });
+}
+
+async function testLocate() {
+  console.log('\n3️⃣ Changed pixels to elements...');
+  const metadata = { fullPage: true, document: { devicePixelRatio: 1, scrollX: 0, scrollY: 0 }, elements: ELEMENTS };
+  const changed = locateChangedElements(createDiff(96, 96, { x: 40, y: 40, width: 16, height: 16 }), metadata);
+
+  const retina = {
+    fullPage: true,
+    document: { devicePixelRatio: 2, scrollX: 0, scrollY: 0 },
+    elements: ELEMENTS
+  };
+  const footer = locateChangedElements(createDiff(192, 192, { x: 0, y: 176, width: 192, height: 16 }), retina);
+
+  const scrolled = { fullPage: false, document: { devicePixelRatio: 1, scrollX: 0, scrollY: 80 }, elements: ELEMENTS };
+  const inViewport = locateChangedElements(createDiff(96, 16, { x: 0, y: 0, width: 96, height: 16 }), scrolled);
+
+  return report({
+    'innermost element named first': changed[0].selector.endsWith('h2:nth-of-type(1)') && changed[0].text === 'Price' &&
+      changed[0].changedPixels === 256,
+    'containers explained by a child left out': changed.length === 1,
+    'boxes scaled by device pixel ratio': footer[0].selector === '#main > footer:nth-of-type(1)',
+    'viewport screenshots offset by scroll': inViewport[0].selector === '#main > footer:nth-of-type(1)',
+    'no changes, no elements': locateChangedElements(createImage(96, 96), metadata).length === 0
+  });
+}
+
+async function testCompare() {
+  console.log('\n4️⃣ Comparison with sidecars...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-meta-'));
+  const vrt = new VRTBase({ aiEnabled: false });
+
+  try {
+    const beforeDir = path.join(dir, 'before');
+    const afterDir = path.join(dir, 'after');
+    await fs.mkdir(beforeDir);
+    await fs.mkdir(afterDir);
+
+    const file = 'chromium-desktop-full.png';
+    await fs.writeFile(path.join(beforeDir, file), PNG.sync.write(createImage(96, 96)));
+    await fs.writeFile(path.join(afterDir, file), PNG.sync.write(createImage(96, 96, { x: 40, y: 40, width: 16, height: 16 })));
+
+    const environment = { browser: 'chromium', browserVersion: '139.0', userAgent: 'UA', viewport: { width: 96, height: 96 }, deviceScaleFactor: 1 };
+    const sidecar = env => ({ fullPage: true, document: snapshot().document, elements: ELEMENTS, environment: env });
+    await writePageMetadata(path.join(beforeDir, file), sidecar(environment));
+    await writePageMetadata(path.join(afterDir, file), sidecar({ ...environment, browserVersion: '140.0' }));
+
+    const results = await vrt.compare(beforeDir, afterDir, { output: path.join(dir, 'out'), threshold: 0.001 });
+    const [item] = results.report;
+
+    return report({
+      'changed elements reported': item.elements && item.elements[0].selector.endsWith('h2:nth-of-type(1)'),
+      'differences list the elements': results.differences[0].elements[0].endsWith('h2:nth-of-type(1)'),
+      'environment of both sides': item.environment.before.browserVersion === '139.0' &&
+        item.environment.after.browserVersion === '140.0' && item.environment.changed === true,
+      'sidecars read back': (await readPageMetadata(path.join(afterDir, file))).environment.browserVersion === '140.0'
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testCapture() {
+  console.log('\n5️⃣ Capture writes the sidecar...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-meta-'));
+  const vrt = new PlaywrightVRT({ aiEnabled: false });
+
+  try {
+    const page = {
+      setDefaultTimeout: () => {},
+      setDefaultNavigationTimeout: () => {},
+      goto: async () => {},
+      viewportSize: () => ({ width: 1440, height: 900 }),
+      screenshot: async options => fs.writeFile(options.path, 'png'),
+      evaluate: async () => snapshot()
+    };
+    const context = { newPage: async () => page, browser: () => ({ version: () => '140.0.7339.16' }) };
+    const run = {
+      url: 'http://localhost:8000/',
+      outputDir: dir,
+      options: { fullPage: true },
+      metadata: resolveMetadata(true)
+    };
+    const job = vrt.planCaptureJobs(['chromium'], { fullPage: true }, null).find(planned => planned.viewport === 'desktop');
+    const [result] = await vrt.captureScreenshotJob(context, job, run);
+    const metadata = await readPageMetadata(result.path);
+
+    const [quiet] = await vrt.captureScreenshotJob(context, job, { ...run, metadata: null });
+
+    return report({
+      'sidecar path on the result': result.metadata === getMetadataPath(result.path),
+      'browser version from the context': metadata.environment.browserVersion === '140.0.7339.16' &&
+        metadata.environment.viewport.width === 1440,
+      'timing recorded': typeof metadata.timing.navigation === 'number' && typeof metadata.timing.screenshot === 'number',
+      'screenshot named': metadata.screenshot === 'chromium-desktop-full.png' && metadata.fullPage === true,
+      'nothing written when off': quiet.metadata === undefined
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  await runTests('PAGE METADATA TESTS', {
+    settings: testSettings,
+    collect: testCollect,
+    locate: testLocate,
+    compare: testCompare,
+    capture: testCapture
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
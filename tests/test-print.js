@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Test print mode settings, print/PDF filenames and the print capture flow
+ * Runs without a browser: a stub page records media emulation and PDF output;
+ * a real PDF is rasterized when Chromium and pdfjs-dist are installed
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { chromium } = require('playwright');
+const PlaywrightVRT = require('../lib/playwright-vrt');
+const { DEFAULT_PRINT, resolvePrint, pdfOptions, supportsPdf, locatePdfjs, rasterizePdf } = require('../lib/print');
+const { report, rejects, runTests } = require('./helpers');
+
+function createPage() {
+  const calls = [];
+  return {
+    calls,
+    setDefaultTimeout: () => {},
+    setDefaultNavigationTimeout: () => {},
+    goto: async url => calls.push(`goto ${url}`),
+    emulateMedia: async options => calls.push(`media ${options.media}`),
+    viewportSize: () => ({ width: 1440, height: 900 }),
+    screenshot: async options => {
+      calls.push(`screenshot ${path.basename(options.path)} fullPage=${options.fullPage}`);
+      await fs.writeFile(options.path, 'png');
+    },
+    pdf: async options => {
+      calls.push(`pdf ${path.basename(options.path)}`);
+      calls.pdfOptions = options;
+      await fs.writeFile(options.path, '%PDF');
+      return Buffer.from('%PDF');
+    }
+  };
+}
+
+async function testSettings() {
+  console.log('1️⃣ Print settings...');
+  const defaults = resolvePrint(true);
+  const letter = resolvePrint('letter');
+  const custom = resolvePrint({ width: '8.5in', height: '11in', margin: { top: '1in', bottom: '1in' }, pdf: true, landscape: true });
+
+  return report({
+    'off unless asked for': resolvePrint(undefined) === null && resolvePrint(false) === null,
+    'defaults': defaults.format === 'A4' && defaults.printBackground === true && defaults.pdf === false,
+    'one margin for every side': defaults.margin.top === '10mm' && defaults.margin.left === '10mm',
+    'numeric margins in px': resolvePrint({ margin: 24 }).margin.right === '24px',
+    'paper format by name, any case': letter.format === 'Letter',
+    'pdf options for a format': JSON.stringify(pdfOptions(letter)) === JSON.stringify({
+      format: 'Letter', landscape: false, margin: letter.margin, printBackground: true
+    }),
+    'custom paper size replaces the format': pdfOptions(custom).width === '8.5in' && pdfOptions(custom).format === undefined &&
+      pdfOptions(custom).landscape === true && pdfOptions(custom).margin.top === '1in',
+    'unknown format rejected': rejects(() => resolvePrint('B5'), 'Unknown paper format "B5"'),
+    'custom size needs both sides': rejects(() => resolvePrint({ width: '8in' }), 'both width and height'),
+    'dpi must be positive': rejects(() => resolvePrint({ dpi: 0 }), 'dpi must be a positive number'),
+    'defaults not mutated': DEFAULT_PRINT.margin === '10mm',
+    'PDF only in Chromium': supportsPdf('chromium') && supportsPdf('edge') && !supportsPdf('firefox')
+  });
+}
+
+async function testJobs() {
+  console.log('\n2️⃣ Print filenames...');
+  const vrt = new PlaywrightVRT({ aiEnabled: false });
+  const viewport = [{ name: 'desktop', width: 1440, height: 900, deviceScaleFactor: 1 }];
+  const print = vrt.planCaptureJobs(['chromium'], { viewports: viewport, print: true }, null);
+  const screen = vrt.planCaptureJobs(['chromium'], { viewports: viewport, fullPage: true }, null);
+  const device = vrt.planCaptureJobs(['chromium'], { devicesOnly: true, devices: ['iPhone 13'], print: 'A5' }, null);
+
+  return report({
+    'print screenshots get their own suffix': print[0].fileSuffix === '-print',
+    'screen captures unchanged': screen[0].fileSuffix === '-full',
+    'devices too': device[0].fileSuffix === '-print'
+  });
+}
+
+async function testCapture() {
+  console.log('\n3️⃣ Print capture...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-print-'));
+  const vrt = new PlaywrightVRT({ aiEnabled: false });
+  const rasterized = [];
+  vrt.rasterizePdf = async (context, buffer, settings) => {
+    rasterized.push({ buffer, settings });
+    return [Buffer.from('page-1'), Buffer.from('page-2')];
+  };
+
+  try {
+    const printing = resolvePrint({ format: 'Letter', pdf: true });
+    const run = {
+      url: 'http://localhost:8000/listing/42',
+      outputDir: dir,
+      options: {},
+      stabilization: null,
+      scrolling: null,
+      settling: null,
+      printing
+    };
+    const job = vrt.planCaptureJobs(['chromium'], { print: printing }, null)
+      .find(planned => planned.viewport === 'desktop');
+    const firefoxJob = vrt.planCaptureJobs(['firefox'], { print: printing }, null)
+      .find(planned => planned.viewport === 'desktop');
+
+    const chromiumPage = createPage();
+    const [result] = await vrt.captureScreenshotJob({ newPage: async () => chromiumPage }, job, run);
+
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    const firefoxPage = createPage();
+    let firefoxResult;
+    try {
+      [firefoxResult] = await vrt.captureScreenshotJob({ newPage: async () => firefoxPage }, firefoxJob, run);
+    } finally {
+      console.warn = warn;
+    }
+
+    const files = (await fs.readdir(dir)).sort();
+    const calls = chromiumPage.calls;
+
+    return report({
+      'print media before the screenshot': calls.indexOf('media print') > 0 &&
+        calls.indexOf('media print') < calls.findIndex(call => call.startsWith('screenshot')),
+      'full-page print screenshot': calls.includes('screenshot chromium-desktop-print.png fullPage=true'),
+      'PDF at the configured paper size': calls.pdfOptions.format === 'Letter' && calls.pdfOptions.printBackground === true,
+      'PDF rasterized with the print settings': rasterized.length === 1 && rasterized[0].settings.dpi === 150,
+      'one PNG per PDF page': files.includes('chromium-desktop-pdf-p1.png') && files.includes('chromium-desktop-pdf-p2.png') &&
+        files.includes('chromium-desktop-pdf.pdf'),
+      'result lists the PDF pages': result.print === true && result.pdf.pages.length === 2 &&
+        result.pdf.path.endsWith('chromium-desktop-pdf.pdf'),
+      'other browsers: print screenshot only': firefoxResult.pdf === undefined && !firefoxPage.calls.some(call => call.startsWith('pdf')) &&
+        files.includes('firefox-desktop-print.png') && warnings.some(message => message.includes('needs Chromium'))
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testPdfjs() {
+  console.log('\n4️⃣ pdf.js lookup...');
+  let located = null;
+  let missing = null;
+  try {
+    located = locatePdfjs();
+  } catch (error) {
+    missing = error;
+  }
+
+  // The browser build layout (build/pdf.min.mjs) is what the pinned major ships
+  const exists = file => fs.access(path.join(located.root, file)).then(() => true, () => false);
+  const files = located ? await exists(located.module) && await exists(located.worker) : true;
+
+  return report({
+    'pdf.js found, or a clear install hint without retries': located
+      ? located.module.endsWith('.mjs') && located.root.endsWith('build')
+      : missing.message.includes('npm install pdfjs-dist') && missing.retryable === false,
+    'module and worker present in the installed build': files
+  });
+}
+
+async function testRasterize() {
+  console.log('\n5️⃣ Rasterizing a real PDF...');
+  try {
+    locatePdfjs();
+  } catch (error) {
+    console.log('   ⏭️  pdfjs-dist not installed, skipped');
+    return true;
+  }
+
+  let browser;
+  try {
+    browser = await chromium.launch();
+  } catch (error) {
+    console.log('   ⏭️  Chromium not installed (npx playwright install chromium), skipped');
+    return true;
+  }
+
+  try {
+    const context = await browser.newContext();
+    const page = await context.newPage();
+    await page.setContent('<p>First page</p><p style="break-before: page">Second page</p>');
+    const settings = resolvePrint({ format: 'A5', margin: '0', dpi: 72 });
+    const pdf = await page.pdf(pdfOptions(settings));
+
+    const images = (await rasterizePdf(context, pdf, settings)).map(image => PNG.sync.read(image));
+    const inked = image => image.data.some((value, index) => index % 4 !== 3 && value < 128);
+
+    return report({
+      'one PNG per PDF page': images.length === 2,
+      'pages sized from the paper and dpi': images.every(image => image.width === 420 && image.height === 596),
+      'page content drawn': images.every(inked)
+    });
+  } finally {
+    await browser.close();
+  }
+}
+
+async function runAllTests() {
+  await runTests('PRINT TESTS', {
+    settings: testSettings,
+    jobs: testJobs,
+    capture: testCapture,
+    pdfjs: testPdfjs,
+    rasterize: testRasterize
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
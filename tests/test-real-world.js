@@ -107,7 +107,7 @@ async function testSecurityWithRealSite() {
       });
       console.log('   ❌ FAILED: Dangerous script was not blocked');
     } catch (error) {
-      if (error.message.includes('Unsafe pattern')) {
+      if (error.message.includes('inline evaluate is disabled')) {
         console.log('   ✅ PASSED: Script injection blocked');
       } else {
         console.log(`   ⚠️ Unexpected error: ${error.message}`);
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Test the named page script registry and the script/evaluate interactions
+ * Runs without a browser: a stub page evaluates functions in Node.js
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const PlaywrightVRT = require('../lib/playwright-vrt');
+const { ScriptRegistry, BUILTIN_SCRIPTS } = require('../lib/scripts');
+const { loadConfig } = require('../lib/config-loader');
+const { normalizeJourney } = require('../lib/journeys');
+const { report, runTests } = require('./helpers');
+
+// Stub page: records evaluated functions (run here with `run`) and source strings
+function createPage(run = false) {
+  return {
+    evaluated: [],
+    evaluate: async function (fn, arg) {
+      this.evaluated.push(typeof fn === 'function' ? { fn, arg } : { source: fn });
+      return run && typeof fn === 'function' ? fn(arg) : undefined;
+    }
+  };
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+async function withScriptsDir(files, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-scripts-'));
+  const scriptsDir = path.join(dir, 'vrt-scripts');
+  await fs.mkdir(scriptsDir);
+  for (const [name, content] of Object.entries(files)) {
+    await fs.writeFile(path.join(scriptsDir, name), content);
+  }
+  try {
+    return await fn(dir, scriptsDir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testRegistry() {
+  console.log('1️⃣ Script registry...');
+  return withScriptsDir({
+    'hideChat.js': 'module.exports = function hideChat(args) { return `hid ${args.selector}`; };',
+    'helpers.js': 'module.exports = { pauseVideos() { return "paused"; }, freezeCarousel: () => "frozen" };',
+    'README.md': 'not a script'
+  }, async (dir, scriptsDir) => {
+    const registry = ScriptRegistry.fromDirectory(scriptsDir);
+    const page = createPage(true);
+    const hid = await registry.run(page, 'hideChat', { selector: '.chat' });
+    const unknown = await rejection(registry.run(page, 'nope'));
+
+    const invalidName = await rejection((async () => new ScriptRegistry({ '../x': () => {} }))());
+    const notFunction = await rejection((async () => new ScriptRegistry({ broken: 'alert(1)' }))());
+    await fs.writeFile(path.join(scriptsDir, 'bad.js'), 'module.exports = 42;');
+    const badFile = await rejection((async () => ScriptRegistry.fromDirectory(scriptsDir))());
+
+    return report({
+      'built-ins registered': registry.has('hideCookieBanner') && registry.has('expandAllAccordions'),
+      'function export named after the file': registry.has('hideChat'),
+      'object export registers each function': registry.has('pauseVideos') && registry.has('freezeCarousel'),
+      'other files ignored': !registry.has('README'),
+      'runs in the page with args': hid === 'hid .chat' && page.evaluated[0].fn === registry.get('hideChat'),
+      'unknown script lists registered names': unknown.message.includes('Unknown script "nope"') &&
+        unknown.message.includes('hideChat') && unknown.retryable === false,
+      'missing directory: built-ins only': ScriptRegistry.fromDirectory(path.join(dir, 'missing')).names().join() ===
+        Object.keys(BUILTIN_SCRIPTS).sort().join(),
+      'invalid names rejected': invalidName && invalidName.message.includes('Invalid script name'),
+      'non-functions rejected': notFunction && notFunction.message.includes('must be a function'),
+      'bad script file reported': badFile && badFile.message.includes('bad.js')
+    });
+  });
+}
+
+async function testInteractions() {
+  console.log('\n2️⃣ script and evaluate interactions...');
+  return withScriptsDir({
+    'hideChat.js': 'module.exports = args => `hid ${args.selector}`;'
+  }, async (dir, scriptsDir) => {
+    const vrt = new PlaywrightVRT({ aiEnabled: false, scriptsDir });
+    const page = createPage();
+    await vrt.performInteractions(page, [
+      { type: 'script', name: 'hideChat', args: { selector: '.chat' } },
+      { type: 'script', name: 'hideCookieBanner' }
+    ]);
+    const registry = vrt.getScriptRegistry();
+    const ran = page.evaluated.map(call => call.fn);
+
+    // Inline code mentioning words the old blacklist rejected
+    const inline = { type: 'evaluate', function: '(args) => document.title + args.path', args: { path: '/os' } };
+    const blocked = await rejection(vrt.performInteractions(createPage(), inline));
+    const unknown = await rejection(vrt.performInteractions(createPage(), { type: 'script', name: 'missing' }));
+
+    const permissive = new PlaywrightVRT({ aiEnabled: false, allowInlineScripts: true });
+    const inlinePage = createPage();
+    await permissive.performInteractions(inlinePage, inline);
+    const emptyInline = await rejection(permissive.performInteractions(createPage(), { type: 'evaluate' }));
+
+    return report({
+      'named scripts run': ran[0] === registry.get('hideChat') && ran[1] === registry.get('hideCookieBanner') &&
+        page.evaluated[0].arg.selector === '.chat',
+      'inline evaluate off by default': blocked && blocked.message.includes('inline evaluate is disabled') &&
+        blocked.retryable === false,
+      'unknown script fails without retries': unknown && unknown.retryable === false,
+      'inline evaluate when allowed': inlinePage.evaluated[0].source ===
+        '((args) => document.title + args.path)({"path":"/os"})',
+      'inline evaluate needs code': emptyInline && emptyInline.message.includes('requires a function string'),
+      'registry loaded once': vrt.getScriptRegistry() === registry
+    });
+  });
+}
+
+async function testConfigAndJourneys() {
+  console.log('\n3️⃣ Config and journeys...');
+  return withScriptsDir({}, async (dir) => {
+    await fs.writeFile(path.join(dir, 'vrt.config.json'), JSON.stringify({
+      scripts: { dir: './page-scripts', allowInline: true }
+    }));
+    const other = path.join(dir, 'other');
+    await fs.mkdir(other);
+    const config = loadConfig({ configPath: path.join(dir, 'vrt.config.json'), cwd: other });
+
+    const emptyDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-scripts-empty-'));
+    const defaults = loadConfig({ cwd: emptyDir });
+    await fs.rm(emptyDir, { recursive: true, force: true });
+
+    const journey = normalizeJourney({
+      name: 'j',
+      url: '/',
+      steps: [
+        { script: 'hideCookieBanner' },
+        { name: 'Open every FAQ', script: { name: 'expandAllAccordions', args: { selector: '.faq' } } }
+      ]
+    });
+    const [, hide, expand] = journey.steps;
+
+    return report({
+      'scripts dir relative to the config file': config.scripts.dir === path.join(dir, 'page-scripts'),
+      'allowInline from config': config.scripts.allowInline === true,
+      'inline off by default': defaults.scripts.allowInline === false &&
+        defaults.scripts.dir === path.join(emptyDir, 'vrt-scripts'),
+      'journey script shorthand': hide.type === 'script' && hide.name === 'hideCookieBanner' &&
+        hide.label === 'Run script hideCookieBanner',
+      'journey step names label scripts': expand.name === 'expandAllAccordions' &&
+        expand.args.selector === '.faq' && expand.label === 'Open every FAQ'
+    });
+  });
+}
+
+async function runAllTests() {
+  await runTests('PAGE SCRIPT TESTS', {
+    registry: testRegistry,
+    interactions: testInteractions,
+    config: testConfigAndJourneys
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
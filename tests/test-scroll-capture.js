@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+
+/**
+ * Test scroll targets, piercing selectors and expanded/stitched capture
+ * Runs without a browser: stub pages, frames and elements record every step
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { PNG } = require('pngjs');
+const PlaywrightVRT = require('../lib/playwright-vrt');
+const { resolveScrollTargets, locateScrollTarget, captureScrollTargets } = require('../lib/scroll-capture');
+const { splitPiercingSelector, toPlaywrightSelector } = require('../lib/selectors');
+const { collectMaskRegions } = require('../lib/masks');
+const { report, rejects, runTests } = require('./helpers');
+
+function solid(width, height, [r, g, b]) {
+  return sharp({ create: { width, height, channels: 4, background: { r, g, b, alpha: 1 } } }).png().toBuffer();
+}
+
+// Stub element: in-page functions are answered by `handlers[fn.name]` (anonymous ones by `handlers.evaluate`)
+function createElement(label, calls, handlers = {}) {
+  return {
+    label,
+    evaluate: async (fn, arg) => {
+      const shown = typeof arg === 'object' ? JSON.stringify(arg) : arg;
+      calls.push(`${label} ${fn.name || 'evaluate'}${arg !== undefined ? ` ${shown}` : ''}`);
+      const handler = handlers[fn.name] || handlers.evaluate;
+      return handler ? handler(arg) : undefined;
+    },
+    screenshot: async (options = {}) => {
+      calls.push(`${label} screenshot`);
+      const image = handlers.screenshot ? await handlers.screenshot() : await solid(10, 10, [0, 0, 0]);
+      if (options.path) await fs.writeFile(options.path, image);
+      return image;
+    },
+    boundingBox: async () => handlers.boundingBox(),
+    contentFrame: async () => handlers.contentFrame || null
+  };
+}
+
+function createFrame(label, calls, { elements = {}, documentElement = null, contentHeight = 0 } = {}) {
+  return {
+    $: async selector => elements[selector] || null,
+    evaluate: async fn => {
+      calls.push(`${label} ${fn.name || 'evaluate'}`);
+      return contentHeight;
+    },
+    evaluateHandle: async () => ({ asElement: () => documentElement })
+  };
+}
+
+function createPage(calls, elements) {
+  const mainFrame = createFrame('page', calls, { elements });
+  return {
+    mainFrame: () => mainFrame,
+    $: mainFrame.$,
+    evaluate: mainFrame.evaluate
+  };
+}
+
+async function testSettings() {
+  console.log('1️⃣ Scroll targets and selectors...');
+  const targets = resolveScrollTargets([
+    '.modal-body',
+    { frame: 'iframe#terms', mode: 'stitch' },
+    { frame: 'iframe#checkout', selector: '.summary', name: 'order' },
+    '.modal-body'
+  ]);
+  const stitched = resolveScrollTargets('.panel', { mode: 'stitch' });
+
+  return report({
+    'off unless asked for': resolveScrollTargets(undefined).length === 0,
+    'selector shorthand expands by default': targets[0].selector === '.modal-body' && targets[0].mode === 'expand' &&
+      targets[0].name === 'modal-body' && targets[0].maxHeight === 20000,
+    'frame targets named after the frame': targets[1].name === 'iframe-terms' && targets[1].selector === null &&
+      targets[1].mode === 'stitch',
+    'explicit names kept': targets[2].name === 'order' && targets[2].frame === 'iframe#checkout',
+    'duplicate names made unique': targets[3].name === 'modal-body-4',
+    'default mode for the run': stitched[0].mode === 'stitch',
+    'unknown mode rejected': rejects(() => resolveScrollTargets({ selector: '.x', mode: 'zoom' }), 'Unknown scroll mode "zoom"'),
+    'selector or frame required': rejects(() => resolveScrollTargets({ mode: 'expand' }), 'expected a selector or frame'),
+    'maxHeight must be positive': rejects(() => resolveScrollTargets({ selector: '.x', maxHeight: 0 }), 'maxHeight'),
+    'piercing selectors split per shadow root': splitPiercingSelector('app-shell >>> side-panel >>> .body').join('|') ===
+      'app-shell|side-panel|.body',
+    'piercing selectors become Playwright chains': toPlaywrightSelector('app-shell >>> .body') === 'app-shell >> .body' &&
+      toPlaywrightSelector('.plain') === '.plain',
+    'dangling >>> rejected': rejects(() => resolveScrollTargets('app-shell >>>'), 'needs a selector on both sides')
+  });
+}
+
+async function testLocate() {
+  console.log('\n2️⃣ Locating targets through frames...');
+  const calls = [];
+  const documentElement = createElement('terms-html', calls);
+  const summary = createElement('summary', calls);
+  const termsFrame = createFrame('terms', calls, { documentElement, elements: { '.summary': summary } });
+  const iframe = createElement('iframe', calls, { evaluate: () => 'IFRAME', contentFrame: termsFrame });
+  const panel = createElement('panel', calls, { evaluate: () => 'DIV' });
+  const page = createPage(calls, { 'iframe#terms': iframe, 'app-shell >> .panel': panel });
+
+  const plain = await locateScrollTarget(page, { selector: 'app-shell >>> .panel' });
+  const bare = await locateScrollTarget(page, { selector: 'iframe#terms' });
+  const inFrame = await locateScrollTarget(page, { frame: 'iframe#terms', selector: '.summary' });
+  const missing = await locateScrollTarget(page, { frame: 'iframe#missing' });
+
+  return report({
+    'shadow-DOM selector resolved in the page': plain.element === panel && plain.iframe === null && !plain.isDocument,
+    'selector matching an iframe captures its document': bare.element === documentElement && bare.iframe === iframe &&
+      bare.frame === termsFrame && bare.isDocument,
+    'element looked up through its frame': inFrame.element === summary && inFrame.frame === termsFrame && !inFrame.isDocument,
+    'missing frame': missing === null
+  });
+}
+
+async function testExpand() {
+  console.log('\n3️⃣ Expanded capture...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-scroll-'));
+  const calls = [];
+
+  try {
+    const modal = createElement('modal', calls, { expandInPage: () => ({ height: 1800 }), evaluate: () => 'DIV' });
+    const documentElement = createElement('terms-html', calls, { expandInPage: () => ({ height: 700 }) });
+    const termsFrame = createFrame('terms', calls, { documentElement, contentHeight: 2400 });
+    const iframe = createElement('iframe', calls, { evaluate: () => 'IFRAME', contentFrame: termsFrame });
+    const page = createPage(calls, { '.modal-body': modal, 'iframe#terms': iframe });
+
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    let results;
+    try {
+      const vrt = new PlaywrightVRT({ aiEnabled: false });
+      results = await vrt.captureScrollTargets(page, dir, 'chromium-desktop', {
+        suffix: '-dark',
+        scrollTargets: ['.modal-body', { selector: 'iframe#terms', name: 'terms' }, '.missing']
+      });
+    } finally {
+      console.warn = warn;
+    }
+
+    const [modalResult, termsResult] = results;
+    const modalCalls = calls.filter(call => call.startsWith('modal') || call.startsWith('page'));
+    const files = (await fs.readdir(dir)).sort();
+
+    return report({
+      'container expanded, captured, then restored': modalCalls.slice(0, 4).join('|') ===
+        'modal evaluate|modal expandInPage {"maxHeight":20000}|modal screenshot|page restoreInPage',
+      'iframe grown to its document height': calls.includes('iframe expandInPage {"height":2400,"maxHeight":20000}'),
+      'iframe document captured through the iframe element': calls.includes('iframe screenshot') &&
+        !calls.includes('terms-html screenshot'),
+      'both frames restored': calls.includes('terms restoreInPage') &&
+        calls.lastIndexOf('page restoreInPage') > calls.indexOf('iframe screenshot'),
+      'files named after the target, variant last': files.join() ===
+        'chromium-desktop-scroll-modal-body-dark.png,chromium-desktop-scroll-terms-dark.png',
+      'results describe each target': modalResult.scrollTarget === 'modal-body' && modalResult.mode === 'expand' &&
+        modalResult.height === 1800 && termsResult.scrollTarget === 'terms' && termsResult.height === 2400,
+      'missing targets skipped with a warning': results.length === 2 && warnings.some(message => message.includes('.missing'))
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testStitch() {
+  console.log('\n4️⃣ Stitched capture...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-scroll-'));
+  const calls = [];
+
+  // A 50x100 CSS px viewport over 250px of content, screenshotted at 2x
+  const colors = { 0: [255, 0, 0], 100: [0, 255, 0], 150: [0, 0, 255] };
+  let scrollTop = 40;
+  const list = createElement('list', calls, {
+    evaluate: () => ({ clientWidth: 50, clientHeight: 100, clientLeft: 0, clientTop: 0, scrollTop }),
+    scrollContainerTo: top => {
+      scrollTop = Math.min(top, 150);
+      return { scrollTop, scrollHeight: 250 };
+    },
+    screenshot: () => solid(100, 200, colors[scrollTop]),
+    boundingBox: () => ({ x: 0, y: 0, width: 50, height: 100 })
+  });
+  const page = createPage(calls, { '.list': list });
+
+  try {
+    const [result] = await captureScrollTargets(page, {
+      outputDir: dir,
+      prefix: 'chromium-desktop',
+      targets: resolveScrollTargets({ selector: '.list', mode: 'stitch' })
+    });
+    const png = PNG.sync.read(await fs.readFile(result.path));
+    const shots = calls.filter(call => call === 'list screenshot').length;
+
+    // Content exactly maxHeight tall is whole; taller content is cut at maxHeight
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    let exact;
+    let capped;
+    try {
+      [exact] = await captureScrollTargets(page, {
+        outputDir: dir,
+        prefix: 'exact',
+        targets: resolveScrollTargets({ selector: '.list', mode: 'stitch', maxHeight: 250 })
+      });
+      [capped] = await captureScrollTargets(page, {
+        outputDir: dir,
+        prefix: 'capped',
+        targets: resolveScrollTargets({ selector: '.list', mode: 'stitch', maxHeight: 200 })
+      });
+    } finally {
+      console.warn = warn;
+    }
+    const pixel = y => Array.from(png.data.slice((y * png.width) * 4, (y * png.width) * 4 + 3)).join(',');
+
+    return report({
+      'one segment per visible height': shots === 3,
+      'whole content height at device scale': png.width === 100 && png.height === 500,
+      'segments placed at their scroll offsets': pixel(50) === '255,0,0' && pixel(250) === '0,255,0' &&
+        pixel(450) === '0,0,255',
+      'scroll position restored': calls[calls.length - 1] === 'list scrollContainerTo 40' && scrollTop === 40,
+      'result records the mode': result.mode === 'stitch' && result.height === 250 && result.masks === undefined,
+      'content exactly maxHeight tall is not capped': exact.height === 250 && capped.height === 200 &&
+        warnings.length === 1 && warnings[0].includes('taller than 200px')
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testPiercingMasks() {
+  console.log('\n5️⃣ Masks inside shadow roots...');
+  const rect = (left, top) => ({ getBoundingClientRect: () => ({ left, top, width: 20, height: 10 }) });
+  const inner = rect(5, 15);
+  const host = { shadowRoot: { querySelectorAll: selector => (selector === '.price' ? [inner] : []) } };
+  const fakeDocument = { querySelectorAll: selector => (selector === 'product-card' ? [host] : [rect(1, 1)]) };
+
+  // Run the in-page function against a fake DOM
+  const page = {
+    evaluate: async (fn, arg) => {
+      global.document = fakeDocument;
+      global.window = { scrollX: 0, scrollY: 0, devicePixelRatio: 1 };
+      try {
+        return fn(arg);
+      } finally {
+        delete global.document;
+        delete global.window;
+      }
+    }
+  };
+  const regions = await collectMaskRegions(page, [{ selector: 'product-card >>> .price' }]);
+
+  return report({
+    'mask selector pierces the shadow root': regions.length === 1 && regions[0].x === 5 && regions[0].y === 15 &&
+      regions[0].selector === 'product-card >>> .price'
+  });
+}
+
+// Fake DOM node for running expandInPage outside a browser
+function createNode(scrollHeight, parentElement = null) {
+  const styles = {};
+  return {
+    scrollHeight,
+    offsetHeight: 300,
+    clientHeight: 300,
+    parentElement,
+    styles,
+    getAttribute: () => null,
+    style: { setProperty: (property, value) => { styles[property] = value; } }
+  };
+}
+
+async function testHeightCap() {
+  console.log('\n6️⃣ Height cap on expanded targets...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-scroll-'));
+  const calls = [];
+  const body = createNode(0);
+  const modal = createNode(30000, body);
+  const globals = ['window', 'document', 'getComputedStyle'].map(name => [name, global[name]]);
+
+  global.window = {};
+  global.document = { body, documentElement: createNode(0) };
+  global.getComputedStyle = () => ({ position: 'static', paddingTop: '0px', paddingBottom: '0px' });
+
+  try {
+    // The in-page function runs for real against the fake node
+    const element = createElement('modal', calls, { evaluate: () => 'DIV' });
+    const evaluate = element.evaluate;
+    element.evaluate = async (fn, arg) => {
+      await evaluate(fn, arg);
+      return fn.name === 'expandInPage' ? fn(modal, arg) : fn.name ? undefined : 'DIV';
+    };
+    const page = createPage(calls, { '.modal-body': element });
+
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    let results;
+    try {
+      const vrt = new PlaywrightVRT({ aiEnabled: false });
+      results = await vrt.captureScrollTargets(page, dir, 'chromium-desktop', {
+        scrollTargets: [{ selector: '.modal-body', maxHeight: 20000 }]
+      });
+    } finally {
+      console.warn = warn;
+    }
+
+    return report({
+      'cap passed into the page': calls.includes('modal expandInPage {"maxHeight":20000}'),
+      'container grown only up to the cap': modal.styles.height === '20000px',
+      'content past the cap clipped': modal.styles['overflow-y'] === 'hidden',
+      'result height stops at the cap': results[0].height === 20000,
+      'capped target warned about': warnings.some(message => message.includes('taller than 20000px'))
+    });
+  } finally {
+    for (const [name, value] of globals) global[name] = value;
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  await runTests('SCROLL CAPTURE TESTS', {
+    settings: testSettings,
+    locate: testLocate,
+    expand: testExpand,
+    stitch: testStitch,
+    masks: testPiercingMasks,
+    cap: testHeightCap
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
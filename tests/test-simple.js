@@ -57,7 +57,7 @@ async function runSimpleTest() {
     });
     console.log('   ❌ FAILED: Dangerous function was not blocked');
   } catch (error) {
-    if (error.message.includes('Unsafe pattern')) {
+    if (error.message.includes('inline evaluate is disabled')) {
       console.log('   ✅ PASSED: Script injection blocked');
     } else {
       console.log(`   ⚠️ Unexpected error: ${error.message}`);
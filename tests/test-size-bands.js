@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Test comparing screenshots of different sizes: overlap diff, added/removed bands
+ * Runs without a browser using generated PNGs
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const VRTBase = require('../lib/vrt-base');
+const { ADDED_COLOR, REMOVED_COLOR, cropImage } = require('../lib/size-bands');
+const { report, runTests } = require('./helpers');
+
+function createImage(width, height, paint) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * 4;
+      const [r, g, b] = paint(x, y);
+      png.data[idx] = r;
+      png.data[idx + 1] = g;
+      png.data[idx + 2] = b;
+      png.data[idx + 3] = 255;
+    }
+  }
+  return PNG.sync.write(png);
+}
+
+// Diff pixel tinted with a band color over a white screenshot
+function isTint(diff, x, y, color) {
+  const idx = (y * diff.width + x) * 4;
+  return diff.data[idx] === Math.round((255 + color.r) / 2) &&
+    diff.data[idx + 1] === Math.round((255 + color.g) / 2) &&
+    diff.data[idx + 2] === Math.round((255 + color.b) / 2);
+}
+
+const WHITE = () => [255, 255, 255];
+
+async function testGrownPage() {
+  console.log('1️⃣ Page grew...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-size-'));
+  const vrt = new VRTBase({ aiEnabled: false });
+
+  try {
+    const beforePath = path.join(dir, 'before.png');
+    const afterPath = path.join(dir, 'after.png');
+    const diffPath = path.join(dir, 'diff.png');
+
+    // 10 rows appended below, plus a changed 10x10 block in the shared area
+    await fs.writeFile(beforePath, createImage(100, 100, WHITE));
+    await fs.writeFile(afterPath, createImage(100, 110, (x, y) => (
+      x < 10 && y < 10 ? [0, 0, 0] : [255, 255, 255]
+    )));
+
+    const result = await vrt.compareImages(beforePath, afterPath, diffPath, 0.1);
+    const diff = PNG.sync.read(await fs.readFile(diffPath));
+
+    await fs.writeFile(afterPath, createImage(100, 101, WHITE));
+    const onePixel = await vrt.compareImages(beforePath, afterPath, diffPath, 0.1);
+
+    return report({
+      'compared instead of 100% different': !result.error && result.difference < 1,
+      'height delta reported': result.sizeChange.height === 10 && result.sizeChange.width === 0 &&
+        result.sizeChange.before.height === 100 && result.sizeChange.after.height === 110,
+      'overlap difference reported': result.overlapDifference === 100 / 10000,
+      'added band counted': result.sizeChange.addedPixels === 1000 && result.sizeChange.removedPixels === 0 &&
+        result.difference === 1100 / 11000,
+      'diff image on the common canvas': diff.width === 100 && diff.height === 110,
+      'added band green': isTint(diff, 50, 105, ADDED_COLOR) && !isTint(diff, 50, 50, ADDED_COLOR),
+      'one pixel taller passes': onePixel.passed && onePixel.overlapDifference === 0 && onePixel.sizeChange.height === 1,
+      'old dimensions field kept': result.dimensions.height === -10
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testShrunkPage() {
+  console.log('\n2️⃣ Page shrank and narrowed...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-size-'));
+  const vrt = new VRTBase({ aiEnabled: false });
+
+  try {
+    const beforePath = path.join(dir, 'before.png');
+    const afterPath = path.join(dir, 'after.png');
+    const diffPath = path.join(dir, 'diff.png');
+
+    await fs.writeFile(beforePath, createImage(100, 100, WHITE));
+    await fs.writeFile(afterPath, createImage(80, 120, WHITE));
+
+    const result = await vrt.compareImages(beforePath, afterPath, diffPath, 0.1, {
+      ignoreRegions: '20x10+80+0'
+    });
+    const diff = PNG.sync.read(await fs.readFile(diffPath));
+    const corner = (115 * 100 + 95) * 4;
+
+    return report({
+      'both deltas reported': result.sizeChange.width === -20 && result.sizeChange.height === 20,
+      'removed band blue': isTint(diff, 90, 50, REMOVED_COLOR),
+      'added band green': isTint(diff, 40, 110, ADDED_COLOR),
+      'uncovered corner left empty': diff.data[corner + 3] === 0,
+      'ignored regions excluded from bands': result.sizeChange.removedPixels === 20 * 100 - 200 &&
+        result.sizeChange.addedPixels === 80 * 20,
+      'same size untouched': cropImage(diff, diff.width, diff.height) === diff
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testCompareReport() {
+  console.log('\n3️⃣ Directory comparison...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-size-'));
+  const vrt = new VRTBase({ aiEnabled: false });
+
+  try {
+    await fs.mkdir(path.join(dir, 'before'));
+    await fs.mkdir(path.join(dir, 'after'));
+    await fs.writeFile(path.join(dir, 'before', 'home.png'), createImage(50, 200, WHITE));
+    await fs.writeFile(path.join(dir, 'after', 'home.png'), createImage(50, 400, WHITE));
+
+    const results = await vrt.compare(path.join(dir, 'before'), path.join(dir, 'after'), {
+      output: path.join(dir, 'comparison'),
+      generateReport: true
+    });
+    const html = await fs.readFile(path.join(dir, 'comparison', 'report.html'), 'utf8');
+
+    return report({
+      'grown page is a difference': !results.passed && results.differences[0].sizeChange.height === 200,
+      'report entry carries the size change': results.report[0].overlapDifference === 0 && !results.report[0].error,
+      'size change in the HTML report': html.includes('50×200 → 50×400')
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  await runTests('SIZE CHANGE TESTS', {
+    grown: testGrownPage,
+    shrunk: testShrunkPage,
+    compare: testCompareReport
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Test deterministic rendering: settings, where it is on by default and the clock
+ * Runs without a browser: the init script runs against a fake window
+ */
+
+const PlaywrightVRT = require('../lib/playwright-vrt');
+const { DEFAULT_STABILIZATION, resolveStabilization, installStabilization } = require('../lib/stabilization');
+const { report, runTests } = require('./helpers');
+
+async function testSettings() {
+  console.log('1️⃣ Settings and defaults...');
+  const custom = resolveStabilization({ clock: '2024-06-01T09:00:00Z', randomSeed: 7 });
+
+  return report({
+    'off': resolveStabilization(false) === null,
+    'defaults when on': resolveStabilization(true).clock === DEFAULT_STABILIZATION.clock,
+    'overrides merged': custom.randomSeed === 7 && custom.freezeAnimations === true,
+    'opt-in outside capture': new PlaywrightVRT({ aiEnabled: false }).options.stabilize === false,
+    'on when capture asks for it': new PlaywrightVRT({ aiEnabled: false, stabilize: true }).options.stabilize === true
+  });
+}
+
+// Run the init script against a fake window and hand its Date to `check`
+async function withPageDate(settings, check) {
+  let script = null;
+  await installStabilization({ addInitScript: async (fn, arg) => { script = { fn, arg }; } }, settings);
+
+  const random = Math.random;
+  global.window = {};
+  try {
+    script.fn(script.arg);
+    return await check(global.window.Date);
+  } finally {
+    delete global.window;
+    Math.random = random;
+  }
+}
+
+async function testClock() {
+  console.log('\n2️⃣ Pinned clock...');
+  const settings = resolveStabilization({ pauseMedia: false });
+
+  return withPageDate(settings, async PageDate => {
+    const fixed = new Date(settings.clock).getTime();
+    const start = PageDate.now();
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    return report({
+      'pinned by default': settings.tickClock === false,
+      'at the fixed time': start === fixed,
+      'does not tick': PageDate.now() === fixed,
+      'new Date() pinned': new PageDate().getTime() === fixed,
+      'explicit dates untouched': new PageDate(0).getTime() === 0,
+      'Date() string from the clock': PageDate() === new Date(fixed).toString()
+    });
+  });
+}
+
+async function testTickingClock() {
+  console.log('\n3️⃣ Ticking clock...');
+  const settings = resolveStabilization({ pauseMedia: false, tickClock: true });
+
+  return withPageDate(settings, async PageDate => {
+    const fixed = new Date(settings.clock).getTime();
+    const start = PageDate.now();
+    await new Promise(resolve => setTimeout(resolve, 30));
+    const later = PageDate.now();
+
+    return report({
+      'starts at the fixed time': start >= fixed && start - fixed < 1000,
+      'keeps ticking': later - start >= 20,
+      'new Date() follows the clock': new PageDate().getTime() >= later
+    });
+  });
+}
+
+async function runAllTests() {
+  await runTests('STABILIZATION TESTS', {
+    settings: testSettings,
+    clock: testClock,
+    tickingClock: testTickingClock
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
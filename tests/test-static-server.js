@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Test the built-in static server behind `--serve`
+ * Runs without a browser: requests go straight to the server
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const VRTBase = require('../lib/vrt-base');
+const { loadConfig } = require('../lib/config-loader');
+const { startStaticServer } = require('../lib/static-server');
+const { report, runTests } = require('./helpers');
+
+async function withBuild(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-serve-'));
+  const build = path.join(dir, 'dist');
+  await fs.mkdir(path.join(build, 'assets'), { recursive: true });
+  await fs.mkdir(path.join(build, 'docs'), { recursive: true });
+  await fs.writeFile(path.join(build, 'index.html'), '<html><link rel="stylesheet" href="/assets/app.css">app shell</html>');
+  await fs.writeFile(path.join(build, '200.html'), 'custom fallback');
+  await fs.writeFile(path.join(build, 'about.html'), 'about page');
+  await fs.writeFile(path.join(build, 'docs', 'index.html'), 'docs index');
+  await fs.writeFile(path.join(build, 'assets', 'app.css'), 'body { color: red; }');
+  try {
+    return await fn(dir, build);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function request(url, options) {
+  const response = await fetch(url, options);
+  return { status: response.status, headers: response.headers, body: await response.text() };
+}
+
+async function testServer() {
+  console.log('1️⃣ Serving a build directory...');
+  return withBuild(async (dir, build) => {
+    const server = await startStaticServer(build);
+    const spa = await startStaticServer(build, { spa: true, headers: { 'X-Robots-Tag': 'noindex' } });
+    const customSpa = await startStaticServer(build, { spa: '200.html' });
+
+    try {
+      const css = await request(`${server.url}/assets/app.css`);
+      const root = await request(`${server.url}/`);
+      const docs = await request(`${server.url}/docs/`);
+      const route = await request(`${server.url}/dashboard/42`);
+      const spaRoute = await request(`${spa.url}/dashboard/42?tab=1`);
+      const spaAsset = await request(`${spa.url}/assets/missing.js`);
+      const customRoute = await request(`${customSpa.url}/settings`);
+      const head = await request(`${server.url}/about.html`, { method: 'HEAD' });
+      const post = await request(`${server.url}/about.html`, { method: 'POST' });
+
+      return report({
+        'root-relative assets served with a type': css.status === 200 && css.headers.get('content-type').startsWith('text/css'),
+        'directories serve index.html': root.body.includes('app shell') && docs.body === 'docs index',
+        'unknown route is 404 without spa': route.status === 404,
+        'spa fallback serves the app shell': spaRoute.status === 200 && spaRoute.body.includes('app shell'),
+        'missing assets still 404 with spa': spaAsset.status === 404,
+        'custom fallback file': customRoute.body === 'custom fallback',
+        'custom headers on every response': spaRoute.headers.get('x-robots-tag') === 'noindex' &&
+          spaAsset.headers.get('x-robots-tag') === 'noindex',
+        'HEAD has no body': head.status === 200 && head.body === '',
+        'other methods refused': post.status === 405,
+        'ephemeral port': server.port > 0 && server.port !== spa.port
+      });
+    } finally {
+      await Promise.all([server.close(), spa.close(), customSpa.close()]);
+    }
+  });
+}
+
+async function testConfig() {
+  console.log('\n2️⃣ serve in config and on the command line...');
+  return withBuild(async (dir, build) => {
+    await fs.writeFile(path.join(dir, 'vrt.config.json'), JSON.stringify({
+      serve: { dir: './dist', spa: true, headers: { 'X-Test': '1' } }
+    }));
+    const other = path.join(dir, 'other');
+    await fs.mkdir(other);
+
+    const fromConfig = loadConfig({ cwd: dir });
+    const fromFlag = loadConfig({ configPath: path.join(dir, 'vrt.config.json'), cwd: other, serve: '.', spa: false });
+    const emptyDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-serve-empty-'));
+    const plain = loadConfig({ cwd: emptyDir });
+    await fs.rm(emptyDir, { recursive: true, force: true });
+
+    let missingDirRejected = false;
+    try {
+      await fs.writeFile(path.join(dir, 'vrt.config.json'), JSON.stringify({ serve: { spa: true } }));
+      loadConfig({ cwd: dir });
+    } catch (error) {
+      missingDirRejected = error.message.includes('serve needs a dir');
+    }
+
+    return report({
+      'config dir resolved against the config file': fromConfig.serve.dir === build && fromConfig.serve.spa === true,
+      'config headers kept': fromConfig.serve.headers['X-Test'] === '1',
+      'flag dir resolved against cwd': fromFlag.serve.dir === other,
+      'flag overrides spa': fromFlag.serve.spa === false && fromFlag.serve.headers['X-Test'] === '1',
+      'off by default': plain.serve === null,
+      'dir required': missingDirRejected
+    });
+  });
+}
+
+async function testEngine() {
+  console.log('\n3️⃣ Engine lifecycle...');
+  return withBuild(async (dir, build) => {
+    const vrt = new VRTBase({ aiEnabled: false, baseUrl: 'http://localhost:8000', serve: { dir: build } });
+    const [first, second] = await Promise.all([vrt.ensureStaticServer(), vrt.ensureStaticServer()]);
+
+    const about = vrt.resolveServedUrl('about.html');
+    const nested = vrt.resolveServedUrl('/docs/?v=2');
+    const page = await request(about);
+    await vrt.stopStaticServer();
+
+    let closed = false;
+    try {
+      await fetch(about);
+    } catch (error) {
+      closed = true;
+    }
+
+    const missing = new VRTBase({ aiEnabled: false, serve: { dir: path.join(dir, 'nope') } });
+    let notRetried = false;
+    try {
+      await missing.ensureStaticServer();
+    } catch (error) {
+      notRetried = error.retryable === false && error.message.includes('not a directory');
+    }
+
+    return report({
+      'one server for concurrent captures': first === second,
+      'baseUrl points at the server': vrt.options.baseUrl === first.url,
+      'relative paths resolve against the server': about === `${first.url}/about.html` && nested === `${first.url}/docs/?v=2`,
+      'absolute URLs untouched': vrt.resolveServedUrl('https://example.com/x') === 'https://example.com/x',
+      'pages load over http': page.body === 'about page',
+      'server closed on cleanup': closed && vrt.staticServer === null,
+      'nothing served without serve': await new VRTBase({ aiEnabled: false }).ensureStaticServer() === null,
+      'missing directory fails without retries': notRetried
+    });
+  });
+}
+
+async function runAllTests() {
+  await runTests('STATIC SERVER TESTS', {
+    server: testServer,
+    config: testConfig,
+    engine: testEngine
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * Test Storybook story discovery, selection and per-story capture
+ * Runs without a browser: a stub engine records the captures
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const VRTBase = require('../lib/vrt-base');
+const { loadPageManifest, selectViewports, DEFAULT_CONFIG } = require('../lib/config-loader');
+const { startStaticServer, resolveRequestPath } = require('../lib/static-server');
+const {
+  storybookBaseUrl,
+  parseStoryIndex,
+  loadStoryIndex,
+  selectStories,
+  storyUrl,
+  captureStories,
+  buildStoryManifest
+} = require('../lib/storybook');
+const { report, runTests } = require('./helpers');
+
+// Storybook 7+ index.json
+const INDEX_V5 = {
+  v: 5,
+  entries: {
+    'components-button--docs': { id: 'components-button--docs', title: 'Components/Button', name: 'Docs', type: 'docs' },
+    'components-button--primary': { id: 'components-button--primary', title: 'Components/Button', name: 'Primary', type: 'story', tags: ['autodocs'] },
+    'components-button--loading': { id: 'components-button--loading', title: 'Components/Button', name: 'Loading', type: 'story', tags: ['vrt-skip'] },
+    'forms-login--default': { id: 'forms-login--default', title: 'Forms/Login', name: 'Default', type: 'story', tags: [] }
+  }
+};
+
+// Storybook 6 stories.json
+const STORIES_V3 = {
+  v: 3,
+  stories: {
+    'intro--page': { id: 'intro--page', kind: 'Intro', name: 'Page', parameters: { docsOnly: true } },
+    'card--default': { id: 'card--default', kind: 'Card', name: 'Default', parameters: { vrt: { viewports: ['mobile'], masks: ['.date'] } } },
+    'card--animated': { id: 'card--animated', kind: 'Card', name: 'Animated', parameters: { vrt: { skip: true } } }
+  }
+};
+
+function get(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+    }).on('error', reject);
+  });
+}
+
+async function testIndex() {
+  console.log('1️⃣ Story index formats...');
+  const v5 = parseStoryIndex(INDEX_V5);
+  const v3 = parseStoryIndex(STORIES_V3);
+
+  let invalidRejected = false;
+  try {
+    parseStoryIndex({ v: 5 });
+  } catch (error) {
+    invalidRejected = true;
+  }
+
+  return report({
+    'index.json stories read, docs dropped': v5.length === 3 && !v5.some(story => story.name === 'Docs'),
+    'stories.json read, docs-only dropped': v3.length === 2 && v3[0].title === 'Card',
+    'parameters kept from stories.json': v3[0].vrt.masks[0] === '.date',
+    'invalid index rejected': invalidRejected,
+    'base URL normalized': storybookBaseUrl('https://sb.example.com/ui/iframe.html?id=x') === 'https://sb.example.com/ui' &&
+      storybookBaseUrl('http://localhost:6006/') === 'http://localhost:6006',
+    'story iframe URL': storyUrl('http://localhost:6006/', 'forms-login--default') ===
+      'http://localhost:6006/iframe.html?id=forms-login--default&viewMode=story'
+  });
+}
+
+async function testSelection() {
+  console.log('\n2️⃣ Story selection...');
+  const all = selectStories(parseStoryIndex(INDEX_V5));
+  const buttons = selectStories(parseStoryIndex(INDEX_V5), { include: 'components-button--*' });
+  const byTitle = selectStories(parseStoryIndex(INDEX_V5), { include: ['Forms/**'] });
+  const excluded = selectStories(parseStoryIndex(INDEX_V5), { exclude: 'Components/**' });
+  const v3 = selectStories(parseStoryIndex(STORIES_V3));
+
+  return report({
+    'skip tag honored': all.stories.length === 2 && all.skipped[0].id === 'components-button--loading',
+    'skip parameter honored': v3.stories.length === 1 && v3.skipped[0].id === 'card--animated',
+    'include by id glob': buttons.stories.length === 1 && buttons.stories[0].id === 'components-button--primary',
+    'include by title glob': byTitle.stories.length === 1 && byTitle.stories[0].id === 'forms-login--default',
+    'exclude glob': excluded.stories.length === 1
+  });
+}
+
+async function testStaticBuild() {
+  console.log('\n3️⃣ Static build directory...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-storybook-'));
+  const build = path.join(dir, 'storybook-static');
+  await fs.mkdir(build);
+  await fs.writeFile(path.join(build, 'index.json'), JSON.stringify(INDEX_V5));
+  await fs.writeFile(path.join(build, 'iframe.html'), '<html><body></body></html>');
+  await fs.writeFile(path.join(dir, 'secret.txt'), 'outside the build');
+
+  const server = await startStaticServer(build);
+  try {
+    const fromDir = await loadStoryIndex(build);
+    const fromUrl = await loadStoryIndex(`${server.url}/`);
+    const iframe = await get(`${server.url}/iframe.html?id=forms-login--default&viewMode=story`);
+    const missing = await get(`${server.url}/nope.js`);
+
+    let missingRejected = false;
+    try {
+      await loadStoryIndex(dir);
+    } catch (error) {
+      missingRejected = error.message.includes('No Storybook index');
+    }
+
+    return report({
+      'index read from directory': fromDir.length === 3,
+      'index read over http': fromUrl.length === 3,
+      'iframe served with query string': iframe.status === 200 && iframe.type.startsWith('text/html'),
+      'missing file is 404': missing.status === 404,
+      'paths outside the build refused': resolveRequestPath(build, '/..%2fsecret.txt') === null &&
+        resolveRequestPath(build, '/iframe.html') === path.join(build, 'iframe.html'),
+      'missing index reported': missingRejected
+    });
+  } finally {
+    await server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testCapture() {
+  console.log('\n4️⃣ Per-story capture...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-storybook-'));
+  const config = { viewports: DEFAULT_CONFIG.viewports };
+  const calls = [];
+
+  // Stub engine: records what each story would capture
+  const vrt = new VRTBase({ aiEnabled: false });
+  vrt.capture = async (url, options) => {
+    calls.push({ url, ...options });
+    return [{ browser: 'chromium', viewport: 'desktop', path: path.join(options.outputDir, 'chromium-desktop-viewport.png') }];
+  };
+
+  try {
+    const { stories } = selectStories(parseStoryIndex({
+      v: 3,
+      stories: {
+        'card--default': { id: 'card--default', kind: 'Card', name: 'Default', parameters: { vrt: { viewports: ['mobile', '390x844@3'], masks: ['.date'], fullPage: true } } },
+        'card--plain': { id: 'card--plain', kind: 'Card', name: 'Plain' }
+      }
+    }));
+
+    const captured = await captureStories(vrt, stories, {
+      baseUrl: 'http://127.0.0.1:6006',
+      outputDir: 'storybook-run',
+      viewports: selectViewports(config, 'desktop'),
+      resolveViewports: names => selectViewports(config, names),
+      masks: ['.ad'],
+      fullPage: false,
+      waitFor: 'body.sb-show-main'
+    });
+
+    const manifestPath = path.join(dir, 'vrt.stories.json');
+    await fs.writeFile(manifestPath, JSON.stringify(buildStoryManifest(stories, 'http://127.0.0.1:6006')));
+    const pages = loadPageManifest(manifestPath);
+    const [card, plain] = calls;
+
+    return report({
+      'one capture per story': captured.length === 2 && calls.length === 2,
+      'story folder per id': card.outputDir === path.join('storybook-run', 'card--default'),
+      'iframe URL captured': card.url === 'http://127.0.0.1:6006/iframe.html?id=card--default&viewMode=story',
+      'story viewports resolved': card.viewports.length === 2 && card.viewports[1].deviceScaleFactor === 3,
+      'default viewports otherwise': plain.viewports.length === 1 && plain.viewports[0].name === 'desktop',
+      'story masks added to config masks': card.masks.join() === '.ad,.date' && plain.masks.join() === '.ad',
+      'fullPage from parameters': card.fullPage === true && plain.fullPage === false,
+      'waits for the story to render': card.waitFor === 'body.sb-show-main',
+      'manifest names pages by story id': pages.length === 2 && pages[0].name === 'card--default' &&
+        pages[0].url === '/iframe.html?id=card--default&viewMode=story'
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  await runTests('STORYBOOK TESTS', {
+    index: testIndex,
+    selection: testSelection,
+    staticBuild: testStaticBuild,
+    capture: testCapture
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
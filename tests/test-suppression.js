@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+
+/**
+ * Test suppression rules, request blocking, consent cookies and fired-rule metadata
+ * Runs without a browser: stub pages record routes, init scripts and cookies
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const PlaywrightVRT = require('../lib/playwright-vrt');
+const { HarReplayer } = require('../lib/har');
+const {
+  BUILTIN_RULES,
+  DEFAULT_RULES,
+  resolveSuppression,
+  findBlockingRule,
+  suppressionCss,
+  installSuppression,
+  collectSuppression
+} = require('../lib/suppression');
+const { report, rejects, runTests } = require('./helpers');
+
+// Run in-page functions against a fake document whose selectors match `counts`
+function withDocument(counts, fn, arg) {
+  global.document = { querySelectorAll: selector => new Array(counts[selector] || 0).fill({}) };
+  try {
+    return fn(arg);
+  } finally {
+    delete global.document;
+  }
+}
+
+// Playwright-like stub: keeps the route handler, init scripts and cookies
+function createPage(counts = {}) {
+  const page = {
+    routes: [],
+    initScripts: [],
+    cookies: [],
+    calls: [],
+    setDefaultTimeout: () => {},
+    setDefaultNavigationTimeout: () => {},
+    route: async (pattern, handler) => page.routes.push(handler),
+    addInitScript: async (fn, arg) => page.initScripts.push({ fn, arg }),
+    context: () => ({ addCookies: async cookies => page.cookies.push(...cookies) }),
+    url: () => 'about:blank',
+    evaluate: async (fn, arg) => withDocument(counts, fn, arg),
+    // Newest route first, like Playwright; fallback() moves on to the route added before
+    request: async (url, index = page.routes.length - 1) => {
+      let outcome;
+      await page.routes[index]({
+        request: () => ({ method: () => 'GET', url: () => url }),
+        abort: async () => { outcome = 'abort'; },
+        fulfill: async () => { outcome = 'fulfill'; },
+        fallback: async () => { outcome = index > 0 ? await page.request(url, index - 1) : 'fallback'; }
+      });
+      return outcome;
+    }
+  };
+  return page;
+}
+
+async function testSettings() {
+  console.log('1️⃣ Suppression settings...');
+  const defaults = resolveSuppression(true);
+  const custom = resolveSuppression({
+    rules: ['onetrust', { name: 'newsletter', selectors: ['.newsletter-modal'] }],
+    hide: '.promo',
+    block: ['*chat.example.com*'],
+    cookies: [{ name: 'consent', value: 'all' }]
+  });
+  const adsOnly = resolveSuppression(false, ['ads']);
+
+  return report({
+    'default rules when on': defaults.rules.map(rule => rule.name).join() === DEFAULT_RULES.join() &&
+      resolveSuppression(undefined).rules.length === DEFAULT_RULES.length,
+    'ads not blocked by default': !DEFAULT_RULES.includes('ads') && BUILTIN_RULES.ads.block.includes('doubleclick'),
+    'off': resolveSuppression(false) === null,
+    'blockAds still blocks ads when off': adsOnly.rules.length === 1 && adsOnly.rules[0].name === 'ads',
+    'picked and custom rules': custom.rules.map(rule => rule.name).join() === 'onetrust,newsletter,custom',
+    'hide, block and cookies become the custom rule': custom.rules[2].selectors.join() === '.promo' &&
+      custom.rules[2].block.join() === '*chat.example.com*' && custom.rules[2].cookies[0].name === 'consent',
+    'unknown rule lists the built-ins': rejects(() => resolveSuppression({ rules: ['nope'] }), 'Unknown suppression rule "nope"') &&
+      rejects(() => resolveSuppression({ rules: ['nope'] }), 'onetrust'),
+    'rules need a name': rejects(() => resolveSuppression({ rules: [{ selectors: ['.x'] }] }), 'expected a name'),
+    'cookies need name and value': rejects(() => resolveSuppression({ cookies: [{ name: 'x' }] }), 'expected name and value')
+  });
+}
+
+async function testRules() {
+  console.log('\n2️⃣ Blocking and hiding...');
+  const settings = resolveSuppression({ rules: ['intercom', 'ads', 'didomi'], hide: ['.promo'] });
+  const css = suppressionCss(settings);
+
+  return report({
+    'glob patterns match the whole URL': findBlockingRule(settings, 'https://widget.intercom.io/widget/abc').name === 'intercom',
+    'plain patterns match anywhere': findBlockingRule(settings, 'https://ad.doubleclick.net/x.js').name === 'ads',
+    'other requests pass': findBlockingRule(settings, 'https://example.com/app.js') === null,
+    'one CSS rule per selector': css.includes('#intercom-container { display: none !important; }') &&
+      css.includes('.promo { display: none !important; }'),
+    'rule CSS included': css.includes('body.didomi-popup-open { overflow: auto !important; }')
+  });
+}
+
+async function testInstall() {
+  console.log('\n3️⃣ Installing on a page...');
+  const settings = resolveSuppression({ rules: ['onetrust', 'intercom', 'cookiebot'], hide: ['.promo'] });
+
+  const page = createPage({ '#onetrust-consent-sdk': 1, '.promo': 2 });
+  const tracker = await installSuppression(page, settings, 'https://shop.example.com/listing/42');
+  const blocked = await page.request('https://widget.intercom.io/widget/abc');
+  const passed = await page.request('https://shop.example.com/app.js');
+  const fired = await collectSuppression(page, tracker);
+
+  const filePage = createPage();
+  await installSuppression(filePage, settings, 'file:///tmp/page.html');
+
+  // Puppeteer-like page: request interception instead of routes
+  const handlers = [];
+  const puppeteerPage = {
+    intercepting: false,
+    setRequestInterception: async on => { puppeteerPage.intercepting = on; },
+    on: (event, handler) => handlers.push(handler),
+    evaluateOnNewDocument: async () => {},
+    setCookie: async (...cookies) => { puppeteerPage.cookies = cookies; }
+  };
+  await installSuppression(puppeteerPage, settings, 'https://shop.example.com/');
+  let aborted = false;
+  handlers[0]({ url: () => 'https://js.intercomcdn.com/app.js', abort: () => { aborted = true; }, continue: () => {} });
+
+  return report({
+    'widget requests aborted, others left to other routes': blocked === 'abort' && passed === 'fallback',
+    'hide stylesheet installed before navigation': page.initScripts.length === 1 &&
+      page.initScripts[0].arg === suppressionCss(settings),
+    'consent cookies seeded for the page origin': page.cookies.map(cookie => cookie.name).join() ===
+      'OptanonAlertBoxClosed,CookieConsent' && page.cookies[0].url === 'https://shop.example.com',
+    'no cookies for file pages': filePage.cookies.length === 0,
+    'fired rules recorded': JSON.stringify(fired.rules) === JSON.stringify([
+      { name: 'onetrust', hidden: 1, blocked: 0 },
+      { name: 'intercom', hidden: 0, blocked: 1 },
+      { name: 'custom', hidden: 2, blocked: 0 }
+    ]) && fired.cookies.length === 2,
+    'Puppeteer pages intercept requests': puppeteerPage.intercepting && aborted && puppeteerPage.cookies.length === 2
+  });
+}
+
+async function testCapture() {
+  console.log('\n4️⃣ Capture metadata...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-suppress-'));
+  const vrt = new PlaywrightVRT({ aiEnabled: false });
+
+  try {
+    const run = {
+      url: 'https://shop.example.com/',
+      outputDir: dir,
+      options: {},
+      stabilization: null,
+      suppression: resolveSuppression(true),
+      scrolling: null,
+      settling: null,
+      printing: null
+    };
+    const [job] = vrt.planCaptureJobs(['chromium'], { viewports: [{ name: 'mobile', width: 390, height: 844 }] }, null);
+
+    const page = createPage({ '#CybotCookiebotDialog': 1 });
+    page.goto = async () => {};
+    page.screenshot = async options => fs.writeFile(options.path, 'png');
+    const [result] = await vrt.captureScreenshotJob({ newPage: async () => page }, job, run);
+
+    const quiet = createPage();
+    quiet.goto = page.goto;
+    quiet.screenshot = page.screenshot;
+    const [quietResult] = await vrt.captureScreenshotJob({ newPage: async () => quiet }, job, { ...run, suppression: null });
+
+    return report({
+      'result records the rules that fired': result.suppression.rules.length === 1 &&
+        result.suppression.rules[0].name === 'cookiebot' && result.suppression.cookies.includes('CookieConsent'),
+      'nothing installed when off': quietResult.suppression === undefined && quiet.routes.length === 0 &&
+        quiet.initScripts.length === 0,
+      'on by default': vrt.options.suppress === true
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testHarReplay() {
+  console.log('\n5️⃣ Blocking during HAR replay...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-suppress-'));
+  const vrt = new PlaywrightVRT({ aiEnabled: false });
+  const archived = url => ({
+    request: { method: 'GET', url },
+    response: { status: 200, headers: [], content: { text: 'archived' } }
+  });
+  // The archive was recorded without suppression, so it holds the widget too
+  vrt.harReplayer = new HarReplayer({ log: { entries: [
+    archived('https://shop.example.com/app.js'),
+    archived('https://widget.intercom.io/widget/abc')
+  ] } });
+
+  try {
+    const run = {
+      url: 'https://shop.example.com/',
+      outputDir: dir,
+      options: {},
+      stabilization: null,
+      suppression: resolveSuppression(true),
+      scrolling: null,
+      settling: null,
+      printing: null
+    };
+    const [job] = vrt.planCaptureJobs(['chromium'], { viewports: [{ name: 'mobile', width: 390, height: 844 }] }, null);
+
+    const page = createPage();
+    const outcomes = {};
+    page.goto = async () => {
+      outcomes.widget = await page.request('https://widget.intercom.io/widget/abc');
+      outcomes.app = await page.request('https://shop.example.com/app.js');
+    };
+    page.screenshot = async options => fs.writeFile(options.path, 'png');
+    const [result] = await vrt.captureScreenshotJob({ newPage: async () => page }, job, run);
+
+    return report({
+      'archived widget request aborted': outcomes.widget === 'abort',
+      'other requests replayed': outcomes.app === 'fulfill',
+      'block recorded on the result': result.suppression.rules.some(rule => rule.name === 'intercom' && rule.blocked === 1)
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  await runTests('SUPPRESSION TESTS', {
+    settings: testSettings,
+    rules: testRules,
+    install: testInstall,
+    capture: testCapture,
+    har: testHarReplay
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
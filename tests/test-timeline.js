@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Test timeline settings, manifests and the filmstrip report
+ * Runs without a browser using generated PNG frames
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const VRTBase = require('../lib/vrt-base');
+const AIAnalyzer = require('../lib/ai-analyzer');
+const ReportGenerator = require('../lib/report-generator');
+const { resolveTimeline, writeTimelineManifest } = require('../lib/timeline');
+const { report, runTests } = require('./helpers');
+
+function createImage(width, height, color) {
+  const png = new PNG({ width, height });
+  for (let i = 0; i < png.data.length; i += 4) {
+    png.data[i] = color[0];
+    png.data[i + 1] = color[1];
+    png.data[i + 2] = color[2];
+    png.data[i + 3] = 255;
+  }
+  return PNG.sync.write(png);
+}
+
+async function testSettings() {
+  console.log('1️⃣ Timeline settings...');
+  const defaults = resolveTimeline(true);
+  const custom = resolveTimeline({ intervals: ['1000', '0', '500'], networks: ['none', 'slow-3g'] });
+
+  let unknownRejected = false;
+  try {
+    resolveTimeline({ networks: ['dial-up'] });
+  } catch (error) {
+    unknownRejected = true;
+  }
+
+  return report({
+    'off when not requested': resolveTimeline(undefined) === null,
+    'defaults applied': defaults.intervals[0] === 0 && defaults.networks[0].name === 'none',
+    'intervals sorted as numbers': custom.intervals.join(',') === '0,500,1000',
+    'throttled profile resolved': custom.networks[1].latency === 2000,
+    'unknown profile rejected': unknownRejected
+  });
+}
+
+async function writeCapture(captureDir, colors) {
+  const timelineDir = path.join(captureDir, 'timeline');
+  const frameDir = path.join(timelineDir, 'chromium-desktop-slow-3g');
+  await fs.mkdir(frameDir, { recursive: true });
+
+  const frames = [];
+  for (const [index, time] of [0, 500].entries()) {
+    const framePath = path.join(frameDir, `${time}ms.png`);
+    await fs.writeFile(framePath, createImage(20, 20, colors[index]));
+    frames.push({ time, actualTime: time, path: framePath });
+  }
+
+  await writeTimelineManifest(timelineDir, [{
+    id: 'chromium-desktop-slow-3g',
+    browser: 'chromium',
+    viewport: 'desktop',
+    network: 'slow-3g',
+    frames
+  }]);
+  return frames;
+}
+
+async function testFilmstrip() {
+  console.log('\n2️⃣ Frames, analysis and filmstrip report...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-timeline-'));
+  const vrt = new VRTBase({ aiEnabled: false });
+
+  try {
+    const beforeDir = path.join(dir, 'before');
+    const afterDir = path.join(dir, 'after');
+    const outputDir = path.join(dir, 'report');
+
+    await writeCapture(beforeDir, [[255, 255, 255], [0, 0, 0]]);
+    const afterFrames = await writeCapture(afterDir, [[255, 255, 255], [255, 255, 255]]);
+
+    const manifest = JSON.parse(await fs.readFile(path.join(afterDir, 'timeline', 'timeline.json'), 'utf8'));
+    const analysis = await new AIAnalyzer().analyzeTimeline(afterFrames);
+
+    const results = await vrt.compare(beforeDir, afterDir, { output: outputDir });
+    const html = ReportGenerator.generateReport(results, 'playwright');
+    const strip = results.timelines && results.timelines[0];
+
+    return report({
+      'frame paths stored relative': manifest.runs[0].frames[1].file === path.join('chromium-desktop-slow-3g', '500ms.png'),
+      'identical frames are stable': analysis.visualStability[0].stability === 1,
+      'filmstrips paired': !!strip && strip.before.length === 2 && strip.after.length === 2,
+      'frames resolved from report dir': !!strip &&
+        strip.after[1].src === path.join('..', 'after', 'timeline', 'chromium-desktop-slow-3g', '500ms.png'),
+      'report renders filmstrip': html.includes('Loading Timeline') && html.includes('slow-3g')
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  await runTests('TIMELINE TESTS', {
+    settings: testSettings,
+    filmstrip: testFilmstrip
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Test the visual-stability wait and its report
+ * Runs without a browser: a stub page returns generated PNG snapshots
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const VRTBase = require('../lib/vrt-base');
+const ReportGenerator = require('../lib/report-generator');
+const {
+  resolveSettle,
+  frameDifference,
+  waitForVisualStability,
+  writeSettle
+} = require('../lib/visual-stability');
+const { report, runTests } = require('./helpers');
+
+// A white frame with a black bar whose position stands in for a changing page
+function createFrame(barX) {
+  const png = new PNG({ width: 64, height: 32 });
+  for (let y = 0; y < 32; y++) {
+    for (let x = 0; x < 64; x++) {
+      const i = (y * 64 + x) * 4;
+      const value = x >= barX && x < barX + 8 ? 0 : 255;
+      png.data[i] = png.data[i + 1] = png.data[i + 2] = value;
+      png.data[i + 3] = 255;
+    }
+  }
+  return PNG.sync.write(png);
+}
+
+// Stub page: the bar moves for `movingFrames` snapshots, then stops
+function createPage(movingFrames) {
+  let shots = 0;
+  return {
+    get shots() {
+      return shots;
+    },
+    screenshot: async () => createFrame(Math.min(shots++, movingFrames) * 4)
+  };
+}
+
+async function testSettings() {
+  console.log('1️⃣ Settle settings...');
+  return report({
+    'stability wait by default': resolveSettle(undefined).frames === 3 && resolveSettle(undefined).maxWait === 5000,
+    'disabled with false': resolveSettle(false) === null,
+    'number keeps a fixed delay': resolveSettle(1500).fixedDelay === 1500,
+    'overrides merged': resolveSettle({ maxWait: 800 }).maxWait === 800 && resolveSettle({ maxWait: 800 }).interval === 100
+  });
+}
+
+async function testWait() {
+  console.log('\n2️⃣ Waiting for stability...');
+  const fast = { ...resolveSettle(true), interval: 5 };
+
+  const identical = await frameDifference(createFrame(0), createFrame(0));
+  const moved = await frameDifference(createFrame(0), createFrame(20));
+
+  const stillPage = createPage(0);
+  const still = await waitForVisualStability(stillPage, fast);
+
+  const animatedPage = createPage(4);
+  const animated = await waitForVisualStability(animatedPage, fast);
+
+  const endless = await waitForVisualStability(createPage(Infinity), { ...fast, maxWait: 150 });
+
+  return report({
+    'identical frames match': identical === 0,
+    'moved content differs': moved > fast.tolerance,
+    'still page settles after N frames': still.settled && still.frames === 3 && stillPage.shots === 3,
+    'changing page settles once it stops': animated.settled && animated.frames === 7,
+    'gives up at maxWait': !endless.settled && endless.duration >= 150 && endless.duration < 1000
+  });
+}
+
+async function testReport() {
+  console.log('\n3️⃣ Settle times in the comparison report...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrt-settle-'));
+  const vrt = new VRTBase({ aiEnabled: false });
+
+  try {
+    const beforeDir = path.join(dir, 'before');
+    const afterDir = path.join(dir, 'after');
+    await fs.mkdir(beforeDir);
+    await fs.mkdir(afterDir);
+
+    for (const folder of [beforeDir, afterDir]) {
+      await fs.writeFile(path.join(folder, 'chromium-desktop-viewport.png'), createFrame(0));
+    }
+    await writeSettle(path.join(beforeDir, 'chromium-desktop-viewport.png'), { settled: true, duration: 420, frames: 3 });
+    await writeSettle(path.join(afterDir, 'chromium-desktop-viewport.png'), { settled: false, duration: 5000, frames: 48 });
+
+    const results = await vrt.compare(beforeDir, afterDir, { output: path.join(dir, 'report') });
+    const html = ReportGenerator.generateReport(results, 'playwright');
+    const item = results.report[0];
+
+    return report({
+      'sidecars not compared as images': results.totalImages === 1,
+      'settle attached to comparison': item.settle.before.duration === 420 && item.settle.after.settled === false,
+      'report shows settle times': html.includes('settled: 420ms') && html.includes('never (gave up after 5000ms)')
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  await runTests('VISUAL STABILITY TESTS', {
+    settings: testSettings,
+    wait: testWait,
+    report: testReport
+  });
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,191 @@
+/**
+ * Example project config for the Visual Regression Tool
+ * Copy to vrt.config.js (or vrt.config.json) in your project root.
+ * Every command discovers it from the working directory; CLI flags override it.
+ */
+module.exports = {
+  // Default base URL for relative page paths
+  baseUrl: 'http://directory.hattch-localhost',
+
+  // Named targets, selected with --target <name>. A target can also set headers,
+  // httpCredentials (basic auth), proxy, ignoreHTTPSErrors, userAgent and cookies for
+  // every browser the run opens; ${NAME} reads a secret from the environment
+  targets: {
+    local: 'http://directory.hattch-localhost',
+    staging: {
+      baseUrl: 'https://staging.directory.hattch.com',
+      headers: { 'X-Preview-Token': '${PREVIEW_TOKEN}' },
+      httpCredentials: { username: 'preview', password: '${STAGING_PASSWORD}' },
+      proxy: { server: 'http://proxy.internal:3128', bypass: 'localhost,.internal' },
+      ignoreHTTPSErrors: true
+    },
+    production: { baseUrl: 'https://directory.hattch.com' }
+  },
+
+  // Named pages (a `name -> path` map or an array of { name, url, ...pageOptions })
+  pages: {
+    homepage: '/',
+    'listing-page': '/business-for-sale',
+    'franchises-page': '/franchises',
+    'detail-page': { url: '/business/example', fullPage: true, masks: ['.listing-views'] },
+    'video-page': { url: '/how-it-works', stabilize: { pauseMedia: false } },
+    'contact-page': '/contact',
+    // Also capture an inner scroll area and an embedded iframe in full
+    'terms-page': { url: '/terms', scrollTargets: ['.terms-body', { frame: 'iframe#policy', mode: 'stitch' }] }
+  },
+
+  // Serve a local build over http for the run (instead of baseUrl); same as --serve
+  // serve: { dir: './dist', spa: true, headers: { 'Cache-Control': 'no-store' } },
+
+  // Page manifest written by `vrt crawl`; replaces `pages` once it exists
+  // manifest: './vrt.pages.json',
+
+  // Defaults for `vrt crawl` (globs match URL paths; templates dedupe ID segments)
+  crawl: {
+    depth: 2,
+    maxPages: 200,
+    exclude: ['/admin/**', '/account/**'],
+    templates: ['/business/:id']
+  },
+
+  // Defaults for `vrt storybook` (globs match story ids or Title/Name)
+  storybook: {
+    exclude: ['Playground/**'],
+    fullPage: false
+  },
+
+  // Preset names (mobile, tablet, desktop, desktop-xl), sizes ('WIDTHxHEIGHT@SCALE')
+  // or full viewport objects; named ones can be picked with --viewport
+  viewports: [
+    'mobile',
+    'tablet',
+    'desktop',
+    '1280x800@2',
+    { name: 'laptop', width: 1366, height: 768, deviceScaleFactor: 1 }
+  ],
+
+  // Device names for emulation: any Playwright device or a customDevices entry (`vrt devices` lists them)
+  devices: ['iPhone 14 Pro', 'Pixel 7'],
+
+  // Project devices: { width, height } or { viewport }, plus deviceScaleFactor, userAgent, isMobile, hasTouch
+  customDevices: {
+    'Kiosk Portrait': { width: 1080, height: 1920, hasTouch: true }
+  },
+
+  // Emulation matrix: every combination becomes a screenshot variant
+  // (colorScheme, reducedMotion, forcedColors, locale, timezoneId, geolocation)
+  emulation: {
+    colorScheme: ['light', 'dark'],
+    locale: ['en-AU'],
+    geolocation: [{ name: 'sydney', latitude: -33.8688, longitude: 151.2093 }]
+  },
+
+  // chromium, firefox, webkit, edge
+  browsers: ['chromium'],
+
+  // Selectors ignored during comparison
+  masks: ['.timestamp', '.ad-slot'],
+
+  // Named components for --components (each saved as {browser}-{viewport}-{name}.png)
+  components: {
+    header: 'header.site-header',
+    search: '#listing-search',
+    'listing-card': '.listing-card',
+    footer: 'footer'
+  },
+
+  // Loading filmstrips for --timeline (frame times in ms from navigation start;
+  // networks: none, fast-3g, slow-3g or { name, latency, downloadThroughput, uploadThroughput })
+  timeline: {
+    intervals: [0, 250, 500, 1000, 2000, 3000, 5000],
+    networks: ['none', 'slow-3g']
+  },
+
+  // Deterministic rendering for capture, batch, migrate prepare and storybook: true (defaults), false, or overrides such as
+  // { clock: '2024-06-01T09:00:00Z', timezoneId: 'Australia/Sydney', randomSeed: 7, tickClock: true }
+  stabilize: true,
+
+  // Scroll pass before --full-page screenshots so lazy content loads: true, false,
+  // or { maxHeight: 20000, step, networkIdleTimeout, networkQuietWindow, decodeTimeout } (maxHeight caps infinite feeds)
+  autoScroll: { maxHeight: 15000 },
+
+  // Wait before each screenshot until `frames` snapshots in a row match (within `tolerance`
+  // of pixels), up to `maxWait` ms. false disables it; a number is a fixed delay in ms.
+  settle: { frames: 3, maxWait: 5000 },
+
+  // Hide consent banners, chat widgets and popups (--no-suppress turns it off):
+  // true = built-in rules; or pick rules and add hide selectors, blocked URL patterns
+  // and consent cookies. Pages can set their own `suppress`.
+  suppress: {
+    rules: true,
+    hide: ['.newsletter-modal'],
+    block: ['*widget.example-chat.com*'],
+    cookies: [{ name: 'site_consent', value: 'accepted' }]
+  },
+
+  // Record a .meta.json sidecar per screenshot (environment, timing and visible elements
+  // with boxes and key styles) so compare can name the changed elements; false disables it
+  metadata: { maxElements: 1500 },
+
+  // Paper settings for --print / --pdf (or `print: true` on a page): format or
+  // width/height, landscape, margin, printBackground, pdf, dpi (PDF page raster)
+  print: {
+    format: 'A4',
+    margin: { top: '15mm', right: '10mm', bottom: '15mm', left: '10mm' },
+    pdf: false
+  },
+
+  // Scroll containers and iframes captured in full on every page (pages can set their own):
+  // a selector, or { selector, frame, mode: 'expand' | 'stitch', name, maxHeight }; >>> pierces shadow roots
+  scrollTargets: [],
+
+  // Difference threshold (0-1)
+  threshold: 0.1,
+
+  // Capture scheduler: warm browsers kept open across pages, and contexts
+  // (viewport/device jobs) run at once per browser
+  maxConcurrentBrowsers: 3,
+  maxContextsPerBrowser: 3,
+
+  // Each browser x viewport/device job is retried on its own, each attempt
+  // limited to jobTimeout ms. Screenshots from jobs that succeeded are kept;
+  // the rest are listed in failures.json.
+  retries: 3,
+  jobTimeout: 180000,
+
+  // Output locations
+  outputDir: './screenshots',
+  comparisonDir: './comparison-results',
+  baselineDir: './',
+
+  // Login roles for `vrt auth <role>` and `--as <role>`. Steps use the
+  // --interact format; ${NAME} is read from the environment.
+  auth: {
+    dir: './.vrt-auth',
+    roles: {
+      seller: {
+        loginUrl: '/login',
+        steps: [
+          { type: 'type', selector: '#email', text: '${VRT_SELLER_EMAIL}' },
+          { type: 'type', selector: '#password', text: '${VRT_SELLER_PASSWORD}' },
+          { type: 'click', selector: 'button[type="submit"]' }
+        ],
+        successSelector: '.account-menu',
+        maxAge: 8 * 60 * 60 // seconds; cookie expiry is also checked
+      }
+    }
+  },
+
+  // Named page scripts for { type: 'script', name, args } interactions: one
+  // function per .js file in `dir` (built-ins: hideCookieBanner, expandAllAccordions).
+  // Inline { type: 'evaluate' } code is rejected unless allowInline is true.
+  scripts: {
+    dir: './vrt-scripts',
+    allowInline: false
+  },
+
+  // Monitor defaults
+  monitor: {
+    interval: 300
+  }
+};